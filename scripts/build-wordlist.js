@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * Build Packed Wordlist
+ * Turns a JSON wordlist into the packed .wfb file the app loads first
+ * (see src/js/wordlistFormat.js for the layout).
+ *
+ * Usage:
+ *   node scripts/build-wordlist.js <words.json> [out.wfb] [--lang da] [--source-version "DSDO 2025-10"]
+ *
+ * Defaults: output next to the input with .wfb, language from a
+ * "words-<lang>.json" file name (else da), source version = file date.
+ */
+
+import { readFile, writeFile, stat } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { buildWordIndex } from '../src/js/wordIndex.js';
+import { encodeWordlist, readHeader, formatChecksum, normalizeWordlist } from '../src/js/wordlistFormat.js';
+import { getRuleset } from '../src/js/rulesets.js';
+
+function parseArgs(argv) {
+    const args = { files: [], lang: null, sourceVersion: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--lang') {
+            args.lang = argv[++i];
+        } else if (argv[i] === '--source-version') {
+            args.sourceVersion = argv[++i];
+        } else {
+            args.files.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const [input, output = input?.replace(/\.json$/i, '') + '.wfb'] = args.files;
+
+    if (!input) {
+        console.error('Usage: node scripts/build-wordlist.js <words.json> [out.wfb] [--lang da] [--source-version "..."]');
+        process.exit(1);
+    }
+
+    const lang = args.lang || basename(input).match(/^words-([a-z]{2})\.json$/i)?.[1].toLowerCase() || 'da';
+    const ruleset = getRuleset(lang);
+    if (ruleset.language !== lang) {
+        throw new Error(`Unknown language: ${lang}`);
+    }
+
+    const words = JSON.parse(await readFile(input, 'utf8'));
+    if (!Array.isArray(words)) {
+        throw new Error(`${input} is not a JSON array of words`);
+    }
+
+    // Samme normalisering som appen: store bogstaver, kun bogstaver fra alfabetet
+    const { words: valid, skipped } = normalizeWordlist(words, ruleset.alphabet);
+
+    const sourceVersion = args.sourceVersion || (await stat(input)).mtime.toISOString().slice(0, 10);
+    const index = buildWordIndex(valid);
+    const buffer = encodeWordlist(index, { language: lang, sourceVersion });
+    await writeFile(output, new Uint8Array(buffer));
+
+    const header = readHeader(buffer);
+    console.log(`${output}: ${header.wordCount} words (${lang}, ${sourceVersion}), ` +
+        `${header.nodeCount} nodes, ${header.edgeCount} edges, ` +
+        `${(buffer.byteLength / 1024).toFixed(0)} KB, #${formatChecksum(header.wordsChecksum)}`);
+    if (skipped > 0) {
+        console.warn(`Skipped ${skipped} entries with letters outside the ${lang} alphabet`);
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,410 @@
+/**
+ * Board Model
+ * 15x15 Wordfeud board with premium squares and move scoring
+ */
+
+import { getLetterValue, getBingoBonus } from './scoring.js';
+
+export const BOARD_SIZE = 15;
+export const CENTER = 7;
+
+export const PREMIUM = {
+    DL: 'DL', // Dobbelt bogstav
+    TL: 'TL', // Tredobbelt bogstav
+    DW: 'DW', // Dobbelt ord
+    TW: 'TW'  // Tredobbelt ord
+};
+
+// Standard Wordfeud layout
+// d = DL, t = TL, D = DW, T = TW, . = almindeligt felt
+const PREMIUM_LAYOUT = [
+    't...T..d..T...t',
+    '.d...t...t...d.',
+    '..D...d.d...D..',
+    '...t...D...t...',
+    'T...D.d.d.D...T',
+    '.t...t...t...t.',
+    '..d.d.....d.d..',
+    'd..D.......D..d',
+    '..d.d.....d.d..',
+    '.t...t...t...t.',
+    'T...D.d.d.D...T',
+    '...t...D...t...',
+    '..D...d.d...D..',
+    '.d...t...t...d.',
+    't...T..d..T...t'
+];
+
+const PREMIUM_CODES = {
+    'd': PREMIUM.DL,
+    't': PREMIUM.TL,
+    'D': PREMIUM.DW,
+    'T': PREMIUM.TW
+};
+
+const LETTER_MULTIPLIERS = { DL: 2, TL: 3 };
+const WORD_MULTIPLIERS = { DW: 2, TW: 3 };
+
+/**
+ * Create an empty board
+ * Tiles are stored row by row as { letter, blank } or null
+ * @returns {Object} { size, tiles }
+ */
+export function createBoard() {
+    return {
+        size: BOARD_SIZE,
+        tiles: new Array(BOARD_SIZE * BOARD_SIZE).fill(null)
+    };
+}
+
+/**
+ * Copy a board (tiles are copied, not shared)
+ * @param {Object} board
+ * @returns {Object}
+ */
+export function cloneBoard(board) {
+    return {
+        size: BOARD_SIZE,
+        tiles: board.tiles.map(tile => (tile ? { ...tile } : null))
+    };
+}
+
+/**
+ * Check if a position is on the board
+ * @param {number} row
+ * @param {number} col
+ * @returns {boolean}
+ */
+export function isInBounds(row, col) {
+    return Number.isInteger(row) && Number.isInteger(col) &&
+        row >= 0 && row < BOARD_SIZE && col >= 0 && col < BOARD_SIZE;
+}
+
+/**
+ * Get the premium square type at a position
+ * @param {number} row
+ * @param {number} col
+ * @returns {string|null} 'DL', 'TL', 'DW', 'TW' or null
+ */
+export function getPremium(row, col) {
+    if (!isInBounds(row, col)) return null;
+    return PREMIUM_CODES[PREMIUM_LAYOUT[row][col]] || null;
+}
+
+/**
+ * Get the tile at a position
+ * @param {Object} board
+ * @param {number} row
+ * @param {number} col
+ * @returns {Object|null} { letter, blank } or null
+ */
+export function getTile(board, row, col) {
+    if (!isInBounds(row, col)) return null;
+    return board.tiles[row * BOARD_SIZE + col];
+}
+
+/**
+ * Place a tile on the board (mutates the board)
+ * @param {Object} board
+ * @param {number} row
+ * @param {number} col
+ * @param {string} letter
+ * @param {boolean} blank - True if the tile is a joker
+ */
+export function placeTile(board, row, col, letter, blank = false) {
+    if (!isInBounds(row, col)) {
+        throw new Error(`Feltet (${row}, ${col}) er uden for brættet`);
+    }
+    board.tiles[row * BOARD_SIZE + col] = { letter: letter.toUpperCase(), blank: !!blank };
+}
+
+/**
+ * Remove a tile from the board (mutates the board)
+ * @param {Object} board
+ * @param {number} row
+ * @param {number} col
+ */
+export function removeTile(board, row, col) {
+    if (isInBounds(row, col)) {
+        board.tiles[row * BOARD_SIZE + col] = null;
+    }
+}
+
+/**
+ * Rebuild a board from untrusted data (e.g. a worker message)
+ * @param {Object} data - Object with a 225-entry tiles array
+ * @param {string} alphabet - Allowed letters
+ * @returns {Object|null} Board or null if the data is malformed
+ */
+export function parseBoard(data, alphabet) {
+    if (!data || !Array.isArray(data.tiles) || data.tiles.length !== BOARD_SIZE * BOARD_SIZE) {
+        return null;
+    }
+
+    const board = createBoard();
+    for (let i = 0; i < data.tiles.length; i++) {
+        const tile = data.tiles[i];
+        if (tile === null) continue;
+
+        if (typeof tile !== 'object' || typeof tile.letter !== 'string' ||
+            tile.letter.length !== 1 || !alphabet.includes(tile.letter.toUpperCase())) {
+            return null;
+        }
+        placeTile(board, Math.floor(i / BOARD_SIZE), i % BOARD_SIZE, tile.letter, tile.blank === true);
+    }
+
+    return board;
+}
+
+/**
+ * Check if no tiles have been placed yet
+ * @param {Object} board
+ * @returns {boolean}
+ */
+export function isBoardEmpty(board) {
+    return board.tiles.every(tile => tile === null);
+}
+
+/**
+ * Return a new board with the placement's tiles added
+ * @param {Object} board
+ * @param {Object} placement - { tiles: [{ row, col, letter, blank }] }
+ * @returns {Object}
+ */
+export function applyPlacement(board, placement) {
+    const next = cloneBoard(board);
+    for (const tile of placement.tiles) {
+        placeTile(next, tile.row, tile.col, tile.letter, tile.blank);
+    }
+    return next;
+}
+
+/**
+ * Validate that a placement is a legal Wordfeud move on the board
+ * (one line, no gaps, on empty squares, connected to existing tiles
+ * or covering the center on the first move)
+ * @param {Object} board
+ * @param {Object} placement - { tiles: [{ row, col, letter, blank }] }
+ * @returns {Object} { valid: boolean, error: string }
+ */
+export function validatePlacement(board, placement) {
+    const tiles = placement?.tiles;
+
+    if (!Array.isArray(tiles) || tiles.length === 0) {
+        return { valid: false, error: 'Trækket skal lægge mindst én brik' };
+    }
+
+    const seen = new Set();
+    for (const tile of tiles) {
+        if (!isInBounds(tile.row, tile.col)) {
+            return { valid: false, error: `Feltet (${tile.row}, ${tile.col}) er uden for brættet` };
+        }
+        if (typeof tile.letter !== 'string' || tile.letter.length !== 1) {
+            return { valid: false, error: 'Hver brik skal have præcis ét bogstav' };
+        }
+        if (getTile(board, tile.row, tile.col)) {
+            return { valid: false, error: `Feltet (${tile.row}, ${tile.col}) er allerede optaget` };
+        }
+
+        const key = tile.row * BOARD_SIZE + tile.col;
+        if (seen.has(key)) {
+            return { valid: false, error: 'To brikker kan ikke ligge på samme felt' };
+        }
+        seen.add(key);
+    }
+
+    const direction = getPlacementDirection(tiles);
+    if (!direction) {
+        return { valid: false, error: 'Alle brikker skal ligge på samme række eller kolonne' };
+    }
+
+    // Ingen huller mellem de nye brikker (medmindre brættet udfylder dem)
+    const [dr, dc] = direction === 'H' ? [0, 1] : [1, 0];
+    const sorted = sortAlongLine(tiles, direction);
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+    const span = direction === 'H' ? last.col - first.col : last.row - first.row;
+
+    let touchesBoardInLine = false;
+    for (let i = 0; i <= span; i++) {
+        const row = first.row + dr * i;
+        const col = first.col + dc * i;
+        if (seen.has(row * BOARD_SIZE + col)) continue;
+        if (!getTile(board, row, col)) {
+            return { valid: false, error: 'Der må ikke være huller i trækket' };
+        }
+        touchesBoardInLine = true;
+    }
+
+    if (isBoardEmpty(board)) {
+        if (!seen.has(CENTER * BOARD_SIZE + CENTER)) {
+            return { valid: false, error: 'Første træk skal dække midterfeltet' };
+        }
+        if (tiles.length < 2) {
+            return { valid: false, error: 'Første træk skal være mindst to bogstaver' };
+        }
+        return { valid: true };
+    }
+
+    const connected = touchesBoardInLine || tiles.some(tile =>
+        [[-1, 0], [1, 0], [0, -1], [0, 1]].some(([r, c]) =>
+            getTile(board, tile.row + r, tile.col + c)
+        )
+    );
+
+    if (!connected) {
+        return { valid: false, error: 'Trækket skal hænge sammen med brikker på brættet' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Find every word (2+ letters) formed by a placement
+ * @param {Object} board
+ * @param {Object} placement
+ * @returns {Array<Object>} [{ word, row, col, direction, cells }]
+ */
+export function getFormedWords(board, placement) {
+    const newTiles = new Map();
+    for (const tile of placement.tiles) {
+        newTiles.set(tile.row * BOARD_SIZE + tile.col, tile);
+    }
+
+    const direction = getPlacementDirection(placement.tiles) || 'H';
+    const crossDirection = direction === 'H' ? 'V' : 'H';
+    const words = [];
+
+    const mainWord = readWord(board, newTiles, placement.tiles[0].row, placement.tiles[0].col, direction);
+    if (mainWord.cells.length >= 2) {
+        words.push(mainWord);
+    }
+
+    for (const tile of placement.tiles) {
+        const crossWord = readWord(board, newTiles, tile.row, tile.col, crossDirection);
+        if (crossWord.cells.length >= 2) {
+            words.push(crossWord);
+        }
+    }
+
+    return words;
+}
+
+/**
+ * Score a move with letter/word multipliers and cross-words.
+ * Premium squares only count for newly placed tiles, and
+ * blanks are worth 0 points on their own square.
+ * Placing all seven rack tiles adds the bingo bonus.
+ * @param {Object} board - Board before the move
+ * @param {Object} placement - { tiles: [{ row, col, letter, blank }] }
+ * @returns {Object} { score, words: [{ word, score, row, col, direction }], tilesPlaced, bingo }
+ */
+export function scoreMove(board, placement) {
+    const validation = validatePlacement(board, placement);
+    if (!validation.valid) {
+        throw new Error(validation.error);
+    }
+
+    const words = getFormedWords(board, placement).map(formed => ({
+        word: formed.word,
+        score: scoreFormedWord(formed),
+        row: formed.row,
+        col: formed.col,
+        direction: formed.direction
+    }));
+
+    const bingoBonus = getBingoBonus(placement.tiles.length);
+    const score = words.reduce((sum, w) => sum + w.score, 0) + bingoBonus;
+
+    return {
+        score,
+        words,
+        tilesPlaced: placement.tiles.length,
+        bingo: bingoBonus > 0
+    };
+}
+
+/**
+ * Score a single formed word
+ * @param {Object} formed - Word from getFormedWords
+ * @returns {number}
+ */
+function scoreFormedWord(formed) {
+    let letterSum = 0;
+    let wordMultiplier = 1;
+
+    for (const cell of formed.cells) {
+        const value = cell.blank ? 0 : getLetterValue(cell.letter);
+
+        if (!cell.isNew) {
+            letterSum += value;
+            continue;
+        }
+
+        const premium = getPremium(cell.row, cell.col);
+        letterSum += value * (LETTER_MULTIPLIERS[premium] || 1);
+        wordMultiplier *= WORD_MULTIPLIERS[premium] || 1;
+    }
+
+    return letterSum * wordMultiplier;
+}
+
+/**
+ * Read the full word through a position in a direction,
+ * combining board tiles and the new tiles of a placement
+ */
+function readWord(board, newTiles, row, col, direction) {
+    const [dr, dc] = direction === 'H' ? [0, 1] : [1, 0];
+
+    const cellAt = (r, c) => {
+        const placed = newTiles.get(r * BOARD_SIZE + c);
+        if (placed && isInBounds(r, c)) {
+            return { row: r, col: c, letter: placed.letter.toUpperCase(), blank: !!placed.blank, isNew: true };
+        }
+        const tile = getTile(board, r, c);
+        return tile ? { row: r, col: c, letter: tile.letter, blank: tile.blank, isNew: false } : null;
+    };
+
+    // Gå tilbage til ordets start
+    let startRow = row;
+    let startCol = col;
+    while (cellAt(startRow - dr, startCol - dc)) {
+        startRow -= dr;
+        startCol -= dc;
+    }
+
+    const cells = [];
+    let r = startRow;
+    let c = startCol;
+    let cell;
+    while ((cell = cellAt(r, c))) {
+        cells.push(cell);
+        r += dr;
+        c += dc;
+    }
+
+    return {
+        word: cells.map(cell => cell.letter).join(''),
+        row: startRow,
+        col: startCol,
+        direction,
+        cells
+    };
+}
+
+/**
+ * Work out the direction of a placement
+ * A single tile counts as horizontal
+ * @returns {string|null} 'H', 'V' or null if not in one line
+ */
+function getPlacementDirection(tiles) {
+    if (tiles.length === 1) return 'H';
+    if (tiles.every(tile => tile.row === tiles[0].row)) return 'H';
+    if (tiles.every(tile => tile.col === tiles[0].col)) return 'V';
+    return null;
+}
+
+function sortAlongLine(tiles, direction) {
+    const key = direction === 'H' ? 'col' : 'row';
+    return [...tiles].sort((a, b) => a[key] - b[key]);
+}
@@ -0,0 +1,194 @@
+/**
+ * Board Editor
+ * Cursor, typing direction and undo history for entering a game's board
+ * square by square. The DOM side lives in ui-v2.js; this module only
+ * changes the board model (no DOM access here)
+ */
+
+import { BOARD_SIZE, createBoard, cloneBoard, getTile, placeTile, removeTile } from './board.js';
+import { getActiveRuleset } from './rulesets.js';
+
+// Undo steps kept (one typed letter = one step)
+const MAX_HISTORY = 200;
+
+/**
+ * Create an editor state
+ * @param {Object} board - Board to start from (copied; empty board by default)
+ * @returns {Object} { board, row, col, direction, history }
+ */
+export function createEditor(board = null) {
+    return {
+        board: board ? cloneBoard(board) : createBoard(),
+        row: 7,
+        col: 7,
+        direction: 'H',
+        history: []
+    };
+}
+
+/**
+ * Move the cursor to a square
+ * @param {Object} editor
+ * @param {number} row
+ * @param {number} col
+ */
+export function setCursor(editor, row, col) {
+    editor.row = clamp(row);
+    editor.col = clamp(col);
+}
+
+/**
+ * Move the cursor by a step (arrow keys), stopping at the edge
+ * @param {Object} editor
+ * @param {number} dRow
+ * @param {number} dCol
+ */
+export function moveCursor(editor, dRow, dCol) {
+    setCursor(editor, editor.row + dRow, editor.col + dCol);
+}
+
+/**
+ * Switch between typing across (H) and down (V)
+ * @param {Object} editor
+ * @returns {string} The new direction
+ */
+export function toggleDirection(editor) {
+    editor.direction = editor.direction === 'H' ? 'V' : 'H';
+    return editor.direction;
+}
+
+/**
+ * Put a letter on the cursor square and move on in the typing direction
+ * @param {Object} editor
+ * @param {string} letter - Single letter (any case)
+ * @param {boolean} blank - True for a joker showing this letter
+ * @returns {Object} { valid, error }
+ */
+export function typeLetter(editor, letter, blank = false) {
+    const upper = (letter || '').toUpperCase();
+    if (upper.length !== 1 || !getActiveRuleset().alphabet.includes(upper)) {
+        return { valid: false, error: `${letter} er ikke et bogstav i spillet` };
+    }
+
+    const { row, col } = editor;
+    record(editor, row, col);
+    placeTile(editor.board, row, col, upper, blank);
+    advance(editor, 1);
+    return { valid: true };
+}
+
+/**
+ * Backspace: clear the cursor square, or step back and clear that one
+ * if the cursor square is already empty
+ * @param {Object} editor
+ */
+export function eraseBack(editor) {
+    if (!getTile(editor.board, editor.row, editor.col)) {
+        advance(editor, -1);
+    }
+    eraseAt(editor);
+}
+
+/**
+ * Delete: clear the cursor square without moving
+ * @param {Object} editor
+ */
+export function eraseAt(editor) {
+    const { row, col } = editor;
+    if (!getTile(editor.board, row, col)) return;
+
+    record(editor, row, col);
+    removeTile(editor.board, row, col);
+}
+
+/**
+ * Mark the tile on the cursor square as a joker (or back to a normal tile)
+ * @param {Object} editor
+ * @returns {boolean} False if the square is empty
+ */
+export function toggleBlank(editor) {
+    const { row, col } = editor;
+    const tile = getTile(editor.board, row, col);
+    if (!tile) return false;
+
+    record(editor, row, col);
+    placeTile(editor.board, row, col, tile.letter, !tile.blank);
+    return true;
+}
+
+/**
+ * Remove every tile (one undo step)
+ * @param {Object} editor
+ */
+export function clearEditor(editor) {
+    const changes = [];
+    editor.board.tiles.forEach((tile, i) => {
+        if (tile) changes.push({ index: i, tile: { ...tile } });
+    });
+    if (changes.length === 0) return;
+
+    pushHistory(editor, { changes, row: editor.row, col: editor.col });
+    editor.board = createBoard();
+}
+
+/**
+ * Replace the whole board (e.g. a pasted game), as one undo step
+ * @param {Object} editor
+ * @param {Object} board
+ */
+export function loadBoard(editor, board) {
+    const changes = editor.board.tiles.map((tile, i) => ({ index: i, tile: tile ? { ...tile } : null }));
+    pushHistory(editor, { changes, row: editor.row, col: editor.col });
+    editor.board = cloneBoard(board);
+}
+
+/**
+ * Undo the last change and put the cursor back where it was
+ * @param {Object} editor
+ * @returns {boolean} False if there was nothing to undo
+ */
+export function undo(editor) {
+    const step = editor.history.pop();
+    if (!step) return false;
+
+    for (const { index, tile } of step.changes) {
+        editor.board.tiles[index] = tile ? { ...tile } : null;
+    }
+    editor.row = step.row;
+    editor.col = step.col;
+    return true;
+}
+
+/**
+ * Number of tiles on the editor's board
+ * @param {Object} editor
+ * @returns {number}
+ */
+export function countTiles(editor) {
+    return editor.board.tiles.filter(Boolean).length;
+}
+
+function record(editor, row, col) {
+    const index = row * BOARD_SIZE + col;
+    const tile = editor.board.tiles[index];
+    pushHistory(editor, { changes: [{ index, tile: tile ? { ...tile } : null }], row, col });
+}
+
+function pushHistory(editor, step) {
+    editor.history.push(step);
+    if (editor.history.length > MAX_HISTORY) {
+        editor.history.shift();
+    }
+}
+
+function advance(editor, step) {
+    if (editor.direction === 'H') {
+        editor.col = clamp(editor.col + step);
+    } else {
+        editor.row = clamp(editor.row + step);
+    }
+}
+
+function clamp(value) {
+    return Math.max(0, Math.min(BOARD_SIZE - 1, value));
+}
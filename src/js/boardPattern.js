@@ -0,0 +1,351 @@
+/**
+ * Board Pattern
+ * Parser and matcher for the "På bordet" pattern, without RegExp.
+ * Shared by the main thread and the workers (no DOM access here)
+ *
+ * Syntax (matched against the whole word):
+ *   A       letter already on the board
+ *   .       one free square (any letter from the rack)
+ *   #       one free square with a vowel
+ *   @       one free square with a consonant
+ *   [AEI]   one free square with one of these letters
+ *   [^S]    one free square with any letter except these
+ *   *       zero or more free squares
+ *   {n}     after . # @ or [...]: exactly n such squares
+ *   {n,m}   after . # @ or [...]: n to m such squares
+ *
+ * Start and end of the pattern are walls, so `.{0,2}E.{3}` describes a lane
+ * with up to two open squares before a board E and exactly three after it.
+ *
+ * Several lanes can be searched at once, separated by ';'. Each lane may
+ * start with a label and end with a length window:
+ *   R8: ..E..R* 4-7; H: *T. 3
+ */
+
+import { getActiveRuleset } from './rulesets.js';
+
+// Security: limits against slow patterns (same as the old regex version)
+export const MAX_PATTERN_LENGTH = 50;
+export const MAX_PATTERN_WILDCARDS = 15;
+
+// Lanes in one "På bordet" field
+export const MAX_LANES = 4;
+export const MAX_LANES_LENGTH = 200;
+const MAX_LABEL_LENGTH = 20;
+
+// Shortest and longest word that fits on the board
+const MIN_WORD_LENGTH = 2;
+const MAX_WORD_LENGTH = 15;
+
+// Token types
+const LETTER = 0;
+const SLOT = 1;
+
+// Compiled patterns - a search matches the same few patterns against every word
+const compiled = new Map();
+const MAX_COMPILED = 32;
+
+// Last split "På bordet" field
+let cachedLanesText = null;
+let cachedLanes = null;
+
+/**
+ * Parse a board pattern
+ * @param {string} pattern - Board pattern (any case)
+ * @returns {Object} { tokens } or { error } with a message for the user
+ */
+function compilePattern(pattern) {
+    const ruleset = getActiveRuleset();
+    const key = `${ruleset.language}:${pattern || ''}`;
+    let result = compiled.get(key);
+    if (result) {
+        return result;
+    }
+
+    result = parsePattern((pattern || '').trim().toUpperCase(), ruleset);
+    if (result.error) {
+        console.warn('Invalid board pattern, rejecting:', result.error);
+    }
+    if (compiled.size >= MAX_COMPILED) {
+        compiled.clear();
+    }
+    compiled.set(key, result);
+    return result;
+}
+
+function parsePattern(text, ruleset) {
+    // Security: Limit pattern length
+    if (text.length > MAX_PATTERN_LENGTH) {
+        return { error: `Mønsteret er for langt (max ${MAX_PATTERN_LENGTH} tegn)` };
+    }
+
+    const vowels = new Set(ruleset.vowels);
+    const consonants = new Set([...ruleset.alphabet].filter(ch => !vowels.has(ch)));
+
+    const tokens = [];
+    let wildcardCount = 0;
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (ch === ' ') {
+            // mellemrum ignoreres
+            i++;
+            continue;
+        }
+
+        if (ch === '{') {
+            const last = tokens[tokens.length - 1];
+            if (!last || last.type !== SLOT || last.counted) {
+                return { error: '{…} skal stå lige efter ., #, @ eller […] i mønsteret' };
+            }
+            const end = text.indexOf('}', i);
+            const range = end === -1 ? null : parseRange(text.slice(i + 1, end));
+            if (!range) {
+                return { error: `Ugyldigt antal i mønsteret - brug {n} eller {n,m} (max ${MAX_WORD_LENGTH})` };
+            }
+            last.min = range.min;
+            last.max = range.max;
+            last.counted = true;
+            // Et interval tæller som det største antal felter
+            wildcardCount += range.max - 1;
+            i = end + 1;
+            continue;
+        }
+
+        if (ch === '[') {
+            const end = text.indexOf(']', i);
+            if (end === -1) {
+                return { error: 'Mangler ] i mønsteret' };
+            }
+            let body = text.slice(i + 1, end).replace(/ /g, '');
+            const negate = body.startsWith('^');
+            if (negate) {
+                body = body.slice(1);
+            }
+            if (!body) {
+                return { error: 'Tom bogstavgruppe […] i mønsteret' };
+            }
+            tokens.push(slot(new Set(body), negate, 1, 1));
+            wildcardCount++;
+            i = end + 1;
+            continue;
+        }
+
+        if (ch === ']' || ch === '}') {
+            return { error: `Uventet ${ch} i mønsteret` };
+        }
+
+        if (ch === '.') {
+            tokens.push(slot(null, false, 1, 1));
+            wildcardCount++;
+        } else if (ch === '#') {
+            tokens.push(slot(vowels, false, 1, 1));
+            wildcardCount++;
+        } else if (ch === '@') {
+            tokens.push(slot(consonants, false, 1, 1));
+            wildcardCount++;
+        } else if (ch === '*') {
+            const star = slot(null, false, 0, MAX_WORD_LENGTH);
+            // '*' kan ikke have et antal
+            star.counted = true;
+            tokens.push(star);
+            wildcardCount++;
+        } else {
+            tokens.push({ type: LETTER, letter: ch });
+        }
+        i++;
+    }
+
+    // Security: Limit wildcards
+    if (wildcardCount > MAX_PATTERN_WILDCARDS) {
+        return { error: `For mange frie felter i mønsteret (max ${MAX_PATTERN_WILDCARDS})` };
+    }
+
+    return { tokens };
+}
+
+function slot(letters, negate, min, max) {
+    return { type: SLOT, letters, negate, min, max, counted: false };
+}
+
+/**
+ * Parse "n" or "n,m" from a quantifier
+ * @returns {Object|null} { min, max }
+ */
+function parseRange(body) {
+    const parts = body.replace(/ /g, '').split(',');
+    if (parts.length > 2 || parts.some(part => !/^\d{1,2}$/.test(part))) {
+        return null;
+    }
+    const min = Number(parts[0]);
+    const max = Number(parts[parts.length - 1]);
+    if (min > max || max < 1 || max > MAX_WORD_LENGTH) {
+        return null;
+    }
+    return { min, max };
+}
+
+function slotAccepts(token, letter) {
+    if (!token.letters) return true;
+    return token.letters.has(letter) !== token.negate;
+}
+
+/**
+ * Check a board pattern before searching
+ * @param {string} pattern
+ * @returns {Object} { valid, error }
+ */
+export function validateBoardPattern(pattern) {
+    const { error } = compilePattern(pattern);
+    return error ? { valid: false, error } : { valid: true };
+}
+
+/**
+ * Split the "På bordet" field into lanes
+ * A field without ';', label or length window is one lane with the whole
+ * field as its pattern, so a plain pattern works exactly as before.
+ * @param {string} text - The field as typed
+ * @returns {Object} { lanes: [{ label, pattern, minLength, maxLength }] } or { error }
+ */
+export function parseLanes(text) {
+    const trimmed = (text || '').trim();
+    if (trimmed === cachedLanesText) {
+        return cachedLanes;
+    }
+
+    cachedLanes = splitLanes(trimmed);
+    cachedLanesText = trimmed;
+    return cachedLanes;
+}
+
+function splitLanes(text) {
+    if (!text) {
+        return { lanes: [] };
+    }
+
+    if (text.length > MAX_LANES_LENGTH) {
+        return { error: `For mange tegn i "På bordet" (max ${MAX_LANES_LENGTH})` };
+    }
+
+    const parts = text.split(';').map(part => part.trim()).filter(Boolean);
+    if (parts.length > MAX_LANES) {
+        return { error: `Højst ${MAX_LANES} linjer ad gangen` };
+    }
+
+    const lanes = [];
+    for (let i = 0; i < parts.length; i++) {
+        const name = `Linje ${i + 1}`;
+        let rest = parts[i];
+
+        // "R8: ..." - etiket før kolon
+        let label = null;
+        const colon = rest.indexOf(':');
+        if (colon !== -1) {
+            label = rest.slice(0, colon).trim();
+            rest = rest.slice(colon + 1).trim();
+            if (!label || label.length > MAX_LABEL_LENGTH) {
+                return { error: `${name}: etiketten skal være 1-${MAX_LABEL_LENGTH} tegn` };
+            }
+        }
+
+        // "... 4-7" eller "... 5" - længdevindue til sidst
+        let minLength = null;
+        let maxLength = null;
+        const lengthWindow = rest.match(/\s(\d{1,2})(?:\s*-\s*(\d{1,2}))?$/);
+        if (lengthWindow) {
+            minLength = Number(lengthWindow[1]);
+            maxLength = lengthWindow[2] !== undefined ? Number(lengthWindow[2]) : minLength;
+            rest = rest.slice(0, lengthWindow.index).trim();
+            if (minLength < MIN_WORD_LENGTH || maxLength > MAX_WORD_LENGTH || minLength > maxLength) {
+                return { error: `${label || name}: længden skal være mellem ${MIN_WORD_LENGTH} og ${MAX_WORD_LENGTH}` };
+            }
+        }
+
+        const { error } = compilePattern(rest);
+        if (error) {
+            return { error: parts.length > 1 || label ? `${label || name}: ${error}` : error };
+        }
+
+        lanes.push({ label, pattern: rest.toUpperCase(), minLength, maxLength });
+    }
+
+    return { lanes };
+}
+
+/**
+ * Positions in the word taken by the pattern's letters (tiles already on the board)
+ * When a pattern can fit more than one way, the fit with the fewest free
+ * squares early in the word is used. Which one it is never changes the score.
+ * @param {string} wordUpper - Word in uppercase
+ * @param {string} pattern - Board pattern
+ * @returns {Array<number>|null} Board positions, or null if the pattern does not fit (or is invalid)
+ */
+export function findBoardPositions(wordUpper, pattern) {
+    const { tokens } = compilePattern(pattern);
+    if (!tokens) return null;
+    if (tokens.length === 0) return [];
+
+    const length = wordUpper.length;
+    const positions = [];
+    // Kombinationer (token, position) der allerede er fejlet - holder matchet lineært
+    const failed = new Set();
+
+    const match = (t, i) => {
+        if (t === tokens.length) {
+            return i === length;
+        }
+        const key = t * (length + 1) + i;
+        if (failed.has(key)) return false;
+
+        const token = tokens[t];
+        if (token.type === LETTER) {
+            if (i < length && token.letter === wordUpper[i]) {
+                positions.push(i);
+                if (match(t + 1, i + 1)) return true;
+                positions.pop();
+            }
+        } else {
+            // Færrest mulige felter først
+            let j = i;
+            while (j - i < token.min) {
+                if (j >= length || !slotAccepts(token, wordUpper[j])) {
+                    failed.add(key);
+                    return false;
+                }
+                j++;
+            }
+            while (true) {
+                if (match(t + 1, j)) return true;
+                if (j - i >= token.max || j >= length || !slotAccepts(token, wordUpper[j])) break;
+                j++;
+            }
+        }
+
+        failed.add(key);
+        return false;
+    };
+
+    return match(0, 0) ? positions : null;
+}
+
+/**
+ * Letters the pattern says are already on the board
+ * Letters inside [...] are rack letters and are not counted.
+ * @param {string} pattern
+ * @returns {Map} letter -> count (empty for an invalid pattern)
+ */
+export function getBoardLetters(pattern) {
+    const letters = new Map();
+    const { tokens } = compilePattern(pattern);
+    if (!tokens) return letters;
+
+    const { alphabet } = getActiveRuleset();
+    for (const token of tokens) {
+        if (token.type === LETTER && alphabet.includes(token.letter)) {
+            letters.set(token.letter, (letters.get(token.letter) || 0) + 1);
+        }
+    }
+    return letters;
+}
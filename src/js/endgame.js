@@ -0,0 +1,288 @@
+/**
+ * Endgame Solver
+ * When the bag is empty both racks are known: search move sequences
+ * (negamax with alpha-beta pruning) for the play with the best final spread
+ */
+
+import { applyPlacement } from './board.js';
+import { generateMoves } from './moveGenerator.js';
+import { getLetterValue, RACK_SIZE } from './scoring.js';
+import { computeUnseenTiles, getBagCount, BLANK } from './tileTracker.js';
+import { parseLetters } from './utils.js';
+
+// Only the best scoring moves are searched at each ply
+const DEFAULT_MAX_BRANCHING = 12;
+const DEFAULT_TIME_BUDGET_MS = 5000;
+const MAX_DEPTH = 8;
+
+// Longest stretch of search between two yields to the event loop
+const YIELD_INTERVAL_MS = 50;
+
+// Both players passing in a row ends the game
+const PASSES_TO_END = 2;
+
+// Thrown inside the search when time runs out or the solve is cancelled
+const ABORT = Symbol('abort');
+
+/**
+ * Infer the opponent's rack: with an empty bag the unseen tiles are exactly their rack
+ * @param {Object} ruleset - From rulesets.js
+ * @param {Object} seen - { board, played, rack } as for computeUnseenTiles (rack = own letters)
+ * @param {number} opponentTiles - Tiles the opponent holds (fewer than 7 late in the game)
+ * @returns {string|null} Opponent rack ('?' for blanks) or null while tiles are still in the bag
+ */
+export function inferOpponentRack(ruleset, seen, opponentTiles = RACK_SIZE) {
+    const unseen = computeUnseenTiles(ruleset, seen);
+    if (getBagCount(unseen, opponentTiles) !== 0) {
+        return null;
+    }
+
+    let opponentRack = '';
+    for (const [letter, count] of unseen.counts) {
+        opponentRack += letter.repeat(count);
+    }
+    return opponentRack;
+}
+
+/**
+ * Sum of tile values left on a rack (blanks are worth 0)
+ * @param {string} rack
+ * @returns {number}
+ */
+export function getRackValue(rack) {
+    let total = 0;
+    for (const letter of rack) {
+        if (letter !== BLANK) {
+            total += getLetterValue(letter);
+        }
+    }
+    return total;
+}
+
+/**
+ * Remove the tiles of a move from a rack
+ * @param {string} rack - Letters with '?' for blanks
+ * @param {Array<Object>} tiles - Placed tiles { letter, blank }
+ * @returns {string} Remaining rack
+ */
+export function removeTilesFromRack(rack, tiles) {
+    const remaining = [...normalizeRack(rack)];
+    for (const tile of tiles) {
+        const index = remaining.indexOf(tile.blank ? BLANK : tile.letter);
+        if (index !== -1) {
+            remaining.splice(index, 1);
+        }
+    }
+    return remaining.join('');
+}
+
+/**
+ * Solve an endgame with iterative deepening inside a time budget.
+ * Yields to the event loop at least every YIELD_INTERVAL_MS - also deep
+ * inside a subtree - so a worker can receive a cancel message.
+ * When time runs out or the solve is cancelled during a depth, the root
+ * moves that depth finished still count (the previous best is searched first).
+ * @param {Object} index - From buildWordIndex
+ * @param {Object} board - Board before our move
+ * @param {string} myRack - Own letters
+ * @param {string} opponentRack - Opponent letters
+ * @param {Object} options - { timeBudgetMs, maxBranching, onProgress, isCancelled }
+ * @returns {Promise<Object>} { move, spread, depth, partial, exhausted, maxBranching, line, elapsedMs, cancelled }
+ *   move is null for a pass, spread is the final score difference from now on.
+ *   partial: the depth was cut short. exhausted: every line ended (game over)
+ *   within the search - only the maxBranching best moves per turn are tried,
+ *   so this is not a proof that no other move does better.
+ */
+export async function solveEndgame(index, board, myRack, opponentRack, options = {}) {
+    const startTime = performance.now();
+    const deadline = startTime + (options.timeBudgetMs ?? DEFAULT_TIME_BUDGET_MS);
+    const maxBranching = options.maxBranching ?? DEFAULT_MAX_BRANCHING;
+    const isCancelled = options.isCancelled || (() => false);
+
+    let lastYield = startTime;
+
+    const search = {
+        index,
+        maxBranching,
+        async checkAbort() {
+            // Giv workeren mulighed for at modtage "cancel"
+            if (performance.now() - lastYield >= YIELD_INTERVAL_MS) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                lastYield = performance.now();
+            }
+            if (performance.now() > deadline || isCancelled()) {
+                throw ABORT;
+            }
+        }
+    };
+
+    const mine = normalizeRack(myRack);
+    const theirs = normalizeRack(opponentRack);
+
+    const candidates = getCandidateMoves(search, board, mine);
+    let best = null;
+    let exhausted = false;
+
+    for (let depth = 1; depth <= MAX_DEPTH; depth++) {
+        const rootMoves = orderMoves([...candidates], best?.move);
+        let depthBest = null;
+        let alpha = -Infinity;
+        let allExact = true;
+        let aborted = false;
+
+        try {
+            for (let i = 0; i < rootMoves.length; i++) {
+                await search.checkAbort();
+
+                const move = rootMoves[i];
+                const { value, line, exact } = await evaluateMove(search, board, mine, theirs, move, depth, alpha, Infinity, 0);
+                allExact = allExact && exact;
+
+                if (!depthBest || value > depthBest.spread) {
+                    depthBest = { move: move.pass ? null : move, spread: value, line };
+                    alpha = value;
+                }
+
+                options.onProgress?.({
+                    depth,
+                    searched: i + 1,
+                    total: rootMoves.length,
+                    best: depthBest,
+                    elapsedMs: Math.round(performance.now() - startTime)
+                });
+            }
+        } catch (error) {
+            if (error !== ABORT) throw error;
+            aborted = true;
+        }
+
+        // Afbrudt midt i dybden: de færdige rodtræk gælder stadig,
+        // og det forrige bedste træk blev regnet først
+        if (depthBest) {
+            best = { ...depthBest, depth, partial: aborted };
+        }
+        if (aborted) break;
+
+        // Alle linjer slutter inden for søgningen - dybere søgning ændrer intet
+        if (allExact) {
+            exhausted = true;
+            break;
+        }
+    }
+
+    if (!best) {
+        // Ikke tid til et eneste rodtræk - brug trækket med flest point
+        const top = candidates[0];
+        best = { move: top.pass ? null : top, spread: top.score, depth: 0, partial: true, line: [top] };
+    }
+
+    return {
+        move: best.move,
+        spread: best.spread,
+        depth: best.depth,
+        partial: best.partial,
+        line: best.line,
+        exhausted,
+        maxBranching,
+        cancelled: isCancelled(),
+        elapsedMs: Math.round(performance.now() - startTime)
+    };
+}
+
+/**
+ * Value of playing one move, from the mover's point of view
+ * @returns {Promise<Object>} { value, line, exact } - exact is false if the depth limit was hit
+ */
+async function evaluateMove(search, board, rack, otherRack, move, depth, alpha, beta, passes) {
+    if (move.pass) {
+        if (passes + 1 >= PASSES_TO_END) {
+            // Spillet slutter - begge trækker deres egne brikker fra
+            return { value: getRackValue(otherRack) - getRackValue(rack), line: [move], exact: true };
+        }
+        const reply = await negamax(search, board, otherRack, rack, depth - 1, -beta, -alpha, passes + 1);
+        return { value: -reply.value, line: [move, ...reply.line], exact: reply.exact };
+    }
+
+    const remaining = removeTilesFromRack(rack, move.tiles);
+    if (remaining.length === 0) {
+        // Går ud: får modstanderens brikværdi, og modstanderen mister den
+        return { value: move.score + 2 * getRackValue(otherRack), line: [move], exact: true };
+    }
+
+    // Vinduet forskydes med trækkets point: value = score - reply
+    const nextBoard = applyPlacement(board, move);
+    const reply = await negamax(search, nextBoard, otherRack, remaining, depth - 1, move.score - beta, move.score - alpha, 0);
+    return { value: move.score - reply.value, line: [move, ...reply.line], exact: reply.exact };
+}
+
+/**
+ * Negamax with alpha-beta pruning
+ * @returns {Promise<Object>} { value, line, exact }
+ */
+async function negamax(search, board, rack, otherRack, depth, alpha, beta, passes) {
+    await search.checkAbort();
+
+    if (depth <= 0) {
+        // Statisk vurdering: hvem sidder med de dyreste brikker
+        return { value: getRackValue(otherRack) - getRackValue(rack), line: [], exact: false };
+    }
+
+    let best = null;
+    let exact = true;
+
+    for (const move of getCandidateMoves(search, board, rack)) {
+        const result = await evaluateMove(search, board, rack, otherRack, move, depth, alpha, beta, passes);
+        exact = exact && result.exact;
+
+        if (!best || result.value > best.value) {
+            best = result;
+        }
+        if (result.value > alpha) {
+            alpha = result.value;
+        }
+        if (alpha >= beta) {
+            break;
+        }
+    }
+
+    return { value: best.value, line: best.line, exact };
+}
+
+/**
+ * Best scoring moves for a rack plus a pass
+ */
+function getCandidateMoves(search, board, rack) {
+    const moves = generateMoves(search.index, board, rack).slice(0, search.maxBranching);
+    moves.push({ pass: true, score: 0, tiles: [] });
+    return moves;
+}
+
+/**
+ * Search the previous iteration's best move first
+ */
+function orderMoves(moves, previousBest) {
+    if (!previousBest) return moves;
+
+    const key = moveKey(previousBest);
+    const index = moves.findIndex(move => !move.pass && moveKey(move) === key);
+    if (index > 0) {
+        moves.unshift(moves.splice(index, 1)[0]);
+    }
+    return moves;
+}
+
+function moveKey(move) {
+    return move.tiles.map(t => `${t.row}:${t.col}:${t.letter}:${t.blank ? 1 : 0}`).join('|');
+}
+
+/**
+ * Rack string as uppercase letters with '?' for every joker character
+ */
+function normalizeRack(rack) {
+    const { letterCounts, wildcards } = parseLetters((rack || '').replace(/\s+/g, ''));
+    let normalized = BLANK.repeat(wildcards);
+    for (const [letter, count] of letterCounts) {
+        normalized += letter.repeat(count);
+    }
+    return normalized;
+}
@@ -0,0 +1,208 @@
+/**
+ * Exchange Advisor
+ * "Skal jeg bytte?" - compares the best play on the board against
+ * throwing tiles back, using the unseen tiles as the bag to draw from
+ */
+
+import { getLeaveValue, computeMoveLeave } from './leave.js';
+import { isBoardEmpty } from './board.js';
+import { generateMoves } from './moveGenerator.js';
+import { searchWords } from './searchEngine.js';
+import { getBagCount, BLANK } from './tileTracker.js';
+import { parseLetters } from './utils.js';
+import { RACK_SIZE } from './scoring.js';
+
+// Wordfeud only allows swapping while the bag holds at least this many tiles
+export const MIN_BAG_FOR_EXCHANGE = 7;
+
+// Simulated draws per option (same draws for every option, so they compare fairly)
+const DEFAULT_SAMPLES = 300;
+const DEFAULT_SEED = 20261018;
+
+/**
+ * Best play by equity (score + leave value), the play an exchange has to beat
+ * With tiles on the board every legal move is generated with the board's
+ * multipliers; without a board the rack words are scored on their own.
+ * The UI asks the search worker for the same play (sorted by equity) and
+ * only uses this on the main thread when there is no worker.
+ * @param {Object} index - Word index
+ * @param {Object|null} board - Board from the board editor, null if not entered
+ * @param {string} rack - Own letters, '?' for jokers
+ * @param {Object} table - Leave table from leave.js
+ * @returns {Object|null} { word, score, leave, equity } (board moves also have row, col, direction, tiles) or null if nothing fits
+ */
+export function findBestPlay(index, board, rack, table) {
+    if (!board || isBoardEmpty(board)) {
+        const { results } = searchWords(rack, { sortBy: 'equity' }, { index, leaveTable: table });
+        return results[0] || null;
+    }
+
+    const letters = rack.replace(/\s+/g, '');
+    let best = null;
+    for (const move of generateMoves(index, board, letters)) {
+        const leave = computeMoveLeave(letters, move.tiles);
+        const equity = round1(move.score + getLeaveValue(leave, table));
+        if (!best || equity > best.equity) {
+            best = { ...move, leave, equity };
+        }
+    }
+    return best;
+}
+
+/**
+ * Analyze whether exchanging tiles beats the best play
+ * Every option is valued as its score plus the expected value of the
+ * full rack after drawing back up to seven tiles.
+ * @param {string} rack - Own letters, '?' for jokers
+ * @param {Object} unseen - From computeUnseenTiles (rack already subtracted)
+ * @param {Object} table - Leave table from leave.js
+ * @param {Object|null} bestPlay - From findBestPlay or the worker's first result by equity
+ *   { word, score, leave } (board moves also have row, col, direction, tiles), null if nothing fits
+ * @param {Object} options - { samples, seed, limit }
+ * @returns {Object} { allowed, bagCount, play, exchanges, recommendation, shouldExchange, gain }
+ */
+export function analyzeExchange(rack, unseen, table, bestPlay, options = {}) {
+    const samples = options.samples ?? DEFAULT_SAMPLES;
+    const rackTiles = normalizeRack(rack);
+    const bagCount = getBagCount(unseen);
+
+    const draws = createDraws(unseen, RACK_SIZE, samples, options.seed ?? DEFAULT_SEED);
+    const expectedRackValue = (keep) => {
+        const missing = Math.max(0, RACK_SIZE - keep.length);
+        let total = 0;
+        for (const draw of draws) {
+            total += getLeaveValue(keep + draw.slice(0, missing), table);
+        }
+        return draws.length > 0 ? total / draws.length : getLeaveValue(keep, table);
+    };
+
+    const play = bestPlay
+        ? {
+            word: bestPlay.word,
+            score: bestPlay.score,
+            leave: bestPlay.leave,
+            value: round1(bestPlay.score + expectedRackValue(bestPlay.leave)),
+            // Placering for træk på brættet
+            ...(bestPlay.tiles ? { row: bestPlay.row, col: bestPlay.col, direction: bestPlay.direction } : {})
+        }
+        : null;
+
+    const allowed = bagCount >= MIN_BAG_FOR_EXCHANGE && rackTiles.length > 0;
+    const exchanges = [];
+
+    if (allowed) {
+        for (const keep of listKeeps(rackTiles)) {
+            if (keep.length === rackTiles.length) continue;
+            exchanges.push({
+                throwBack: subtractTiles(rackTiles, keep),
+                keep,
+                value: round1(expectedRackValue(keep))
+            });
+        }
+        exchanges.sort((a, b) => b.value - a.value || a.throwBack.length - b.throwBack.length);
+    }
+
+    const recommendation = exchanges[0] || null;
+    const shouldExchange = !!recommendation && (!play || recommendation.value > play.value);
+
+    return {
+        allowed,
+        bagCount,
+        play,
+        exchanges: exchanges.slice(0, options.limit ?? 5),
+        recommendation,
+        shouldExchange,
+        gain: recommendation ? round1(recommendation.value - (play ? play.value : 0)) : 0
+    };
+}
+
+/**
+ * Every distinct multiset of tiles that can be kept from a rack
+ * @param {string} rackTiles - Normalized rack
+ * @returns {Array<string>} Kept tiles per option
+ */
+function listKeeps(rackTiles) {
+    const counts = new Map();
+    for (const tile of rackTiles) {
+        counts.set(tile, (counts.get(tile) || 0) + 1);
+    }
+    const entries = Array.from(counts);
+
+    const keeps = [];
+    const build = (index, prefix) => {
+        if (index === entries.length) {
+            keeps.push(prefix);
+            return;
+        }
+        const [tile, count] = entries[index];
+        for (let n = 0; n <= count; n++) {
+            build(index + 1, prefix + tile.repeat(n));
+        }
+    };
+    build(0, '');
+    return keeps;
+}
+
+/**
+ * Draw sequences from the unseen pool (without replacement)
+ * @returns {Array<string>} `samples` strings of up to `size` tiles
+ */
+function createDraws(unseen, size, samples, seed) {
+    const pool = [];
+    for (const [tile, count] of unseen.counts) {
+        for (let i = 0; i < count; i++) pool.push(tile);
+    }
+    if (pool.length === 0) return [];
+
+    const random = createRandom(seed);
+    const draws = [];
+    const length = Math.min(size, pool.length);
+
+    for (let s = 0; s < samples; s++) {
+        // Delvis Fisher-Yates: kun de første `length` pladser blandes
+        for (let i = 0; i < length; i++) {
+            const j = i + Math.floor(random() * (pool.length - i));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        draws.push(pool.slice(0, length).join(''));
+    }
+    return draws;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so the advice does not flicker between clicks
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function subtractTiles(rackTiles, keep) {
+    const remaining = [...rackTiles];
+    for (const tile of keep) {
+        remaining.splice(remaining.indexOf(tile), 1);
+    }
+    return remaining.join('');
+}
+
+/**
+ * Rack string as uppercase letters with '?' for every joker character
+ */
+function normalizeRack(rack) {
+    const { letterCounts, wildcards } = parseLetters((rack || '').replace(/\s+/g, ''));
+    let normalized = '';
+    for (const [letter, count] of letterCounts) {
+        normalized += letter.repeat(count);
+    }
+    return normalized + BLANK.repeat(wildcards);
+}
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
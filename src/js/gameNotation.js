@@ -0,0 +1,431 @@
+/**
+ * Game Notation
+ * Plain-text format for a game (board, racks, scores, notes and move list),
+ * loosely based on GCG from Scrabble tools. Parser and serializer.
+ * Shared by the main thread and the workers (no DOM access here)
+ *
+ *   #wordfeud 1
+ *   #lang da
+ *   #player1 Anna
+ *   #player2 Bo
+ *   #score 14 5
+ *   #rack1 AEMN?RT
+ *   #note Klubkamp, runde 3
+ *   #board
+ *   ...............      15 rows of 15 squares: '.' empty,
+ *   .......MAND....      A-Å a tile, a-å a joker showing that letter
+ *   ...
+ *   >Anna: DMNA?ER 8H MAND +14 14
+ *   >Bo: EIST K8 .ET +5 5         '.' = square already on the board
+ *   >Anna: EERT?KL -KL +0 14      exchange K and L
+ *   >Bo: EIS - +0 5               pass
+ *
+ * Positions: "8H" is row 8, column H, across; "H8" is the same square, down.
+ */
+
+import { BOARD_SIZE, createBoard, getTile, placeTile } from './board.js';
+import { getRuleset, getActiveRuleset } from './rulesets.js';
+import { RACK_SIZE } from './scoring.js';
+
+export const NOTATION_VERSION = 1;
+
+// Security: limits for pasted or loaded text
+export const MAX_GAME_TEXT_LENGTH = 20000;
+const MAX_LINES = 400;
+const MAX_NAME_LENGTH = 30;
+const MAX_NOTE_LENGTH = 500;
+
+const COLUMNS = 'ABCDEFGHIJKLMNO';
+const PLAYERS = 2;
+
+/**
+ * Parse a game from text
+ * @param {string} text
+ * @returns {Object} { game } or { error, line, column } - error is a message for
+ *   the user starting with the line and column ("Linje 4, kolonne 9: ...")
+ *   game: { language, players: [{ name }], scores, racks, notes, board, moves }
+ *   move: { player, rack, type: 'play'|'exchange'|'pass', row, col, direction, word, exchanged, score, total }
+ */
+export function parseGame(text) {
+    try {
+        return { game: readGame(text || '') };
+    } catch (error) {
+        if (!error.notation) throw error;
+        const { line, column } = error.notation;
+        return { error: `Linje ${line}, kolonne ${column}: ${error.message}`, line, column };
+    }
+}
+
+/**
+ * Write a game as text (parseGame reads it back to the same game)
+ * @param {Object} game - Same shape as parseGame returns; all fields optional
+ * @returns {string}
+ */
+export function serializeGame(game) {
+    const lines = [`#wordfeud ${NOTATION_VERSION}`];
+    const language = game.language || getActiveRuleset().language;
+    lines.push(`#lang ${language}`);
+
+    const players = game.players || [];
+    players.forEach((player, i) => {
+        lines.push(`#player${i + 1} ${cleanName(player.name) || `Spiller ${i + 1}`}`);
+    });
+    if (game.scores && game.scores.some(score => score != null)) {
+        lines.push(`#score ${game.scores.map(score => score ?? 0).join(' ')}`);
+    }
+    (game.racks || []).forEach((rack, i) => {
+        if (rack) lines.push(`#rack${i + 1} ${rack.toUpperCase()}`);
+    });
+    for (const note of (game.notes || '').split('\n')) {
+        if (note.trim()) lines.push(`#note ${note.trim()}`);
+    }
+
+    if (game.board) {
+        lines.push('#board');
+        for (let row = 0; row < BOARD_SIZE; row++) {
+            let line = '';
+            for (let col = 0; col < BOARD_SIZE; col++) {
+                const tile = getTile(game.board, row, col);
+                line += !tile ? '.' : tile.blank ? tile.letter.toLowerCase() : tile.letter;
+            }
+            lines.push(line);
+        }
+    }
+
+    for (const move of game.moves || []) {
+        const name = cleanName(players[move.player]?.name) || `Spiller ${move.player + 1}`;
+        let action;
+        if (move.type === 'pass') {
+            action = '-';
+        } else if (move.type === 'exchange') {
+            action = `-${move.exchanged}`;
+        } else {
+            action = `${formatPosition(move.row, move.col, move.direction)} ${move.word}`;
+        }
+        const total = move.total != null ? ` ${move.total}` : '';
+        lines.push(`>${name}: ${move.rack || '-'} ${action} +${move.score}${total}`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Format a square as a position ("8H" across, "H8" down)
+ * @param {number} row - 0-based
+ * @param {number} col - 0-based
+ * @param {string} direction - 'H' or 'V'
+ * @returns {string}
+ */
+export function formatPosition(row, col, direction) {
+    return direction === 'V' ? `${COLUMNS[col]}${row + 1}` : `${row + 1}${COLUMNS[col]}`;
+}
+
+function readGame(text) {
+    if (text.length > MAX_GAME_TEXT_LENGTH) {
+        fail(1, 1, `Teksten er for lang (max ${MAX_GAME_TEXT_LENGTH} tegn)`);
+    }
+
+    const lines = text.split(/\r?\n/);
+    if (lines.length > MAX_LINES) {
+        fail(MAX_LINES + 1, 1, `For mange linjer (max ${MAX_LINES})`);
+    }
+
+    const game = {
+        language: getActiveRuleset().language,
+        players: [],
+        scores: [null, null],
+        racks: ['', ''],
+        notes: '',
+        board: null,
+        moves: []
+    };
+    let alphabet = getActiveRuleset().alphabet;
+    let playersDeclared = false;
+    const notes = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const lineNo = i + 1;
+        const line = lines[i].trimEnd();
+        if (!line.trim()) continue;
+
+        if (line.startsWith('>')) {
+            game.moves.push(readMove(line, lineNo, game, alphabet, playersDeclared));
+            continue;
+        }
+        if (!line.startsWith('#')) {
+            fail(lineNo, 1, 'Linjen skal starte med # eller >');
+        }
+
+        const space = line.indexOf(' ');
+        const key = space === -1 ? line.slice(1) : line.slice(1, space);
+        const value = space === -1 ? '' : line.slice(space + 1).trim();
+        const valueColumn = space === -1 ? line.length + 1 : line.indexOf(value, space) + 1;
+
+        switch (key) {
+            case 'wordfeud':
+                if (value !== String(NOTATION_VERSION)) {
+                    fail(lineNo, valueColumn, `Ukendt version "${value}" (kun ${NOTATION_VERSION})`);
+                }
+                break;
+
+            case 'lang':
+                if (getRuleset(value).language !== value) {
+                    fail(lineNo, valueColumn, `Ukendt sprog "${value}"`);
+                }
+                if (game.board || game.moves.length > 0) {
+                    fail(lineNo, 1, '#lang skal stå før brættet og trækkene');
+                }
+                game.language = value;
+                alphabet = getRuleset(value).alphabet;
+                break;
+
+            case 'player1':
+            case 'player2': {
+                const index = Number(key.slice(-1)) - 1;
+                if (game.moves.length > 0) {
+                    fail(lineNo, 1, `#${key} skal stå før trækkene`);
+                }
+                if (!value || value.length > MAX_NAME_LENGTH || value.includes(':')) {
+                    fail(lineNo, valueColumn, `Navnet skal være 1-${MAX_NAME_LENGTH} tegn uden kolon`);
+                }
+                if (game.players.some((player, j) => j !== index && player?.name === value)) {
+                    fail(lineNo, valueColumn, `To spillere hedder ${value}`);
+                }
+                game.players[index] = { name: value };
+                playersDeclared = true;
+                break;
+            }
+
+            case 'score': {
+                const parts = value.split(/\s+/);
+                if (parts.length !== PLAYERS || parts.some(part => !/^-?\d{1,4}$/.test(part))) {
+                    fail(lineNo, valueColumn, 'Skriv to pointtal, fx "#score 120 98"');
+                }
+                game.scores = parts.map(Number);
+                break;
+            }
+
+            case 'rack1':
+            case 'rack2': {
+                const index = Number(key.slice(-1)) - 1;
+                game.racks[index] = readRack(value, lineNo, valueColumn, alphabet);
+                break;
+            }
+
+            case 'note':
+                if (value.length > MAX_NOTE_LENGTH) {
+                    fail(lineNo, valueColumn, `Noten er for lang (max ${MAX_NOTE_LENGTH} tegn)`);
+                }
+                notes.push(value);
+                break;
+
+            case 'board':
+                if (game.board) {
+                    fail(lineNo, 1, 'Brættet står der to gange');
+                }
+                game.board = readBoard(lines, i + 1, alphabet);
+                i += BOARD_SIZE;
+                break;
+
+            default:
+                fail(lineNo, 1, `Ukendt linje "#${key}"`);
+        }
+    }
+
+    // Spillere der hverken har en #playerN-linje eller et træk
+    for (let p = 0; p < PLAYERS; p++) {
+        if (!game.players[p]) {
+            game.players[p] = { name: `Spiller ${p + 1}` };
+        }
+    }
+    game.notes = notes.join('\n');
+    return game;
+}
+
+/**
+ * Read the 15 board rows following "#board"
+ */
+function readBoard(lines, start, alphabet) {
+    const board = createBoard();
+
+    for (let row = 0; row < BOARD_SIZE; row++) {
+        const lineNo = start + row + 1;
+        const line = (lines[start + row] ?? '').trimEnd();
+        if (line.startsWith('#') || line.startsWith('>') || (start + row) >= lines.length) {
+            fail(lineNo, 1, `Brættet skal have ${BOARD_SIZE} rækker`);
+        }
+        if (line.length !== BOARD_SIZE) {
+            fail(lineNo, Math.min(line.length, BOARD_SIZE) + 1, `Rækken skal have ${BOARD_SIZE} felter`);
+        }
+
+        for (let col = 0; col < BOARD_SIZE; col++) {
+            const ch = line[col];
+            if (ch === '.') continue;
+
+            const upper = ch.toUpperCase();
+            if (!alphabet.includes(upper)) {
+                fail(lineNo, col + 1, `"${ch}" er ikke et bogstav eller .`);
+            }
+            // Små bogstaver er jokere
+            placeTile(board, row, col, upper, ch !== upper);
+        }
+    }
+
+    return board;
+}
+
+/**
+ * Read a move line: ">Name: RACK POSITION WORD +SCORE TOTAL"
+ * Without #playerN lines the players are named by their first moves.
+ */
+function readMove(line, lineNo, game, alphabet, playersDeclared) {
+    const colon = line.indexOf(':');
+    if (colon === -1) {
+        fail(lineNo, line.length + 1, 'Mangler ":" efter spillerens navn');
+    }
+
+    const name = line.slice(1, colon).trim();
+    let player = game.players.findIndex(p => p?.name === name);
+    if (player === -1) {
+        player = game.players.length;
+        if (playersDeclared || !name || name.length > MAX_NAME_LENGTH || player >= PLAYERS) {
+            fail(lineNo, 2, `Ukendt spiller "${name}"`);
+        }
+        game.players[player] = { name };
+    }
+
+    const tokens = tokenize(line, colon + 1);
+    const expect = (i, what) => {
+        if (!tokens[i]) fail(lineNo, line.length + 1, `Mangler ${what}`);
+        return tokens[i];
+    };
+
+    const rackToken = expect(0, 'brikkerne på hånden');
+    const rack = rackToken.text === '-' ? '' : readRack(rackToken.text, lineNo, rackToken.column, alphabet);
+
+    const move = {
+        player,
+        rack,
+        type: 'play',
+        row: null,
+        col: null,
+        direction: null,
+        word: null,
+        exchanged: null,
+        score: 0,
+        total: null
+    };
+
+    let next = 1;
+    const action = expect(1, 'placering, - (pas) eller -BOGSTAVER (byt)');
+    if (action.text === '-') {
+        move.type = 'pass';
+        next = 2;
+    } else if (action.text.startsWith('-')) {
+        move.type = 'exchange';
+        move.exchanged = readRack(action.text.slice(1), lineNo, action.column + 1, alphabet);
+        next = 2;
+    } else {
+        const position = readPosition(action.text, lineNo, action.column);
+        const wordToken = expect(2, 'ordet');
+        const word = wordToken.text;
+        const [dr, dc] = position.direction === 'H' ? [0, 1] : [1, 0];
+
+        for (let k = 0; k < word.length; k++) {
+            if (word[k] !== '.' && !alphabet.includes(word[k].toUpperCase())) {
+                fail(lineNo, wordToken.column + k, `"${word[k]}" er ikke et bogstav eller .`);
+            }
+        }
+        if (word.length < 2) {
+            fail(lineNo, wordToken.column, 'Ordet skal have mindst 2 bogstaver');
+        }
+        const lastRow = position.row + dr * (word.length - 1);
+        const lastCol = position.col + dc * (word.length - 1);
+        if (lastRow >= BOARD_SIZE || lastCol >= BOARD_SIZE) {
+            fail(lineNo, wordToken.column, 'Ordet går ud over brættet');
+        }
+
+        Object.assign(move, position, { word });
+        next = 3;
+    }
+
+    const scoreToken = expect(next, 'point, fx +14');
+    if (!/^[+-]\d{1,4}$/.test(scoreToken.text)) {
+        fail(lineNo, scoreToken.column, `Point skal skrives som +14, ikke "${scoreToken.text}"`);
+    }
+    move.score = Number(scoreToken.text);
+
+    const totalToken = tokens[next + 1];
+    if (totalToken) {
+        if (!/^-?\d{1,4}$/.test(totalToken.text)) {
+            fail(lineNo, totalToken.column, `Samlet score skal være et tal, ikke "${totalToken.text}"`);
+        }
+        move.total = Number(totalToken.text);
+    }
+    if (tokens[next + 2]) {
+        fail(lineNo, tokens[next + 2].column, `Uventet "${tokens[next + 2].text}"`);
+    }
+
+    return move;
+}
+
+/**
+ * Read "8H" (across) or "H8" (down)
+ */
+function readPosition(text, lineNo, column) {
+    const across = text.match(/^(\d{1,2})([A-Oa-o])$/);
+    const down = text.match(/^([A-Oa-o])(\d{1,2})$/);
+    const match = across || down;
+    const row = match ? Number(across ? match[1] : match[2]) - 1 : -1;
+
+    if (!match || row < 0 || row >= BOARD_SIZE) {
+        fail(lineNo, column, `Ugyldig placering "${text}" - brug fx 8H (vandret) eller H8 (lodret)`);
+    }
+
+    return {
+        row,
+        col: COLUMNS.indexOf((across ? match[2] : match[1]).toUpperCase()),
+        direction: across ? 'H' : 'V'
+    };
+}
+
+function readRack(text, lineNo, column, alphabet) {
+    const rack = text.toUpperCase();
+    if (rack.length > RACK_SIZE) {
+        fail(lineNo, column + RACK_SIZE, `Højst ${RACK_SIZE} brikker`);
+    }
+    for (let k = 0; k < rack.length; k++) {
+        if (rack[k] !== '?' && !alphabet.includes(rack[k])) {
+            fail(lineNo, column + k, `"${text[k]}" er ikke et bogstav eller ? (joker)`);
+        }
+    }
+    return rack;
+}
+
+/**
+ * Split the rest of a line on spaces, keeping 1-based columns
+ */
+function tokenize(line, from) {
+    const tokens = [];
+    let i = from;
+    while (i < line.length) {
+        if (line[i] === ' ' || line[i] === '\t') {
+            i++;
+            continue;
+        }
+        const start = i;
+        while (i < line.length && line[i] !== ' ' && line[i] !== '\t') i++;
+        tokens.push({ text: line.slice(start, i), column: start + 1 });
+    }
+    return tokens;
+}
+
+function cleanName(name) {
+    return (name || '').replace(/[:\r\n]/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+}
+
+function fail(line, column, message) {
+    const error = new Error(message);
+    error.notation = { line, column };
+    throw error;
+}
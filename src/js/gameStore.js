@@ -0,0 +1,204 @@
+/**
+ * Game Store
+ * Saved games in IndexedDB, one record per game: board, rack, played
+ * tiles (for the unseen tiles), scores, notes and the search inputs.
+ * Records are checked when read - storage can hold old or edited data
+ */
+
+import { parseBoard } from './board.js';
+import { getRuleset } from './rulesets.js';
+
+const DB_NAME = 'wordfeud-helper';
+const DB_VERSION = 1;
+const STORE_NAME = 'games';
+
+// Security: limits for stored text
+export const MAX_GAME_NAME_LENGTH = 40;
+export const MAX_GAMES = 30;
+const MAX_RACK_LENGTH = 15;
+const MAX_PLAYED_LENGTH = 120;
+const MAX_NOTES_LENGTH = 500;
+const MAX_FILTER_LENGTH = 50;
+
+// Search inputs saved with a game (input values as typed)
+const FILTER_FIELDS = ['boardPattern', 'sortBy', 'lengthMode', 'exactLength', 'minLength', 'maxLength'];
+
+/**
+ * Create a new, empty game
+ * @param {string} name - Shown in the games list
+ * @param {string} language - Ruleset language of the game
+ * @param {number} now - Timestamp (for tests)
+ * @returns {Object} { id, name, language, board, rack, played, scores, notes, filters, createdAt, updatedAt }
+ */
+export function createGameRecord(name, language, now = Date.now()) {
+    return {
+        id: `game-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        name: cleanName(name) || 'Spil',
+        language,
+        board: null,
+        rack: '',
+        played: '',
+        scores: [null, null],
+        notes: '',
+        filters: {},
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+/**
+ * Check a stored game and rebuild it with only known, valid fields
+ * @param {*} data - Record read from storage
+ * @returns {Object|null} Game or null if it cannot be used
+ */
+export function readGameRecord(data) {
+    if (!data || typeof data !== 'object' || typeof data.id !== 'string' || !data.id) {
+        return null;
+    }
+
+    const ruleset = getRuleset(data.language);
+    if (ruleset.language !== data.language) {
+        return null;
+    }
+
+    let board = null;
+    if (data.board) {
+        board = parseBoard(data.board, ruleset.alphabet);
+        if (!board) return null;
+    }
+
+    const filters = {};
+    if (data.filters && typeof data.filters === 'object') {
+        for (const field of FILTER_FIELDS) {
+            const value = data.filters[field];
+            if (typeof value === 'string' && value.length <= MAX_FILTER_LENGTH) {
+                filters[field] = value;
+            }
+        }
+    }
+
+    const scores = Array.isArray(data.scores) ? data.scores : [];
+    return {
+        id: data.id,
+        name: cleanName(data.name) || 'Spil',
+        language: data.language,
+        board,
+        rack: readText(data.rack, MAX_RACK_LENGTH),
+        played: readText(data.played, MAX_PLAYED_LENGTH),
+        scores: [0, 1].map(i => Number.isInteger(scores[i]) && scores[i] >= 0 ? scores[i] : null),
+        notes: readText(data.notes, MAX_NOTES_LENGTH),
+        filters,
+        createdAt: Number(data.createdAt) || 0,
+        updatedAt: Number(data.updatedAt) || 0
+    };
+}
+
+/**
+ * Turn the old tile tracker data from localStorage into games
+ * @param {Object} states - { gameId: { played, timestamp } }
+ * @param {string} language - Language the tracker was used with
+ * @param {number} now - Timestamp (for tests)
+ * @returns {Array} Games, one per tracker state with played tiles
+ */
+export function migrateTileTracker(states, language, now = Date.now()) {
+    if (!states || typeof states !== 'object' || Array.isArray(states)) {
+        return [];
+    }
+
+    return Object.values(states)
+        .filter(state => state && typeof state.played === 'string' && state.played.trim())
+        .map((state, i) => {
+            const game = createGameRecord(`Spil ${i + 1}`, language, now);
+            game.played = readText(state.played, MAX_PLAYED_LENGTH);
+            game.updatedAt = Number(state.timestamp) || now;
+            return game;
+        });
+}
+
+/**
+ * Suggest a name for a new game ("Spil 3" when "Spil 1" and "Spil 2" exist)
+ * @param {Array} games
+ * @returns {string}
+ */
+export function nextGameName(games) {
+    const names = new Set(games.map(game => game.name));
+    let n = 1;
+    while (names.has(`Spil ${n}`)) n++;
+    return `Spil ${n}`;
+}
+
+/**
+ * Open the games database
+ * @param {IDBFactory} factory - indexedDB (missing in some private windows)
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openGameStore(factory = globalThis.indexedDB) {
+    if (!factory) {
+        return Promise.reject(new Error('IndexedDB not available'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = factory.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Games database is blocked by another tab'));
+    });
+}
+
+/**
+ * Read all games, most recently used first (invalid records are skipped)
+ * @param {IDBDatabase} db
+ * @returns {Promise<Array>}
+ */
+export async function loadGames(db) {
+    const records = await runRequest(db, 'readonly', store => store.getAll());
+    return records
+        .map(readGameRecord)
+        .filter(Boolean)
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Save (add or replace) a game
+ * @param {IDBDatabase} db
+ * @param {Object} game
+ * @returns {Promise}
+ */
+export function saveGame(db, game) {
+    return runRequest(db, 'readwrite', store => store.put(game));
+}
+
+/**
+ * Delete a game
+ * @param {IDBDatabase} db
+ * @param {string} id
+ * @returns {Promise}
+ */
+export function deleteGame(db, id) {
+    return runRequest(db, 'readwrite', store => store.delete(id));
+}
+
+// Kør én forespørgsel i en transaktion og vent til den er skrevet
+function runRequest(db, mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = makeRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+function readText(value, maxLength) {
+    return typeof value === 'string' ? value.slice(0, maxLength) : '';
+}
+
+function cleanName(name) {
+    return typeof name === 'string' ? name.trim().replace(/\s+/g, ' ').slice(0, MAX_GAME_NAME_LENGTH) : '';
+}
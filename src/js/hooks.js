@@ -0,0 +1,71 @@
+/**
+ * Hook Finder
+ * Single letters that can go in front of or after a word on the board
+ * (e.g. a plural or definite ending) and still make a valid word.
+ * Shared by the main thread and the workers (no DOM access here)
+ */
+
+import { ROOT, NO_NODE, walk, hasWord } from './wordIndex.js';
+import { getActiveRuleset } from './rulesets.js';
+import { parseLetters } from './utils.js';
+
+// A hooked word must still fit on the board
+const MAX_WORD_LENGTH = 15;
+
+/**
+ * Find front and back hooks for a word
+ * @param {Object} index - Word index (from buildWordIndex or the packed file)
+ * @param {string} word - Word on the board (any case)
+ * @param {string} rack - Own letters, '?' for jokers (optional)
+ * @returns {Object} { word, exists, front, back, jokers, error } - front/back are
+ *   [{ letter, word, held }] in alphabet order; held means the letter is on the rack
+ */
+export function findHooks(index, word, rack = '') {
+    if (!index) {
+        throw new Error('Wordlist not loaded');
+    }
+
+    const upper = (word || '').trim().toUpperCase();
+    const { alphabet } = getActiveRuleset();
+
+    const result = { word: upper, exists: false, front: [], back: [], jokers: 0, error: null };
+
+    if (!upper) {
+        result.error = 'Skriv et ord';
+        return result;
+    }
+    if (upper.length >= MAX_WORD_LENGTH || [...upper].some(ch => !alphabet.includes(ch))) {
+        result.error = `Ugyldige tegn eller for langt (max ${MAX_WORD_LENGTH - 1} bogstaver)`;
+        return result;
+    }
+
+    const { letterCounts, wildcards } = parseLetters(rack || '');
+    result.jokers = wildcards;
+
+    const hook = (letter, hooked) => ({ letter, word: hooked, held: letterCounts.has(letter) });
+
+    // Bagkroge: børn af ordets knude der afslutter et ord
+    const node = walk(index, ROOT, upper);
+    if (node !== NO_NODE) {
+        result.exists = index.terminal[node] === 1;
+        const end = index.edgeStart[node + 1];
+        for (let e = index.edgeStart[node]; e < end; e++) {
+            if (index.terminal[index.edgeTarget[e]] === 1) {
+                const letter = index.edgeLetter[e];
+                result.back.push(hook(letter, upper + letter));
+            }
+        }
+    }
+
+    // Forkroge: prøv hvert bogstav i alfabetet foran
+    for (const letter of alphabet) {
+        if (hasWord(index, letter + upper)) {
+            result.front.push(hook(letter, letter + upper));
+        }
+    }
+
+    // Kanterne ligger i tegnkode-orden - vis i alfabetets orden (fx Æ, Ø, Å sidst)
+    result.back.sort((a, b) => alphabet.indexOf(a.letter) - alphabet.indexOf(b.letter));
+
+    return result;
+}
@@ -0,0 +1,385 @@
+/**
+ * Rack Leave
+ * Values the tiles that stay on the rack after a move, so moves can be
+ * ranked by equity (score + leave value) instead of score alone.
+ * The leave table is derived per language from the wordlist.
+ */
+
+import { parseLetters } from './utils.js';
+import { BLANK } from './tileTracker.js';
+import { ROOT } from './wordIndex.js';
+
+// Only words that fit on a rack (plus a board tile) say anything about leaves
+const MIN_WORD_LENGTH = 2;
+const MAX_WORD_LENGTH = 8;
+
+// Points per doubling of how often a letter appears compared to the median letter
+const LETTER_WEIGHT = 3;
+const MAX_LETTER_VALUE = 8;
+
+// Penalty per extra copy of a letter, scaled by how rarely words repeat it
+const DUPLICATE_WEIGHT = 3;
+const MAX_DUPLICATE_PENALTY = 6;
+
+// Penalty per vowel too many or too few on the leave
+const VOWEL_BALANCE_PENALTY = 4;
+
+// A blank is worth this many times the best letter
+const BLANK_FACTOR = 2.5;
+
+// Two letters kept together: points per doubling of how often they share a
+// short word compared to chance (ER, ST go together; letters that avoid each other lose a little)
+const MAX_PAIR_WORD_LENGTH = 5;
+const PAIR_WEIGHT = 1;
+const MAX_PAIR_VALUE = 2;
+
+// Derived tables per language (the wordlist does not change while loaded)
+const tableCache = new Map();
+
+/**
+ * Derive a leave table from a wordlist
+ * Letters that occur in many short words are good to keep,
+ * rare letters and letters seldom seen twice in a word are not.
+ * Pairs of letters that often share a short word get a bonus.
+ * @param {Array<string>} words - Wordlist (any case)
+ * @param {Object} ruleset - From rulesets.js
+ * @returns {Object} { language, tiles, duplicates, pairs, blank, vowels, vowelRatio }
+ */
+export function deriveLeaveTable(words, ruleset) {
+    const stats = createLetterStats(ruleset);
+
+    for (const word of words) {
+        if (word.length < MIN_WORD_LENGTH || word.length > MAX_WORD_LENGTH) continue;
+
+        const counts = new Map();
+        for (const letter of word.toUpperCase()) {
+            counts.set(letter, (counts.get(letter) || 0) + 1);
+        }
+        addWord(stats, counts, word.length);
+    }
+
+    return tableFromStats(stats, ruleset);
+}
+
+/**
+ * Derive the same leave table from a word index
+ * Walks the index only as deep as the longest word that counts, so the
+ * packed wordlist does not have to be spelled out word by word.
+ * @param {Object} index - From buildWordIndex
+ * @param {Object} ruleset - From rulesets.js
+ * @returns {Object} Leave table
+ */
+export function deriveLeaveTableFromIndex(index, ruleset) {
+    const stats = createLetterStats(ruleset);
+    const counts = new Map();
+
+    const visit = (node, depth) => {
+        if (index.terminal[node] && depth >= MIN_WORD_LENGTH) {
+            addWord(stats, counts, depth);
+        }
+        if (depth === MAX_WORD_LENGTH) return;
+
+        const end = index.edgeStart[node + 1];
+        for (let e = index.edgeStart[node]; e < end; e++) {
+            const letter = index.edgeLetter[e];
+            counts.set(letter, (counts.get(letter) || 0) + 1);
+            visit(index.edgeTarget[e], depth + 1);
+            if (counts.get(letter) === 1) {
+                counts.delete(letter);
+            } else {
+                counts.set(letter, counts.get(letter) - 1);
+            }
+        }
+    };
+
+    visit(ROOT, 0);
+    return tableFromStats(stats, ruleset);
+}
+
+/**
+ * Get the leave table for a word index, derived once per language and index
+ * @param {Object} index - From buildWordIndex or the packed wordlist
+ * @param {Object} ruleset - From rulesets.js
+ * @returns {Object} Leave table
+ */
+export function getLeaveTable(index, ruleset) {
+    const cached = tableCache.get(ruleset.language);
+    if (cached && cached.index === index) {
+        return cached.table;
+    }
+
+    const table = deriveLeaveTableFromIndex(index, ruleset);
+    tableCache.set(ruleset.language, { index, table });
+    return table;
+}
+
+/**
+ * Value of keeping a set of tiles on the rack
+ * @param {string} leave - Remaining tiles, '?' for blanks
+ * @param {Object} table - From deriveLeaveTable
+ * @returns {number} Points (positive = good leave), rounded to one decimal
+ */
+export function getLeaveValue(leave, table) {
+    if (!leave) return 0;
+
+    let value = 0;
+    let vowels = 0;
+    let letters = 0;
+    const seen = new Map();
+
+    for (const tile of leave) {
+        if (tile === BLANK) {
+            value += table.blank;
+            continue;
+        }
+
+        const copies = seen.get(tile) || 0;
+        value += (table.tiles[tile] ?? -MAX_LETTER_VALUE) + copies * (table.duplicates[tile] ?? -MAX_DUPLICATE_PENALTY);
+        seen.set(tile, copies + 1);
+
+        letters++;
+        if (table.vowels.includes(tile)) vowels++;
+    }
+
+    // Hvert par af forskellige bogstaver tæller én gang
+    const distinct = Array.from(seen.keys());
+    for (let i = 0; i < distinct.length; i++) {
+        for (let j = i + 1; j < distinct.length; j++) {
+            value += table.pairs[pairKey(distinct[i], distinct[j])] || 0;
+        }
+    }
+
+    // Balance mellem vokaler og konsonanter (jokere kan begge dele)
+    if (letters > 1) {
+        const idealVowels = letters * table.vowelRatio;
+        value -= VOWEL_BALANCE_PENALTY * Math.max(0, Math.abs(vowels - idealVowels) - 0.5);
+    }
+
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Tiles left on the rack after forming a word
+ * Board letters are used first, then own tiles, then blanks.
+ * @param {string} word - Uppercase word
+ * @param {Map} letterCounts - Rack letters (from parseLetters)
+ * @param {number} wildcards - Blanks on the rack
+ * @param {Map|null} extraLetters - Letters already on the board
+ * @returns {string} Leave, letters in rack order followed by '?' per blank
+ */
+export function computeLeave(word, letterCounts, wildcards, extraLetters = null) {
+    const needed = new Map();
+    for (const letter of word) {
+        needed.set(letter, (needed.get(letter) || 0) + 1);
+    }
+
+    if (extraLetters) {
+        for (const [letter, count] of extraLetters) {
+            if (needed.has(letter)) {
+                needed.set(letter, Math.max(0, needed.get(letter) - count));
+            }
+        }
+    }
+
+    let leave = '';
+    let blanksLeft = wildcards;
+    for (const [letter, count] of letterCounts) {
+        const used = Math.min(count, needed.get(letter) || 0);
+        leave += letter.repeat(count - used);
+    }
+    for (const [letter, count] of needed) {
+        blanksLeft -= Math.max(0, count - (letterCounts.get(letter) || 0));
+    }
+
+    return leave + BLANK.repeat(Math.max(0, blanksLeft));
+}
+
+/**
+ * Leave of a rack string after a board move
+ * @param {string} rackString - Rack letters, '?' for jokers
+ * @param {Array<Object>} tiles - Placed tiles { letter, blank }
+ * @returns {string} Leave
+ */
+export function computeMoveLeave(rackString, tiles) {
+    const { letterCounts, wildcards } = parseLetters(rackString);
+    let blanks = wildcards;
+
+    for (const tile of tiles) {
+        if (tile.blank) {
+            blanks--;
+        } else {
+            letterCounts.set(tile.letter, (letterCounts.get(tile.letter) || 0) - 1);
+        }
+    }
+
+    let leave = '';
+    for (const [letter, count] of letterCounts) {
+        if (count > 0) leave += letter.repeat(count);
+    }
+    return leave + BLANK.repeat(Math.max(0, blanks));
+}
+
+/**
+ * Counters filled word by word (from the list or the index walk)
+ */
+function createLetterStats(ruleset) {
+    const letters = Object.keys(ruleset.tileCounts);
+    return {
+        letters,
+        vowels: ruleset.vowels,
+        once: new Map(letters.map(letter => [letter, 0])),
+        twice: new Map(letters.map(letter => [letter, 0])),
+        shortOnce: new Map(letters.map(letter => [letter, 0])),
+        pairs: new Map(),
+        wordCount: 0,
+        shortWordCount: 0,
+        letterCount: 0,
+        vowelCount: 0
+    };
+}
+
+/**
+ * Count one word
+ * @param {Object} stats - From createLetterStats
+ * @param {Map} counts - Letter -> copies in the word
+ * @param {number} length - Word length
+ */
+function addWord(stats, counts, length) {
+    const known = [];
+    for (const [letter, count] of counts) {
+        stats.letterCount += count;
+        if (stats.vowels.includes(letter)) stats.vowelCount += count;
+        if (!stats.once.has(letter)) continue;
+
+        stats.once.set(letter, stats.once.get(letter) + 1);
+        if (count > 1) stats.twice.set(letter, stats.twice.get(letter) + 1);
+        known.push(letter);
+    }
+    stats.wordCount++;
+
+    if (length > MAX_PAIR_WORD_LENGTH) return;
+
+    stats.shortWordCount++;
+    for (let i = 0; i < known.length; i++) {
+        stats.shortOnce.set(known[i], stats.shortOnce.get(known[i]) + 1);
+        for (let j = i + 1; j < known.length; j++) {
+            const key = pairKey(known[i], known[j]);
+            stats.pairs.set(key, (stats.pairs.get(key) || 0) + 1);
+        }
+    }
+}
+
+function tableFromStats(stats, ruleset) {
+    const { letters, once, twice, wordCount } = stats;
+
+    // Uden ordliste bruges posens fordeling som tilnærmelse
+    if (wordCount === 0) {
+        return deriveFromTileCounts(ruleset);
+    }
+
+    const shares = letters.map(letter => once.get(letter) / wordCount);
+    const median = getMedian(shares);
+
+    const tiles = {};
+    const duplicates = {};
+    letters.forEach((letter, i) => {
+        tiles[letter] = roundHalf(clamp(
+            LETTER_WEIGHT * Math.log2(Math.max(shares[i], 1e-6) / median),
+            -MAX_LETTER_VALUE, MAX_LETTER_VALUE));
+
+        // Andel af ordene med bogstavet, der har det mindst to gange
+        const repeatRate = once.get(letter) > 0 ? twice.get(letter) / once.get(letter) : 0;
+        duplicates[letter] = roundHalf(clamp(
+            DUPLICATE_WEIGHT * Math.log2(Math.max(repeatRate, 1e-6) * 2),
+            -MAX_DUPLICATE_PENALTY, 0));
+    });
+
+    return buildTable(ruleset, tiles, duplicates, stats.vowelCount / stats.letterCount, derivePairs(stats));
+}
+
+/**
+ * Pair values: how much more often two letters share a short word than
+ * their own frequencies predict. Pairs never seen together are left out
+ * (rare letters would otherwise all be punished twice).
+ */
+function derivePairs(stats) {
+    const pairs = {};
+    const { shortOnce, shortWordCount } = stats;
+
+    for (const [key, together] of stats.pairs) {
+        const [a, b] = key;
+        const expected = shortOnce.get(a) * shortOnce.get(b) / shortWordCount;
+        const value = roundHalf(clamp(PAIR_WEIGHT * Math.log2(together / expected), -MAX_PAIR_VALUE, MAX_PAIR_VALUE));
+        if (value !== 0) {
+            pairs[key] = value;
+        }
+    }
+    return pairs;
+}
+
+// Samme nøgle uanset rækkefølge
+function pairKey(a, b) {
+    return a < b ? a + b : b + a;
+}
+
+/**
+ * Fallback table from the tile distribution (common tiles are good tiles)
+ */
+function deriveFromTileCounts(ruleset) {
+    const letters = Object.keys(ruleset.tileCounts);
+    const median = getMedian(letters.map(letter => ruleset.tileCounts[letter]));
+
+    const tiles = {};
+    const duplicates = {};
+    let vowelTiles = 0;
+    let totalTiles = 0;
+
+    for (const letter of letters) {
+        const count = ruleset.tileCounts[letter];
+        tiles[letter] = roundHalf(clamp(LETTER_WEIGHT * Math.log2(count / median), -MAX_LETTER_VALUE, MAX_LETTER_VALUE));
+        duplicates[letter] = count > 1 ? -DUPLICATE_WEIGHT : -MAX_DUPLICATE_PENALTY;
+        totalTiles += count;
+        if (ruleset.vowels.includes(letter)) vowelTiles += count;
+    }
+
+    return buildTable(ruleset, tiles, duplicates, vowelTiles / totalTiles, {});
+}
+
+function buildTable(ruleset, tiles, duplicates, vowelRatio, pairs) {
+    // Keeping an average tile is worth the same as drawing a new one (0)
+    let weighted = 0;
+    let totalTiles = 0;
+    for (const [letter, count] of Object.entries(ruleset.tileCounts)) {
+        weighted += tiles[letter] * count;
+        totalTiles += count;
+    }
+    const average = totalTiles > 0 ? weighted / totalTiles : 0;
+    for (const letter of Object.keys(tiles)) {
+        tiles[letter] = roundHalf(tiles[letter] - average);
+    }
+
+    const bestLetter = Math.max(0, ...Object.values(tiles));
+    return {
+        language: ruleset.language,
+        tiles,
+        duplicates,
+        pairs,
+        blank: roundHalf(Math.max(bestLetter, 1) * BLANK_FACTOR),
+        vowels: ruleset.vowels,
+        vowelRatio
+    };
+}
+
+function getMedian(values) {
+    const sorted = values.filter(v => v > 0).sort((a, b) => a - b);
+    if (sorted.length === 0) return 1;
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function roundHalf(value) {
+    return Math.round(value * 2) / 2;
+}
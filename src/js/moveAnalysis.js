@@ -0,0 +1,113 @@
+/**
+ * Move Analysis
+ * Reviews a move from the board before and after it: which tiles were
+ * laid, the words formed and their score (multipliers and bingo), whether
+ * every word is in the wordlist, and what else the same tiles could have
+ * scored. Shared code, no DOM access here
+ */
+
+import { BOARD_SIZE, getTile, validatePlacement, scoreMove } from './board.js';
+import { hasWord } from './wordIndex.js';
+import { generateMoves } from './moveGenerator.js';
+
+const DEFAULT_ALTERNATIVES = 10;
+
+/**
+ * Find the tiles added between two boards
+ * @param {Object} before - Board before the move
+ * @param {Object} after - Board after the move
+ * @returns {Object} { tiles: [{ row, col, letter, blank }] } or { error } if a tile was moved or removed
+ */
+export function findPlacedTiles(before, after) {
+    const tiles = [];
+
+    for (let row = 0; row < BOARD_SIZE; row++) {
+        for (let col = 0; col < BOARD_SIZE; col++) {
+            const old = getTile(before, row, col);
+            const now = getTile(after, row, col);
+
+            if (old && (!now || now.letter !== old.letter || now.blank !== old.blank)) {
+                return { error: `Brikken ${old.letter} i række ${row + 1}, kolonne ${col + 1} er fjernet eller ændret efter trækket` };
+            }
+            if (!old && now) {
+                tiles.push({ row, col, letter: now.letter, blank: now.blank });
+            }
+        }
+    }
+
+    if (tiles.length === 0) {
+        return { error: 'Der er ingen nye brikker på brættet efter trækket' };
+    }
+    return { tiles };
+}
+
+/**
+ * Analyse a move: words, score, word check and better plays with the same tiles
+ * @param {Object} index - Word index
+ * @param {Object} before - Board before the move
+ * @param {Object} after - Board after the move
+ * @param {Object} options - { limit } number of alternatives (default 10)
+ * @returns {Object} { analysis, error } - analysis is
+ *   { tiles, word, row, col, direction, score, bingo, words: [{ word, score, row, col, direction, valid }],
+ *     allValid, rack, rank, totalMoves, bestScore, missed, alternatives }
+ *   rack: the tiles used, '?' for jokers; rank: place among all legal plays
+ *   with those tiles (null if the move is not legal); alternatives: other plays, best first
+ */
+export function analyzeMove(index, before, after, options = {}) {
+    if (!index) {
+        throw new Error('Wordlist not loaded');
+    }
+
+    const { tiles, error } = findPlacedTiles(before, after);
+    if (error) {
+        return { error };
+    }
+
+    const placement = { tiles };
+    const validation = validatePlacement(before, placement);
+    if (!validation.valid) {
+        return { error: validation.error };
+    }
+
+    const { score, words, bingo } = scoreMove(before, placement);
+    const checked = words.map(w => ({ ...w, valid: hasWord(index, w.word) }));
+    const main = checked[0];
+
+    // Alle træk med præcis de samme brikker på hånden
+    const rack = tiles.map(tile => tile.blank ? '?' : tile.letter).join('');
+    const moves = generateMoves(index, before, rack);
+    const played = sameSquares(tiles);
+    const isPlayed = move => sameSquares(move.tiles) === played;
+
+    const allValid = checked.every(w => w.valid);
+    const bestScore = moves.length > 0 ? moves[0].score : null;
+    const limit = options.limit ?? DEFAULT_ALTERNATIVES;
+
+    return {
+        analysis: {
+            tiles,
+            word: main.word,
+            row: main.row,
+            col: main.col,
+            direction: main.direction,
+            score,
+            bingo,
+            words: checked,
+            allValid,
+            rack,
+            rank: allValid && moves.some(isPlayed) ? moves.filter(m => m.score > score).length + 1 : null,
+            totalMoves: moves.length,
+            bestScore,
+            missed: bestScore !== null ? Math.max(0, bestScore - (allValid ? score : 0)) : 0,
+            alternatives: moves.filter(move => !isPlayed(move)).slice(0, limit)
+        }
+    };
+}
+
+// Felter og bogstaver (uden jokermarkering) som en nøgle, uafhængig af rækkefølgen
+function sameSquares(tiles) {
+    return tiles
+        .map(tile => `${tile.row}:${tile.col}:${tile.letter.toUpperCase()}`)
+        .sort()
+        .join('|');
+}
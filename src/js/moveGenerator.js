@@ -0,0 +1,311 @@
+/**
+ * Move Generator
+ * Finds every legal placement on the board for a rack
+ * (anchor / cross-check search over the word index)
+ */
+
+import {
+    BOARD_SIZE,
+    CENTER,
+    getTile,
+    isBoardEmpty,
+    scoreMove
+} from './board.js';
+import { parseLetters } from './utils.js';
+import { RACK_SIZE } from './scoring.js';
+import { ROOT, NO_NODE, findChild, walk } from './wordIndex.js';
+
+// Every line of the board: the 15 rows (across), then the 15 columns (down)
+const LINE_COUNT = BOARD_SIZE * 2;
+
+/**
+ * Generate all legal moves for a rack, ranked by score
+ * @param {Object} index - From buildWordIndex
+ * @param {Object} board - Board from board.js
+ * @param {string} rackString - Rack letters, '?' for jokers (e.g. "MAND?E")
+ * @returns {Array<Object>} Array of { word, score, length, usedJokers, bingo, row, col, direction, tiles, words }
+ */
+export function generateMoves(index, board, rackString) {
+    const search = createMoveSearch(index, board, rackString);
+    search.step(Infinity);
+    return search.finish();
+}
+
+/**
+ * Start a move generation that can run in slices, one board line at a time
+ * step() searches the next lines, finish() ranks everything found - the
+ * same moves generateMoves returns. The worker uses this to notice
+ * cancellation and newer requests between slices.
+ * @param {Object} index - From buildWordIndex
+ * @param {Object} board - Board from board.js
+ * @param {string} rackString - Rack letters, '?' for jokers
+ * @returns {Object} { step(maxLines), finish(), done }
+ */
+export function createMoveSearch(index, board, rackString) {
+    const { letterCounts, wildcards } = parseLetters(rackString);
+    const rack = { letters: letterCounts, blanks: wildcards };
+
+    const found = new Map();
+    const boardEmpty = isBoardEmpty(board);
+    let nextLine = 0;
+    let crossChecks = null;
+
+    const search = {
+        done: false,
+
+        step(maxLines = 1) {
+            for (let n = 0; n < maxLines && nextLine < LINE_COUNT; n++, nextLine++) {
+                const direction = nextLine < BOARD_SIZE ? 'H' : 'V';
+                const line = nextLine % BOARD_SIZE;
+
+                // Krydstjek beregnes én gang pr. retning
+                if (line === 0) {
+                    crossChecks = computeCrossChecks(index, board, direction);
+                }
+                searchLine({ index, board, direction, line, crossChecks, rack, found }, boardEmpty);
+            }
+            search.done = nextLine >= LINE_COUNT;
+        },
+
+        finish() {
+            const moves = Array.from(found.values());
+            moves.sort((a, b) => {
+                if (b.score !== a.score) return b.score - a.score;
+                return a.usedJokers - b.usedJokers;
+            });
+            return moves;
+        }
+    };
+
+    return search;
+}
+
+/**
+ * Find the moves through every anchor of one row or column
+ * @param {Object} lineContext - { index, board, direction, line, crossChecks, rack, found }
+ * @param {boolean} boardEmpty
+ */
+function searchLine(lineContext, boardEmpty) {
+    const { index, board, direction, line } = lineContext;
+
+    for (let pos = 0; pos < BOARD_SIZE; pos++) {
+        if (!isAnchor(board, direction, line, pos, boardEmpty)) continue;
+
+        const context = { ...lineContext, anchor: pos, placed: [] };
+
+        if (pos > 0 && cellAt(board, direction, line, pos - 1)) {
+            // Brættet har allerede et præfiks til venstre for ankeret
+            let start = pos - 1;
+            while (start > 0 && cellAt(board, direction, line, start - 1)) {
+                start--;
+            }
+            let prefix = '';
+            for (let p = start; p < pos; p++) {
+                prefix += cellAt(board, direction, line, p).letter;
+            }
+            const node = walk(index, ROOT, prefix);
+            if (node !== NO_NODE) {
+                extendRight(context, node, pos);
+            }
+        } else {
+            let limit = 0;
+            for (let p = pos - 1; p >= 0; p--) {
+                if (cellAt(board, direction, line, p) || isAnchor(board, direction, line, p, boardEmpty)) break;
+                limit++;
+            }
+            leftPart(context, ROOT, Math.min(limit, RACK_SIZE - 1));
+        }
+    }
+}
+
+/**
+ * Build left parts of up to `limit` tiles on the empty squares
+ * before the anchor, then extend each of them to the right
+ */
+function leftPart(context, node, limit) {
+    extendRight(context, node, context.anchor);
+
+    if (limit <= 0) return;
+
+    forEachPlayable(context, node, null, (letter, child, blank) => {
+        context.placed.push({ letter, blank });
+        leftPart(context, child, limit - 1);
+        context.placed.pop();
+    });
+}
+
+/**
+ * Extend a partial word rightwards from `pos`
+ */
+function extendRight(context, node, pos) {
+    const { index, board, direction, line, anchor, crossChecks } = context;
+    const tile = pos < BOARD_SIZE ? cellAt(board, direction, line, pos) : null;
+
+    if (!tile) {
+        if (pos > anchor && index.terminal[node]) {
+            recordMove(context, pos);
+        }
+        if (pos >= BOARD_SIZE) return;
+
+        const allowed = crossChecks[line][pos];
+        forEachPlayable(context, node, allowed, (letter, child, blank) => {
+            context.placed.push({ letter, blank, pos });
+            extendRight(context, child, pos + 1);
+            context.placed.pop();
+        });
+        return;
+    }
+
+    const child = findChild(index, node, tile.letter);
+    if (child !== NO_NODE) {
+        extendRight(context, child, pos + 1);
+    }
+}
+
+/**
+ * Try every child letter of a node that the rack can supply
+ * (own tile first, then a joker)
+ */
+function forEachPlayable(context, node, allowed, visit) {
+    const { index, rack } = context;
+    const end = index.edgeStart[node + 1];
+
+    for (let e = index.edgeStart[node]; e < end; e++) {
+        const letter = index.edgeLetter[e];
+        const child = index.edgeTarget[e];
+        if (allowed && !allowed.has(letter)) continue;
+
+        const count = rack.letters.get(letter) || 0;
+        if (count > 0) {
+            rack.letters.set(letter, count - 1);
+            visit(letter, child, false);
+            rack.letters.set(letter, count);
+        }
+
+        if (rack.blanks > 0) {
+            rack.blanks--;
+            visit(letter, child, true);
+            rack.blanks++;
+        }
+    }
+}
+
+/**
+ * Turn the current partial placement into a scored move
+ * @param {number} endPos - First square after the word
+ */
+function recordMove(context, endPos) {
+    const { board, direction, line, placed, found } = context;
+    if (placed.length === 0) return;
+
+    // Brikker uden position er venstre-delen, som ligger lige før ankeret
+    const leftCount = placed.filter(p => p.pos === undefined).length;
+    const tiles = placed.map((p, i) => {
+        const pos = p.pos !== undefined ? p.pos : context.anchor - leftCount + i;
+        const [row, col] = toRowCol(direction, line, pos);
+        return { row, col, letter: p.letter, blank: p.blank };
+    });
+
+    const { score, words, bingo } = scoreMove(board, { tiles });
+    const mainWord = words.find(w => w.direction === direction) || words[0];
+    const usedJokers = tiles.filter(t => t.blank).length;
+
+    // Kun de lagte brikker: en brik der danner ord begge veje findes i begge
+    // retninger, men er ét træk. Uden joker-flag, så det rigtige bogstav vinder
+    const key = tiles.map(t => `${t.row}:${t.col}:${t.letter}`).join('|');
+    const existing = found.get(key);
+    if (existing && (existing.score > score || (existing.score === score && existing.usedJokers <= usedJokers))) {
+        return;
+    }
+
+    found.set(key, {
+        word: mainWord.word,
+        score,
+        length: mainWord.word.length,
+        usedJokers,
+        rackTilesUsed: tiles.length,
+        bingo,
+        row: mainWord.row,
+        col: mainWord.col,
+        direction: mainWord.direction,
+        tiles,
+        words
+    });
+}
+
+/**
+ * For every empty square, the set of letters that form a valid
+ * perpendicular word (null = no neighbours, anything goes)
+ * @returns {Array<Array<Set|null>>} Indexed [line][pos] for the direction
+ */
+function computeCrossChecks(index, board, direction) {
+    const cross = direction === 'H' ? 'V' : 'H';
+    const checks = [];
+
+    for (let line = 0; line < BOARD_SIZE; line++) {
+        const row = [];
+        for (let pos = 0; pos < BOARD_SIZE; pos++) {
+            if (cellAt(board, direction, line, pos)) {
+                row.push(null);
+                continue;
+            }
+
+            // Den vinkelrette linje er "pos", og feltet ligger på plads "line" i den
+            let before = '';
+            for (let p = line - 1; p >= 0 && cellAt(board, cross, pos, p); p--) {
+                before = cellAt(board, cross, pos, p).letter + before;
+            }
+            let after = '';
+            for (let p = line + 1; p < BOARD_SIZE && cellAt(board, cross, pos, p); p++) {
+                after += cellAt(board, cross, pos, p).letter;
+            }
+
+            if (!before && !after) {
+                row.push(null);
+                continue;
+            }
+
+            const allowed = new Set();
+            const prefixNode = walk(index, ROOT, before);
+            if (prefixNode !== NO_NODE) {
+                const edgeEnd = index.edgeStart[prefixNode + 1];
+                for (let e = index.edgeStart[prefixNode]; e < edgeEnd; e++) {
+                    const end = walk(index, index.edgeTarget[e], after);
+                    if (end !== NO_NODE && index.terminal[end]) {
+                        allowed.add(index.edgeLetter[e]);
+                    }
+                }
+            }
+            row.push(allowed);
+        }
+        checks.push(row);
+    }
+
+    return checks;
+}
+
+/**
+ * Anchors are empty squares next to a tile (or the center on an empty board)
+ */
+function isAnchor(board, direction, line, pos, boardEmpty) {
+    if (cellAt(board, direction, line, pos)) return false;
+
+    const [row, col] = toRowCol(direction, line, pos);
+    if (boardEmpty) {
+        return row === CENTER && col === CENTER;
+    }
+
+    return !!(getTile(board, row - 1, col) || getTile(board, row + 1, col) ||
+        getTile(board, row, col - 1) || getTile(board, row, col + 1));
+}
+
+/**
+ * Read a square along a line: horizontal lines are rows, vertical lines are columns
+ */
+function cellAt(board, direction, line, pos) {
+    return direction === 'H' ? getTile(board, line, pos) : getTile(board, pos, line);
+}
+
+function toRowCol(direction, line, pos) {
+    return direction === 'H' ? [line, pos] : [pos, line];
+}
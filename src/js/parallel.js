@@ -0,0 +1,359 @@
+/**
+ * Parallel Play Finder
+ * Plays laid alongside a word on the board, where every tile also forms
+ * a short cross word (mostly two-letter words). Cross words are checked
+ * against a small index of the two- and three-letter words.
+ */
+
+import {
+    BOARD_SIZE,
+    createBoard,
+    cloneBoard,
+    getTile,
+    isInBounds,
+    placeTile,
+    scoreMove
+} from './board.js';
+import { parseLetters } from './utils.js';
+import { getActiveRuleset } from './rulesets.js';
+import { ROOT, NO_NODE, findChild, walk } from './wordIndex.js';
+
+// Marks the open square in a slot key ("A_" = words of the form A + letter)
+const GAP = '_';
+
+// Cross words up to this length are looked up in the short word index
+const SHORT_WORD_MAX = 3;
+
+// A parallel play should form at least this many cross words
+const DEFAULT_MIN_OVERLAP = 2;
+
+/**
+ * Build the two- and three-letter word index
+ * For every short word and every position, the key with that letter
+ * replaced by '_' lists the letters that fit ("_A" → letters X with XA a word).
+ * @param {Object} index - Word index (from buildWordIndex or the packed file)
+ * @returns {Object} { two, three, slots } - two/three are Sets of words, slots a Map of key → Set
+ */
+export function buildShortWordIndex(index) {
+    const two = new Set();
+    const three = new Set();
+    const slots = new Map();
+
+    const collect = (node, prefix) => {
+        if (prefix.length >= 2 && index.terminal[node]) {
+            (prefix.length === 2 ? two : three).add(prefix);
+            for (let i = 0; i < prefix.length; i++) {
+                const key = prefix.slice(0, i) + GAP + prefix.slice(i + 1);
+                if (!slots.has(key)) {
+                    slots.set(key, new Set());
+                }
+                slots.get(key).add(prefix[i]);
+            }
+        }
+        if (prefix.length === SHORT_WORD_MAX) return;
+
+        const end = index.edgeStart[node + 1];
+        for (let e = index.edgeStart[node]; e < end; e++) {
+            collect(index.edgeTarget[e], prefix + index.edgeLetter[e]);
+        }
+    };
+
+    collect(ROOT, '');
+    return { two, three, slots };
+}
+
+/**
+ * Find plays parallel to a word on the board
+ * Only the two lines next to the word are searched (above/below for a
+ * horizontal word, left/right for a vertical one), and every play must
+ * lie alongside at least `minOverlap` of its letters.
+ * @param {Object} index - Word index
+ * @param {Object} shortWords - From buildShortWordIndex
+ * @param {Object} options - { word, row, col, direction, rack, board, minOverlap }
+ *   row/col are 0-based; board holds any other tiles (optional)
+ * @returns {Object} { results, error } - results are
+ *   { word, score, row, col, direction, side, tiles, words, crossWords, usedJokers, bingo }
+ */
+export function findParallelPlays(index, shortWords, options) {
+    if (!index || !shortWords) {
+        throw new Error('Wordlist not loaded');
+    }
+
+    const placed = placeWord(options);
+    if (placed.error) {
+        return { results: [], error: placed.error };
+    }
+
+    const { board, word, row, col, direction } = placed;
+    const { letterCounts, wildcards } = parseLetters(options.rack || '');
+    if (letterCounts.size === 0 && wildcards === 0) {
+        return { results: [], error: 'Skriv dine bogstaver først' };
+    }
+
+    const rack = { letters: letterCounts, blanks: wildcards };
+    const minOverlap = options.minOverlap ?? DEFAULT_MIN_OVERLAP;
+    const wordLine = direction === 'H' ? row : col;
+    const wordStart = direction === 'H' ? col : row;
+    const found = new Map();
+
+    for (const side of [-1, 1]) {
+        const line = wordLine + side;
+        if (line < 0 || line >= BOARD_SIZE) continue;
+
+        const lane = {
+            index,
+            board,
+            direction,
+            line,
+            side,
+            rack,
+            found,
+            minOverlap,
+            overlapFrom: wordStart,
+            overlapTo: wordStart + word.length - 1,
+            crossChecks: computeLineCrossChecks(index, shortWords, board, direction, line)
+        };
+
+        for (let start = 0; start < BOARD_SIZE; start++) {
+            // Ordet skal starte lige efter et tomt felt
+            if (start > 0 && cellAt(board, direction, line, start - 1)) continue;
+            extend(lane, ROOT, start, start, []);
+        }
+    }
+
+    const results = Array.from(found.values());
+    results.sort((a, b) => {
+        if (b.score !== a.score) return b.score - a.score;
+        if (b.crossWords !== a.crossWords) return b.crossWords - a.crossWords;
+        return a.usedJokers - b.usedJokers;
+    });
+
+    return { results, error: null };
+}
+
+/**
+ * Find where a word lies on the board (as a whole word, not part of a longer one)
+ * @param {Object} board
+ * @param {string} word - Any case
+ * @returns {Array<Object>} [{ row, col, direction }] 0-based, horizontal places first
+ */
+export function findWordOnBoard(board, word) {
+    const upper = (word || '').trim().toUpperCase();
+    const found = [];
+    if (upper.length < 2) return found;
+
+    for (const direction of ['H', 'V']) {
+        for (let line = 0; line < BOARD_SIZE; line++) {
+            let run = '';
+            for (let pos = 0; pos <= BOARD_SIZE; pos++) {
+                const tile = pos < BOARD_SIZE ? cellAt(board, direction, line, pos) : null;
+                if (tile) {
+                    run += tile.letter;
+                    continue;
+                }
+                if (run === upper) {
+                    const [row, col] = toRowCol(direction, line, pos - run.length);
+                    found.push({ row, col, direction });
+                }
+                run = '';
+            }
+        }
+    }
+    return found;
+}
+
+/**
+ * Put the given word on a copy of the board (or check it is already there)
+ * @returns {Object} { board, word, row, col, direction } or { error }
+ */
+function placeWord({ word, row, col, direction, board }) {
+    const upper = (word || '').trim().toUpperCase();
+    const { alphabet } = getActiveRuleset();
+
+    if (upper.length < 2 || [...upper].some(ch => !alphabet.includes(ch))) {
+        return { error: 'Skriv ordet på brættet (mindst 2 bogstaver)' };
+    }
+    if (direction !== 'H' && direction !== 'V') {
+        return { error: 'Vælg vandret eller lodret' };
+    }
+
+    const [dr, dc] = direction === 'H' ? [0, 1] : [1, 0];
+    const lastRow = row + dr * (upper.length - 1);
+    const lastCol = col + dc * (upper.length - 1);
+    if (!isInBounds(row, col) || !isInBounds(lastRow, lastCol)) {
+        return { error: 'Ordet går ud over brættet' };
+    }
+
+    const next = board ? cloneBoard(board) : createBoard();
+    for (let i = 0; i < upper.length; i++) {
+        const r = row + dr * i;
+        const c = col + dc * i;
+        const tile = getTile(next, r, c);
+        if (tile && tile.letter !== upper[i]) {
+            return { error: `Feltet (${r + 1}, ${c + 1}) har allerede ${tile.letter}` };
+        }
+        if (!tile) {
+            placeTile(next, r, c, upper[i]);
+        }
+    }
+
+    return { board: next, word: upper, row, col, direction };
+}
+
+/**
+ * Walk the word index along the line, placing rack tiles on open squares
+ * @param {Object} lane - Line being searched
+ * @param {number} node - Index node for the letters so far
+ * @param {number} start - First square of the play
+ * @param {number} pos - Current square
+ * @param {Array} tiles - Tiles placed so far: { pos, letter, blank }
+ */
+function extend(lane, node, start, pos, tiles) {
+    const { index, board, direction, line, crossChecks, rack } = lane;
+    const tile = pos < BOARD_SIZE ? cellAt(board, direction, line, pos) : null;
+
+    if (tile) {
+        const child = findChild(index, node, tile.letter);
+        if (child !== NO_NODE) {
+            extend(lane, child, start, pos + 1, tiles);
+        }
+        return;
+    }
+
+    if (pos - start >= 2 && index.terminal[node] && tiles.length > 0) {
+        recordPlay(lane, tiles);
+    }
+    if (pos >= BOARD_SIZE) return;
+
+    const allowed = crossChecks[pos];
+    const end = index.edgeStart[node + 1];
+    for (let e = index.edgeStart[node]; e < end; e++) {
+        const letter = index.edgeLetter[e];
+        if (allowed && !allowed.has(letter)) continue;
+        const child = index.edgeTarget[e];
+
+        const count = rack.letters.get(letter) || 0;
+        if (count > 0) {
+            rack.letters.set(letter, count - 1);
+            tiles.push({ pos, letter, blank: false });
+            extend(lane, child, start, pos + 1, tiles);
+            tiles.pop();
+            rack.letters.set(letter, count);
+        }
+
+        if (rack.blanks > 0) {
+            rack.blanks--;
+            tiles.push({ pos, letter, blank: true });
+            extend(lane, child, start, pos + 1, tiles);
+            tiles.pop();
+            rack.blanks++;
+        }
+    }
+}
+
+/**
+ * Score a finished play and keep it if it lies alongside the word
+ */
+function recordPlay(lane, tiles) {
+    const { board, direction, line, side, found, minOverlap, overlapFrom, overlapTo } = lane;
+
+    // Én brik er en krog, ikke et parallelt træk
+    if (tiles.length < 2) return;
+
+    const overlap = tiles.filter(t => t.pos >= overlapFrom && t.pos <= overlapTo).length;
+    if (overlap < Math.max(1, minOverlap)) return;
+
+    const placement = {
+        tiles: tiles.map(t => {
+            const [row, col] = toRowCol(direction, line, t.pos);
+            return { row, col, letter: t.letter, blank: t.blank };
+        })
+    };
+
+    const { score, words, bingo } = scoreMove(board, placement);
+    const main = words.find(w => w.direction === direction);
+    if (!main) return;
+
+    const usedJokers = placement.tiles.filter(t => t.blank).length;
+    const key = `${main.row},${main.col},${main.word}`;
+    const existing = found.get(key);
+    if (existing && (existing.score > score || (existing.score === score && existing.usedJokers <= usedJokers))) {
+        return;
+    }
+
+    found.set(key, {
+        word: main.word,
+        score,
+        row: main.row,
+        col: main.col,
+        direction,
+        side: side < 0 ? 'before' : 'after',
+        tiles: placement.tiles,
+        words,
+        crossWords: words.length - 1,
+        usedJokers,
+        bingo
+    });
+}
+
+/**
+ * Letters allowed on each square of one line (null = no cross word there)
+ * Short cross words come from the short word index, longer ones from the full index.
+ * @returns {Array<Set|null>} Indexed by position along the line
+ */
+function computeLineCrossChecks(index, shortWords, board, direction, line) {
+    const cross = direction === 'H' ? 'V' : 'H';
+    const checks = [];
+
+    for (let pos = 0; pos < BOARD_SIZE; pos++) {
+        if (cellAt(board, direction, line, pos)) {
+            checks.push(null);
+            continue;
+        }
+
+        let before = '';
+        for (let p = line - 1; p >= 0 && cellAt(board, cross, pos, p); p--) {
+            before = cellAt(board, cross, pos, p).letter + before;
+        }
+        let after = '';
+        for (let p = line + 1; p < BOARD_SIZE && cellAt(board, cross, pos, p); p++) {
+            after += cellAt(board, cross, pos, p).letter;
+        }
+
+        if (!before && !after) {
+            checks.push(null);
+        } else if (before.length + after.length + 1 <= SHORT_WORD_MAX) {
+            checks.push(shortWords.slots.get(before + GAP + after) || new Set());
+        } else {
+            checks.push(longCrossCheck(index, before, after));
+        }
+    }
+
+    return checks;
+}
+
+/**
+ * Letters that make before + letter + after a word (full index)
+ */
+function longCrossCheck(index, before, after) {
+    const allowed = new Set();
+    const prefixNode = walk(index, ROOT, before);
+    if (prefixNode === NO_NODE) return allowed;
+
+    const edgeEnd = index.edgeStart[prefixNode + 1];
+    for (let e = index.edgeStart[prefixNode]; e < edgeEnd; e++) {
+        const end = walk(index, index.edgeTarget[e], after);
+        if (end !== NO_NODE && index.terminal[end]) {
+            allowed.add(index.edgeLetter[e]);
+        }
+    }
+    return allowed;
+}
+
+function cellAt(board, direction, line, pos) {
+    return direction === 'H' ? getTile(board, line, pos) : getTile(board, pos, line);
+}
+
+function toRowCol(direction, line, pos) {
+    return direction === 'H' ? [line, pos] : [pos, line];
+}
@@ -0,0 +1,124 @@
+/**
+ * Rulesets
+ * Per-language Wordfeud tile values and tile distributions
+ * Shared by the main thread and the workers (no DOM access here)
+ */
+
+export const DEFAULT_LANGUAGE = 'da';
+
+/**
+ * Build a ruleset from a compact tile table
+ * @param {string} language - Language code (da, en, ...)
+ * @param {string} alphabet - All letters in sort order
+ * @param {string} vowels - Letters counted as vowels
+ * @param {number} blankCount - Number of blank tiles (jokers) in the bag
+ * @param {Object} tiles - letter -> [points, count]
+ * @returns {Object} { language, alphabet, vowels, blankCount, letterValues, tileCounts, totalTiles }
+ */
+function defineRuleset(language, alphabet, vowels, blankCount, tiles) {
+    const letterValues = {};
+    const tileCounts = {};
+    let totalTiles = blankCount;
+
+    for (const [letter, [points, count]] of Object.entries(tiles)) {
+        letterValues[letter] = points;
+        tileCounts[letter] = count;
+        totalTiles += count;
+    }
+
+    return Object.freeze({
+        language,
+        alphabet,
+        vowels,
+        blankCount,
+        letterValues: Object.freeze(letterValues),
+        tileCounts: Object.freeze(tileCounts),
+        totalTiles
+    });
+}
+
+// Wordfeud tile sets: letter -> [points, number of tiles]
+const RULESETS = {
+    da: defineRuleset('da', 'ABCDEFGHIJKLMNOPQRSTUVWXYZÆØÅ', 'AEIOUYÆØÅ', 2, {
+        'A': [1, 7], 'B': [3, 4], 'C': [8, 2], 'D': [2, 5], 'E': [1, 9],
+        'F': [3, 3], 'G': [3, 3], 'H': [4, 2], 'I': [3, 4], 'J': [4, 2],
+        'K': [3, 4], 'L': [2, 5], 'M': [4, 3], 'N': [1, 6], 'O': [2, 5],
+        'P': [4, 2], 'R': [1, 6], 'S': [2, 5], 'T': [2, 5], 'U': [3, 3],
+        'V': [4, 3], 'X': [8, 1], 'Y': [4, 2], 'Z': [9, 1],
+        'Æ': [4, 2], 'Ø': [4, 2], 'Å': [4, 2]
+    }),
+
+    en: defineRuleset('en', 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'AEIOU', 2, {
+        'A': [1, 10], 'B': [4, 2], 'C': [4, 2], 'D': [2, 5], 'E': [1, 12],
+        'F': [4, 2], 'G': [3, 3], 'H': [4, 3], 'I': [1, 9], 'J': [10, 1],
+        'K': [5, 1], 'L': [1, 4], 'M': [3, 2], 'N': [1, 6], 'O': [1, 7],
+        'P': [4, 2], 'Q': [10, 1], 'R': [1, 6], 'S': [1, 5], 'T': [1, 7],
+        'U': [2, 4], 'V': [4, 2], 'W': [4, 2], 'X': [8, 1], 'Y': [4, 2],
+        'Z': [10, 1]
+    }),
+
+    sv: defineRuleset('sv', 'ABCDEFGHIJKLMNOPQRSTUVWXYZÅÄÖ', 'AEIOUYÅÄÖ', 2, {
+        'A': [1, 9], 'B': [4, 2], 'C': [8, 1], 'D': [1, 5], 'E': [1, 8],
+        'F': [3, 2], 'G': [2, 3], 'H': [2, 2], 'I': [1, 5], 'J': [7, 1],
+        'K': [2, 3], 'L': [1, 5], 'M': [2, 3], 'N': [1, 6], 'O': [2, 6],
+        'P': [4, 2], 'R': [1, 8], 'S': [1, 8], 'T': [1, 9], 'U': [4, 3],
+        'V': [3, 2], 'X': [8, 1], 'Y': [7, 1], 'Z': [8, 1],
+        'Å': [4, 2], 'Ä': [4, 2], 'Ö': [4, 2]
+    }),
+
+    no: defineRuleset('no', 'ABCDEFGHIJKLMNOPQRSTUVWXYZÆØÅ', 'AEIOUYÆØÅ', 2, {
+        'A': [1, 7], 'B': [4, 3], 'C': [10, 1], 'D': [1, 5], 'E': [1, 9],
+        'F': [2, 4], 'G': [4, 4], 'H': [3, 3], 'I': [2, 5], 'J': [4, 2],
+        'K': [3, 4], 'L': [2, 5], 'M': [2, 3], 'N': [1, 6], 'O': [3, 4],
+        'P': [4, 2], 'R': [1, 7], 'S': [1, 7], 'T': [1, 7], 'U': [4, 3],
+        'V': [5, 3], 'W': [8, 1], 'Y': [6, 1],
+        'Æ': [8, 1], 'Ø': [4, 2], 'Å': [4, 2]
+    }),
+
+    nl: defineRuleset('nl', 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'AEIOU', 2, {
+        'A': [1, 7], 'B': [4, 2], 'C': [5, 2], 'D': [2, 5], 'E': [1, 18],
+        'F': [4, 2], 'G': [3, 3], 'H': [4, 2], 'I': [2, 4], 'J': [4, 2],
+        'K': [3, 3], 'L': [3, 3], 'M': [3, 3], 'N': [1, 10], 'O': [1, 6],
+        'P': [4, 2], 'Q': [10, 1], 'R': [2, 5], 'S': [2, 5], 'T': [2, 5],
+        'U': [2, 3], 'V': [4, 2], 'W': [5, 2], 'X': [8, 1], 'Y': [8, 1],
+        'Z': [5, 2]
+    }),
+
+    pt: defineRuleset('pt', 'ABCÇDEFGHIJKLMNOPQRSTUVWXYZ', 'AEIOU', 3, {
+        'A': [1, 14], 'B': [3, 3], 'C': [2, 4], 'Ç': [3, 2], 'D': [2, 5],
+        'E': [1, 11], 'F': [4, 2], 'G': [4, 2], 'H': [4, 2], 'I': [1, 10],
+        'J': [5, 2], 'L': [2, 5], 'M': [1, 6], 'N': [3, 4], 'O': [1, 10],
+        'P': [2, 4], 'Q': [6, 1], 'R': [1, 6], 'S': [1, 8], 'T': [1, 5],
+        'U': [1, 7], 'V': [4, 2], 'X': [8, 1], 'Z': [8, 1]
+    })
+};
+
+let activeRuleset = RULESETS[DEFAULT_LANGUAGE];
+
+/**
+ * Get the ruleset for a language (falls back to Danish)
+ * @param {string} lang - Language code
+ * @returns {Object} Ruleset
+ */
+export function getRuleset(lang) {
+    return RULESETS[lang] || RULESETS[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Select the ruleset used for scoring in this thread
+ * Main thread: from detectLanguage(); workers: from the loadWordlist message
+ * @param {string} lang - Language code
+ * @returns {Object} The selected ruleset
+ */
+export function setActiveRuleset(lang) {
+    activeRuleset = getRuleset(lang);
+    return activeRuleset;
+}
+
+/**
+ * Get the ruleset currently used for scoring
+ * @returns {Object} Ruleset
+ */
+export function getActiveRuleset() {
+    return activeRuleset;
+}
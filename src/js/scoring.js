@@ -1,29 +1,29 @@
 /**
  * Scoring System
  * Wordfeud letter values and point calculation
+ * Values come from the active language ruleset (see rulesets.js)
  */
 
-// Wordfeud letter values (from points.txt)
-export const LETTER_VALUES = {
-    'A': 1, 'E': 1, 'N': 1, 'R': 1,
-    'D': 2, 'L': 2, 'O': 2, 'S': 2, 'T': 2,
-    'B': 3, 'F': 3, 'G': 3, 'I': 3, 'K': 3, 'U': 3,
-    'H': 4, 'J': 4, 'M': 4, 'P': 4, 'V': 4, 'Y': 4, 'Æ': 4, 'Ø': 4, 'Å': 4,
-    'C': 8, 'X': 8,
-    'Z': 9
-};
+import { getRuleset, getActiveRuleset } from './rulesets.js';
+
+// Danish Wordfeud letter values (from points.txt)
+export const LETTER_VALUES = getRuleset('da').letterValues;
 
 // Wildcard characters give 0 points
 export const WILDCARD_CHARS = ['?', '_', '*', ' '];
 
+// Bingo: 40 extra points for using all seven rack tiles in one move
+export const RACK_SIZE = 7;
+export const BINGO_BONUS = 40;
+
 /**
- * Get the point value for a single letter
+ * Get the point value for a single letter in the active language
  * @param {string} letter - Single letter (A-Å)
  * @returns {number} Point value
  */
 export function getLetterValue(letter) {
     const upper = letter.toUpperCase();
-    return LETTER_VALUES[upper] || 0;
+    return getActiveRuleset().letterValues[upper] || 0;
 }
 
 /**
@@ -63,6 +63,40 @@ export function scoreWord(word, jokersUsed = 0) {
     return totalPoints;
 }
 
+/**
+ * Calculate the score for a word with known joker positions
+ * Unlike scoreWord, the jokers sit on exactly these letters (not
+ * necessarily the most expensive ones).
+ * @param {string} word - The word to score
+ * @param {Array<Object>} blanks - [{ position }] letters played as jokers
+ * @returns {number} Total score
+ */
+export function scoreWordWithBlanks(word, blanks = []) {
+    if (!word) {
+        return 0;
+    }
+
+    const blankPositions = new Set(blanks.map(b => b.position));
+    let totalPoints = 0;
+
+    for (let i = 0; i < word.length; i++) {
+        if (!blankPositions.has(i)) {
+            totalPoints += getLetterValue(word[i]);
+        }
+    }
+
+    return totalPoints;
+}
+
+/**
+ * Get the bingo bonus for a move
+ * @param {number} rackTilesUsed - Tiles taken from the rack (board letters excluded)
+ * @returns {number} BINGO_BONUS if all seven rack tiles are used, otherwise 0
+ */
+export function getBingoBonus(rackTilesUsed) {
+    return rackTilesUsed === RACK_SIZE ? BINGO_BONUS : 0;
+}
+
 /**
  * Calculate detailed scoring information
  * @param {string} word
@@ -0,0 +1,448 @@
+/**
+ * Screenshot Import
+ * Reads the board and the rack from a Wordfeud screenshot, locally:
+ * the grid is found from the periodic lines between the squares, tiles
+ * are told apart by their light colour and each letter is matched
+ * against rendered letter templates. No network, no OCR service.
+ * Works on plain RGBA pixel data ({ width, height, data }, like ImageData),
+ * so there is no DOM access here
+ */
+
+import { BOARD_SIZE, createBoard, placeTile } from './board.js';
+import { RACK_SIZE } from './scoring.js';
+
+// Letters are compared on a GLYPH_SIZE x GLYPH_SIZE grid
+const GLYPH_SIZE = 16;
+
+// Tiles are light and nearly grey/cream; premium squares are coloured, empty squares dark
+const TILE_MIN_LUMINANCE = 170;
+const TILE_MAX_CHROMA = 80;
+
+// Lines between squares must be this much darker than the square centres
+const MIN_GRID_CONTRAST = 6;
+
+// Matches below this correlation are flagged for the user to check
+export const MIN_CONFIDENCE = 0.6;
+
+// Part of a tile holding the point value (top right corner), as fractions of the tile
+const POINTS_CORNER = { x: 0.74, y: 0.34 };
+
+// Part of a square sampled for its colour and letter (drops borders and shadows)
+const INSET = 0.08;
+
+/**
+ * Build letter templates from rendered letters
+ * @param {string} alphabet - Letters to recognise
+ * @param {Function} renderLetter - letter -> { width, height, data }, a dark letter on a light background
+ * @returns {Array} [{ letter, features }]
+ */
+export function createGlyphTemplates(alphabet, renderLetter) {
+    const templates = [];
+    for (const letter of alphabet) {
+        const image = renderLetter(letter);
+        const glyph = extractGlyph(image, { x: 0, y: 0, width: image.width, height: image.height }, false);
+        if (glyph) {
+            templates.push({ letter, features: glyph.features });
+        }
+    }
+    return templates;
+}
+
+/**
+ * Recognise board and rack in a screenshot
+ * @param {Object} image - { width, height, data } (RGBA)
+ * @param {Array} templates - From createGlyphTemplates
+ * @returns {Object} { board, rack, uncertain, uncertainRack, tiles, grid } or { error }
+ *   uncertain: [{ row, col }] squares whose letter should be checked;
+ *   rack: letters string ('?' for a joker); uncertainRack: positions in rack to check
+ */
+export function readScreenshot(image, templates) {
+    if (!image || !image.width || !image.height || image.data.length < image.width * image.height * 4) {
+        return { error: 'Billedet kunne ikke læses' };
+    }
+    if (!templates || templates.length === 0) {
+        throw new Error('No letter templates');
+    }
+
+    const luminance = toLuminance(image);
+    const grid = detectGrid(image, luminance);
+    if (!grid) {
+        return { error: 'Fandt ikke brættet på billedet - brug et skærmbillede af hele brættet' };
+    }
+
+    const board = createBoard();
+    const uncertain = [];
+    let tiles = 0;
+
+    for (let row = 0; row < BOARD_SIZE; row++) {
+        for (let col = 0; col < BOARD_SIZE; col++) {
+            const square = {
+                x: grid.x + col * grid.cell,
+                y: grid.y + row * grid.cell,
+                width: grid.cell,
+                height: grid.cell
+            };
+            const match = readTile(image, luminance, square, templates);
+            if (!match) continue;
+
+            placeTile(board, row, col, match.letter, match.blank);
+            tiles++;
+            if (match.confidence < MIN_CONFIDENCE) {
+                uncertain.push({ row, col });
+            }
+        }
+    }
+
+    if (tiles === 0) {
+        return { error: 'Fandt brættet, men ingen brikker på det' };
+    }
+
+    const rack = readRack(image, luminance, grid, templates);
+    return { board, rack: rack.letters, uncertain, uncertainRack: rack.uncertain, tiles, grid };
+}
+
+/**
+ * Find the 15x15 grid from the lines between the squares
+ * Columns are searched first (the board is about as wide as the screen),
+ * then rows with the same square size.
+ * @returns {Object|null} { x, y, cell } in pixels
+ */
+export function detectGrid(image, luminance = toLuminance(image)) {
+    const { width, height } = image;
+
+    const columnProfile = new Float32Array(width);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            columnProfile[x] += luminance[y * width + x];
+        }
+    }
+
+    // Feltstørrelse fra en bred skærm ned til et bræt med lidt kant
+    let best = null;
+    for (let cell = width / 15; cell >= width / 17; cell -= 0.1) {
+        for (let x = 0; x + BOARD_SIZE * cell <= width; x++) {
+            const score = gridContrast(columnProfile, x, cell) / height;
+            if (!best || score > best.score) {
+                best = { x, cell, score };
+            }
+        }
+    }
+    if (!best || best.score < MIN_GRID_CONTRAST) return null;
+
+    const { x, cell } = best;
+    const boardWidth = Math.round(BOARD_SIZE * cell);
+    const rowProfile = new Float32Array(height);
+    for (let y = 0; y < height; y++) {
+        let sum = 0;
+        for (let i = 0; i < boardWidth; i++) {
+            sum += luminance[y * width + x + i];
+        }
+        rowProfile[y] = sum;
+    }
+
+    let bestRow = null;
+    for (let y = 0; y + BOARD_SIZE * cell <= height; y++) {
+        const score = gridContrast(rowProfile, y, cell) / boardWidth;
+        if (!bestRow || score > bestRow.score) {
+            bestRow = { y, score };
+        }
+    }
+    if (!bestRow || bestRow.score < MIN_GRID_CONTRAST) return null;
+
+    return { x, y: bestRow.y, cell };
+}
+
+/**
+ * How much darker the 16 lines are than the 15 square centres
+ * (signed, so a grid shifted by half a square scores low)
+ */
+function gridContrast(profile, start, cell) {
+    const sample = (pos) => {
+        const i = Math.round(pos);
+        const a = profile[Math.max(0, i - 1)];
+        const b = profile[Math.min(profile.length - 1, i)];
+        return (a + b) / 2;
+    };
+
+    let lines = 0;
+    let centres = 0;
+    for (let k = 0; k <= BOARD_SIZE; k++) {
+        lines += sample(start + k * cell);
+    }
+    for (let k = 0; k < BOARD_SIZE; k++) {
+        centres += sample(start + (k + 0.5) * cell);
+    }
+    return centres / BOARD_SIZE - lines / (BOARD_SIZE + 1);
+}
+
+/**
+ * Read the rack: the first band of tile-coloured squares below the board
+ * @returns {Object} { letters, uncertain } - '?' for a tile without a letter (joker);
+ *   uncertain holds the positions of letters to check
+ */
+function readRack(image, luminance, grid, templates) {
+    const { width, height } = image;
+    const top = Math.ceil(grid.y + BOARD_SIZE * grid.cell);
+    const minBand = grid.cell * 0.6;
+
+    const tileFraction = (y) => {
+        let count = 0;
+        for (let x = 0; x < width; x++) {
+            if (isTileColour(image, y * width + x)) count++;
+        }
+        return count / width;
+    };
+
+    let bandStart = -1;
+    let bandEnd = -1;
+    for (let y = top; y < height; y++) {
+        if (tileFraction(y) > 0.25) {
+            if (bandStart === -1) bandStart = y;
+            bandEnd = y;
+        } else if (bandStart !== -1) {
+            if (bandEnd - bandStart + 1 >= minBand) break;
+            bandStart = -1;
+        }
+    }
+    if (bandStart === -1 || bandEnd - bandStart + 1 < minBand) {
+        return { letters: '', uncertain: [] };
+    }
+
+    // En søjle hører til en brik når det meste af den har brikkens farve (bogstavet er mørkt)
+    const columnInTile = (x) => {
+        let count = 0;
+        for (let y = bandStart; y <= bandEnd; y++) {
+            if (isTileColour(image, y * width + x)) count++;
+        }
+        return count / (bandEnd - bandStart + 1) > 0.3;
+    };
+
+    const runs = [];
+    let runStart = -1;
+    let gap = 0;
+    for (let x = 0; x <= width; x++) {
+        const inside = x < width && columnInTile(x);
+        if (inside) {
+            if (runStart === -1) runStart = x;
+            gap = 0;
+        } else if (runStart !== -1 && (++gap > 2 || x === width)) {
+            const end = x - gap;
+            if (end - runStart + 1 >= grid.cell * 0.5) {
+                runs.push({ start: runStart, end });
+            }
+            runStart = -1;
+            gap = 0;
+        }
+    }
+
+    let letters = '';
+    const uncertain = [];
+    for (const run of runs.slice(0, RACK_SIZE)) {
+        const square = { x: run.start, y: bandStart, width: run.end - run.start + 1, height: bandEnd - bandStart + 1 };
+        const match = matchGlyph(extractGlyph(image, square, true, luminance), templates);
+        if (!match) {
+            // En tom brik på hånden er en joker
+            letters += '?';
+            continue;
+        }
+        if (match.confidence < MIN_CONFIDENCE) {
+            uncertain.push(letters.length);
+        }
+        letters += match.letter;
+    }
+    return { letters, uncertain };
+}
+
+/**
+ * Recognise the tile on one square
+ * @returns {Object|null} { letter, blank, confidence } or null for an empty square
+ */
+function readTile(image, luminance, square, templates) {
+    const inner = insetSquare(square);
+    if (!isTileSquare(image, inner)) return null;
+
+    const glyph = extractGlyph(image, square, true, luminance);
+    const match = matchGlyph(glyph, templates);
+    if (!match) return null;
+
+    // Jokere har ingen point i hjørnet
+    return { letter: match.letter, blank: !glyph.hasPoints, confidence: match.confidence };
+}
+
+/**
+ * Check the median colour of a square against the tile colour
+ */
+function isTileSquare(image, square) {
+    const reds = [];
+    const greens = [];
+    const blues = [];
+    for (let y = square.y; y < square.y + square.height; y += 2) {
+        for (let x = square.x; x < square.x + square.width; x += 2) {
+            const i = (Math.floor(y) * image.width + Math.floor(x)) * 4;
+            reds.push(image.data[i]);
+            greens.push(image.data[i + 1]);
+            blues.push(image.data[i + 2]);
+        }
+    }
+    return isTileRgb(median(reds), median(greens), median(blues));
+}
+
+function isTileColour(image, pixel) {
+    const i = pixel * 4;
+    return isTileRgb(image.data[i], image.data[i + 1], image.data[i + 2]);
+}
+
+function isTileRgb(r, g, b) {
+    return 0.299 * r + 0.587 * g + 0.114 * b >= TILE_MIN_LUMINANCE &&
+        Math.max(r, g, b) - Math.min(r, g, b) <= TILE_MAX_CHROMA;
+}
+
+/**
+ * Cut out the letter of a tile and scale it to the glyph grid
+ * Dark pixels ("ink") are found against the tile's own background; the
+ * point value in the top right corner is left out of the letter.
+ * @param {Object} image
+ * @param {Object} square - { x, y, width, height }
+ * @param {boolean} skipPoints - Leave out the points corner (tiles, not templates)
+ * @param {Float32Array} luminance - Precomputed luminance (optional)
+ * @returns {Object|null} { features, hasPoints } or null if there is no letter
+ */
+function extractGlyph(image, square, skipPoints, luminance = null) {
+    const inner = skipPoints ? insetSquare(square) : square;
+    const x0 = Math.floor(inner.x);
+    const y0 = Math.floor(inner.y);
+    const w = Math.max(1, Math.floor(inner.width));
+    const h = Math.max(1, Math.floor(inner.height));
+
+    const lum = (x, y) => {
+        const p = (y0 + y) * image.width + (x0 + x);
+        if (luminance) return luminance[p];
+        const i = p * 4;
+        return 0.299 * image.data[i] + 0.587 * image.data[i + 1] + 0.114 * image.data[i + 2];
+    };
+
+    const values = [];
+    let darkest = 255;
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            const v = lum(x, y);
+            values.push(v);
+            if (v < darkest) darkest = v;
+        }
+    }
+    const background = median(values);
+    if (background - darkest < 40) return null;
+    const threshold = (background + darkest) / 2;
+
+    const inCorner = (x, y) => x >= w * POINTS_CORNER.x && y <= h * POINTS_CORNER.y;
+    let minX = w;
+    let minY = h;
+    let maxX = -1;
+    let maxY = -1;
+    let ink = 0;
+    let cornerInk = 0;
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            if (values[y * w + x] >= threshold) continue;
+            if (skipPoints && inCorner(x, y)) {
+                cornerInk++;
+                continue;
+            }
+            ink++;
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+    }
+    if (ink < w * h * 0.02) return null;
+
+    // Kvadratisk udsnit om bogstavet, så smalle bogstaver (I) beholder formen
+    const side = Math.max(maxX - minX + 1, maxY - minY + 1);
+    const left = (minX + maxX + 1) / 2 - side / 2;
+    const top = (minY + maxY + 1) / 2 - side / 2;
+
+    // Hvert felt i gitteret er gennemsnittet af de pixels det dækker (mindst én)
+    const isInk = (x, y) => x >= 0 && y >= 0 && x < w && y < h &&
+        values[y * w + x] < threshold && !(skipPoints && inCorner(x, y));
+    const step = side / GLYPH_SIZE;
+    const features = new Float32Array(GLYPH_SIZE * GLYPH_SIZE);
+    for (let gy = 0; gy < GLYPH_SIZE; gy++) {
+        const y1 = Math.floor(top + gy * step);
+        const y2 = Math.max(y1, Math.ceil(top + (gy + 1) * step) - 1);
+        for (let gx = 0; gx < GLYPH_SIZE; gx++) {
+            const x1 = Math.floor(left + gx * step);
+            const x2 = Math.max(x1, Math.ceil(left + (gx + 1) * step) - 1);
+            let sum = 0;
+            for (let y = y1; y <= y2; y++) {
+                for (let x = x1; x <= x2; x++) {
+                    if (isInk(x, y)) sum++;
+                }
+            }
+            features[gy * GLYPH_SIZE + gx] = sum / ((y2 - y1 + 1) * (x2 - x1 + 1));
+        }
+    }
+
+    return { features: normalize(features), hasPoints: cornerInk > w * h * 0.004 };
+}
+
+/**
+ * Best template by correlation
+ * @returns {Object|null} { letter, confidence }
+ */
+function matchGlyph(glyph, templates) {
+    if (!glyph) return null;
+
+    let best = null;
+    for (const template of templates) {
+        let score = 0;
+        for (let i = 0; i < glyph.features.length; i++) {
+            score += glyph.features[i] * template.features[i];
+        }
+        if (!best || score > best.confidence) {
+            best = { letter: template.letter, confidence: score };
+        }
+    }
+    return best;
+}
+
+function normalize(features) {
+    let mean = 0;
+    for (const v of features) mean += v;
+    mean /= features.length;
+
+    let norm = 0;
+    for (let i = 0; i < features.length; i++) {
+        features[i] -= mean;
+        norm += features[i] * features[i];
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < features.length; i++) {
+        features[i] /= norm;
+    }
+    return features;
+}
+
+function insetSquare(square) {
+    return {
+        x: square.x + square.width * INSET,
+        y: square.y + square.height * INSET,
+        width: square.width * (1 - 2 * INSET),
+        height: square.height * (1 - 2 * INSET)
+    };
+}
+
+function toLuminance(image) {
+    const { width, height, data } = image;
+    const luminance = new Float32Array(width * height);
+    for (let p = 0; p < luminance.length; p++) {
+        const i = p * 4;
+        luminance[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+    return luminance;
+}
+
+function median(values) {
+    const sorted = Array.from(values).sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
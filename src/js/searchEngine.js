@@ -1,17 +1,19 @@
 /**
  * Search Engine
  * Core word search logic with filters and sorting
+ * Shared by the main thread and the search worker - no DOM or loader state here,
+ * the caller passes the word index and leave table to search with
  */
 
-import { getWordlist } from './wordlistLoader.js';
-import { scoreWord } from './scoring.js';
+import { createRackWalk } from './wordIndex.js';
+import { scoreWordWithBlanks, getBingoBonus } from './scoring.js';
+import { getLeaveValue, computeLeave } from './leave.js';
+import { findBoardPositions, parseLanes } from './boardPattern.js';
 import {
     parseLetters,
-    canFormWord,
     compareDanish,
-    normalizeString,
     buildExtraLettersFromPattern,
-    canFormWordWithExtras
+    assignBlanks
 } from './utils.js';
 
 
@@ -19,76 +21,167 @@ import {
  * Search for words matching the given letters and filters
  * @param {string} lettersString - User's letters (e.g., "MAND?E")
  * @param {Object} filters - Filter configuration
- * @returns {Array<Object>} Array of { word, score, length, usedJokers }
+ * @param {Object} source - { index, leaveTable } word index and leave table for the active language
+ * @returns {Object} { results, elapsedMs, totalFound, lanes } - results are
+ *   { word, score, length, usedJokers, blanks, rackTilesUsed, bingo, leave, leaveValue, equity, lane }
+ *   where blanks lists the letters to play as jokers: [{ position, letter }]
+ *   and lane is the index into lanes ([{ label, pattern, minLength, maxLength, found }])
  */
-export function searchWords(lettersString, filters = {}) {
+export function searchWords(lettersString, filters = {}, source) {
+    const search = createSearch(lettersString, filters, source);
+    search.step(Infinity);
+    return search.finish();
+}
+
+/**
+ * Start a search that can run in slices
+ * step() returns the words found in that slice (unsorted), finish() sorts
+ * everything found - the same results searchWords returns. The worker uses
+ * this to send partial batches and to notice cancellation between slices.
+ * With several lanes in "På bordet" each lane gets its own walk (its own
+ * board letters and length window), one after the other.
+ * @param {string} lettersString - User's letters
+ * @param {Object} filters - Filter configuration
+ * @param {Object} source - { index, leaveTable }
+ * @returns {Object} { step(maxSteps), finish(), done }
+ */
+export function createSearch(lettersString, filters = {}, source) {
     const startTime = performance.now();
 
+    if (!source || !source.index) {
+        throw new Error('Wordlist not loaded');
+    }
+
     // Parse available letters and wildcards
     const { letterCounts, wildcards } = parseLetters(lettersString);
 
-    // Ekstra bogstaver fra "På bordet"-mønsteret
-    const extraLetters = buildExtraLettersFromPattern(filters.boardPattern);
-
-    // Get all words from wordlist
-    const allWords = getWordlist();
-
-    // Filter and score words (using Set to avoid duplicates)
+    const { index, leaveTable } = source;
+    const lanes = getLanes(filters);
     const results = [];
-    const seenWords = new Set();
-
-    for (const word of allWords) {
-        // Normalize word for duplicate checking
-        const normalizedWord = word.toUpperCase().trim();
-
-        // Skip if we've already added this word
-        if (seenWords.has(normalizedWord)) {
-            continue;
-        }
 
-        // Check if word can be formed from available letters
-        const { canForm, wildcardsUsed, usedUserLetters } =
-            extraLetters && extraLetters.size > 0
-                ? canFormWordWithExtras(word, letterCounts, wildcards, extraLetters)
-                : canFormWord(word, letterCounts, wildcards);
-        if (!canForm) {
-            continue;
-        }
-
-        // MUST use at least one user letter (not just board letters and jokers)
-        if (!usedUserLetters) {
-            continue;
-        }
+    const walks = lanes.map((lane, laneIndex) => {
+        // Ekstra bogstaver fra linjens mønster
+        const extraLetters = buildExtraLettersFromPattern(lane.pattern);
+
+        // Walk the word index - only branches the rack can spell are visited
+        const walk = createRackWalk(index, letterCounts, wildcards, extraLetters,
+            Math.min(getMaxLength(filters), lane.maxLength ?? Infinity));
+
+        const visit = (word, { wildcardsUsed, usedUserLetters, rackTilesUsed }) => {
+            // MUST use at least one user letter (not just board letters and jokers)
+            if (!usedUserLetters) {
+                return;
+            }
+
+            // Apply filters
+            if (!passesLengthFilter(word.length, filters) || !passesLane(word, lane)) {
+                return;
+            }
+
+            // Which letters are jokers: the board letters are fixed, own tiles
+            // cover what they can and the jokers take the rest
+            const boardPositions = lane.pattern ? findBoardPositions(word, lane.pattern) : [];
+            const blanks = assignBlanks(word, letterCounts, boardPositions);
+
+            // Calculate score (including bingo bonus for all seven rack tiles)
+            const bingoBonus = getBingoBonus(rackTilesUsed);
+            const score = scoreWordWithBlanks(word, blanks) + bingoBonus;
+
+            // Brikker der bliver tilbage på hånden
+            const leave = computeLeave(word, letterCounts, wildcards, extraLetters);
+            const leaveValue = getLeaveValue(leave, leaveTable);
+
+            lane.found++;
+            results.push({
+                word,
+                score,
+                length: word.length,
+                usedJokers: wildcardsUsed,
+                blanks,
+                rackTilesUsed,
+                bingo: bingoBonus > 0,
+                leave,
+                leaveValue,
+                equity: Math.round((score + leaveValue) * 10) / 10,
+                lane: laneIndex
+            });
+        };
+
+        return { walk, visit };
+    });
+
+    let current = 0;
+
+    const search = {
+        done: false,
+
+        /**
+         * Continue the search
+         * @param {number} maxSteps - Index edges to walk (per lane) before returning
+         * @returns {Array<Object>} Results found in this slice
+         */
+        step(maxSteps) {
+            const before = results.length;
+            while (current < walks.length && walks[current].walk.step(walks[current].visit, maxSteps)) {
+                current++;
+            }
+            search.done = current === walks.length;
+            return results.slice(before);
+        },
+
+        /**
+         * Sort and return everything found so far
+         * @returns {Object} { results, elapsedMs, totalFound, lanes }
+         */
+        finish() {
+            // Sort results
+            sortResults(results, filters.sortBy || 'score');
+
+            // Flere linjer: grupper efter linje (sorteringen er stabil)
+            if (lanes.length > 1) {
+                results.sort((a, b) => a.lane - b.lane);
+            }
+
+            const elapsedMs = Math.round(performance.now() - startTime);
 
-        // Apply filters
-        if (!passesFilters(word, filters)) {
-            continue;
+            return {
+                results,
+                elapsedMs,
+                totalFound: results.length,
+                lanes
+            };
         }
+    };
 
-        // Calculate score
-        const score = scoreWord(word, wildcardsUsed);
-
-        results.push({
-            word,
-            score,
-            length: word.length,
-            usedJokers: wildcardsUsed
-        });
+    return search;
+}
 
-        // Mark word as seen (using normalized version)
-        seenWords.add(normalizedWord);
+/**
+ * Lanes to search - an empty "På bordet" field is one lane without a pattern
+ * @param {Object} filters
+ * @returns {Array<Object>} [{ label, pattern, minLength, maxLength, found }]
+ */
+function getLanes(filters) {
+    const { lanes, error } = parseLanes(filters.boardPattern);
+    if (error) {
+        throw new Error(error);
     }
+    if (lanes.length === 0) {
+        return [{ label: null, pattern: '', minLength: null, maxLength: null, found: 0 }];
+    }
+    return lanes.map(lane => ({ ...lane, found: 0 }));
+}
 
-    // Sort results
-    sortResults(results, filters.sortBy || 'score');
-
-    const elapsedMs = Math.round(performance.now() - startTime);
-
-    return {
-        results,
-        elapsedMs,
-        totalFound: results.length
-    };
+/**
+ * Check a word against one lane: its pattern and its own length window
+ * @param {string} wordUpper - Word in uppercase
+ * @param {Object} lane - From parseLanes
+ * @returns {boolean}
+ */
+function passesLane(wordUpper, lane) {
+    if (lane.minLength != null && wordUpper.length < lane.minLength) return false;
+    if (lane.maxLength != null && wordUpper.length > lane.maxLength) return false;
+    return !lane.pattern || matchesBoardPattern(wordUpper, lane.pattern);
 }
 
 /**
@@ -100,10 +193,10 @@ export function searchWords(lettersString, filters = {}) {
 export function passesFilters(word, filters) {
     const wordUpper = word.toUpperCase();
 
-    // "På bordet" mønster
+    // "På bordet" mønster - med flere linjer skal ordet passe i mindst én
     if (filters.boardPattern) {
-        const pattern = normalizeString(filters.boardPattern);
-        if (pattern && !matchesBoardPattern(wordUpper, pattern)) {
+        const { lanes } = parseLanes(filters.boardPattern);
+        if (!lanes || (lanes.length > 0 && !lanes.some(lane => passesLane(wordUpper, lane)))) {
             return false;
         }
     }
@@ -121,53 +214,15 @@ export function passesFilters(word, filters) {
  * - Bogstav = skal matche det bogstav
  * - '.'     = præcis ét vilkårligt bogstav
  * - '*'     = 0 eller flere vilkårlige bogstaver
+ * - '#', '@', '[AEI]', '[^S]' og {n,m} - se boardPattern.js
  * Der matches på HELE ordet (^)...($).
- * Security: Enhanced regex validation to prevent ReDoS attacks
+ * Security: Length and wildcard limits (see boardPattern.js)
+ * @param {string} wordUpper - Word in uppercase
+ * @param {string} pattern - Board pattern
+ * @returns {boolean}
  */
-function matchesBoardPattern(wordUpper, pattern) {
-    const trimmed = pattern.trim().toUpperCase();
-    if (!trimmed) return true;
-
-    // Security: Limit pattern length to prevent ReDoS
-    if (trimmed.length > 50) {
-        console.warn('Board pattern too long, rejecting');
-        return false;
-    }
-
-    let regexSource = '';
-    let wildcardCount = 0;
-
-    const escapeRegexChar = (ch) => ch.replace(/[-/\\^$+?()[\]{}|]/g, '\\$&');
-
-    for (const ch of trimmed) {
-        if (ch === '.') {
-            regexSource += '.';
-            wildcardCount++;
-        } else if (ch === '*') {
-            regexSource += '.*';
-            wildcardCount++;
-        } else if (ch === ' ') {
-            // ignorer mellemrum
-            continue;
-        } else {
-            regexSource += escapeRegexChar(ch);
-        }
-    }
-
-    // Security: Prevent excessive wildcards that could cause ReDoS
-    if (wildcardCount > 15) {
-        console.warn('Too many wildcards in pattern, rejecting');
-        return false;
-    }
-
-    try {
-        const regex = new RegExp(`^${regexSource}$`);
-        return regex.test(wordUpper);
-    } catch (e) {
-        // Security: Catch any regex errors
-        console.error('Invalid regex pattern:', e);
-        return false;
-    }
+export function matchesBoardPattern(wordUpper, pattern) {
+    return findBoardPositions(wordUpper, pattern) !== null;
 }
 
 /**
@@ -176,7 +231,7 @@ function matchesBoardPattern(wordUpper, pattern) {
  * @param {Object} filters
  * @returns {boolean}
  */
-function passesLengthFilter(length, filters) {
+export function passesLengthFilter(length, filters) {
     const mode = filters.lengthMode || 'all';
 
     switch (mode) {
@@ -198,11 +253,26 @@ function passesLengthFilter(length, filters) {
 }
 
 /**
- * Sort results array in-place
+ * Longest word the length filter allows (prunes the index walk)
+ * @param {Object} filters
+ * @returns {number}
+ */
+export function getMaxLength(filters) {
+    if (filters.lengthMode === 'exact' && filters.exactLength != null) {
+        return filters.exactLength;
+    }
+    if (filters.lengthMode === 'range' && filters.maxLength != null) {
+        return filters.maxLength;
+    }
+    return 15;
+}
+
+/**
+ * Sort results array in-place (word results and board moves)
  * @param {Array<Object>} results
- * @param {string} sortBy - 'score', 'length', or 'alpha'
+ * @param {string} sortBy - 'score', 'equity', 'length', or 'alpha'
  */
-function sortResults(results, sortBy) {
+export function sortResults(results, sortBy) {
     switch (sortBy) {
         case 'score':
             // 1) Descending by score, 2) fewest jokers used, 3) points per letter (efficiency)
@@ -221,6 +291,16 @@ function sortResults(results, sortBy) {
             });
             break;
 
+        case 'equity':
+            // Score plus the value of the tiles kept, then score
+            results.sort((a, b) => {
+                if (b.equity !== a.equity) {
+                    return b.equity - a.equity;
+                }
+                return b.score - a.score;
+            });
+            break;
+
         case 'length':
             // Descending by length, then by score descending
             results.sort((a, b) => {
@@ -248,6 +328,13 @@ function sortResults(results, sortBy) {
  * @returns {Object} { valid: boolean, error: string }
  */
 export function validateFilters(filters) {
+    if (filters.boardPattern) {
+        const { error } = parseLanes(filters.boardPattern);
+        if (error) {
+            return { valid: false, error };
+        }
+    }
+
     if (filters.lengthMode === 'exact') {
         const exact = filters.exactLength;
         if (exact != null && (exact < 2 || exact > 15)) {
@@ -0,0 +1,100 @@
+/**
+ * Study Lists
+ * All two- and three-letter words in the loaded wordlist, grouped by first
+ * letter with their tile scores, and a quiz that mixes real words with
+ * look-alikes. Built from the short word index (see parallel.js), so the
+ * lists always follow the wordlist and language in use.
+ */
+
+import { getActiveRuleset } from './rulesets.js';
+
+// Lengths with a study list
+export const STUDY_LENGTHS = [2, 3];
+
+// Share of quiz questions that show a real word
+const VALID_SHARE = 0.5;
+
+// Attempts at making a look-alike that is not a word
+const MAX_PHONY_TRIES = 20;
+
+/**
+ * Build the study list for one word length
+ * @param {Object} shortWords - From buildShortWordIndex
+ * @param {number} length - 2 or 3
+ * @returns {Object} { length, total, groups: [{ letter, words: [{ word, score }] }] }
+ *   groups and words are in alphabet order (e.g. Æ, Ø, Å last)
+ */
+export function buildStudyList(shortWords, length) {
+    const words = getWords(shortWords, length);
+    const { alphabet, letterValues } = getActiveRuleset();
+    const rank = (word) => [...word].map(ch => alphabet.indexOf(ch));
+
+    const sorted = Array.from(words).sort((a, b) => {
+        const ra = rank(a);
+        const rb = rank(b);
+        for (let i = 0; i < ra.length; i++) {
+            if (ra[i] !== rb[i]) return ra[i] - rb[i];
+        }
+        return 0;
+    });
+
+    const groups = [];
+    for (const word of sorted) {
+        let group = groups[groups.length - 1];
+        if (!group || group.letter !== word[0]) {
+            group = { letter: word[0], words: [] };
+            groups.push(group);
+        }
+        const score = [...word].reduce((sum, ch) => sum + (letterValues[ch] || 0), 0);
+        group.words.push({ word, score });
+    }
+
+    return { length, total: sorted.length, groups };
+}
+
+/**
+ * Pick a quiz question
+ * About half the questions show a real word; the rest change one letter of
+ * a real word, so the wrong ones look plausible.
+ * @param {Object} shortWords - From buildShortWordIndex
+ * @param {number} length - 2 or 3
+ * @param {Function} random - Returns a number in [0, 1) (Math.random by default)
+ * @returns {Object|null} { word, valid }, or null when there are no words of that length
+ */
+export function createQuizQuestion(shortWords, length, random = Math.random) {
+    const valid = getWords(shortWords, length);
+    const words = Array.from(valid);
+    if (words.length === 0) {
+        return null;
+    }
+
+    const pick = (items) => items[Math.floor(random() * items.length)];
+    const real = pick(words);
+    if (random() < VALID_SHARE) {
+        return { word: real, valid: true };
+    }
+
+    const { alphabet } = getActiveRuleset();
+    const letters = [...alphabet];
+    for (let i = 0; i < MAX_PHONY_TRIES; i++) {
+        const base = pick(words);
+        const pos = Math.floor(random() * length);
+        const word = base.slice(0, pos) + pick(letters) + base.slice(pos + 1);
+        if (!valid.has(word)) {
+            return { word, valid: false };
+        }
+    }
+
+    // Næsten alle kombinationer er ord - vis et rigtigt
+    return { word: real, valid: true };
+}
+
+function getWords(shortWords, length) {
+    if (!shortWords) {
+        throw new Error('Wordlist not loaded');
+    }
+    if (!STUDY_LENGTHS.includes(length)) {
+        throw new Error(`No study list for length ${length}`);
+    }
+    return length === 2 ? shortWords.two : shortWords.three;
+}
@@ -0,0 +1,164 @@
+/**
+ * Tile Tracker
+ * Counts which tiles are still unseen (in the bag or on the opponent's rack)
+ */
+
+import { parseLetters } from './utils.js';
+import { RACK_SIZE } from './scoring.js';
+
+// Key used for blanks (jokers) in tile count maps
+export const BLANK = '?';
+
+// Tiles worth this much or more get a warning while still unseen
+const HIGH_VALUE_THRESHOLD = 8;
+
+/**
+ * Get the full tile distribution for a ruleset
+ * @param {Object} ruleset - From rulesets.js
+ * @returns {Map} letter -> count, blanks under BLANK
+ */
+export function createFullBag(ruleset) {
+    const bag = new Map(Object.entries(ruleset.tileCounts));
+    bag.set(BLANK, ruleset.blankCount);
+    return bag;
+}
+
+/**
+ * Count tiles from a letters string ('?' = blank)
+ * @param {string} lettersString
+ * @returns {Map} letter -> count, blanks under BLANK
+ */
+export function countTiles(lettersString) {
+    // Mellemrum er kun adskillelse her - ikke jokere
+    const { letterCounts, wildcards } = parseLetters((lettersString || '').replace(/\s+/g, ''));
+    const counts = new Map(letterCounts);
+    if (wildcards > 0) {
+        counts.set(BLANK, wildcards);
+    }
+    return counts;
+}
+
+/**
+ * Count the tiles lying on a board (blanks count as BLANK, not their letter)
+ * @param {Object} board - Board from board.js
+ * @returns {Map}
+ */
+export function countBoardTiles(board) {
+    const counts = new Map();
+    for (const tile of board.tiles) {
+        if (!tile) continue;
+        const key = tile.blank ? BLANK : tile.letter;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Subtract seen tiles from the full distribution
+ * @param {Object} ruleset - From rulesets.js
+ * @param {Object} seen - { board, played, rack } (all optional)
+ *   board: Board from board.js, played: letters string of tiles on the board,
+ *   rack: own letters string
+ * @returns {Object} { counts: Map, total: number, overdrawn: Array<string> }
+ */
+export function computeUnseenTiles(ruleset, seen = {}) {
+    const counts = createFullBag(ruleset);
+    const overdrawn = new Set();
+
+    const subtract = (tiles) => {
+        for (const [letter, count] of tiles) {
+            const remaining = (counts.get(letter) || 0) - count;
+            if (remaining < 0) {
+                // Flere set end der findes - typisk en tastefejl
+                overdrawn.add(letter);
+            }
+            counts.set(letter, Math.max(0, remaining));
+        }
+    };
+
+    if (seen.board) subtract(countBoardTiles(seen.board));
+    if (seen.played) subtract(countTiles(seen.played));
+    if (seen.rack) subtract(countTiles(seen.rack));
+
+    let total = 0;
+    for (const count of counts.values()) {
+        total += count;
+    }
+
+    return { counts, total, overdrawn: Array.from(overdrawn) };
+}
+
+/**
+ * Get how many of a letter are still unseen
+ * @param {Object} unseen - From computeUnseenTiles
+ * @param {string} letter - Letter or BLANK
+ * @returns {number}
+ */
+export function getUnseenCount(unseen, letter) {
+    return unseen.counts.get(letter.toUpperCase()) || 0;
+}
+
+/**
+ * Get the number of tiles left in the bag
+ * (unseen tiles minus the opponent's rack)
+ * @param {Object} unseen - From computeUnseenTiles
+ * @param {number} opponentTiles - Tiles on the opponent's rack (7 until the bag runs out)
+ * @returns {number}
+ */
+export function getBagCount(unseen, opponentTiles = RACK_SIZE) {
+    return Math.max(0, unseen.total - opponentTiles);
+}
+
+/**
+ * List unseen tiles as a flat array in alphabet order, blanks last
+ * @param {Object} unseen - From computeUnseenTiles
+ * @param {Object} ruleset - From rulesets.js
+ * @returns {Array<Object>} [{ letter, count, total }]
+ */
+export function listUnseenTiles(unseen, ruleset) {
+    const letters = [...ruleset.alphabet].filter(letter => letter in ruleset.tileCounts);
+    letters.push(BLANK);
+
+    return letters.map(letter => ({
+        letter,
+        count: unseen.counts.get(letter) || 0,
+        total: letter === BLANK ? ruleset.blankCount : ruleset.tileCounts[letter]
+    }));
+}
+
+/**
+ * Warnings about expensive tiles and blanks that are still out
+ * (e.g. "Den sidste Z er stadig ude")
+ * @param {Object} unseen - From computeUnseenTiles
+ * @param {Object} ruleset - From rulesets.js
+ * @returns {Array<Object>} [{ letter, remaining, message }]
+ */
+export function getTileWarnings(unseen, ruleset) {
+    const warnings = [];
+
+    const blanks = unseen.counts.get(BLANK) || 0;
+    if (blanks > 0) {
+        warnings.push({
+            letter: BLANK,
+            remaining: blanks,
+            message: blanks === 1 ? 'Den sidste joker er stadig ude' : `${blanks} jokere er stadig ude`
+        });
+    }
+
+    for (const [letter, value] of Object.entries(ruleset.letterValues)) {
+        if (value < HIGH_VALUE_THRESHOLD) continue;
+
+        const remaining = unseen.counts.get(letter) || 0;
+        if (remaining === 0) continue;
+
+        warnings.push({
+            letter,
+            remaining,
+            message: remaining === 1
+                ? `Den sidste ${letter} (${value} point) er stadig ude`
+                : `${remaining} × ${letter} (${value} point) er stadig ude`
+        });
+    }
+
+    return warnings;
+}
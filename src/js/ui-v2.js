@@ -3,9 +3,34 @@
  * Handles all DOM manipulation and user interactions
  */
 
-import { searchWords, validateFilters, passesFilters } from './searchEngine.js';
-import { isValidInput, normalizeString, parseLetters, canFormWord, canFormWordWithExtras, buildExtraLettersFromPattern } from './utils.js';
-import { getWordlist } from './wordlistLoader.js';
+import { searchWords, validateFilters, passesFilters, passesLengthFilter, getMaxLength, sortResults } from './searchEngine.js';
+import { findBoardPositions, parseLanes, MAX_LANES_LENGTH } from './boardPattern.js';
+import { isValidInput, normalizeString, parseLetters, buildExtraLettersFromPattern } from './utils.js';
+import { getWordIndex, getWorkerWordlist, checkWords, formatWordlistVersion } from './wordlistLoader.js';
+import { forEachRackWord } from './wordIndex.js';
+import { BOARD_SIZE, cloneBoard, getPremium, getTile } from './board.js';
+import { generateMoves } from './moveGenerator.js';
+import {
+    createEditor, setCursor, moveCursor, toggleDirection, typeLetter,
+    eraseBack, eraseAt, toggleBlank, clearEditor, loadBoard, undo, countTiles
+} from './boardEditor.js';
+import { parseGame, serializeGame, MAX_GAME_TEXT_LENGTH } from './gameNotation.js';
+import { readScreenshot, createGlyphTemplates } from './screenshotImport.js';
+import {
+    openGameStore, loadGames, saveGame, deleteGame, createGameRecord,
+    migrateTileTracker, nextGameName, MAX_GAMES
+} from './gameStore.js';
+import { analyzeMove } from './moveAnalysis.js';
+import { findHooks } from './hooks.js';
+import { buildShortWordIndex, findParallelPlays, findWordOnBoard } from './parallel.js';
+import { buildStudyList, createQuizQuestion } from './studyLists.js';
+import { detectLanguage } from './i18n.js';
+import { getActiveRuleset } from './rulesets.js';
+import { computeUnseenTiles, listUnseenTiles, getTileWarnings, getBagCount, BLANK } from './tileTracker.js';
+import { getLeaveTable, getLeaveValue, computeMoveLeave } from './leave.js';
+import { analyzeExchange, findBestPlay, MIN_BAG_FOR_EXCHANGE } from './exchange.js';
+import { inferOpponentRack } from './endgame.js';
+import { RACK_SIZE, BINGO_BONUS } from './scoring.js';
 import { trackSolveClicked, trackSolveCompleted, trackWordCopied, trackHelpOpened } from './analytics.js';
 
 // DOM Elements
@@ -14,12 +39,61 @@ let elements = {};
 // Pagination state
 let currentPage = 1;
 let currentResults = [];
+// Lanes from "På bordet" for the current results (grouped when more than one)
+let currentLanes = [];
+// Board editor: the current game's tiles, cursor and undo history
+let boardEditor = createEditor();
+
+// Players, scores, notes and moves from the last game loaded as text
+let currentGame = null;
+
+// Board saved before the opponent's move, compared with the board editor after it
+let moveBefore = null;
+
+// Squares read from a screenshot that should be checked (index row * 15 + col)
+let uncertainSquares = new Set();
+// Letter templates for screenshot import, per language (rendered on first use)
+let glyphTemplates = null;
+// Screenshots are scaled down to this width before reading
+const SCREENSHOT_MAX_WIDTH = 1080;
+const SCREENSHOT_MAX_BYTES = 20 * 1024 * 1024;
+
+// Premium squares as shown on the board (Danish abbreviations)
+const PREMIUM_LABELS = {
+    DL: { text: 'DB', title: 'Dobbelt bogstav' },
+    TL: { text: 'TB', title: 'Tredobbelt bogstav' },
+    DW: { text: 'DO', title: 'Dobbelt ord' },
+    TW: { text: 'TO', title: 'Tredobbelt ord' }
+};
+
+// Two- and three-letter words for parallel plays and study lists (built on first use)
+let shortWordIndex = null;
+let shortWordIndexSource = null;
+const MAX_PARALLEL_RESULTS = 30;
+
+// Short word quiz: current question and running score
+let quizQuestion = null;
+let quizAnswered = 0;
+let quizCorrect = 0;
+const QUIZ_NEXT_DELAY = 1200; // milliseconds
 const RESULTS_PER_PAGE = 100;
 
 // Web Worker (optional, for performance)
 let searchWorker = null;
 let useWorker = false;
 
+// Worker search the UI is waiting for: { requestId, lettersString, filters, found }
+// Replies with any other request id are stale and ignored
+let activeSearch = null;
+let nextRequestId = 1;
+
+// Exchange advice waiting for its best play from the worker: { requestId, rack, unseen, onBoard }
+let activeExchange = null;
+
+// Endgame worker, started on first use: the solve the UI is waiting for is { requestId, board }
+let endgameWorker = null;
+let activeEndgame = null;
+
 // Results preview timer
 let previewTimer = null;
 const PREVIEW_DELAY = 300; // milliseconds
@@ -28,6 +102,18 @@ const PREVIEW_DELAY = 300; // milliseconds
 const MAX_RECENT_SEARCHES = 5;
 const RECENT_SEARCHES_KEY = 'wordfeud_recent_searches';
 
+// Tile tracker - played tiles are saved with the game
+// (older versions kept them in localStorage; moved to the games store on first start)
+const TILE_TRACKER_KEY = 'wordfeud_tile_tracker';
+const MAX_PLAYED_TILES_LENGTH = 120;
+
+// Saved games (IndexedDB): games in the page language, the one shown, pending save
+let gameDb = null;
+let savedGames = [];
+let activeGame = null;
+let gameSaveTimer = null;
+const GAME_SAVE_DELAY = 500; // milliseconds
+
 // Initialization flag to prevent multiple initializations
 let isInitialized = false;
 
@@ -52,6 +138,8 @@ export function initUI() {
         searchButton: document.getElementById('search-button'),
         searchButtonHint: document.getElementById('search-button-hint'),
         clearButton: document.getElementById('clear-button'),
+        exchangeButton: document.getElementById('exchange-button'),
+        exchangeAdvice: document.getElementById('exchange-advice'),
         clearLettersBtn: document.getElementById('clear-letters-btn'),
         clearBoardBtn: document.getElementById('clear-board-btn'),
 
@@ -63,6 +151,85 @@ export function initUI() {
         recentSearches: document.getElementById('recent-searches'),
         recentSearchesList: document.getElementById('recent-searches-list'),
 
+        trackerGame: document.getElementById('tile-tracker-game'),
+        playedTilesInput: document.getElementById('played-tiles-input'),
+        unseenSummary: document.getElementById('unseen-summary'),
+        unseenTiles: document.getElementById('unseen-tiles'),
+        tileWarnings: document.getElementById('tile-warnings'),
+        clearTrackerBtn: document.getElementById('clear-tracker-btn'),
+
+        checkWordsInput: document.getElementById('check-words-input'),
+        checkWordsBtn: document.getElementById('check-words-btn'),
+        copyCheckBtn: document.getElementById('copy-check-btn'),
+        checkWordsSummary: document.getElementById('check-words-summary'),
+        checkWordsResults: document.getElementById('check-words-results'),
+        checkWordsVersion: document.getElementById('check-words-version'),
+        hookWordInput: document.getElementById('hook-word-input'),
+        findHooksBtn: document.getElementById('find-hooks-btn'),
+        hooksSummary: document.getElementById('hooks-summary'),
+        hooksResult: document.getElementById('hooks-result'),
+        hooksFront: document.getElementById('hooks-front'),
+        hooksBack: document.getElementById('hooks-back'),
+        boardGrid: document.getElementById('board-grid'),
+        boardKeyInput: document.getElementById('board-key-input'),
+        boardStatus: document.getElementById('board-status'),
+        boardDirectionBtn: document.getElementById('board-direction-btn'),
+        boardBlankBtn: document.getElementById('board-blank-btn'),
+        boardUndoBtn: document.getElementById('board-undo-btn'),
+        boardClearBtn: document.getElementById('board-clear-btn'),
+        useBoardToggle: document.getElementById('use-board-toggle'),
+
+        markBeforeBtn: document.getElementById('mark-before-btn'),
+        analyzeMoveBtn: document.getElementById('analyze-move-btn'),
+        moveAnalysisSummary: document.getElementById('move-analysis-summary'),
+        moveAnalysisWords: document.getElementById('move-analysis-words'),
+        moveAnalysisAlternatives: document.getElementById('move-analysis-alternatives'),
+
+        endgameOpponentInput: document.getElementById('endgame-opponent-input'),
+        endgameOpponentCount: document.getElementById('endgame-opponent-count'),
+        endgameTimeSelect: document.getElementById('endgame-time-select'),
+        solveEndgameBtn: document.getElementById('solve-endgame-btn'),
+        cancelEndgameBtn: document.getElementById('cancel-endgame-btn'),
+        endgameStatus: document.getElementById('endgame-status'),
+        endgameLine: document.getElementById('endgame-line'),
+
+        gameSwitcher: document.getElementById('game-switcher'),
+        gameSelect: document.getElementById('game-select'),
+        gameNameInput: document.getElementById('game-name-input'),
+        newGameBtn: document.getElementById('new-game-btn'),
+        deleteGameBtn: document.getElementById('delete-game-btn'),
+        gameScoreMine: document.getElementById('game-score-mine'),
+        gameScoreOpponent: document.getElementById('game-score-opponent'),
+        gameNotesInput: document.getElementById('game-notes-input'),
+        gameSwitcherStatus: document.getElementById('game-switcher-status'),
+        gameTextInput: document.getElementById('game-text-input'),
+        gameImportBtn: document.getElementById('game-import-btn'),
+        gameExportBtn: document.getElementById('game-export-btn'),
+        gameCopyBtn: document.getElementById('game-copy-btn'),
+        gameSaveBtn: document.getElementById('game-save-btn'),
+        gameFileInput: document.getElementById('game-file-input'),
+        gameNotationStatus: document.getElementById('game-notation-status'),
+        screenshotDrop: document.getElementById('screenshot-drop'),
+        screenshotInput: document.getElementById('screenshot-input'),
+        screenshotStatus: document.getElementById('screenshot-status'),
+        parallelWordInput: document.getElementById('parallel-word-input'),
+        parallelRowInput: document.getElementById('parallel-row-input'),
+        parallelColInput: document.getElementById('parallel-col-input'),
+        parallelDirectionSelect: document.getElementById('parallel-direction-select'),
+        findParallelBtn: document.getElementById('find-parallel-btn'),
+        parallelSummary: document.getElementById('parallel-summary'),
+        parallelResults: document.getElementById('parallel-results'),
+        shortWordsLength: document.getElementById('short-words-length'),
+        showShortWordsBtn: document.getElementById('show-short-words-btn'),
+        startQuizBtn: document.getElementById('start-quiz-btn'),
+        shortWordsSummary: document.getElementById('short-words-summary'),
+        shortWordsList: document.getElementById('short-words-list'),
+        shortWordsQuiz: document.getElementById('short-words-quiz'),
+        quizWord: document.getElementById('quiz-word'),
+        quizYesBtn: document.getElementById('quiz-yes-btn'),
+        quizNoBtn: document.getElementById('quiz-no-btn'),
+        quizFeedback: document.getElementById('quiz-feedback'),
+
         resultsSection: document.getElementById('results-section'),
         resultsSummary: document.getElementById('results-summary'),
         resultsBody: document.getElementById('results-body'),
@@ -83,6 +250,8 @@ export function initUI() {
     updateSearchButtonState();
     updateLengthInputsState();
     displayRecentSearches();
+    initBoardEditor();
+    initGames();
 
     // Initialize guide collapse/expand
     initGuideToggle();
@@ -94,13 +263,23 @@ export function initUI() {
 function initWebWorker() {
     if (typeof Worker !== 'undefined') {
         try {
-            searchWorker = new Worker('/src/workers/searchWorker.js');
+            searchWorker = new Worker('/src/workers/searchWorker.js', { type: 'module' });
 
             searchWorker.addEventListener('message', (event) => {
                 const { type, payload } = event.data;
 
-                if (type === 'searchResult') {
-                    handleWorkerSearchResult(payload);
+                if (type === 'searchResult' || type === 'movesResult') {
+                    if (isExchangeReply(payload)) {
+                        handleExchangeBestPlay(payload);
+                    } else {
+                        handleWorkerSearchResult(payload);
+                    }
+                } else if (type === 'searchBatch') {
+                    handleWorkerSearchBatch(payload);
+                } else if (type === 'searchError') {
+                    handleWorkerSearchError(payload);
+                } else if (type === 'searchCancelled') {
+                    handleWorkerSearchCancelled(payload);
                 } else if (type === 'wordlistLoaded') {
                     console.log('Worker: Wordlist loaded');
                 }
@@ -109,14 +288,29 @@ function initWebWorker() {
             searchWorker.addEventListener('error', (error) => {
                 console.error('Worker error:', error);
                 useWorker = false;
+
+                // Don't leave a pending search spinning
+                if (activeSearch) {
+                    activeSearch = null;
+                    setSearchLoading(false);
+                    showError('Søgningen fejlede - prøv igen');
+                }
+                if (activeExchange) {
+                    finishExchangeAdvice();
+                    showError('Bytte-analysen fejlede - prøv igen');
+                }
             });
 
-            // Load wordlist into worker
-            const wordlist = getWordlist();
+            // Load wordlist into worker (language selects the tile values)
+            // The packed wordlist is transferred, not copied
+            const { payload, transfer } = getWorkerWordlist();
             searchWorker.postMessage({
                 type: 'loadWordlist',
-                payload: wordlist
-            });
+                payload: {
+                    ...payload,
+                    lang: detectLanguage()
+                }
+            }, transfer);
 
             useWorker = true;
             console.log('Web Worker initialized');
@@ -141,11 +335,22 @@ function attachEventListeners() {
         updateSearchButtonState();
         updateClearButtonVisibility(elements.lettersInput, elements.clearLettersBtn);
         updateResultsPreview();
+        updateTileTracker();
+        scheduleGameSave();
     });
 
     // Board pattern input - update UI state
     elements.boardPatternInput.addEventListener('input', () => {
         updateClearButtonVisibility(elements.boardPatternInput, elements.clearBoardBtn);
+        scheduleGameSave();
+    });
+
+    // Search settings are saved with the game
+    [elements.sortSelect, elements.lengthModeSelect].forEach(select => {
+        select.addEventListener('change', scheduleGameSave);
+    });
+    [elements.exactLength, elements.minLength, elements.maxLength].forEach(input => {
+        input.addEventListener('input', scheduleGameSave);
     });
 
     // Clear button for letters input
@@ -216,6 +421,11 @@ function attachEventListeners() {
     // Search button
     elements.searchButton.addEventListener('click', handleSearch);
 
+    // Exchange advice button
+    if (elements.exchangeButton) {
+        elements.exchangeButton.addEventListener('click', handleExchangeAdvice);
+    }
+
     // Clear button
     elements.clearButton.addEventListener('click', handleClear);
 
@@ -258,6 +468,72 @@ function attachEventListeners() {
         }
     });
 
+    // Tile tracker - played tiles are saved for the current game
+    if (elements.playedTilesInput) {
+        elements.playedTilesInput.addEventListener('input', () => {
+            updateTileTracker();
+            scheduleGameSave();
+        });
+    }
+
+    if (elements.clearTrackerBtn) {
+        elements.clearTrackerBtn.addEventListener('click', () => {
+            elements.playedTilesInput.value = '';
+            updateTileTracker();
+            scheduleGameSave();
+        });
+    }
+
+    // Word checker
+    if (elements.checkWordsBtn) {
+        elements.checkWordsBtn.addEventListener('click', handleCheckWords);
+        elements.copyCheckBtn.addEventListener('click', handleCopyCheckResult);
+        elements.checkWordsInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                handleCheckWords();
+            }
+        });
+    }
+
+    // Hook finder
+    if (elements.findHooksBtn) {
+        elements.findHooksBtn.addEventListener('click', handleFindHooks);
+        elements.hookWordInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                handleFindHooks();
+            }
+        });
+    }
+
+    // Endgame solver
+    if (elements.solveEndgameBtn) {
+        elements.solveEndgameBtn.addEventListener('click', handleSolveEndgame);
+        elements.cancelEndgameBtn.addEventListener('click', cancelEndgame);
+    }
+
+    // Parallel play finder
+    if (elements.findParallelBtn) {
+        elements.findParallelBtn.addEventListener('click', handleFindParallel);
+    }
+
+    // Short word lists and quiz
+    if (elements.showShortWordsBtn) {
+        elements.showShortWordsBtn.addEventListener('click', handleShowShortWords);
+        elements.startQuizBtn.addEventListener('click', handleStartQuiz);
+        elements.quizYesBtn.addEventListener('click', () => handleQuizAnswer(true));
+        elements.quizNoBtn.addEventListener('click', () => handleQuizAnswer(false));
+        elements.shortWordsLength.addEventListener('change', () => {
+            // Skift liste eller quiz til den nye længde
+            if (elements.shortWordsQuiz.style.display !== 'none') {
+                handleStartQuiz();
+            } else if (elements.shortWordsList.childElementCount > 0) {
+                handleShowShortWords();
+            }
+        });
+    }
+
     // Clear recent searches button
     const clearRecentBtn = document.getElementById('clear-recent-searches');
     if (clearRecentBtn) {
@@ -291,6 +567,9 @@ function insertAtCursor(input, char) {
 function updateSearchButtonState() {
     const hasInput = elements.lettersInput.value.trim().length > 0;
     elements.searchButton.disabled = !hasInput;
+    if (elements.exchangeButton) {
+        elements.exchangeButton.disabled = !hasInput;
+    }
 
     // Show/hide hint based on button state
     if (elements.searchButtonHint) {
@@ -352,8 +631,8 @@ function updateResultsPreview() {
 
     const lettersString = elements.lettersInput.value.trim();
 
-    // Hide preview if no input
-    if (!lettersString || !isValidInput(lettersString)) {
+    // Hide preview if no input (or for moves on the board - too slow per keystroke)
+    if (!lettersString || !isValidInput(lettersString) || isBoardSearch()) {
         elements.resultsPreview.style.display = 'none';
         return;
     }
@@ -363,23 +642,21 @@ function updateResultsPreview() {
         try {
             // Quick count without full scoring
             const { letterCounts, wildcards } = parseLetters(lettersString);
-            const wordlist = getWordlist();
             const filters = getFilters();
-            const extraLetters = buildExtraLettersFromPattern(filters.boardPattern);
+            const { lanes } = parseLanes(filters.boardPattern);
 
+            // Each lane has its own board letters
             let count = 0;
-            for (const word of wordlist) {
-                const { canForm } =
-                    extraLetters && extraLetters.size > 0
-                        ? canFormWordWithExtras(word, letterCounts, wildcards, extraLetters)
-                        : canFormWord(word, letterCounts, wildcards);
-
-                if (canForm && passesFilters(word, filters)) {
-                    count++;
-                }
-
-                // Stop counting at a reasonable limit for performance
-                if (count > 999) break;
+            for (const lane of lanes?.length ? lanes : [{ pattern: '' }]) {
+                const extraLetters = buildExtraLettersFromPattern(lane.pattern);
+                forEachRackWord(getWordIndex(), letterCounts, wildcards, extraLetters, (word) => {
+                    if (passesFilters(word, filters)) {
+                        count++;
+                    }
+
+                    // Stop counting at a reasonable limit for performance
+                    return count <= 999;
+                }, getMaxLength(filters));
             }
 
             // Display preview
@@ -427,6 +704,17 @@ function updateLengthInputsState() {
     }
 }
 
+/**
+ * Word index and leave table for searches on the main thread
+ * @returns {Object} { index, leaveTable }
+ */
+function getSearchSource() {
+    return {
+        index: getWordIndex(),
+        leaveTable: getLeaveTable(getWordIndex(), getActiveRuleset())
+    };
+}
+
 /**
  * Handle search button click
  */
@@ -449,8 +737,12 @@ async function handleSearch() {
         return;
     }
 
-    // Get filters
+    // Get filters (moves on the board replace "På bordet")
+    const useBoard = isBoardSearch();
     const filters = getFilters();
+    if (useBoard) {
+        filters.boardPattern = '';
+    }
 
     // Validate filters
     const validation = validateFilters(filters);
@@ -460,9 +752,7 @@ async function handleSearch() {
     }
 
     // Show loading and disable button
-    elements.searchLoading.style.display = 'flex';
-    elements.searchButton.disabled = true;
-    elements.searchButton.classList.add('loading');
+    setSearchLoading(true);
     elements.resultsPreview.style.display = 'none';
 
     // Track search event
@@ -476,32 +766,55 @@ async function handleSearch() {
     try {
         // Use Web Worker if available, otherwise main thread
         if (useWorker && searchWorker) {
-            // Send search request to worker
-            searchWorker.postMessage({
-                type: 'search',
-                payload: {
-                    lettersString,
-                    filters
-                }
-            });
+            // A newer search replaces one still running (e.g. sort changed)
+            cancelActiveSearch();
+
+            activeSearch = { requestId: nextRequestId++, lettersString, filters, found: 0 };
+
+            if (useBoard) {
+                // The worker gets a copy, the editor may change before it replies
+                activeSearch.board = cloneBoard(boardEditor.board);
+                searchWorker.postMessage({
+                    type: 'generateMoves',
+                    payload: {
+                        requestId: activeSearch.requestId,
+                        board: { tiles: activeSearch.board.tiles },
+                        rack: lettersString,
+                        sortBy: filters.sortBy
+                    }
+                });
+            } else {
+                // Send search request to worker
+                searchWorker.postMessage({
+                    type: 'search',
+                    payload: {
+                        requestId: activeSearch.requestId,
+                        lettersString,
+                        filters
+                    }
+                });
+            }
             // Results will be handled in handleWorkerSearchResult
         } else {
             // Perform search in main thread
-            const { results, elapsedMs, totalFound } = searchWords(lettersString, filters);
+            const { results, elapsedMs, lanes } = useBoard
+                ? searchMoves(lettersString, filters)
+                : searchWords(lettersString, filters, getSearchSource());
 
             // Hide loading and re-enable button
-            elements.searchLoading.style.display = 'none';
-            elements.searchButton.disabled = false;
-            elements.searchButton.classList.remove('loading');
+            setSearchLoading(false);
 
             // Check if no results
             if (results.length === 0) {
-                showError('Ingen ord fundet med de givne bogstaver og filtre');
+                showError(useBoard
+                    ? 'Ingen træk på brættet med de givne bogstaver og filtre'
+                    : 'Ingen ord fundet med de givne bogstaver og filtre');
                 return;
             }
 
             // Display results
             currentResults = results;
+            currentLanes = lanes;
             currentPage = 1;
             displayResults(results, elapsedMs);
 
@@ -510,39 +823,129 @@ async function handleSearch() {
         }
 
     } catch (error) {
-        elements.searchLoading.style.display = 'none';
-        elements.searchButton.disabled = false;
-        elements.searchButton.classList.remove('loading');
+        setSearchLoading(false);
         showError(`Fejl ved søgning: ${error.message}`);
         console.error('Search error:', error);
     }
 }
 
+/**
+ * Show or hide the search loading state
+ * @param {boolean} loading
+ */
+function setSearchLoading(loading) {
+    elements.searchLoading.style.display = loading ? 'flex' : 'none';
+    elements.searchButton.disabled = loading;
+    elements.searchButton.classList.toggle('loading', loading);
+    updateSearchProgress(0);
+}
+
+/**
+ * Show how many words a long worker search has found so far
+ * @param {number} found
+ */
+function updateSearchProgress(found) {
+    let progress = elements.searchLoading.querySelector('.search-progress');
+    if (!progress) {
+        progress = document.createElement('span');
+        progress.className = 'search-progress';
+        elements.searchLoading.appendChild(progress);
+    }
+    progress.textContent = found > 0 ? `${found} fundet` : '';
+}
+
+/**
+ * Cancel the worker search the UI is waiting for (if any)
+ */
+function cancelActiveSearch() {
+    if (activeSearch && searchWorker) {
+        searchWorker.postMessage({ type: 'cancel', payload: { requestId: activeSearch.requestId } });
+    }
+    activeSearch = null;
+}
+
+/**
+ * Check that a worker reply belongs to the search the UI is waiting for
+ */
+function isActiveReply(payload) {
+    return !!activeSearch && payload?.requestId === activeSearch.requestId;
+}
+
+/**
+ * Handle a partial batch from a long worker search
+ */
+function handleWorkerSearchBatch(payload) {
+    if (!isActiveReply(payload)) return;
+
+    activeSearch.found = payload.found;
+    updateSearchProgress(payload.found);
+}
+
+/**
+ * Handle an error reply from the worker
+ */
+function handleWorkerSearchError(payload) {
+    if (isExchangeReply(payload)) {
+        finishExchangeAdvice();
+        showError(`Fejl ved bytte-analyse: ${payload.message}`);
+        return;
+    }
+
+    if (!isActiveReply(payload)) {
+        console.error('Worker:', payload?.message);
+        return;
+    }
+
+    activeSearch = null;
+    setSearchLoading(false);
+    showError(`Fejl ved søgning: ${payload.message}`);
+}
+
+/**
+ * The worker runs one search at a time - a newer request (a search or the
+ * exchange advice) replaced the one the UI was waiting for
+ */
+function handleWorkerSearchCancelled(payload) {
+    if (isExchangeReply(payload)) {
+        finishExchangeAdvice();
+    } else if (isActiveReply(payload)) {
+        activeSearch = null;
+        setSearchLoading(false);
+    }
+}
+
 /**
  * Handle search result from Web Worker
  */
 function handleWorkerSearchResult(payload) {
-    const { results, elapsedMs } = payload;
+    // Stale reply from a search that was replaced or cancelled
+    if (!isActiveReply(payload)) return;
+
+    const { elapsedMs, lanes } = payload;
+    const { lettersString, filters, board } = activeSearch;
+    activeSearch = null;
+
+    // Board moves come back unfiltered
+    const results = board ? prepareMoves(payload.results, board, filters) : payload.results;
 
     // Hide loading and re-enable button
-    elements.searchLoading.style.display = 'none';
-    elements.searchButton.disabled = false;
-    elements.searchButton.classList.remove('loading');
+    setSearchLoading(false);
 
     // Check if no results
     if (results.length === 0) {
-        showError('Ingen ord fundet med de givne bogstaver og filtre');
+        showError(board
+            ? 'Ingen træk på brættet med de givne bogstaver og filtre'
+            : 'Ingen ord fundet med de givne bogstaver og filtre');
         return;
     }
 
     // Display results
     currentResults = results;
+    currentLanes = lanes || [];
     currentPage = 1;
     displayResults(results, elapsedMs);
 
-    // Save to recent searches - get current values from DOM
-    const lettersString = elements.lettersInput.value.trim();
-    const filters = getFilters();
+    // Save the search this result belongs to
     saveRecentSearch(lettersString, filters);
 }
 
@@ -582,8 +985,11 @@ function displayResults(results, elapsedMs) {
     // Track search completion
     trackSolveCompleted(results.length, elapsedMs);
 
-    // Update summary
-    elements.resultsSummary.textContent = `Fandt ${results.length} ord på ${elapsedMs} ms`;
+    // Update summary (with tile tracker warnings, e.g. the last Z is still out)
+    const warnings = getCurrentTileWarnings();
+    const laneText = currentLanes.length > 1 ? ` i ${currentLanes.length} linjer` : '';
+    elements.resultsSummary.textContent = `Fandt ${results.length} ord${laneText} på ${elapsedMs} ms` +
+        warnings.map(w => ` · ${w.message}`).join('');
 
     // Display first page
     displayResultsPage();
@@ -683,56 +1089,86 @@ function scrollToError() {
 }
 
 /**
- * Highlight pattern match in word
- * @param {string} word - The word to highlight
- * @param {string} pattern - The pattern to match (e.g., "a*", "m..e*")
- * @returns {string} HTML string with highlighted parts
- */
-/**
- * Safely highlight pattern match using DOM API (XSS-safe)
- * @param {string} word - The word to highlight
- * @param {string} pattern - The pattern to match
+ * Build a result word with board letters highlighted and jokers shown as blank tiles (XSS-safe)
+ * @param {string} word - The word
+ * @param {Array<number>} boardPositions - Positions of letters already on the board
+ * @param {Array} blanks - [{ position, letter }] from the search
  * @returns {DocumentFragment} - Safe DOM fragment
  */
-function highlightPatternMatch(word, pattern) {
+function renderResultWord(word, boardPositions = [], blanks = []) {
     const fragment = document.createDocumentFragment();
+    const onBoard = new Set(boardPositions);
+    const blankPositions = new Set(blanks.map(blank => blank.position));
 
-    if (!pattern) {
-        fragment.appendChild(document.createTextNode(word));
-        return fragment;
-    }
+    const classFor = (i) => {
+        if (blankPositions.has(i)) return 'tile-blank';
+        if (onBoard.has(i)) return 'pattern-match';
+        return '';
+    };
 
-    // Convert pattern to regex
-    const regexPattern = pattern
-        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&') // Escape special chars
-        .replace(/\\\*/g, '.*') // * becomes .*
-        .replace(/\\\./g, '.'); // . becomes single char
+    // Sammenhængende bogstaver med samme type samles i ét element
+    let i = 0;
+    while (i < word.length) {
+        const className = classFor(i);
+        let end = i + 1;
+        while (end < word.length && classFor(end) === className && className !== 'tile-blank') {
+            end++;
+        }
 
-    try {
-        const regex = new RegExp(`^(${regexPattern})`, 'i');
-        const match = word.match(regex);
-
-        if (match && match[1]) {
-            // Create highlighted span for matched part
-            const matchSpan = document.createElement('span');
-            matchSpan.className = 'pattern-match';
-            matchSpan.textContent = match[1]; // Safe - no HTML injection
-
-            // Add matched part and rest of word
-            fragment.appendChild(matchSpan);
-            fragment.appendChild(document.createTextNode(word.substring(match[1].length)));
+        const text = word.slice(i, end);
+        if (className) {
+            const span = document.createElement('span');
+            span.className = className;
+            span.textContent = text; // Safe - no HTML injection
+            if (className === 'tile-blank') {
+                span.title = 'Joker (0 point)';
+            }
+            fragment.appendChild(span);
         } else {
-            fragment.appendChild(document.createTextNode(word));
+            fragment.appendChild(document.createTextNode(text));
         }
-    } catch (e) {
-        // Invalid regex, return word as-is
-        console.warn('Invalid pattern for highlighting:', pattern, e);
-        fragment.appendChild(document.createTextNode(word));
+        i = end;
     }
 
     return fragment;
 }
 
+/**
+ * Header row for a group of results from one "På bordet" lane
+ * @param {number} laneIndex
+ * @returns {HTMLTableRowElement}
+ */
+function createLaneHeaderRow(laneIndex) {
+    const lane = currentLanes[laneIndex];
+    const row = document.createElement('tr');
+    row.className = 'lane-header';
+
+    const cell = document.createElement('th');
+    cell.scope = 'rowgroup';
+    cell.colSpan = 4;
+
+    const title = document.createElement('span');
+    title.className = 'lane-title';
+    title.textContent = lane.label || `Linje ${laneIndex + 1}`;
+    cell.appendChild(title);
+
+    let details = lane.pattern;
+    if (lane.minLength != null) {
+        details += lane.minLength === lane.maxLength
+            ? ` · ${lane.minLength} bogstaver`
+            : ` · ${lane.minLength}-${lane.maxLength} bogstaver`;
+    }
+    details += ` · ${lane.found} ord`;
+
+    const info = document.createElement('span');
+    info.className = 'lane-info';
+    info.textContent = details; // Safe - no HTML injection
+    cell.appendChild(info);
+
+    row.appendChild(cell);
+    return row;
+}
+
 /**
  * Display current page of results
  */
@@ -745,12 +1181,24 @@ function displayResultsPage() {
     // Clear table
     elements.resultsBody.innerHTML = '';
 
-    // Find max score for color coding
-    const maxScore = currentResults.length > 0 ? currentResults[0].score : 0;
+    // Find max score for color coding (per lane when results are grouped)
+    const maxScores = new Map();
+    for (const result of currentResults) {
+        const lane = result.lane ?? 0;
+        maxScores.set(lane, Math.max(maxScores.get(lane) ?? 0, result.score));
+    }
 
     // Add rows
+    let previousLane = null;
     pageResults.forEach(result => {
+        // Group header when a new lane starts (and at the top of each page)
+        if (currentLanes.length > 1 && result.lane !== previousLane) {
+            elements.resultsBody.appendChild(createLaneHeaderRow(result.lane));
+            previousLane = result.lane;
+        }
+
         const row = document.createElement('tr');
+        const maxScore = maxScores.get(result.lane ?? 0) ?? 0;
 
         // Color code by score (relative to max)
         const scorePercent = maxScore > 0 ? (result.score / maxScore) * 100 : 0;
@@ -765,12 +1213,16 @@ function displayResultsPage() {
         // Word cell with pattern highlighting and wildcard indicator
         const wordCell = document.createElement('td');
 
-        // Highlight pattern match if there's a board pattern
-        const boardPattern = elements.boardPatternInput.value.trim();
-        if (boardPattern) {
-            wordCell.appendChild(highlightPatternMatch(result.word, boardPattern));
-        } else {
-            wordCell.textContent = result.word;
+        // Highlight board letters and show joker letters as blank tiles
+        // (board moves carry their positions, words are matched against the lane pattern)
+        const boardPattern = currentLanes[result.lane]?.pattern ?? '';
+        const boardPositions = result.boardPositions ??
+            (boardPattern ? findBoardPositions(result.word, boardPattern) || [] : []);
+        wordCell.appendChild(renderResultWord(result.word, boardPositions, result.blanks));
+
+        // Where a board move goes (1-based, as on the board editor)
+        if (result.direction) {
+            wordCell.appendChild(renderMovePosition(result));
         }
 
         // Add wildcard indicator if jokers were used
@@ -782,6 +1234,15 @@ function displayResultsPage() {
             wordCell.appendChild(wildcardSpan);
         }
 
+        // Add bingo badge if all seven rack tiles are used
+        if (result.bingo) {
+            const bingoSpan = document.createElement('span');
+            bingoSpan.className = 'bingo-badge';
+            bingoSpan.title = 'Bruger alle 7 brikker: +40 point';
+            bingoSpan.textContent = 'Bingo';
+            wordCell.appendChild(bingoSpan);
+        }
+
         // Score cell with points per letter (improved layout)
         const scoreCell = document.createElement('td');
 
@@ -804,6 +1265,29 @@ function displayResultsPage() {
         const lengthCell = document.createElement('td');
         lengthCell.textContent = result.length;
 
+        // Equity cell: score + leave value, with the tiles kept below
+        const equityCell = document.createElement('td');
+        if (result.equity != null) {
+            const equityContainer = document.createElement('div');
+            equityContainer.className = 'score-container';
+
+            const equityValue = document.createElement('div');
+            equityValue.className = 'equity-value';
+            equityValue.textContent = result.equity.toFixed(1);
+
+            const leaveInfo = document.createElement('div');
+            leaveInfo.className = 'leave-info';
+            const sign = result.leaveValue > 0 ? '+' : '';
+            leaveInfo.textContent = result.leave
+                ? `Rest ${result.leave} (${sign}${result.leaveValue.toFixed(1)})`
+                : 'Ingen rest';
+            leaveInfo.title = 'Brikker der bliver tilbage på hånden og deres værdi';
+
+            equityContainer.appendChild(equityValue);
+            equityContainer.appendChild(leaveInfo);
+            equityCell.appendChild(equityContainer);
+        }
+
         // Add click handler for copy
         row.addEventListener('click', () => {
             // Copy word to clipboard
@@ -822,6 +1306,7 @@ function displayResultsPage() {
         row.appendChild(wordCell);
         row.appendChild(scoreCell);
         row.appendChild(lengthCell);
+        row.appendChild(equityCell);
 
         elements.resultsBody.appendChild(row);
     });
@@ -852,8 +1337,8 @@ function handleClear() {
     elements.clearLettersBtn.style.display = 'none';
     elements.clearBoardBtn.style.display = 'none';
 
-    // Reset radio buttons to defaults
-    elements.lenModeAll.checked = true;
+    // Reset length mode to "Alle længder"
+    elements.lengthModeSelect.value = 'all';
 
     // Reset sorting to default
     elements.sortSelect.value = 'score';
@@ -861,6 +1346,10 @@ function handleClear() {
     // Update length inputs state (disable exact and range inputs)
     updateLengthInputsState();
 
+    // The cleared rack and settings belong to the current game (unseen tiles include the rack)
+    updateTileTracker();
+    scheduleGameSave();
+
     // Hide results section
     elements.resultsSection.style.display = 'none';
 
@@ -870,11 +1359,18 @@ function handleClear() {
     // Hide results preview
     elements.resultsPreview.style.display = 'none';
 
+    // Hide exchange advice
+    if (elements.exchangeAdvice) {
+        elements.exchangeAdvice.style.display = 'none';
+    }
+
     // Hide input preview
     elements.inputPreview.style.display = 'none';
 
-    // Hide search loading indicator
-    elements.searchLoading.style.display = 'none';
+    // Stop a running search and hide the loading indicator
+    cancelActiveSearch();
+    setSearchLoading(false);
+    cancelExchangeAdvice();
 
     // Clear any pending preview timers
     if (previewTimer) {
@@ -884,6 +1380,7 @@ function handleClear() {
 
     // Reset results state
     currentResults = [];
+    currentLanes = [];
     currentPage = 1;
 
     // Clear results table body
@@ -993,7 +1490,7 @@ function validateSearchObject(search) {
 
     // Validate boardPattern field
     if (search.boardPattern !== undefined &&
-        (typeof search.boardPattern !== 'string' || search.boardPattern.length > 50)) {
+        (typeof search.boardPattern !== 'string' || search.boardPattern.length > MAX_LANES_LENGTH)) {
         return null;
     }
 
@@ -1062,7 +1559,7 @@ function saveRecentSearch(lettersString, filters) {
         const searches = getRecentSearches();
         const newSearch = {
             letters: lettersString,
-            boardPattern: (filters.boardPattern || '').substring(0, 50), // Limit length
+            boardPattern: (filters.boardPattern || '').substring(0, MAX_LANES_LENGTH), // Limit length
             timestamp: Date.now()
         };
 
@@ -1177,6 +1674,1748 @@ function removeRecentSearch(index) {
     }
 }
 
+/**
+ * Check a played-tiles string (letters, '?' for blanks, spaces)
+ */
+function isValidPlayedTiles(value) {
+    if (typeof value !== 'string' || value.length > MAX_PLAYED_TILES_LENGTH) {
+        return false;
+    }
+    const { alphabet } = getActiveRuleset();
+    return [...value.toUpperCase()].every(ch => alphabet.includes(ch) || ch === BLANK || ch === ' ');
+}
+
+/**
+ * Read the played tiles older versions kept in localStorage (per game id)
+ */
+function getTileTrackerStates() {
+    try {
+        const stored = localStorage.getItem(TILE_TRACKER_KEY);
+        if (!stored) {
+            return {};
+        }
+
+        const parsed = JSON.parse(stored);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            console.warn('Invalid tile tracker data, resetting');
+            localStorage.removeItem(TILE_TRACKER_KEY);
+            return {};
+        }
+
+        return parsed;
+    } catch (error) {
+        console.error('Error loading tile tracker:', error);
+        return {};
+    }
+}
+
+/**
+ * Open the saved games and show the most recently used one
+ * Without IndexedDB (some private windows) games live until the page closes
+ */
+async function initGames() {
+    const { language } = getActiveRuleset();
+    let games = [];
+
+    try {
+        gameDb = await openGameStore();
+        games = await loadGames(gameDb);
+
+        // Første start: flyt brikkerne fra den gamle tracker over i spil
+        if (games.length === 0) {
+            games = migrateTileTracker(getTileTrackerStates(), language);
+            for (const game of games) {
+                await saveGame(gameDb, game);
+            }
+            localStorage.removeItem(TILE_TRACKER_KEY);
+        }
+    } catch (error) {
+        console.warn('Saved games not available:', error);
+        gameDb = null;
+        games = migrateTileTracker(getTileTrackerStates(), language);
+    }
+
+    savedGames = games.filter(game => game.language === language);
+    if (savedGames.length === 0) {
+        savedGames.push(createGameRecord(nextGameName([]), language));
+    }
+
+    // Brugeren kan have skrevet mens spillene blev hentet
+    activeGame = savedGames[0];
+    if (!hasGameInput()) {
+        restoreGame(activeGame);
+    }
+    renderGameSwitcher(gameDb ? '' : 'Spil gemmes ikke i denne browser (privat vindue?)');
+    attachGameListeners();
+}
+
+function attachGameListeners() {
+    if (!elements.gameSwitcher) return;
+
+    elements.gameSelect.addEventListener('change', () => switchGame(elements.gameSelect.value));
+    elements.newGameBtn.addEventListener('click', handleNewGame);
+    elements.deleteGameBtn.addEventListener('click', handleDeleteGame);
+
+    elements.gameNameInput.addEventListener('input', () => {
+        const name = elements.gameNameInput.value.trim();
+        if (!name) return;
+        activeGame.name = name;
+        elements.gameSelect.selectedOptions[0].textContent = name;
+        renderTrackerGame();
+        scheduleGameSave();
+    });
+    elements.gameNameInput.addEventListener('change', () => {
+        elements.gameNameInput.value = activeGame.name;
+    });
+
+    [elements.gameScoreMine, elements.gameScoreOpponent, elements.gameNotesInput].forEach(input => {
+        input.addEventListener('input', scheduleGameSave);
+    });
+
+    // Gem med det samme når fanen skjules eller lukkes
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushGameSave();
+    });
+}
+
+/**
+ * Check if the rack, played tiles or board already have input
+ */
+function hasGameInput() {
+    return !!elements.lettersInput.value.trim() || hasPlayedTiles();
+}
+
+/**
+ * The active game with the current inputs (board, rack, tiles, scores, notes, search settings)
+ * @returns {Object}
+ */
+function collectGameState() {
+    const readScore = (input) => {
+        const score = input ? parseInt(input.value) : NaN;
+        return Number.isInteger(score) && score >= 0 ? score : null;
+    };
+
+    return {
+        ...activeGame,
+        board: countTiles(boardEditor) > 0 ? cloneBoard(boardEditor.board) : null,
+        rack: elements.lettersInput.value,
+        played: elements.playedTilesInput ? elements.playedTilesInput.value : activeGame?.played ?? '',
+        scores: [readScore(elements.gameScoreMine), readScore(elements.gameScoreOpponent)],
+        notes: elements.gameNotesInput ? elements.gameNotesInput.value : activeGame?.notes ?? '',
+        filters: {
+            boardPattern: elements.boardPatternInput.value,
+            sortBy: elements.sortSelect.value,
+            lengthMode: elements.lengthModeSelect.value,
+            exactLength: elements.exactLength.value,
+            minLength: elements.minLength.value,
+            maxLength: elements.maxLength.value
+        },
+        updatedAt: Date.now()
+    };
+}
+
+/**
+ * Save the active game shortly after the last change
+ */
+function scheduleGameSave() {
+    if (!activeGame) return;
+
+    if (gameSaveTimer) {
+        clearTimeout(gameSaveTimer);
+    }
+    gameSaveTimer = setTimeout(flushGameSave, GAME_SAVE_DELAY);
+}
+
+/**
+ * Save the active game now (before switching game or leaving the page)
+ */
+async function flushGameSave() {
+    if (gameSaveTimer) {
+        clearTimeout(gameSaveTimer);
+        gameSaveTimer = null;
+    }
+    if (!activeGame) return;
+
+    activeGame = collectGameState();
+    savedGames = savedGames.map(game => game.id === activeGame.id ? activeGame : game);
+
+    if (gameDb) {
+        try {
+            await saveGame(gameDb, activeGame);
+        } catch (error) {
+            console.error('Error saving game:', error);
+        }
+    }
+}
+
+/**
+ * Put a saved game back into the inputs getFilters and the search read from
+ * @param {Object} game
+ */
+function restoreGame(game) {
+    const { filters } = game;
+    const setSelect = (select, value) => {
+        if ([...select.options].some(option => option.value === value)) {
+            select.value = value;
+        }
+    };
+
+    elements.lettersInput.value = game.rack;
+    elements.boardPatternInput.value = filters.boardPattern || '';
+    setSelect(elements.sortSelect, filters.sortBy || 'score');
+    setSelect(elements.lengthModeSelect, filters.lengthMode || 'all');
+    elements.exactLength.value = filters.exactLength || '';
+    elements.minLength.value = filters.minLength || '';
+    elements.maxLength.value = filters.maxLength || '';
+
+    if (elements.playedTilesInput) {
+        elements.playedTilesInput.value = isValidPlayedTiles(game.played) ? game.played : '';
+    }
+    if (elements.gameScoreMine) {
+        elements.gameScoreMine.value = game.scores[0] ?? '';
+        elements.gameScoreOpponent.value = game.scores[1] ?? '';
+        elements.gameNotesInput.value = game.notes;
+    }
+
+    // Nyt bræt og ny fortryd-historik for hvert spil
+    boardEditor = createEditor(game.board ? cloneBoard(game.board) : null);
+    uncertainSquares = new Set();
+    resetMoveAnalysis();
+    resetEndgame();
+    currentGame = null;
+    if (elements.boardGrid) {
+        elements.useBoardToggle.checked = !!game.board;
+        renderBoardEditor();
+    }
+
+    // Resultater fra det forrige spil hører ikke til her
+    if (previewTimer) {
+        clearTimeout(previewTimer);
+        previewTimer = null;
+    }
+    cancelActiveSearch();
+    setSearchLoading(false);
+    cancelExchangeAdvice();
+    currentResults = [];
+    currentLanes = [];
+    currentPage = 1;
+    elements.resultsSection.style.display = 'none';
+    elements.resultsPreview.style.display = 'none';
+    if (elements.exchangeAdvice) {
+        elements.exchangeAdvice.style.display = 'none';
+    }
+    hideError();
+
+    updateLengthInputsState();
+    updateSearchButtonState();
+    updateClearButtonVisibility(elements.lettersInput, elements.clearLettersBtn);
+    updateClearButtonVisibility(elements.boardPatternInput, elements.clearBoardBtn);
+    updateInputPreview();
+    updateTileTracker();
+}
+
+/**
+ * Show the games list, the active game's name and an optional message
+ * @param {string} message
+ * @param {boolean} isError
+ */
+function renderGameSwitcher(message = '', isError = false) {
+    if (!elements.gameSwitcher) return;
+
+    elements.gameSelect.textContent = '';
+    for (const game of savedGames) {
+        const option = document.createElement('option');
+        option.value = game.id;
+        option.textContent = game.name;
+        elements.gameSelect.appendChild(option);
+    }
+    elements.gameSelect.value = activeGame.id;
+    elements.gameNameInput.value = activeGame.name;
+    elements.newGameBtn.disabled = savedGames.length >= MAX_GAMES;
+
+    elements.gameSwitcherStatus.textContent = message;
+    elements.gameSwitcherStatus.classList.toggle('error', isError);
+    elements.gameSwitcher.hidden = false;
+    renderTrackerGame();
+}
+
+/**
+ * Name the game the played tiles are saved with
+ */
+function renderTrackerGame() {
+    if (!elements.trackerGame || !activeGame) return;
+
+    elements.trackerGame.textContent = gameDb
+        ? `Gemmes med spillet "${activeGame.name}" - skift spil øverst på siden`
+        : `Spillet "${activeGame.name}" gemmes ikke i denne browser`;
+    elements.trackerGame.hidden = false;
+}
+
+/**
+ * Save the current game and show another
+ * @param {string} id
+ */
+async function switchGame(id) {
+    const game = savedGames.find(g => g.id === id);
+    if (!game || game.id === activeGame.id) return;
+
+    await flushGameSave();
+    activeGame = savedGames.find(g => g.id === id);
+    restoreGame(activeGame);
+    renderGameSwitcher();
+    // Gemmes som senest brugt, så det åbnes næste gang
+    scheduleGameSave();
+}
+
+async function handleNewGame() {
+    if (savedGames.length >= MAX_GAMES) {
+        renderGameSwitcher(`Højst ${MAX_GAMES} spil - slet et gammelt spil først`, true);
+        return;
+    }
+
+    await flushGameSave();
+    activeGame = createGameRecord(nextGameName(savedGames), getActiveRuleset().language);
+    savedGames.unshift(activeGame);
+    restoreGame(activeGame);
+    renderGameSwitcher();
+    await flushGameSave();
+
+    elements.gameNameInput.focus();
+    elements.gameNameInput.select();
+}
+
+async function handleDeleteGame() {
+    if (!window.confirm(`Slet "${activeGame.name}"? Bræt, brikker og noter for spillet forsvinder.`)) {
+        return;
+    }
+
+    if (gameSaveTimer) {
+        clearTimeout(gameSaveTimer);
+        gameSaveTimer = null;
+    }
+    const deleted = activeGame;
+    if (gameDb) {
+        try {
+            await deleteGame(gameDb, deleted.id);
+        } catch (error) {
+            console.error('Error deleting game:', error);
+            renderGameSwitcher('Spillet kunne ikke slettes - prøv igen', true);
+            return;
+        }
+    }
+
+    savedGames = savedGames.filter(game => game.id !== deleted.id);
+    if (savedGames.length === 0) {
+        savedGames.push(createGameRecord(nextGameName([]), deleted.language));
+    }
+    activeGame = savedGames[0];
+    restoreGame(activeGame);
+    renderGameSwitcher(`"${deleted.name}" er slettet`);
+    scheduleGameSave();
+}
+
+/**
+ * Compute unseen tiles from the board, the played tiles and the current rack
+ * @returns {Object|null} Result of computeUnseenTiles or null if input is invalid
+ */
+export function getCurrentUnseenTiles() {
+    const played = elements.playedTilesInput ? elements.playedTilesInput.value : '';
+    const rack = elements.lettersInput ? elements.lettersInput.value : '';
+
+    if (!isValidPlayedTiles(played) || (rack && !isValidInput(rack))) {
+        return null;
+    }
+
+    const board = countTiles(boardEditor) > 0 ? boardEditor.board : null;
+    return computeUnseenTiles(getActiveRuleset(), { board, played, rack });
+}
+
+/**
+ * Check if the game has tiles on the board (typed in the tracker or on the board editor)
+ */
+function hasPlayedTiles() {
+    const played = elements.playedTilesInput ? elements.playedTilesInput.value.trim() : '';
+    return !!played || countTiles(boardEditor) > 0;
+}
+
+/**
+ * Tile warnings for the search, only once the game has tiles on the board
+ */
+function getCurrentTileWarnings() {
+    if (!hasPlayedTiles()) {
+        return [];
+    }
+
+    const unseen = getCurrentUnseenTiles();
+    return unseen ? getTileWarnings(unseen, getActiveRuleset()) : [];
+}
+
+/**
+ * Render the unseen tiles panel
+ */
+function updateTileTracker() {
+    if (!elements.unseenTiles) {
+        return;
+    }
+
+    const ruleset = getActiveRuleset();
+    const unseen = getCurrentUnseenTiles();
+
+    elements.unseenTiles.innerHTML = '';
+    elements.tileWarnings.innerHTML = '';
+
+    if (!unseen) {
+        elements.unseenSummary.textContent = 'Ugyldige tegn. Brug kun bogstaver, ? (joker) og mellemrum';
+        return;
+    }
+
+    elements.unseenSummary.textContent =
+        `${unseen.total} brikker uset · ${getBagCount(unseen)} i posen`;
+
+    if (unseen.overdrawn.length > 0) {
+        elements.unseenSummary.textContent +=
+            ` · For mange af: ${unseen.overdrawn.join(', ')}`;
+    }
+
+    listUnseenTiles(unseen, ruleset).forEach(({ letter, count }) => {
+        const tile = document.createElement('span');
+        tile.className = 'unseen-tile';
+        if (count === 0) {
+            tile.classList.add('exhausted');
+        }
+
+        tile.appendChild(document.createTextNode(letter));
+
+        const countSpan = document.createElement('span');
+        countSpan.className = 'unseen-count';
+        countSpan.textContent = count;
+        tile.appendChild(countSpan);
+
+        elements.unseenTiles.appendChild(tile);
+    });
+
+    if (hasPlayedTiles()) {
+        getTileWarnings(unseen, ruleset).forEach(warning => {
+            const item = document.createElement('li');
+            item.textContent = warning.message;
+            elements.tileWarnings.appendChild(item);
+        });
+    }
+}
+
+/**
+ * Handle "Skal jeg bytte?" - best play by equity vs. exchanging tiles
+ */
+async function handleExchangeAdvice() {
+    if (!elements.exchangeAdvice) {
+        return;
+    }
+
+    hideError();
+    elements.exchangeAdvice.style.display = 'none';
+
+    const rack = elements.lettersInput.value.trim();
+    if (!rack || !isValidInput(rack)) {
+        showError('Ugyldige tegn. Brug kun A-Å, Æ, Ø, Å og ? (joker)');
+        return;
+    }
+
+    const { letterCounts, wildcards } = parseLetters(rack.replace(/\s+/g, ''));
+    let tileCount = wildcards;
+    for (const count of letterCounts.values()) {
+        tileCount += count;
+    }
+    if (tileCount > RACK_SIZE) {
+        showError(`Du kan højst have ${RACK_SIZE} brikker på hånden`);
+        return;
+    }
+
+    const unseen = getCurrentUnseenTiles();
+    if (!unseen) {
+        showError('Ugyldige tegn i lagte brikker');
+        return;
+    }
+
+    elements.exchangeButton.disabled = true;
+    elements.exchangeButton.classList.add('loading');
+
+    // Bedste træk på brættet (kun hånden, hvis brættet er tomt), rangeret efter equity
+    const letters = rack.replace(/\s+/g, '');
+    const board = countTiles(boardEditor) > 0 ? cloneBoard(boardEditor.board) : null;
+
+    if (useWorker && searchWorker) {
+        // Samme opdelte, afbrydelige søgning som resten - svaret klarer resten
+        const requestId = nextRequestId++;
+        activeExchange = { requestId, rack, unseen, onBoard: !!board };
+        searchWorker.postMessage(board
+            ? { type: 'generateMoves', payload: { requestId, board: { tiles: board.tiles }, rack: letters, sortBy: 'equity' } }
+            : { type: 'search', payload: { requestId, lettersString: letters, filters: { sortBy: 'equity' } } });
+        return;
+    }
+
+    // Small delay to show loading state
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    try {
+        const { index, leaveTable } = getSearchSource();
+        showExchangeAnalysis(rack, unseen, findBestPlay(index, board, letters, leaveTable), !!board);
+    } finally {
+        finishExchangeAdvice();
+    }
+}
+
+/**
+ * Check that a worker reply belongs to the exchange advice the UI is waiting for
+ */
+function isExchangeReply(payload) {
+    return !!activeExchange && payload?.requestId === activeExchange.requestId;
+}
+
+/**
+ * The worker's results are sorted by equity - the first is the play to beat
+ */
+function handleExchangeBestPlay(payload) {
+    const { rack, unseen, onBoard } = activeExchange;
+    finishExchangeAdvice();
+    showExchangeAnalysis(rack, unseen, payload.results[0] || null, onBoard);
+}
+
+/**
+ * Weigh the best play against exchanging (the draws are sampled here)
+ */
+function showExchangeAnalysis(rack, unseen, bestPlay, onBoard) {
+    try {
+        const analysis = analyzeExchange(rack, unseen, getSearchSource().leaveTable, bestPlay);
+        displayExchangeAdvice(analysis, onBoard);
+    } catch (error) {
+        showError(`Fejl ved bytte-analyse: ${error.message}`);
+        console.error('Exchange analysis error:', error);
+    }
+}
+
+function finishExchangeAdvice() {
+    activeExchange = null;
+    elements.exchangeButton.disabled = false;
+    elements.exchangeButton.classList.remove('loading');
+}
+
+/**
+ * Stop waiting for the exchange advice (the worker is told to stop)
+ */
+function cancelExchangeAdvice() {
+    if (!activeExchange) return;
+
+    searchWorker?.postMessage({ type: 'cancel', payload: { requestId: activeExchange.requestId } });
+    finishExchangeAdvice();
+}
+
+/**
+ * Render the exchange advice next to the search button
+ * @param {Object} analysis - From analyzeExchange
+ * @param {boolean} onBoard - The best play was found on the board editor's board
+ */
+function displayExchangeAdvice(analysis, onBoard) {
+    const container = elements.exchangeAdvice;
+    container.innerHTML = '';
+    container.classList.toggle('recommend-exchange', analysis.shouldExchange);
+
+    const headline = document.createElement('p');
+    headline.className = 'exchange-headline';
+
+    if (!analysis.allowed) {
+        headline.textContent = `Byt er ikke muligt - der skal være mindst ${MIN_BAG_FOR_EXCHANGE} brikker i posen (${analysis.bagCount} tilbage)`;
+    } else if (analysis.shouldExchange) {
+        headline.textContent = `Byt ${analysis.recommendation.throwBack} (behold ${analysis.recommendation.keep || 'ingen'})`;
+    } else {
+        headline.textContent = `Læg ${analysis.play.word} - det slår at bytte`;
+    }
+    container.appendChild(headline);
+
+    const details = document.createElement('ul');
+    details.className = 'exchange-details';
+
+    if (analysis.play) {
+        const item = document.createElement('li');
+        item.textContent = `Bedste træk: ${analysis.play.word} (${analysis.play.score} point, rest ${analysis.play.leave || '-'}) · værdi ${analysis.play.value.toFixed(1)}`;
+        if (onBoard) {
+            item.appendChild(renderMovePosition(analysis.play));
+        }
+        details.appendChild(item);
+    } else {
+        const item = document.createElement('li');
+        item.textContent = onBoard ? 'Ingen træk kan lægges på brættet med disse brikker' : 'Ingen ord kan lægges med disse brikker';
+        details.appendChild(item);
+    }
+
+    analysis.exchanges.slice(0, 3).forEach(option => {
+        const item = document.createElement('li');
+        item.textContent = `Byt ${option.throwBack}, behold ${option.keep || 'ingen'} · værdi ${option.value.toFixed(1)}`;
+        details.appendChild(item);
+    });
+
+    container.appendChild(details);
+
+    const note = document.createElement('p');
+    note.className = 'exchange-note';
+    note.textContent = 'Værdien er point plus den forventede værdi af hånden efter træk fra de usete brikker.' +
+        (onBoard ? '' : ' Brættet er tomt, så bonusfelter er ikke med - læg brikkerne på brættet for et præcist træk.');
+    container.appendChild(note);
+
+    container.style.display = 'block';
+}
+
+/**
+ * Check the pasted words against the loaded wordlist
+ */
+function handleCheckWords() {
+    const { results, allValid, truncated } = checkWords(elements.checkWordsInput.value);
+
+    elements.checkWordsResults.innerHTML = '';
+    elements.checkWordsSummary.className = 'check-words-summary';
+
+    if (results.length === 0) {
+        elements.checkWordsSummary.textContent = 'Skriv mindst ét ord';
+        elements.checkWordsVersion.textContent = '';
+        elements.copyCheckBtn.style.display = 'none';
+        return;
+    }
+
+    const invalid = results.filter(r => !r.valid);
+    if (allValid) {
+        elements.checkWordsSummary.textContent = results.length === 1
+            ? 'Ordet er gyldigt'
+            : `Alle ${results.length} ord er gyldige`;
+        elements.checkWordsSummary.classList.add('all-valid');
+    } else {
+        elements.checkWordsSummary.textContent =
+            `${invalid.length} af ${results.length} ord er ugyldige: ${invalid.map(r => r.word).join(', ')}`;
+        elements.checkWordsSummary.classList.add('has-invalid');
+    }
+    if (truncated) {
+        elements.checkWordsSummary.textContent += ' (kun de første 20 ord er tjekket)';
+    }
+
+    results.forEach(({ word, valid, reason }) => {
+        const item = document.createElement('li');
+        item.className = `check-word ${valid ? 'valid' : 'invalid'}`;
+        item.textContent = `${valid ? '✓' : '✗'} ${word}`;
+        item.title = reason || (valid ? 'Findes i ordlisten' : 'Findes ikke i ordlisten');
+        elements.checkWordsResults.appendChild(item);
+    });
+
+    elements.checkWordsVersion.textContent = `Ordliste: ${formatWordlistVersion()}`;
+    elements.copyCheckBtn.style.display = 'inline';
+}
+
+/**
+ * List the front and back hooks for a word on the board
+ * Hooks on the rack (the letters in the search field) are marked.
+ */
+function handleFindHooks() {
+    const hooks = findHooks(getWordIndex(), elements.hookWordInput.value, elements.lettersInput.value);
+
+    elements.hooksFront.innerHTML = '';
+    elements.hooksBack.innerHTML = '';
+
+    if (hooks.error) {
+        elements.hooksSummary.textContent = hooks.error;
+        elements.hooksResult.style.display = 'none';
+        return;
+    }
+
+    const all = [...hooks.front, ...hooks.back];
+    const held = all.filter(h => h.held).map(h => h.letter);
+
+    let summary = all.length === 0
+        ? `Ingen kroge til ${hooks.word}`
+        : `${hooks.front.length} foran og ${hooks.back.length} bagefter`;
+    if (!hooks.exists) {
+        summary += ` (${hooks.word} er ikke selv et ord)`;
+    }
+    if (all.length > 0) {
+        if (held.length > 0) {
+            summary += ` · Du har ${Array.from(new Set(held)).join(', ')}`;
+        } else if (elements.lettersInput.value.trim()) {
+            summary += ' · Ingen af dem er på din hånd';
+        }
+        if (hooks.jokers > 0) {
+            summary += ' · Din joker kan bruges til dem alle';
+        }
+    }
+    elements.hooksSummary.textContent = summary;
+
+    const fillList = (list, items) => {
+        if (items.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'hook-none';
+            empty.textContent = 'Ingen';
+            list.appendChild(empty);
+            return;
+        }
+        items.forEach(({ letter, word, held: onRack }) => {
+            const item = document.createElement('li');
+            item.className = `hook${onRack ? ' held' : ''}`;
+            item.title = onRack ? `${word} - du har ${letter}` : word;
+
+            const letterSpan = document.createElement('strong');
+            letterSpan.textContent = letter;
+            item.appendChild(letterSpan);
+            item.appendChild(document.createTextNode(` ${word}`));
+            list.appendChild(item);
+        });
+    };
+
+    fillList(elements.hooksFront, hooks.front);
+    fillList(elements.hooksBack, hooks.back);
+    elements.hooksResult.style.display = 'block';
+}
+
+/**
+ * Get the two- and three-letter word index for the loaded wordlist
+ * Rebuilt when the wordlist changes (new version or language).
+ * @returns {Object} From buildShortWordIndex
+ */
+function getShortWordIndex() {
+    const index = getWordIndex();
+    if (!shortWordIndex || shortWordIndexSource !== index) {
+        shortWordIndex = buildShortWordIndex(index);
+        shortWordIndexSource = index;
+    }
+    return shortWordIndex;
+}
+
+/**
+ * Build the board editor squares (once) and attach its keyboard handling
+ * Typing goes through a small input so phones open their keyboard.
+ */
+function initBoardEditor() {
+    if (!elements.boardGrid) return;
+
+    for (let row = 0; row < BOARD_SIZE; row++) {
+        const rowElement = document.createElement('div');
+        rowElement.className = 'board-row';
+        rowElement.setAttribute('role', 'row');
+
+        for (let col = 0; col < BOARD_SIZE; col++) {
+            const cell = document.createElement('div');
+            cell.className = 'board-cell';
+            cell.setAttribute('role', 'gridcell');
+            cell.dataset.row = row;
+            cell.dataset.col = col;
+
+            const premium = getPremium(row, col);
+            if (premium) {
+                cell.classList.add(`premium-${premium.toLowerCase()}`);
+            }
+
+            cell.addEventListener('click', () => {
+                // Tryk på markøren igen for at skifte retning
+                if (boardEditor.row === row && boardEditor.col === col) {
+                    toggleDirection(boardEditor);
+                } else {
+                    setCursor(boardEditor, row, col);
+                }
+                renderBoardEditor();
+                elements.boardKeyInput.focus({ preventScroll: true });
+            });
+
+            rowElement.appendChild(cell);
+        }
+        elements.boardGrid.appendChild(rowElement);
+    }
+
+    elements.boardKeyInput.addEventListener('keydown', handleBoardKeydown);
+    elements.boardKeyInput.addEventListener('input', () => {
+        // Mobiltastaturer sender bogstaver som input, ikke keydown
+        const text = elements.boardKeyInput.value;
+        elements.boardKeyInput.value = '';
+        for (const ch of text) {
+            if (ch.trim()) {
+                editBoard(() => typeLetter(boardEditor, ch));
+            }
+        }
+    });
+    elements.boardKeyInput.addEventListener('focus', () => elements.boardGrid.classList.add('focused'));
+    elements.boardKeyInput.addEventListener('blur', () => elements.boardGrid.classList.remove('focused'));
+
+    elements.useBoardToggle.addEventListener('change', updateResultsPreview);
+
+    // Opponent move: save the board, let the user add their tiles, then compare
+    if (elements.markBeforeBtn) {
+        elements.markBeforeBtn.addEventListener('click', handleMarkBefore);
+        elements.analyzeMoveBtn.addEventListener('click', handleAnalyzeMove);
+    }
+
+    // Screenshot: file, drag and drop, or paste anywhere on the page
+    elements.screenshotInput.addEventListener('change', () => {
+        const file = elements.screenshotInput.files[0];
+        elements.screenshotInput.value = '';
+        if (file) handleScreenshot(file);
+    });
+    elements.screenshotDrop.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        elements.screenshotDrop.classList.add('dragging');
+    });
+    elements.screenshotDrop.addEventListener('dragleave', () => {
+        elements.screenshotDrop.classList.remove('dragging');
+    });
+    elements.screenshotDrop.addEventListener('drop', (event) => {
+        event.preventDefault();
+        elements.screenshotDrop.classList.remove('dragging');
+        const file = Array.from(event.dataTransfer.files).find(f => f.type.startsWith('image/'));
+        if (file) handleScreenshot(file);
+    });
+    document.addEventListener('paste', (event) => {
+        const item = Array.from(event.clipboardData?.items || []).find(i => i.type.startsWith('image/'));
+        if (!item) return;
+        event.preventDefault();
+        handleScreenshot(item.getAsFile());
+    });
+
+    // Game as text: paste, show, copy, save and open
+    elements.gameImportBtn.addEventListener('click', () => handleImportGame(elements.gameTextInput.value));
+    elements.gameExportBtn.addEventListener('click', handleExportGame);
+    elements.gameCopyBtn.addEventListener('click', handleCopyGame);
+    elements.gameSaveBtn.addEventListener('click', handleSaveGame);
+    elements.gameFileInput.addEventListener('change', async () => {
+        const file = elements.gameFileInput.files[0];
+        elements.gameFileInput.value = '';
+        if (!file) return;
+
+        // Security: Limit file size before reading it
+        if (file.size > MAX_GAME_TEXT_LENGTH * 4) {
+            setGameNotationStatus('Filen er for stor til et spil', true);
+            return;
+        }
+        try {
+            const text = await file.text();
+            elements.gameTextInput.value = text;
+            handleImportGame(text);
+        } catch (error) {
+            setGameNotationStatus(`Filen kunne ikke læses: ${error.message}`, true);
+        }
+    });
+
+    elements.boardDirectionBtn.addEventListener('click', () => {
+        toggleDirection(boardEditor);
+        renderBoardEditor();
+    });
+    elements.boardBlankBtn.addEventListener('click', () => {
+        editBoard(() => toggleBlank(boardEditor)
+            ? { valid: true }
+            : { valid: false, error: 'Vælg et felt med en brik først' });
+    });
+    elements.boardUndoBtn.addEventListener('click', () => editBoard(() => {
+        undo(boardEditor);
+        return { valid: true };
+    }));
+    elements.boardClearBtn.addEventListener('click', () => editBoard(() => {
+        uncertainSquares = new Set();
+        clearEditor(boardEditor);
+        return { valid: true };
+    }));
+
+    renderBoardEditor();
+}
+
+/**
+ * Keyboard on the board: arrows move, space turns, Backspace/Delete erase,
+ * letters are placed (Shift+letter as a joker)
+ * @param {KeyboardEvent} event
+ */
+function handleBoardKeydown(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+    const arrows = {
+        ArrowUp: [-1, 0],
+        ArrowDown: [1, 0],
+        ArrowLeft: [0, -1],
+        ArrowRight: [0, 1]
+    };
+
+    if (arrows[event.key]) {
+        moveCursor(boardEditor, ...arrows[event.key]);
+        renderBoardEditor();
+    } else if (event.key === ' ') {
+        toggleDirection(boardEditor);
+        renderBoardEditor();
+    } else if (event.key === 'Backspace') {
+        editBoard(() => {
+            eraseBack(boardEditor);
+            return { valid: true };
+        });
+    } else if (event.key === 'Delete') {
+        editBoard(() => {
+            eraseAt(boardEditor);
+            return { valid: true };
+        });
+    } else if (event.key.length === 1 && event.key !== '?') {
+        editBoard(() => typeLetter(boardEditor, event.key, event.shiftKey));
+    } else {
+        return;
+    }
+
+    event.preventDefault();
+}
+
+/**
+ * Run a change on the board, then redraw and update what depends on the board
+ * @param {Function} change - Returns { valid, error }
+ */
+function editBoard(change) {
+    const before = countTiles(boardEditor);
+    // Et felt der rettes er ikke længere usikkert
+    uncertainSquares.delete(boardEditor.row * BOARD_SIZE + boardEditor.col);
+    const { valid, error } = change();
+
+    // Første brik: søg på brættet fra nu af
+    if (before === 0 && countTiles(boardEditor) > 0) {
+        elements.useBoardToggle.checked = true;
+    }
+
+    renderBoardEditor(valid ? null : error);
+    updateTileTracker();
+    scheduleGameSave();
+}
+
+/**
+ * Redraw tiles, cursor and status of the board editor
+ * @param {string|null} message - Error to show instead of the position
+ */
+function renderBoardEditor(message = null) {
+    const { board, row, col, direction } = boardEditor;
+    const { letterValues } = getActiveRuleset();
+
+    elements.boardGrid.querySelectorAll('.board-cell').forEach(cell => {
+        const r = Number(cell.dataset.row);
+        const c = Number(cell.dataset.col);
+        const tile = getTile(board, r, c);
+        const premium = PREMIUM_LABELS[getPremium(r, c)];
+        const isCursor = r === row && c === col;
+
+        cell.textContent = '';
+        cell.classList.toggle('has-tile', !!tile);
+        cell.classList.toggle('blank', !!tile?.blank);
+        cell.classList.toggle('cursor', isCursor);
+        cell.classList.toggle('cursor-down', isCursor && direction === 'V');
+        cell.classList.toggle('uncertain', !!tile && uncertainSquares.has(r * BOARD_SIZE + c));
+        cell.setAttribute('aria-selected', isCursor ? 'true' : 'false');
+
+        if (tile) {
+            cell.appendChild(document.createTextNode(tile.letter));
+            const points = document.createElement('span');
+            points.className = 'board-cell-points';
+            points.textContent = tile.blank ? 0 : (letterValues[tile.letter] || 0);
+            cell.appendChild(points);
+            cell.title = tile.blank ? `${tile.letter} (joker)` : tile.letter;
+        } else if (premium) {
+            cell.textContent = premium.text;
+            cell.title = premium.title;
+        } else {
+            cell.title = '';
+        }
+    });
+
+    const tiles = countTiles(boardEditor);
+    elements.boardDirectionBtn.textContent = direction === 'H' ? '→ Vandret' : '↓ Lodret';
+    elements.boardUndoBtn.disabled = boardEditor.history.length === 0;
+    elements.boardClearBtn.disabled = tiles === 0;
+    elements.boardStatus.textContent = message ||
+        `Række ${row + 1}, kolonne ${col + 1} · ${direction === 'H' ? 'vandret' : 'lodret'} · ${tiles} brikker`;
+    elements.boardStatus.classList.toggle('error', !!message);
+}
+
+/**
+ * Load a game from text onto the board editor and the letters field
+ * On an error the offending spot in the text is selected.
+ * @param {string} text
+ */
+function handleImportGame(text) {
+    const { game, error, line, column } = parseGame(text);
+
+    if (error) {
+        setGameNotationStatus(error, true);
+        selectTextPosition(elements.gameTextInput, line, column);
+        return;
+    }
+    if (game.language !== getActiveRuleset().language) {
+        setGameNotationStatus(`Spillet er på sproget "${game.language}" - skift sprog først`, true);
+        return;
+    }
+
+    if (game.board) {
+        uncertainSquares = new Set();
+        editBoard(() => {
+            loadBoard(boardEditor, game.board);
+            return { valid: true };
+        });
+        elements.useBoardToggle.checked = true;
+    }
+    if (game.racks[0]) {
+        elements.lettersInput.value = game.racks[0];
+        elements.lettersInput.dispatchEvent(new Event('input'));
+    }
+    currentGame = game;
+
+    // Stilling og noter følger med ind i det gemte spil
+    if (elements.gameScoreMine) {
+        if (game.scores.some(score => score != null)) {
+            elements.gameScoreMine.value = game.scores[0] ?? '';
+            elements.gameScoreOpponent.value = game.scores[1] ?? '';
+        }
+        if (game.notes) {
+            elements.gameNotesInput.value = game.notes;
+        }
+        scheduleGameSave();
+    }
+
+    const [first, second] = game.players;
+    const scores = game.scores.some(score => score != null)
+        ? ` ${game.scores[0] ?? 0}–${game.scores[1] ?? 0}` : '';
+    setGameNotationStatus(`Indlæst: ${first.name} mod ${second.name}${scores} · ` +
+        `${game.moves.length} træk${game.board ? '' : ' · ingen #board i teksten'}`);
+}
+
+/**
+ * Read board and rack from a screenshot and load them for checking
+ * Everything happens in the browser: the image is drawn on a canvas and
+ * the pixels are matched against letters rendered in the same way.
+ * @param {Blob} file - Image from the file picker, a drop or the clipboard
+ */
+async function handleScreenshot(file) {
+    if (!file || file.size > SCREENSHOT_MAX_BYTES) {
+        setScreenshotStatus('Billedet er for stort (max 20 MB)', true);
+        return;
+    }
+
+    setScreenshotStatus('Læser skærmbilledet...');
+    let result;
+    try {
+        const image = await getScreenshotPixels(file);
+        result = readScreenshot(image, getGlyphTemplates());
+    } catch (error) {
+        console.error('Screenshot import failed:', error);
+        setScreenshotStatus('Billedet kunne ikke læses - prøv et PNG- eller JPEG-skærmbillede', true);
+        return;
+    }
+
+    if (result.error) {
+        setScreenshotStatus(result.error, true);
+        return;
+    }
+
+    editBoard(() => {
+        loadBoard(boardEditor, result.board);
+        return { valid: true };
+    });
+    // Markeres efter indlæsning - editBoard rydder feltet under markøren
+    uncertainSquares = new Set(result.uncertain.map(({ row, col }) => row * BOARD_SIZE + col));
+    renderBoardEditor();
+    elements.useBoardToggle.checked = true;
+
+    if (result.rack) {
+        elements.lettersInput.value = result.rack;
+        elements.lettersInput.dispatchEvent(new Event('input'));
+    }
+
+    const toCheck = result.uncertain.length + result.uncertainRack.length;
+    setScreenshotStatus(`Genkendt ${result.tiles} brikker på brættet` +
+        (result.rack ? ` og ${result.rack.length} på hånden` : '') +
+        (toCheck > 0 ? ` · ${toCheck} markeret med gult - tjek dem` : '') +
+        ' · Ret fejl på brættet før du søger (Fortryd henter det gamle bræt)');
+}
+
+/**
+ * Draw an image file on a canvas and return its pixels (scaled down if large)
+ * createImageBitmap reads the file directly - the page's CSP has no blob: URLs
+ * @param {Blob} file
+ * @returns {Promise<ImageData>}
+ */
+async function getScreenshotPixels(file) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, SCREENSHOT_MAX_WIDTH / bitmap.width);
+    const width = Math.round(bitmap.width * scale);
+    const height = Math.round(bitmap.height * scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    return context.getImageData(0, 0, width, height);
+}
+
+/**
+ * Letter templates for the active language, rendered in a bold sans-serif like the tiles
+ */
+function getGlyphTemplates() {
+    const { language, alphabet } = getActiveRuleset();
+    if (glyphTemplates && glyphTemplates.language === language) {
+        return glyphTemplates.templates;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 120;
+    canvas.height = 140;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+
+    const renderLetter = (letter) => {
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#000000';
+        context.font = 'bold 96px Arial, Helvetica, sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(letter, canvas.width / 2, canvas.height / 2);
+        return context.getImageData(0, 0, canvas.width, canvas.height);
+    };
+
+    glyphTemplates = { language, templates: createGlyphTemplates(alphabet, renderLetter) };
+    return glyphTemplates.templates;
+}
+
+function setScreenshotStatus(message, isError = false) {
+    elements.screenshotStatus.textContent = message;
+    elements.screenshotStatus.classList.toggle('error', isError);
+}
+
+/**
+ * The current game as text: board editor, own rack and whatever was loaded before
+ * @returns {string}
+ */
+function getGameText() {
+    const rack = elements.lettersInput.value.trim().toUpperCase();
+    const { alphabet } = getActiveRuleset();
+    const validRack = rack.length <= RACK_SIZE && [...rack].every(ch => ch === '?' || alphabet.includes(ch));
+
+    const { scores, notes } = collectGameState();
+    return serializeGame({
+        ...currentGame,
+        scores,
+        notes,
+        language: getActiveRuleset().language,
+        board: countTiles(boardEditor) > 0 ? boardEditor.board : null,
+        racks: [validRack ? rack : '', currentGame?.racks[1] || '']
+    });
+}
+
+function handleExportGame() {
+    elements.gameTextInput.value = getGameText();
+    setGameNotationStatus('Spillet er skrevet som tekst - kopiér det eller gem det som fil');
+}
+
+function handleCopyGame() {
+    const text = getGameText();
+    elements.gameTextInput.value = text;
+    navigator.clipboard.writeText(text).then(() => {
+        setGameNotationStatus('Kopieret - send det til din makker');
+    }).catch(error => {
+        console.error('Failed to copy:', error);
+        setGameNotationStatus('Kunne ikke kopiere - markér teksten og kopiér selv', true);
+    });
+}
+
+/**
+ * Download the game as a text file (data: URL - the page's CSP has no blob:)
+ */
+function handleSaveGame() {
+    const text = getGameText();
+    elements.gameTextInput.value = text;
+
+    const link = document.createElement('a');
+    link.href = `data:text/plain;charset=utf-8,${encodeURIComponent(text)}`;
+    link.download = `wordfeud-spil-${new Date().toISOString().slice(0, 10)}.txt`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setGameNotationStatus(`Gemt som ${link.download}`);
+}
+
+function setGameNotationStatus(message, isError = false) {
+    elements.gameNotationStatus.textContent = message;
+    elements.gameNotationStatus.classList.toggle('error', isError);
+}
+
+/**
+ * Put the caret of a textarea at a line and column (both 1-based)
+ */
+function selectTextPosition(textarea, line, column) {
+    const lines = textarea.value.split('\n');
+    let offset = 0;
+    for (let i = 0; i < line - 1 && i < lines.length; i++) {
+        offset += lines[i].length + 1;
+    }
+    offset = Math.min(offset + column - 1, textarea.value.length);
+
+    textarea.focus();
+    textarea.setSelectionRange(offset, Math.min(offset + 1, textarea.value.length));
+}
+
+/**
+ * Check if searches should use the board editor instead of "På bordet"
+ */
+function isBoardSearch() {
+    return !!elements.useBoardToggle && elements.useBoardToggle.checked;
+}
+
+/**
+ * Find moves on the editor board on the main thread (same ranking as the worker)
+ * @param {string} rack - Letters string
+ * @param {Object} filters - From getFilters (sort and length are used)
+ * @returns {Object} { results, elapsedMs, lanes }
+ */
+function searchMoves(rack, filters) {
+    const startTime = performance.now();
+    const { index, leaveTable } = getSearchSource();
+
+    const results = generateMoves(index, boardEditor.board, rack);
+    for (const move of results) {
+        move.leave = computeMoveLeave(rack, move.tiles);
+        move.leaveValue = getLeaveValue(move.leave, leaveTable);
+        move.equity = Math.round((move.score + move.leaveValue) * 10) / 10;
+    }
+    sortResults(results, filters.sortBy);
+
+    return {
+        results: prepareMoves(results, boardEditor.board, filters),
+        elapsedMs: Math.round(performance.now() - startTime),
+        lanes: []
+    };
+}
+
+/**
+ * Apply the length filter to board moves and mark their board letters and jokers
+ * @param {Array} moves - From generateMoves (main thread or worker)
+ * @param {Object} board - The board the moves were found on
+ * @param {Object} filters
+ * @returns {Array}
+ */
+function prepareMoves(moves, board, filters) {
+    const kept = moves.filter(move => passesLengthFilter(move.length, filters));
+    for (const move of kept) {
+        Object.assign(move, getMoveMarks(move, board));
+    }
+    return kept;
+}
+
+/**
+ * Board letters and jokers of a move, as word positions
+ * @param {Object} move - From generateMoves
+ * @param {Object} board
+ * @returns {Object} { boardPositions, blanks }
+ */
+function getMoveMarks(move, board) {
+    const placed = new Map();
+    for (const tile of move.tiles) {
+        const position = move.direction === 'H' ? tile.col - move.col : tile.row - move.row;
+        placed.set(position, tile);
+    }
+
+    const boardPositions = [];
+    const blanks = [];
+    for (let i = 0; i < move.word.length; i++) {
+        const tile = placed.get(i);
+        if (!tile) {
+            boardPositions.push(i);
+        } else if (tile.blank) {
+            blanks.push({ position: i, letter: tile.letter });
+        }
+    }
+
+    // Jokere der allerede ligger på brættet
+    for (const position of boardPositions) {
+        const row = move.direction === 'H' ? move.row : move.row + position;
+        const col = move.direction === 'H' ? move.col + position : move.col;
+        if (getTile(board, row, col)?.blank) {
+            blanks.push({ position, letter: move.word[position] });
+        }
+    }
+
+    return { boardPositions, blanks };
+}
+
+/**
+ * Find plays alongside a word on the board, using the rack from the search field
+ */
+function handleFindParallel() {
+    const word = elements.parallelWordInput.value;
+    const board = countTiles(boardEditor) > 0 ? boardEditor.board : null;
+    let place = {
+        row: parseInt(elements.parallelRowInput.value) - 1,
+        col: parseInt(elements.parallelColInput.value) - 1,
+        direction: elements.parallelDirectionSelect.value
+    };
+
+    // Ligger ordet på brættet, bruges dets plads (den indtastede, hvis ordet ligger flere steder)
+    if (board) {
+        const places = findWordOnBoard(board, word);
+        if (places.length > 0) {
+            place = places.find(p => p.row === place.row && p.col === place.col && p.direction === place.direction) || places[0];
+            elements.parallelRowInput.value = place.row + 1;
+            elements.parallelColInput.value = place.col + 1;
+            elements.parallelDirectionSelect.value = place.direction;
+        }
+    }
+
+    const { results, error } = findParallelPlays(getWordIndex(), getShortWordIndex(), {
+        word,
+        ...place,
+        rack: elements.lettersInput.value,
+        board
+    });
+
+    elements.parallelResults.innerHTML = '';
+
+    if (error) {
+        elements.parallelSummary.textContent = error;
+        return;
+    }
+    if (results.length === 0) {
+        elements.parallelSummary.textContent = 'Ingen parallelle træk med dine bogstaver';
+        return;
+    }
+
+    const shown = results.slice(0, MAX_PARALLEL_RESULTS);
+    elements.parallelSummary.textContent = results.length > shown.length
+        ? `${results.length} træk - de ${shown.length} bedste vises`
+        : `${results.length} træk`;
+
+    shown.forEach(play => {
+        const item = document.createElement('li');
+        item.className = 'parallel-play';
+
+        const word = document.createElement('strong');
+        word.textContent = play.word;
+        item.appendChild(word);
+
+        const where = play.direction === 'H'
+            ? `række ${play.row + 1}, kolonne ${play.col + 1}-${play.col + play.word.length}`
+            : `kolonne ${play.col + 1}, række ${play.row + 1}-${play.row + play.word.length}`;
+        const crossWords = play.words.filter(w => w.direction !== play.direction).map(w => w.word);
+
+        const details = document.createElement('span');
+        details.className = 'parallel-details';
+        details.textContent = ` ${play.score} point · ${where} · ${crossWords.join(', ')}` +
+            (play.usedJokers > 0 ? ` · ${play.usedJokers} joker${play.usedJokers > 1 ? 'e' : ''}` : '');
+        item.appendChild(details);
+
+        elements.parallelResults.appendChild(item);
+    });
+}
+
+/**
+ * Position label for a board move or word ("R8 K5 →")
+ * @param {Object} move - { row, col, direction }
+ * @returns {HTMLElement}
+ */
+function renderMovePosition(move) {
+    const positionSpan = document.createElement('span');
+    positionSpan.className = 'move-position';
+    positionSpan.textContent = `R${move.row + 1} K${move.col + 1} ${move.direction === 'H' ? '→' : '↓'}`;
+    positionSpan.title = `Række ${move.row + 1}, kolonne ${move.col + 1}, ` +
+        (move.direction === 'H' ? 'vandret' : 'lodret');
+    return positionSpan;
+}
+
+/**
+ * Save the board as it was before the opponent's move
+ */
+function handleMarkBefore() {
+    moveBefore = cloneBoard(boardEditor.board);
+    elements.analyzeMoveBtn.disabled = false;
+    clearMoveAnalysis();
+    elements.moveAnalysisSummary.textContent = `Brættet med ${countTiles(boardEditor)} brikker er gemt - ` +
+        'læg nu modstanderens brikker og tryk Analysér træk';
+}
+
+/**
+ * Compare the saved board with the board editor and show the review
+ */
+function handleAnalyzeMove() {
+    if (!moveBefore) return;
+
+    const { analysis, error } = analyzeMove(getWordIndex(), moveBefore, boardEditor.board);
+    clearMoveAnalysis();
+
+    if (error) {
+        elements.moveAnalysisSummary.textContent = error;
+        elements.moveAnalysisSummary.classList.add('error');
+        return;
+    }
+
+    const { word, score, bingo, words, allValid, rack, rank, totalMoves, missed, alternatives } = analysis;
+    const invalid = words.filter(w => !w.valid).map(w => w.word);
+
+    let summary = `${word} gav ${score} point` + (bingo ? ` inkl. bingo (+${BINGO_BONUS})` : '');
+    if (!allValid) {
+        summary += ` · ${invalid.join(', ')} står ikke i ordlisten - trækket kan udfordres`;
+    } else if (rank === 1) {
+        summary += ` · det bedste af ${totalMoves} mulige træk med ${rack}`;
+    } else if (rank) {
+        summary += ` · nr. ${rank} af ${totalMoves} mulige træk med ${rack}`;
+    }
+    if (missed > 0) {
+        summary += ` · ${missed} point mindre end det bedste`;
+    }
+    elements.moveAnalysisSummary.textContent = summary;
+
+    // Hvert dannet ord med point og ordliste-tjek
+    words.forEach(w => {
+        const item = document.createElement('li');
+        item.className = w.valid ? 'valid' : 'invalid';
+        item.textContent = `${w.valid ? '✓' : '✗'} ${w.word} · ${w.score} point`;
+        item.appendChild(renderMovePosition(w));
+        elements.moveAnalysisWords.appendChild(item);
+    });
+
+    // Bedre (og andre) træk med de samme brikker
+    alternatives.forEach(move => {
+        const item = document.createElement('li');
+        item.className = move.score > score || !allValid ? 'better' : '';
+
+        const { boardPositions, blanks } = getMoveMarks(move, moveBefore);
+        const wordElement = document.createElement('strong');
+        wordElement.appendChild(renderResultWord(move.word, boardPositions, blanks));
+        item.appendChild(wordElement);
+        item.appendChild(document.createTextNode(` ${move.score} point`));
+        item.appendChild(renderMovePosition(move));
+
+        elements.moveAnalysisAlternatives.appendChild(item);
+    });
+}
+
+function clearMoveAnalysis() {
+    elements.moveAnalysisSummary.textContent = '';
+    elements.moveAnalysisSummary.classList.remove('error');
+    elements.moveAnalysisWords.innerHTML = '';
+    elements.moveAnalysisAlternatives.innerHTML = '';
+}
+
+/**
+ * Forget the saved board (another game is shown)
+ */
+function resetMoveAnalysis() {
+    moveBefore = null;
+    if (elements.markBeforeBtn) {
+        elements.analyzeMoveBtn.disabled = true;
+        clearMoveAnalysis();
+    }
+}
+
+/**
+ * Start the endgame worker and load the wordlist into it (first solve only)
+ * @returns {Worker|null}
+ */
+function getEndgameWorker() {
+    if (endgameWorker || typeof Worker === 'undefined') {
+        return endgameWorker;
+    }
+
+    endgameWorker = new Worker('/src/workers/endgameWorker.js', { type: 'module' });
+
+    endgameWorker.addEventListener('message', (event) => {
+        const { type, payload } = event.data;
+
+        // Ordlisten kunne ikke indlæses - næste forsøg starter en ny worker
+        if (type === 'endgameError' && payload?.requestId == null) {
+            console.error('Endgame worker error:', payload?.message);
+            endgameWorker.terminate();
+            endgameWorker = null;
+            if (activeEndgame) {
+                finishEndgame();
+                setEndgameStatus(`Fejl i slutspil: ${payload?.message}`, true);
+            }
+            return;
+        }
+
+        // Svar på en tidligere (afbrudt eller erstattet) løsning ignoreres
+        if (type !== 'wordlistLoaded' && payload?.requestId !== activeEndgame?.requestId) {
+            return;
+        }
+
+        if (type === 'endgameProgress') {
+            displayEndgameProgress(payload);
+        } else if (type === 'endgameResult') {
+            displayEndgameResult(payload);
+        } else if (type === 'endgameError') {
+            finishEndgame();
+            setEndgameStatus(`Fejl i slutspil: ${payload.message}`, true);
+        }
+    });
+
+    endgameWorker.addEventListener('error', (error) => {
+        console.error('Endgame worker error:', error);
+        endgameWorker = null;
+        if (activeEndgame) {
+            finishEndgame();
+            setEndgameStatus('Slutspillet fejlede - prøv igen', true);
+        }
+    });
+
+    const { payload, transfer } = getWorkerWordlist();
+    endgameWorker.postMessage({
+        type: 'loadWordlist',
+        payload: {
+            ...payload,
+            lang: detectLanguage()
+        }
+    }, transfer);
+
+    return endgameWorker;
+}
+
+/**
+ * Solve the endgame for the board editor's board, the own rack and the
+ * opponent's rack (typed, or inferred when the bag is empty)
+ */
+function handleSolveEndgame() {
+    const rack = elements.lettersInput.value.replace(/\s+/g, '');
+    if (!rack || !isValidInput(rack)) {
+        setEndgameStatus('Skriv dine brikker i feltet øverst (A-Å, Æ, Ø, Å og ? som joker)', true);
+        return;
+    }
+    if (rack.length > RACK_SIZE) {
+        setEndgameStatus(`Du kan højst have ${RACK_SIZE} brikker på hånden`, true);
+        return;
+    }
+
+    const opponentTiles = parseInt(elements.endgameOpponentCount.value) || RACK_SIZE;
+    let opponentRack = elements.endgameOpponentInput.value.replace(/\s+/g, '');
+
+    if (opponentRack && !isValidInput(opponentRack)) {
+        setEndgameStatus('Ugyldige tegn i modstanderens brikker', true);
+        return;
+    }
+    if (!opponentRack) {
+        // Med tom pose er de usete brikker præcis modstanderens
+        const played = elements.playedTilesInput ? elements.playedTilesInput.value : '';
+        const board = countTiles(boardEditor) > 0 ? boardEditor.board : null;
+        opponentRack = inferOpponentRack(getActiveRuleset(), { board, played, rack }, opponentTiles);
+        if (!opponentRack) {
+            setEndgameStatus('Der er stadig brikker i posen (eller ugyldige tegn) - skriv modstanderens brikker', true);
+            return;
+        }
+    }
+
+    const worker = getEndgameWorker();
+    if (!worker) {
+        setEndgameStatus('Slutspil kræver Web Workers, som denne browser ikke understøtter', true);
+        return;
+    }
+
+    const requestId = nextRequestId++;
+    const board = cloneBoard(boardEditor.board);
+    activeEndgame = { requestId, board };
+    worker.postMessage({
+        type: 'solve',
+        payload: {
+            requestId,
+            board,
+            myRack: rack,
+            opponentRack,
+            timeBudgetMs: parseInt(elements.endgameTimeSelect.value)
+        }
+    });
+
+    elements.endgameLine.innerHTML = '';
+    elements.solveEndgameBtn.disabled = true;
+    elements.solveEndgameBtn.classList.add('loading');
+    elements.cancelEndgameBtn.hidden = false;
+    setEndgameStatus(`Regner på ${normalizeString(rack)} mod ${normalizeString(opponentRack)}...`);
+}
+
+/**
+ * Stop the running solve - the worker answers with its best result so far
+ */
+function cancelEndgame() {
+    if (activeEndgame && endgameWorker) {
+        endgameWorker.postMessage({ type: 'cancel', payload: { requestId: activeEndgame.requestId } });
+        elements.cancelEndgameBtn.hidden = true;
+    }
+}
+
+function displayEndgameProgress({ depth, searched, total, bestMove, bestSpread, elapsedMs }) {
+    const best = bestMove ? `${bestMove.word} (${bestMove.score})` : 'stå over';
+    setEndgameStatus(`Dybde ${depth}: ${searched} af ${total} træk · bedst indtil nu ${best}, ` +
+        `${formatSpread(bestSpread)} · ${(elapsedMs / 1000).toFixed(1)} s`);
+}
+
+/**
+ * Show the best move and the expected line of play, moves alternating from me
+ * @param {Object} result - From solveEndgame
+ */
+function displayEndgameResult({ move, spread, depth, partial, line, exhausted, maxBranching, cancelled }) {
+    const { board } = activeEndgame;
+    finishEndgame();
+
+    const headline = move ? `Læg ${move.word} for ${move.score} point` : 'Stå over';
+    const stopped = cancelled ? 'stoppet' : 'tiden løb ud';
+    let note;
+    if (exhausted) {
+        // Kun de bedste træk pr. tur er prøvet - resultatet er ikke bevist
+        note = `alle linjer regnet til ende med de ${maxBranching} bedste træk pr. tur`;
+    } else if (depth === 0) {
+        note = `${stopped} før første dybde - trækket med flest point`;
+    } else {
+        note = `${stopped} ${partial ? 'under' : 'efter'} dybde ${depth}`;
+    }
+    setEndgameStatus(`${headline} · slutresultat ${formatSpread(spread)} · ${note}`);
+
+    elements.endgameLine.innerHTML = '';
+    line.forEach((step, i) => {
+        const item = document.createElement('li');
+        item.className = i % 2 === 0 ? 'endgame-mine' : 'endgame-opponent';
+        item.appendChild(document.createTextNode(`${i % 2 === 0 ? 'Dig' : 'Modstander'}: `));
+
+        if (step.pass) {
+            item.appendChild(document.createTextNode('Står over'));
+        } else {
+            const { boardPositions, blanks } = getMoveMarks(step, board);
+            const wordElement = document.createElement('strong');
+            wordElement.appendChild(renderResultWord(step.word, boardPositions, blanks));
+            item.appendChild(wordElement);
+            item.appendChild(document.createTextNode(` ${step.score} point`));
+            item.appendChild(renderMovePosition(step));
+        }
+
+        elements.endgameLine.appendChild(item);
+    });
+}
+
+function formatSpread(spread) {
+    return `${spread > 0 ? '+' : ''}${spread} point`;
+}
+
+function finishEndgame() {
+    activeEndgame = null;
+    elements.solveEndgameBtn.disabled = false;
+    elements.solveEndgameBtn.classList.remove('loading');
+    elements.cancelEndgameBtn.hidden = true;
+}
+
+function setEndgameStatus(message, isError = false) {
+    elements.endgameStatus.textContent = message;
+    elements.endgameStatus.classList.toggle('error', isError);
+}
+
+/**
+ * Stop any solve and clear the panel (another game is shown)
+ */
+function resetEndgame() {
+    if (!elements.solveEndgameBtn) return;
+
+    cancelEndgame();
+    finishEndgame();
+    setEndgameStatus('');
+    elements.endgameLine.innerHTML = '';
+    elements.endgameOpponentInput.value = '';
+}
+
+/**
+ * Show every valid word of the chosen length, grouped by first letter
+ */
+function handleShowShortWords() {
+    const length = parseInt(elements.shortWordsLength.value);
+    const list = buildStudyList(getShortWordIndex(), length);
+
+    elements.shortWordsQuiz.style.display = 'none';
+    elements.shortWordsList.innerHTML = '';
+    elements.shortWordsSummary.textContent = `${list.total} ord på ${length} bogstaver`;
+
+    list.groups.forEach(group => {
+        const row = document.createElement('div');
+        row.className = 'short-words-group';
+
+        const letter = document.createElement('span');
+        letter.className = 'short-words-letter';
+        letter.textContent = group.letter;
+        row.appendChild(letter);
+
+        group.words.forEach(({ word, score }) => {
+            const item = document.createElement('span');
+            item.className = 'short-word';
+            item.textContent = word;
+
+            const points = document.createElement('sub');
+            points.textContent = score;
+            item.appendChild(points);
+
+            row.appendChild(item);
+        });
+
+        elements.shortWordsList.appendChild(row);
+    });
+}
+
+/**
+ * Start the quiz (or restart it with the chosen length)
+ */
+function handleStartQuiz() {
+    quizAnswered = 0;
+    quizCorrect = 0;
+    elements.shortWordsList.innerHTML = '';
+    elements.shortWordsSummary.textContent = '';
+    elements.quizFeedback.textContent = '';
+    elements.shortWordsQuiz.style.display = 'block';
+    nextQuizQuestion();
+}
+
+function nextQuizQuestion() {
+    const length = parseInt(elements.shortWordsLength.value);
+    quizQuestion = createQuizQuestion(getShortWordIndex(), length);
+
+    if (!quizQuestion) {
+        elements.shortWordsQuiz.style.display = 'none';
+        elements.shortWordsSummary.textContent = `Ordlisten har ingen ord på ${length} bogstaver`;
+        return;
+    }
+
+    elements.quizWord.textContent = quizQuestion.word;
+    elements.quizYesBtn.disabled = false;
+    elements.quizNoBtn.disabled = false;
+}
+
+/**
+ * Check the answer, show the running score and move on to the next word
+ * @param {boolean} answer - true if the user says the word is valid
+ */
+function handleQuizAnswer(answer) {
+    if (!quizQuestion) return;
+
+    const { word, valid } = quizQuestion;
+    quizQuestion = null;
+    quizAnswered++;
+    if (answer === valid) {
+        quizCorrect++;
+    }
+
+    elements.quizFeedback.textContent = `${answer === valid ? '✓ Rigtigt' : '✗ Forkert'}: ` +
+        `${word} er ${valid ? 'et gyldigt ord' : 'ikke et ord'} · ${quizCorrect} af ${quizAnswered} rigtige`;
+    elements.quizYesBtn.disabled = true;
+    elements.quizNoBtn.disabled = true;
+
+    setTimeout(nextQuizQuestion, QUIZ_NEXT_DELAY);
+}
+
+/**
+ * Copy the check result as one line for a tournament chat
+ */
+function handleCopyCheckResult() {
+    const words = Array.from(elements.checkWordsResults.children).map(item => item.textContent);
+    const text = `${words.join(', ')} (Ordliste: ${formatWordlistVersion()})`;
+
+    navigator.clipboard.writeText(text).then(() => {
+        elements.copyCheckBtn.textContent = 'Kopieret!';
+        setTimeout(() => {
+            elements.copyCheckBtn.textContent = 'Kopiér resultat';
+        }, 1500);
+    }).catch(err => {
+        console.error('Failed to copy:', err);
+    });
+}
+
 /**
  * Initialize guide collapse/expand functionality
  */
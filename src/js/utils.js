@@ -2,6 +2,9 @@
  * Utility Functions
  */
 
+import { getActiveRuleset } from './rulesets.js';
+import { getBoardLetters } from './boardPattern.js';
+
 // Valid wildcard characters
 export const WILDCARD_CHARS = ['?', '_', '*', ' '];
 
@@ -36,9 +39,14 @@ export function isValidInput(str) {
     // Security: Enforce maximum length to prevent DoS
     if (str.length > 50) return false;
 
-    // Security: Only allow Danish letters, wildcards, and spaces
-    const validChars = /^[A-ZÆØÅ?_* ]+$/;
-    return validChars.test(str.toUpperCase());
+    // Security: Only allow letters of the active language, wildcards, and spaces
+    const { alphabet } = getActiveRuleset();
+    for (const ch of str.toUpperCase()) {
+        if (!alphabet.includes(ch) && !WILDCARD_CHARS.includes(ch)) {
+            return false;
+        }
+    }
+    return true;
 }
 
 /**
@@ -66,21 +74,12 @@ export function parseLetters(lettersString) {
  * Byg ekstra bogstaver ud fra "På bordet"-mønsteret.
  * Alle bogstaver i mønstret (A-Å) tæller som bræt-bogstaver
  * og skal IKKE tages fra spillerens egne bogstaver.
+ * Bogstaver i [...] er frie felter og tæller ikke med.
+ * Gælder ét mønster - med flere linjer (se parseLanes) kaldes den pr. linje.
  */
 export function buildExtraLettersFromPattern(pattern) {
-    const extra = new Map();
-    if (!pattern) return extra;
-
-    const normalized = normalizeString(pattern);
-
-    for (const ch of normalized) {
-        // Kun rigtige bogstaver – ikke . eller *
-        if (DANISH_ALPHABET.includes(ch)) {
-            extra.set(ch, (extra.get(ch) || 0) + 1);
-        }
-    }
-
-    return extra;
+    if (!pattern) return new Map();
+    return getBoardLetters(normalizeString(pattern));
 }
 
 /**
@@ -88,7 +87,7 @@ export function buildExtraLettersFromPattern(pattern) {
  * @param {string} word
  * @param {Map} availableLetters - Map of letter -> count
  * @param {number} availableWildcards
- * @returns {Object} { canForm: boolean, wildcardsUsed: number, usedUserLetters: boolean }
+ * @returns {Object} { canForm: boolean, wildcardsUsed: number, usedUserLetters: boolean, rackTilesUsed: number }
  */
 export function canFormWord(word, availableLetters, availableWildcards) {
     const wordLetters = new Map();
@@ -131,7 +130,9 @@ export function canFormWord(word, availableLetters, availableWildcards) {
     return {
         canForm,
         wildcardsUsed: canForm ? wildcardsNeeded : 0,
-        usedUserLetters
+        usedUserLetters,
+        // Every letter comes from the rack (own tiles or jokers)
+        rackTilesUsed: canForm ? word.length : 0
     };
 }
 
@@ -141,7 +142,7 @@ export function canFormWord(word, availableLetters, availableWildcards) {
  * @param {Map} availableLetters - spillerens bogstaver
  * @param {number} availableWildcards - antal jokere
  * @param {Map} extraLetters - bogstaver, der allerede ligger på brættet
- * @returns {Object} { canForm: boolean, wildcardsUsed: number, usedUserLetters: boolean }
+ * @returns {Object} { canForm: boolean, wildcardsUsed: number, usedUserLetters: boolean, rackTilesUsed: number }
  */
 export function canFormWordWithExtras(word, availableLetters, availableWildcards, extraLetters) {
     const wordLetters = new Map();
@@ -165,10 +166,13 @@ export function canFormWordWithExtras(word, availableLetters, availableWildcards
     // Resten skal dækkes af rack + jokere
     let wildcardsNeeded = 0;
     let usedUserLetters = false;
+    let rackTilesUsed = 0;
 
     for (const [letter, count] of wordLetters) {
         if (count === 0) continue; // Already covered by board letters
 
+        rackTilesUsed += count;
+
         const available = availableLetters.get(letter) || 0;
         const shortfall = count - available;
 
@@ -197,10 +201,43 @@ export function canFormWordWithExtras(word, availableLetters, availableWildcards
     return {
         canForm,
         wildcardsUsed: canForm ? wildcardsNeeded : 0,
-        usedUserLetters
+        usedUserLetters,
+        // Bræt-bogstaver tæller ikke med - kun brikker fra bakken
+        rackTilesUsed: canForm ? rackTilesUsed : 0
     };
 }
 
+/**
+ * Decide which letters of a word are played with jokers
+ * Board letters are already placed; own tiles are used from the left and
+ * jokers take the rest. Jokers only go where the rack is short of a letter,
+ * so the score is the highest possible - which copy of a letter gets the
+ * joker does not change it.
+ * @param {string} word - Uppercase word
+ * @param {Map} availableLetters - Rack letters (from parseLetters)
+ * @param {Array<number>} boardPositions - Positions already on the board
+ * @returns {Array<Object>} [{ position, letter }] in word order
+ */
+export function assignBlanks(word, availableLetters, boardPositions = []) {
+    const onBoard = new Set(boardPositions);
+    const remaining = new Map(availableLetters);
+    const blanks = [];
+
+    for (let i = 0; i < word.length; i++) {
+        if (onBoard.has(i)) continue;
+
+        const letter = word[i];
+        const own = remaining.get(letter) || 0;
+        if (own > 0) {
+            remaining.set(letter, own - 1);
+        } else {
+            blanks.push({ position: i, letter });
+        }
+    }
+
+    return blanks;
+}
+
 /**
  * Compare strings according to Danish alphabet order
  * @param {string} a
@@ -0,0 +1,384 @@
+/**
+ * Word Index
+ * Compressed word graph (DAWG) built once when the wordlist is loaded.
+ * Shared suffixes are stored once, so 400k+ words fit in a few flat arrays.
+ * Used by the rack search (pruned by available letters) and the move generator.
+ */
+
+export const ROOT = 0;
+export const NO_NODE = -1;
+
+// Node ids below this fit a single-edge key in a small integer
+const SMALL_KEY_NODES = 1 << 21;
+
+// Longest word that fits on the board
+const MAX_WORD_LENGTH = 15;
+
+// Where a letter in the rack walk came from
+const EXTRA = 0;
+const RACK = 1;
+const BLANK_TILE = 2;
+
+/**
+ * Build the word index from a wordlist
+ * Incremental construction over sorted words (Daciuk et al.): only the
+ * path of the previous word is mutable. When a word leaves that path,
+ * the finished nodes are merged with identical registered nodes or
+ * written straight into the flat arrays (children before parents).
+ * @param {Array<string>} words - Words (any case, duplicates allowed)
+ * @returns {Object} { edgeStart, edgeLetter, edgeTarget, terminal, nodeCount, wordCount }
+ */
+export function buildWordIndex(words) {
+    const sorted = prepareWords(words);
+
+    const output = {
+        register: new Map(),
+        singleRegister: new Map(),
+        edgeStart: [],
+        edgeLetter: [],
+        edgeTarget: [],
+        terminal: []
+    };
+
+    // Stien for det forrige ord. Knuden på dybde d har kanterne
+    // edges[d][0 .. edgeCount[d] - 1] (skiftevis tegnkode og barn)
+    const path = {
+        edges: [[]],
+        edgeCount: [0],
+        terminal: [false],
+        letter: [0]
+    };
+    let previous = '';
+    let wordCount = 0;
+
+    for (const word of sorted) {
+        if (!word || word === previous) continue;
+
+        let common = 0;
+        while (common < word.length && common < previous.length && word.charCodeAt(common) === previous.charCodeAt(common)) {
+            common++;
+        }
+
+        finishPath(output, path, previous.length, common);
+
+        for (let i = common + 1; i <= word.length; i++) {
+            if (!path.edges[i]) {
+                path.edges[i] = [];
+            }
+            path.edgeCount[i] = 0;
+            path.terminal[i] = false;
+            path.letter[i] = word.charCodeAt(i - 1);
+        }
+        path.terminal[word.length] = true;
+
+        previous = word;
+        wordCount++;
+    }
+    finishPath(output, path, previous.length, 0);
+
+    // Roden skrives altid til sidst
+    const root = emitNode(output, path.edges[0], path.edgeCount[0], path.terminal[0]);
+    return compact(output, root, wordCount);
+}
+
+/**
+ * Uppercase, and sort unless the list is already in order
+ */
+function prepareWords(words) {
+    const upper = words.map(w => w.toUpperCase());
+    for (let i = 1; i < upper.length; i++) {
+        if (upper[i - 1] > upper[i]) {
+            return upper.sort();
+        }
+    }
+    return upper;
+}
+
+/**
+ * Finish the nodes of the previous word's path deeper than `downTo`
+ */
+function finishPath(output, path, fromDepth, downTo) {
+    for (let depth = fromDepth; depth > downTo; depth--) {
+        const edges = path.edges[depth];
+        const count = path.edgeCount[depth];
+        const terminal = path.terminal[depth];
+
+        // De fleste knuder har én kant - de får en lille talnøgle (hurtigere end strenge)
+        let register;
+        let key;
+        if (count === 2 && edges[0] < 256 && edges[1] < SMALL_KEY_NODES) {
+            register = output.singleRegister;
+            key = edges[1] * 512 + edges[0] * 2 + (terminal ? 1 : 0);
+        } else {
+            register = output.register;
+            key = terminal ? '1' : '0';
+            for (let i = 0; i < count; i += 2) {
+                key += edges[i] + ':' + edges[i + 1] + ',';
+            }
+        }
+
+        // Samme undertræ findes allerede - genbrug det
+        let id = register.get(key);
+        if (id === undefined) {
+            id = emitNode(output, edges, count, terminal);
+            register.set(key, id);
+        }
+
+        const parent = depth - 1;
+        path.edges[parent][path.edgeCount[parent]++] = path.letter[depth];
+        path.edges[parent][path.edgeCount[parent]++] = id;
+    }
+}
+
+/**
+ * Append a finished node to the flat arrays
+ * @param {Array} edges - Alternating letter code, child id
+ * @param {number} count - Used length of `edges`
+ * @returns {number} Node id
+ */
+function emitNode(output, edges, count, terminal) {
+    const id = output.terminal.length;
+    output.edgeStart.push(output.edgeLetter.length);
+    output.terminal.push(terminal ? 1 : 0);
+    for (let i = 0; i < count; i += 2) {
+        output.edgeLetter.push(edges[i]);
+        output.edgeTarget.push(edges[i + 1]);
+    }
+    return id;
+}
+
+/**
+ * Renumber so the root becomes node 0 and pack into typed arrays
+ * Edges of node n are edgeStart[n] .. edgeStart[n + 1] - 1, in letter order.
+ */
+function compact(output, root, wordCount) {
+    const nodeCount = output.terminal.length;
+    const edgeCount = output.edgeLetter.length;
+    const rootEdges = edgeCount - output.edgeStart[root];
+    // Rodens kanter flyttes forrest, alle andre knuder rykker én plads
+    const renumber = (id) => (id === root ? ROOT : id + 1);
+
+    const edgeStart = new Int32Array(nodeCount + 1);
+    const edgeLetter = new Array(edgeCount);
+    const edgeTarget = new Int32Array(edgeCount);
+    const terminal = new Uint8Array(nodeCount);
+
+    const letters = new Map();
+    const toLetter = (code) => {
+        let letter = letters.get(code);
+        if (letter === undefined) {
+            letter = String.fromCharCode(code);
+            letters.set(code, letter);
+        }
+        return letter;
+    };
+
+    for (let e = 0; e < rootEdges; e++) {
+        edgeLetter[e] = toLetter(output.edgeLetter[output.edgeStart[root] + e]);
+        edgeTarget[e] = renumber(output.edgeTarget[output.edgeStart[root] + e]);
+    }
+    for (let e = 0; e < edgeCount - rootEdges; e++) {
+        edgeLetter[rootEdges + e] = toLetter(output.edgeLetter[e]);
+        edgeTarget[rootEdges + e] = renumber(output.edgeTarget[e]);
+    }
+
+    terminal[ROOT] = output.terminal[root];
+    for (let id = 0; id < root; id++) {
+        edgeStart[id + 1] = rootEdges + output.edgeStart[id];
+        terminal[id + 1] = output.terminal[id];
+    }
+    edgeStart[nodeCount] = edgeCount;
+
+    return { edgeStart, edgeLetter, edgeTarget, terminal, nodeCount, wordCount };
+}
+
+/**
+ * Follow one letter from a node
+ * @returns {number} Child node or NO_NODE
+ */
+export function findChild(index, node, letter) {
+    const end = index.edgeStart[node + 1];
+    for (let e = index.edgeStart[node]; e < end; e++) {
+        if (index.edgeLetter[e] === letter) {
+            return index.edgeTarget[e];
+        }
+    }
+    return NO_NODE;
+}
+
+/**
+ * Follow a string of letters from a node
+ * @returns {number} Node or NO_NODE
+ */
+export function walk(index, node, letters) {
+    for (const letter of letters) {
+        node = findChild(index, node, letter);
+        if (node === NO_NODE) break;
+    }
+    return node;
+}
+
+/**
+ * Check if a word is in the index
+ * @param {Object} index
+ * @param {string} word - Uppercase word
+ * @returns {boolean}
+ */
+export function hasWord(index, word) {
+    const node = walk(index, ROOT, word);
+    return node !== NO_NODE && index.terminal[node] === 1;
+}
+
+/**
+ * List every word in the index, in sorted order
+ * Used when only the packed wordlist was loaded and the plain list is needed.
+ * @param {Object} index
+ * @returns {Array<string>}
+ */
+export function listWords(index) {
+    const words = [];
+    const letters = [];
+
+    const collect = (node) => {
+        if (index.terminal[node] && letters.length > 0) {
+            words.push(letters.join(''));
+        }
+        const end = index.edgeStart[node + 1];
+        for (let e = index.edgeStart[node]; e < end; e++) {
+            letters.push(index.edgeLetter[e]);
+            collect(index.edgeTarget[e]);
+            letters.pop();
+        }
+    };
+
+    collect(ROOT);
+    return words;
+}
+
+/**
+ * Find every word that can be formed from a rack (plus board letters)
+ * The walk only follows letters that are still available, so whole
+ * branches of the wordlist are skipped. Board letters are used first,
+ * then own tiles, then jokers - the same split as canFormWordWithExtras.
+ * @param {Object} index - From buildWordIndex
+ * @param {Map} letterCounts - Rack letters (from parseLetters)
+ * @param {number} wildcards - Jokers on the rack
+ * @param {Map|null} extraLetters - Letters already on the board
+ * @param {Function} visit - Called with (word, { wildcardsUsed, rackTilesUsed, usedUserLetters });
+ *   return false to stop the search
+ * @param {number} maxLength - Longest word to look for
+ */
+export function forEachRackWord(index, letterCounts, wildcards, extraLetters, visit, maxLength = MAX_WORD_LENGTH) {
+    createRackWalk(index, letterCounts, wildcards, extraLetters, maxLength).step(visit, Infinity);
+}
+
+/**
+ * Resumable version of forEachRackWord
+ * step() walks at most `maxSteps` edges and can be called again later to
+ * continue where it stopped - the search worker uses this to check for
+ * cancellation and send partial results between slices.
+ * @param {Object} index - From buildWordIndex
+ * @param {Map} letterCounts - Rack letters (from parseLetters)
+ * @param {number} wildcards - Jokers on the rack
+ * @param {Map|null} extraLetters - Letters already on the board
+ * @param {number} maxLength - Longest word to look for
+ * @returns {Object} { step(visit, maxSteps), done }
+ */
+export function createRackWalk(index, letterCounts, wildcards, extraLetters, maxLength = MAX_WORD_LENGTH) {
+    const extras = new Map(extraLetters || []);
+    const rack = new Map(letterCounts);
+    // Kun jokere (ingen bogstaver) tæller altid som egne brikker
+    const onlyJokers = letterCounts.size === 0 && wildcards > 0;
+
+    // Stakken pr. dybde: næste kant, sidste kant og hvor bogstavet blev taget fra
+    const cursor = [index.edgeStart[ROOT]];
+    const ends = [maxLength > 0 ? index.edgeStart[ROOT + 1] : index.edgeStart[ROOT]];
+    const sources = [];
+    const letters = [];
+
+    let blanks = wildcards;
+    let rackLettersUsed = 0;
+
+    const walk = {
+        done: false,
+
+        /**
+         * Continue the walk
+         * @param {Function} visit - As for forEachRackWord
+         * @param {number} maxSteps - Edges to try before returning
+         * @returns {boolean} True when the walk is finished
+         */
+        step(visit, maxSteps) {
+            let steps = 0;
+
+            while (!walk.done && steps < maxSteps) {
+                const depth = letters.length;
+
+                // Knuden er færdig - gå et niveau op og læg bogstavet tilbage
+                if (cursor[depth] >= ends[depth]) {
+                    if (depth === 0) {
+                        walk.done = true;
+                        break;
+                    }
+                    const letter = letters.pop();
+                    const source = sources.pop();
+                    if (source === EXTRA) {
+                        extras.set(letter, extras.get(letter) + 1);
+                    } else if (source === RACK) {
+                        rack.set(letter, rack.get(letter) + 1);
+                        rackLettersUsed--;
+                    } else {
+                        blanks++;
+                    }
+                    continue;
+                }
+
+                steps++;
+                const e = cursor[depth]++;
+                const letter = index.edgeLetter[e];
+
+                let source;
+                const extra = extras.get(letter) || 0;
+                if (extra > 0) {
+                    extras.set(letter, extra - 1);
+                    source = EXTRA;
+                } else {
+                    const own = rack.get(letter) || 0;
+                    if (own > 0) {
+                        rack.set(letter, own - 1);
+                        rackLettersUsed++;
+                        source = RACK;
+                    } else if (blanks > 0) {
+                        blanks--;
+                        source = BLANK_TILE;
+                    } else {
+                        continue;
+                    }
+                }
+
+                const child = index.edgeTarget[e];
+                letters.push(letter);
+                sources.push(source);
+                cursor[depth + 1] = index.edgeStart[child];
+                // Ved max længde udforskes knuden ikke videre
+                ends[depth + 1] = depth + 1 < maxLength ? index.edgeStart[child + 1] : index.edgeStart[child];
+
+                if (index.terminal[child]) {
+                    const wildcardsUsed = wildcards - blanks;
+                    const result = visit(letters.join(''), {
+                        wildcardsUsed,
+                        rackTilesUsed: rackLettersUsed + wildcardsUsed,
+                        usedUserLetters: rackLettersUsed > 0 || wildcardsUsed > 0 || onlyJokers
+                    });
+                    if (result === false) {
+                        walk.done = true;
+                    }
+                }
+            }
+
+            return walk.done;
+        }
+    };
+
+    return walk;
+}
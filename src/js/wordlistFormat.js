@@ -0,0 +1,293 @@
+/**
+ * Wordlist Format
+ * Packed binary wordlist (.wfb): a header followed by the word index
+ * arrays, so the app can use the DAWG directly without parsing JSON.
+ * Written by scripts/build-wordlist.js, read by wordlistLoader.js and the workers.
+ *
+ * Layout (little endian):
+ *   0  magic "WFWL"
+ *   4  uint16 format version
+ *   6  uint16 header size (multiple of 4)
+ *   8  uint32 word count
+ *  12  uint32 node count
+ *  16  uint32 edge count
+ *  20  uint32 checksum (FNV-1a over everything after the header)
+ *  24  8 bytes language code (ASCII, zero padded)
+ *  32  uint32 words checksum (computeWordsChecksum - the one the app shows)
+ *  36  uint8 alphabet length, then one uint16 char code per letter
+ *      uint8 source version length, then the UTF-8 bytes
+ *      zero padding up to the header size
+ *  Payload: edgeStart uint32 × (nodes + 1), edgeTarget uint32 × edges,
+ *           edgeLetter uint8 × edges (index into the alphabet), terminal uint8 × nodes
+ */
+
+import { ROOT } from './wordIndex.js';
+
+const MAGIC = 'WFWL';
+export const FORMAT_VERSION = 2;
+
+const FIXED_HEADER_SIZE = 36;
+const LANGUAGE_BYTES = 8;
+const MAX_SOURCE_VERSION_BYTES = 255;
+
+/**
+ * Pack a word index into an ArrayBuffer
+ * @param {Object} index - From buildWordIndex
+ * @param {Object} meta - { language, sourceVersion }
+ * @returns {ArrayBuffer}
+ */
+export function encodeWordlist(index, meta) {
+    const alphabet = Array.from(new Set(index.edgeLetter)).sort();
+    if (alphabet.length > 255) {
+        throw new Error('Too many distinct letters for the wordlist format');
+    }
+    const letterIds = new Map(alphabet.map((letter, i) => [letter, i]));
+
+    const sourceVersion = new TextEncoder().encode(meta.sourceVersion || '');
+    if (sourceVersion.length > MAX_SOURCE_VERSION_BYTES) {
+        throw new Error('Source version too long');
+    }
+
+    const headerSize = align4(FIXED_HEADER_SIZE + 1 + alphabet.length * 2 + 1 + sourceVersion.length);
+    const { nodeCount } = index;
+    const edgeCount = index.edgeTarget.length;
+    const payloadSize = (nodeCount + 1) * 4 + edgeCount * 4 + edgeCount + nodeCount;
+
+    const buffer = new ArrayBuffer(headerSize + payloadSize);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    // Payload
+    let offset = headerSize;
+    new Uint32Array(buffer, offset, nodeCount + 1).set(index.edgeStart);
+    offset += (nodeCount + 1) * 4;
+    new Uint32Array(buffer, offset, edgeCount).set(index.edgeTarget);
+    offset += edgeCount * 4;
+    const letters = new Uint8Array(buffer, offset, edgeCount);
+    for (let e = 0; e < edgeCount; e++) {
+        letters[e] = letterIds.get(index.edgeLetter[e]);
+    }
+    offset += edgeCount;
+    new Uint8Array(buffer, offset, nodeCount).set(index.terminal);
+
+    // Header
+    for (let i = 0; i < MAGIC.length; i++) {
+        bytes[i] = MAGIC.charCodeAt(i);
+    }
+    view.setUint16(4, FORMAT_VERSION, true);
+    view.setUint16(6, headerSize, true);
+    view.setUint32(8, index.wordCount, true);
+    view.setUint32(12, nodeCount, true);
+    view.setUint32(16, edgeCount, true);
+    view.setUint32(20, computeChecksum(bytes, headerSize), true);
+    view.setUint32(32, computeWordsChecksum(index), true);
+
+    const language = (meta.language || '').slice(0, LANGUAGE_BYTES);
+    for (let i = 0; i < language.length; i++) {
+        bytes[24 + i] = language.charCodeAt(i) & 0x7f;
+    }
+
+    offset = FIXED_HEADER_SIZE;
+    bytes[offset++] = alphabet.length;
+    for (const letter of alphabet) {
+        view.setUint16(offset, letter.charCodeAt(0), true);
+        offset += 2;
+    }
+    bytes[offset++] = sourceVersion.length;
+    bytes.set(sourceVersion, offset);
+
+    return buffer;
+}
+
+/**
+ * Read the header of a packed wordlist
+ * @param {ArrayBuffer} buffer
+ * @returns {Object} { formatVersion, headerSize, wordCount, nodeCount, edgeCount, checksum, wordsChecksum, language, alphabet, sourceVersion }
+ */
+export function readHeader(buffer) {
+    if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < FIXED_HEADER_SIZE + 2) {
+        throw new Error('Wordlist file is too small');
+    }
+
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+    if (magic !== MAGIC) {
+        throw new Error('Not a packed wordlist');
+    }
+
+    const formatVersion = view.getUint16(4, true);
+    if (formatVersion !== FORMAT_VERSION) {
+        throw new Error(`Unsupported wordlist format version ${formatVersion}`);
+    }
+
+    const headerSize = view.getUint16(6, true);
+    if (headerSize > buffer.byteLength || headerSize % 4 !== 0) {
+        throw new Error('Invalid wordlist header');
+    }
+
+    let language = '';
+    for (let i = 24; i < 24 + LANGUAGE_BYTES && bytes[i] !== 0; i++) {
+        language += String.fromCharCode(bytes[i]);
+    }
+
+    let offset = FIXED_HEADER_SIZE;
+    const alphabetLength = bytes[offset++];
+    const alphabet = [];
+    for (let i = 0; i < alphabetLength; i++) {
+        alphabet.push(String.fromCharCode(view.getUint16(offset, true)));
+        offset += 2;
+    }
+    const sourceLength = bytes[offset++];
+    if (offset + sourceLength > headerSize) {
+        throw new Error('Invalid wordlist header');
+    }
+    const sourceVersion = new TextDecoder().decode(bytes.subarray(offset, offset + sourceLength));
+
+    return {
+        formatVersion,
+        headerSize,
+        wordCount: view.getUint32(8, true),
+        nodeCount: view.getUint32(12, true),
+        edgeCount: view.getUint32(16, true),
+        checksum: view.getUint32(20, true),
+        wordsChecksum: view.getUint32(32, true),
+        language,
+        alphabet,
+        sourceVersion
+    };
+}
+
+/**
+ * Unpack a wordlist into a word index
+ * The index arrays are views on the buffer - nothing is copied.
+ * @param {ArrayBuffer} buffer
+ * @param {Object} options - { language } expected language (optional)
+ * @returns {Object} { index, header }
+ */
+export function decodeWordlist(buffer, options = {}) {
+    const header = readHeader(buffer);
+    const { headerSize, nodeCount, edgeCount, alphabet } = header;
+
+    if (options.language && header.language !== options.language) {
+        throw new Error(`Wordlist is for ${header.language}, expected ${options.language}`);
+    }
+
+    const expectedSize = headerSize + (nodeCount + 1) * 4 + edgeCount * 4 + edgeCount + nodeCount;
+    if (buffer.byteLength !== expectedSize) {
+        throw new Error('Wordlist file has the wrong size');
+    }
+
+    const bytes = new Uint8Array(buffer);
+    if (computeChecksum(bytes, headerSize) !== header.checksum) {
+        throw new Error('Wordlist checksum mismatch');
+    }
+
+    let offset = headerSize;
+    const edgeStart = new Int32Array(buffer, offset, nodeCount + 1);
+    offset += (nodeCount + 1) * 4;
+    const edgeTarget = new Int32Array(buffer, offset, edgeCount);
+    offset += edgeCount * 4;
+    const letterIds = new Uint8Array(buffer, offset, edgeCount);
+    offset += edgeCount;
+    const terminal = new Uint8Array(buffer, offset, nodeCount);
+
+    // Bogstaverne slås op som strenge under søgningen
+    const edgeLetter = new Array(edgeCount);
+    for (let e = 0; e < edgeCount; e++) {
+        const letter = alphabet[letterIds[e]];
+        if (letter === undefined) {
+            throw new Error('Invalid letter in wordlist');
+        }
+        edgeLetter[e] = letter;
+    }
+
+    return {
+        index: { edgeStart, edgeLetter, edgeTarget, terminal, nodeCount, wordCount: header.wordCount },
+        header
+    };
+}
+
+/**
+ * Normalize a source wordlist the same way for every format
+ * Uppercase, no duplicates, and only words spelled with the ruleset's
+ * alphabet - the build script, the JSON loader and the workers all use
+ * this, so the packed and the JSON list hold the same words.
+ * @param {Array} words - Words from the JSON file (any case)
+ * @param {string} alphabet - Letters of the ruleset
+ * @returns {Object} { words, skipped } - skipped = entries left out
+ */
+export function normalizeWordlist(words, alphabet) {
+    const unique = new Set();
+    let skipped = 0;
+
+    for (const word of words) {
+        const upper = String(word).toUpperCase();
+        if (upper && [...upper].every(ch => alphabet.includes(ch))) {
+            unique.add(upper);
+        } else {
+            skipped++;
+        }
+    }
+
+    return { words: Array.from(unique), skipped };
+}
+
+/**
+ * Checksum of the words themselves: FNV-1a over every word in index order
+ * (sorted, unique, uppercase), each followed by a newline. The same list
+ * gives the same checksum whether it was loaded from JSON or the packed
+ * file, and whatever order the JSON had.
+ * @param {Object} index - From buildWordIndex or decodeWordlist
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function computeWordsChecksum(index) {
+    let hash = 0x811c9dc5;
+    const letters = [];
+
+    const visit = (node) => {
+        if (index.terminal[node] && letters.length > 0) {
+            for (const letter of letters) {
+                hash ^= letter.charCodeAt(0);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            hash ^= 0x0a;
+            hash = Math.imul(hash, 0x01000193);
+        }
+        const end = index.edgeStart[node + 1];
+        for (let e = index.edgeStart[node]; e < end; e++) {
+            letters.push(index.edgeLetter[e]);
+            visit(index.edgeTarget[e]);
+            letters.pop();
+        }
+    };
+
+    visit(ROOT);
+    return hash >>> 0;
+}
+
+/**
+ * Format a checksum the way the app shows it (8 hex characters)
+ * @param {number} checksum
+ * @returns {string}
+ */
+export function formatChecksum(checksum) {
+    return (checksum >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * FNV-1a over the bytes from `start` to the end
+ */
+function computeChecksum(bytes, start) {
+    let hash = 0x811c9dc5;
+    for (let i = start; i < bytes.length; i++) {
+        hash ^= bytes[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function align4(size) {
+    return (size + 3) & ~3;
+}
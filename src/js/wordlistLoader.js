@@ -1,76 +1,182 @@
 /**
  * Wordlist Loader
  * Handles loading and managing word lists for multiple languages
+ * Prefers the packed wordlist (.wfb, see wordlistFormat.js) and falls back to JSON
  */
 
 import { detectLanguage } from './i18n.js';
+import { setActiveRuleset, getActiveRuleset } from './rulesets.js';
+import { buildWordIndex, hasWord, listWords } from './wordIndex.js';
+import { decodeWordlist, computeWordsChecksum, formatChecksum, normalizeWordlist } from './wordlistFormat.js';
 
-let wordlist = [];
-let wordSet = null;
+let wordlist = null;
+let wordIndex = null;
+let wordlistInfo = null;
+
+// Packed wordlist: the buffer the index views point into, plus a second
+// copy of the file body that the first worker gets transferred
+let packedBuffer = null;
+let spareBuffer = null;
+
+// Limits for the word checker (pasted text from a chat)
+const MAX_CHECK_WORDS = 20;
+const MAX_WORD_LENGTH = 15;
 
 /**
- * Get wordlist path for current language
+ * Get wordlist path for a language
+ * @param {string} lang - Language code
+ * @param {string} extension - 'wfb' (packed) or 'json'
  * @returns {string} Path to wordlist file
  */
-function getWordlistPath() {
-    const lang = detectLanguage();
-
+function getWordlistPath(lang, extension) {
     if (lang === 'da') {
         // Danish at root (existing path)
-        return '/public/words.json';
+        return `/public/words.${extension}`;
     }
 
     // Other languages at language-specific path
-    return `/${lang}/public/words-${lang}.json`;
+    return `/${lang}/public/words-${lang}.${extension}`;
 }
 
 /**
- * Load wordlist from JSON file
+ * Load the wordlist for the current language
  * @param {Function} progressCallback - Called with progress percentage (0-100)
- * @returns {Promise<Array<string>>}
+ * @returns {Promise<Object>} Version info (see getWordlistInfo)
  */
 export async function loadWordlist(progressCallback) {
     try {
         progressCallback?.(0);
 
-        const wordlistPath = getWordlistPath();
         const lang = detectLanguage();
 
-        console.log(`Loading wordlist for language: ${lang} from ${wordlistPath}`);
+        // Score with this language's tile values
+        setActiveRuleset(lang);
 
-        const response = await fetch(wordlistPath);
+        const loaded = await loadPackedWordlist(lang, progressCallback) ||
+            await loadJsonWordlist(lang, progressCallback);
+
+        progressCallback?.(100);
+
+        console.log(`Loaded ${wordlistInfo.wordCount} words for ${lang} from ${wordlistInfo.source}`);
+
+        return loaded;
+    } catch (error) {
+        console.error('Error loading wordlist:', error);
+        throw error;
+    }
+}
+
+/**
+ * Load the packed wordlist - the index is used straight from the file
+ * @returns {Promise<Object|null>} Version info, or null if no usable packed file
+ */
+async function loadPackedWordlist(lang, progressCallback) {
+    const wordlistPath = getWordlistPath(lang, 'wfb');
 
+    try {
+        const response = await fetch(wordlistPath);
         if (!response.ok) {
-            throw new Error(`Failed to load wordlist: ${response.status}`);
+            return null;
         }
 
-        progressCallback?.(30);
-
-        const data = await response.json();
+        // Two reads of the same body: one for this thread, one to hand to a worker
+        const workerResponse = response.clone();
+        const [buffer, workerBuffer] = await Promise.all([
+            response.arrayBuffer(),
+            workerResponse.arrayBuffer()
+        ]);
 
         progressCallback?.(60);
 
-        // Normalize all words to uppercase and remove duplicates in one pass
-        // Skip sorting as search results are sorted anyway - saves ~100ms
-        wordSet = new Set();
-        for (let i = 0; i < data.length; i++) {
-            wordSet.add(data[i].toUpperCase());
-        }
+        const { index, header } = decodeWordlist(buffer, { language: lang });
 
-        progressCallback?.(80);
+        packedBuffer = buffer;
+        spareBuffer = workerBuffer;
+        wordIndex = index;
+        wordlist = null;
+        wordlistInfo = {
+            language: lang,
+            source: wordlistPath,
+            wordCount: header.wordCount,
+            checksum: formatChecksum(header.wordsChecksum),
+            sourceVersion: header.sourceVersion || null,
+            lastModified: response.headers.get('Last-Modified')
+        };
+        return wordlistInfo;
+    } catch (error) {
+        // Old deploy, HTML fallback page or damaged file - the JSON list still works
+        console.warn(`Packed wordlist unavailable (${wordlistPath}):`, error.message);
+        return null;
+    }
+}
 
-        // Convert to array for indexed access
-        wordlist = Array.from(wordSet);
+/**
+ * Load the plain JSON wordlist and build the index here
+ * @returns {Promise<Object>} Version info
+ */
+async function loadJsonWordlist(lang, progressCallback) {
+    const wordlistPath = getWordlistPath(lang, 'json');
 
-        progressCallback?.(100);
+    const response = await fetch(wordlistPath);
 
-        console.log(`Loaded ${wordlist.length} words for ${lang}`);
+    if (!response.ok) {
+        throw new Error(`Failed to load wordlist: ${response.status}`);
+    }
 
-        return wordlist;
-    } catch (error) {
-        console.error('Error loading wordlist:', error);
-        throw error;
+    progressCallback?.(30);
+
+    const data = await response.json();
+
+    progressCallback?.(60);
+
+    // Uppercase, no duplicates, only this language's letters - the same
+    // words the build script packs, so both formats show the same checksum
+    const { words, skipped } = normalizeWordlist(data, getActiveRuleset().alphabet);
+    if (skipped > 0) {
+        console.warn(`Skipped ${skipped} wordlist entries with letters outside the ${lang} alphabet`);
+    }
+
+    progressCallback?.(80);
+
+    wordlist = words;
+
+    // Compressed word graph - every search walks this instead of the array
+    wordIndex = buildWordIndex(wordlist);
+
+    progressCallback?.(90);
+
+    // Version info so a word check can say which list was used
+    packedBuffer = null;
+    spareBuffer = null;
+    wordlistInfo = {
+        language: lang,
+        source: wordlistPath,
+        wordCount: wordlist.length,
+        checksum: formatChecksum(computeWordsChecksum(wordIndex)),
+        sourceVersion: null,
+        lastModified: response.headers.get('Last-Modified')
+    };
+    return wordlistInfo;
+}
+
+/**
+ * Wordlist message for a worker, with the buffers to transfer
+ * The first worker gets the spare copy of the packed file without copying;
+ * later workers get a copy of it. Without a packed file the words are sent.
+ * @returns {Object} { payload: { buffer } | { words }, transfer }
+ */
+export function getWorkerWordlist() {
+    if (!wordIndex) {
+        throw new Error('Wordlist not loaded');
     }
+
+    if (packedBuffer) {
+        const buffer = spareBuffer || packedBuffer.slice(0);
+        spareBuffer = null;
+        return { payload: { buffer }, transfer: [buffer] };
+    }
+
+    return { payload: { words: wordlist }, transfer: [] };
 }
 
 /**
@@ -79,17 +185,93 @@ export async function loadWordlist(progressCallback) {
  * @returns {boolean}
  */
 export function wordExists(word) {
-    if (!wordSet) {
+    if (!wordIndex) {
+        throw new Error('Wordlist not loaded');
+    }
+    return hasWord(wordIndex, word.toUpperCase());
+}
+
+/**
+ * Check one or more words, e.g. all words formed by an opponent's move
+ * Words may be separated by spaces, commas, semicolons or new lines.
+ * @param {string} text - Pasted words
+ * @returns {Object} { results: [{ word, valid, reason }], allValid, truncated }
+ */
+export function checkWords(text) {
+    if (!wordIndex) {
         throw new Error('Wordlist not loaded');
     }
-    return wordSet.has(word.toUpperCase());
+
+    const alphabet = getActiveRuleset().alphabet;
+    const words = [];
+    for (const part of (text || '').toUpperCase().split(/[\s,;]+/)) {
+        if (part && !words.includes(part)) {
+            words.push(part);
+        }
+    }
+
+    const results = words.slice(0, MAX_CHECK_WORDS).map(word => {
+        if (word.length > MAX_WORD_LENGTH || [...word].some(ch => !alphabet.includes(ch))) {
+            return { word, valid: false, reason: 'Ugyldige tegn eller for langt' };
+        }
+        return { word, valid: hasWord(wordIndex, word), reason: null };
+    });
+
+    return {
+        results,
+        allValid: results.length > 0 && results.every(r => r.valid),
+        truncated: words.length > MAX_CHECK_WORDS
+    };
+}
+
+/**
+ * Get version info for the loaded wordlist
+ * @returns {Object|null} { language, source, wordCount, checksum, sourceVersion, lastModified }
+ */
+export function getWordlistInfo() {
+    return wordlistInfo;
+}
+
+/**
+ * Format the wordlist version for display (e.g. "DA · 412.345 ord · #1a2b3c4d")
+ * @returns {string}
+ */
+export function formatWordlistVersion() {
+    if (!wordlistInfo) {
+        return 'ukendt ordliste';
+    }
+
+    let version = `${wordlistInfo.language.toUpperCase()} · ` +
+        `${wordlistInfo.wordCount.toLocaleString('da-DK')} ord · #${wordlistInfo.checksum}`;
+    if (wordlistInfo.sourceVersion) {
+        version += ` · ${wordlistInfo.sourceVersion}`;
+    }
+    if (wordlistInfo.lastModified) {
+        const date = new Date(wordlistInfo.lastModified);
+        if (!isNaN(date)) {
+            version += ` · ${date.toISOString().slice(0, 10)}`;
+        }
+    }
+    return version;
+}
+
+/**
+ * Get the word index (built at load time or read from the packed file)
+ * @returns {Object|null} Same shape as buildWordIndex
+ */
+export function getWordIndex() {
+    return wordIndex;
 }
 
 /**
  * Get all words from the wordlist
+ * With the packed file the list is only spelled out from the index on first use.
  * @returns {Array<string>}
  */
 export function getWordlist() {
+    if (!wordlist) {
+        wordlist = wordIndex ? listWords(wordIndex) : [];
+    }
     return wordlist;
 }
 
@@ -99,7 +281,7 @@ export function getWordlist() {
  */
 export function getStats() {
     return {
-        totalWords: wordlist.length,
-        loaded: wordSet !== null
+        totalWords: wordlistInfo ? wordlistInfo.wordCount : 0,
+        loaded: wordIndex !== null
     };
 }
@@ -0,0 +1,143 @@
+/**
+ * Endgame Web Worker
+ * Runs the endgame solver in its own thread (next to the search worker)
+ * with a time budget, progress messages and cancellation
+ */
+
+import { parseBoard } from '../js/board.js';
+import { buildWordIndex } from '../js/wordIndex.js';
+import { decodeWordlist, normalizeWordlist } from '../js/wordlistFormat.js';
+import { solveEndgame } from '../js/endgame.js';
+import { setActiveRuleset, getActiveRuleset } from '../js/rulesets.js';
+
+// Longest time a single solve may run
+const MAX_TIME_BUDGET_MS = 60000;
+
+let wordIndex = null;
+
+// Solve currently running: { requestId, cancelled }
+let activeSolve = null;
+
+// Listen for messages from main thread
+self.addEventListener('message', (event) => {
+    const { type, payload } = event.data || {};
+
+    switch (type) {
+        case 'loadWordlist':
+            handleLoadWordlist(payload);
+            break;
+
+        case 'solve':
+            handleSolve(payload);
+            break;
+
+        case 'cancel':
+            handleCancel(payload);
+            break;
+
+        default:
+            replyError(payload?.requestId ?? null, `Ukendt besked: ${type}`);
+    }
+});
+
+/**
+ * Send an error reply for a request
+ * @param {*} requestId - Id of the failed request (null if unknown)
+ * @param {string} message - Shown to the user
+ */
+function replyError(requestId, message) {
+    self.postMessage({ type: 'endgameError', payload: { requestId, message } });
+}
+
+/**
+ * Handle wordlist loading
+ * @param {Object} payload - { buffer, lang } (packed, transferred) or { words, lang }
+ */
+function handleLoadWordlist({ buffer, words, lang } = {}) {
+    setActiveRuleset(lang);
+
+    try {
+        if (buffer) {
+            wordIndex = decodeWordlist(buffer, { language: lang }).index;
+        } else if (Array.isArray(words)) {
+            wordIndex = buildWordIndex(normalizeWordlist(words, getActiveRuleset().alphabet).words);
+        } else {
+            return replyError(null, 'Ingen ordliste i beskeden');
+        }
+    } catch (error) {
+        return replyError(null, `Ordlisten kunne ikke læses: ${error.message}`);
+    }
+
+    self.postMessage({ type: 'wordlistLoaded', payload: { count: wordIndex.wordCount } });
+}
+
+/**
+ * Handle solve request
+ * Security: Validates the board and racks before processing
+ * @param {Object} payload - { requestId, board, myRack, opponentRack, timeBudgetMs }
+ */
+async function handleSolve(payload) {
+    const { requestId, board, myRack, opponentRack, timeBudgetMs } = payload || {};
+
+    const fail = (message) => replyError(requestId, message);
+
+    if (!wordIndex) {
+        return fail('Ordlisten er ikke indlæst');
+    }
+    if (typeof myRack !== 'string' || typeof opponentRack !== 'string' ||
+        myRack.length > 15 || opponentRack.length > 15) {
+        return fail('Ugyldige brikker');
+    }
+
+    const safeBoard = parseBoard(board, getActiveRuleset().alphabet);
+    if (!safeBoard) {
+        return fail('Ugyldigt bræt');
+    }
+
+    // Only one solve at a time - a new request replaces the old one
+    if (activeSolve) {
+        activeSolve.cancelled = true;
+    }
+    const solve = { requestId, cancelled: false };
+    activeSolve = solve;
+
+    try {
+        const result = await solveEndgame(wordIndex, safeBoard, myRack, opponentRack, {
+            timeBudgetMs: Math.min(Number(timeBudgetMs) || 5000, MAX_TIME_BUDGET_MS),
+            isCancelled: () => solve.cancelled,
+            onProgress: (progress) => {
+                self.postMessage({
+                    type: 'endgameProgress',
+                    payload: {
+                        requestId,
+                        depth: progress.depth,
+                        searched: progress.searched,
+                        total: progress.total,
+                        bestMove: progress.best?.move || null,
+                        bestSpread: progress.best?.spread ?? null,
+                        elapsedMs: progress.elapsedMs
+                    }
+                });
+            }
+        });
+
+        self.postMessage({ type: 'endgameResult', payload: { requestId, ...result } });
+    } catch (error) {
+        console.error('Endgame solve failed:', error);
+        fail(error.message);
+    } finally {
+        if (activeSolve === solve) {
+            activeSolve = null;
+        }
+    }
+}
+
+/**
+ * Handle cancel request
+ * The solver notices between root moves and returns its best result so far
+ */
+function handleCancel(payload) {
+    if (activeSolve && activeSolve.requestId === payload?.requestId) {
+        activeSolve.cancelled = true;
+    }
+}
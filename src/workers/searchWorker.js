@@ -1,27 +1,49 @@
 /**
  * Search Web Worker
  * Performs word search in a background thread to prevent UI blocking
+ * Loaded as a module worker: search, scoring and sorting come from the
+ * same modules the main thread uses (searchEngine.js), nothing is duplicated here
  */
 
-// Import scoring logic
-const LETTER_VALUES = {
-    'A': 1, 'E': 1, 'N': 1, 'R': 1,
-    'D': 2, 'L': 2, 'O': 2, 'S': 2, 'T': 2,
-    'B': 3, 'F': 3, 'G': 3, 'I': 3, 'K': 3, 'U': 3,
-    'H': 4, 'J': 4, 'M': 4, 'P': 4, 'V': 4, 'Y': 4, 'Æ': 4, 'Ø': 4, 'Å': 4,
-    'C': 8, 'X': 8,
-    'Z': 9
-};
-
-const WILDCARD_CHARS = ['?', '_', '*', ' '];
-const DANISH_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZÆØÅ';
-
-let wordlist = [];
-let wordSet = null;
+import { parseBoard } from '../js/board.js';
+import { createMoveSearch } from '../js/moveGenerator.js';
+import { buildWordIndex } from '../js/wordIndex.js';
+import { decodeWordlist, normalizeWordlist } from '../js/wordlistFormat.js';
+import { createSearch, sortResults, validateFilters } from '../js/searchEngine.js';
+import { setActiveRuleset, getActiveRuleset } from '../js/rulesets.js';
+import { getLeaveTable, getLeaveValue, computeMoveLeave } from '../js/leave.js';
+
+// Index edges walked between checks of the slice time
+const SEARCH_STEPS = 2000;
+// Board lines searched between checks of the slice time (move generation)
+const MOVE_LINES = 1;
+// A search runs this long before it lets other messages (cancel, new search) in
+const SLICE_MS = 15;
+// Partial results are sent at most this often
+const BATCH_INTERVAL_MS = 50;
+
+let wordIndex = null;
+
+// Search or move generation currently running: { requestId, cancelled }
+let activeSearch = null;
+
+/*
+ * Protocol (every request carries a requestId, every reply echoes it):
+ *   in:  loadWordlist { buffer | words, lang }
+ *        search { requestId, lettersString, filters }
+ *        generateMoves { requestId, board, rack, sortBy }
+ *        cancel { requestId }
+ *   out: wordlistLoaded { count }
+ *        searchBatch { requestId, results, found } - unsorted words found so far (long searches)
+ *        searchResult { requestId, results, elapsedMs, totalFound, lanes } - final, sorted (grouped by lane)
+ *        movesResult { requestId, results, elapsedMs, totalFound }
+ *        searchCancelled { requestId }
+ *        searchError { requestId, code, message }
+ */
 
 // Listen for messages from main thread
 self.addEventListener('message', (event) => {
-    const { type, payload } = event.data;
+    const { type, payload } = event.data || {};
 
     switch (type) {
         case 'loadWordlist':
@@ -32,476 +54,269 @@ self.addEventListener('message', (event) => {
             handleSearch(payload);
             break;
 
+        case 'generateMoves':
+            handleGenerateMoves(payload);
+            break;
+
+        case 'cancel':
+            handleCancel(payload);
+            break;
+
         default:
-            console.error('Unknown message type:', type);
+            replyError(payload?.requestId ?? null, 'unknown_type', `Ukendt besked: ${type}`);
     }
 });
 
 /**
- * Handle wordlist loading
+ * Send an error reply for a request
+ * @param {*} requestId - Id of the failed request (null if unknown)
+ * @param {string} code - 'invalid_request', 'not_loaded', 'unknown_type' or 'internal'
+ * @param {string} message - Shown to the user
  */
-function handleLoadWordlist(words) {
-    // Normalize to uppercase and remove duplicates
-    const uppercaseWords = words.map(w => w.toUpperCase());
-    wordSet = new Set(uppercaseWords);
-    wordlist = Array.from(wordSet);
-
-    // Sort alphabetically for consistent ordering
-    wordlist.sort();
-
-    self.postMessage({
-        type: 'wordlistLoaded',
-        payload: {
-            count: wordlist.length
-        }
-    });
+function replyError(requestId, code, message) {
+    self.postMessage({ type: 'searchError', payload: { requestId, code, message } });
 }
 
 /**
- * Handle search request
- * Security: Validates all inputs before processing
+ * Handle wordlist loading
+ * The packed wordlist arrives as a transferred buffer and is used as is;
+ * the JSON fallback sends the words and the index is built here.
+ * @param {Object} payload - { buffer, lang } or { words, lang }
  */
-function handleSearch(payload) {
-    const startTime = performance.now();
-
-    const { lettersString, filters } = payload;
-
-    // Security: Validate input types
-    if (typeof lettersString !== 'string' || typeof filters !== 'object') {
-        console.error('Invalid search payload');
-        return;
-    }
-
-    // Security: Validate input length
-    if (lettersString.length > 15) {
-        console.error('Letters string too long');
-        return;
-    }
-
-    // Parse letters
-    const { letterCounts, wildcards } = parseLetters(lettersString);
-    const extraLetters = buildExtraLettersFromPattern(filters.boardPattern);
-
-    // Search (using Set to avoid duplicates)
-    const results = [];
-    const seenWords = new Set();
-
-    for (const word of wordlist) {
-        // Normalize word for duplicate checking
-        const normalizedWord = word.toUpperCase().trim();
-
-        // Skip if we've already added this word
-        if (seenWords.has(normalizedWord)) {
-            continue;
+function handleLoadWordlist({ buffer, words, lang } = {}) {
+    // Letter values and alphabet follow the wordlist's language
+    setActiveRuleset(lang);
+
+    if (buffer) {
+        try {
+            wordIndex = decodeWordlist(buffer, { language: lang }).index;
+        } catch (error) {
+            return replyError(null, 'invalid_request', `Ordlisten kunne ikke læses: ${error.message}`);
         }
-
-        const { canForm, wildcardsUsed, usedUserLetters } =
-            extraLetters && extraLetters.size > 0
-                ? canFormWordWithExtras(word, letterCounts, wildcards, extraLetters)
-                : canFormWord(word, letterCounts, wildcards);
-
-        if (!canForm) continue;
-
-        // MUST use at least one user letter (not just board letters and jokers)
-        if (!usedUserLetters) continue;
-
-        if (!passesFilters(word, filters)) continue;
-
-        const score = scoreWord(word, wildcardsUsed);
-
-        results.push({
-            word,
-            score,
-            length: word.length,
-            usedJokers: wildcardsUsed
-        });
-
-        // Mark word as seen (using normalized version)
-        seenWords.add(normalizedWord);
+    } else if (Array.isArray(words)) {
+        // Same normalization as the main thread and the build script -
+        // the index puts the words in order itself
+        const { words: wordlist } = normalizeWordlist(words, getActiveRuleset().alphabet);
+
+        // Word index for rack search and board move generation
+        wordIndex = buildWordIndex(wordlist);
+    } else {
+        return replyError(null, 'invalid_request', 'Ingen ordliste i beskeden');
     }
 
-    // Sort
-    sortResults(results, filters.sortBy || 'score');
-
-    const elapsedMs = Math.round(performance.now() - startTime);
-
     self.postMessage({
-        type: 'searchResult',
+        type: 'wordlistLoaded',
         payload: {
-            results,
-            elapsedMs,
-            totalFound: results.length
+            count: wordIndex.wordCount
         }
     });
 }
 
 /**
- * Parse letters from input string
+ * Word index and leave table for the search core
+ * The leave table is derived from the index itself (no word list needed).
  */
-function parseLetters(lettersString) {
-    const normalized = lettersString.trim().toUpperCase().replace(/\s+/g, ' ');
-    const letterCounts = new Map();
-    let wildcards = 0;
-
-    for (const char of normalized) {
-        if (WILDCARD_CHARS.includes(char)) {
-            wildcards++;
-        } else if (char !== ' ') {
-            letterCounts.set(char, (letterCounts.get(char) || 0) + 1);
-        }
-    }
-
-    return { letterCounts, wildcards };
+function getSearchSource() {
+    return {
+        index: wordIndex,
+        leaveTable: getLeaveTable(wordIndex, getActiveRuleset())
+    };
 }
 
 /**
- * Byg ekstra bogstaver ud fra "På bordet"-mønsteret.
+ * Handle search request
+ * Runs in slices so a cancel or a newer search can get in; long searches
+ * send partial batches before the final sorted result.
+ * Security: Validates all inputs before processing
+ * @param {Object} payload - { requestId, lettersString, filters }
  */
-function buildExtraLettersFromPattern(pattern) {
-    const extra = new Map();
-    if (!pattern) return extra;
-
-    const normalized = pattern.trim().toUpperCase();
+async function handleSearch(payload) {
+    const { requestId, lettersString, filters } = payload || {};
 
-    for (const ch of normalized) {
-        if (DANISH_ALPHABET.includes(ch)) {
-            extra.set(ch, (extra.get(ch) || 0) + 1);
-        }
+    // Security: Validate input types
+    if (requestId == null || typeof lettersString !== 'string' || typeof filters !== 'object' || filters === null) {
+        return replyError(requestId ?? null, 'invalid_request', 'Ugyldig søgning');
     }
 
-    return extra;
-}
-
-/**
- * Som canFormWord, men med ekstra bræt-bogstaver.
- */
-function canFormWordWithExtras(word, availableLetters, availableWildcards, extraLetters) {
-    const wordLetters = new Map();
-
-    for (const letter of word) {
-        wordLetters.set(letter, (wordLetters.get(letter) || 0) + 1);
+    // Security: Validate input length
+    if (lettersString.length > 15) {
+        return replyError(requestId, 'invalid_request', 'For mange bogstaver (max 15)');
     }
 
-    if (extraLetters) {
-        for (const [letter, extraCount] of extraLetters) {
-            const current = wordLetters.get(letter);
-            if (!current) continue;
-
-            const remaining = current - extraCount;
-            wordLetters.set(letter, remaining > 0 ? remaining : 0);
-        }
+    // Security: Validate filters (pattern limits, lanes, lengths)
+    const validation = validateFilters(filters);
+    if (!validation.valid) {
+        return replyError(requestId, 'invalid_request', validation.error);
     }
 
-    let wildcardsNeeded = 0;
-    let usedUserLetters = false;
-
-    for (const [letter, count] of wordLetters) {
-        if (count === 0) continue; // Already covered by board letters
-
-        const available = availableLetters.get(letter) || 0;
-        const shortfall = count - available;
-
-        if (shortfall > 0) {
-            wildcardsNeeded += shortfall;
-        }
-
-        // Track if we used at least one user letter (not joker or board letter)
-        if (available > 0) {
-            usedUserLetters = true;
-        }
+    if (!wordIndex) {
+        return replyError(requestId, 'not_loaded', 'Ordlisten er ikke indlæst');
     }
 
-    const canForm = wildcardsNeeded <= availableWildcards;
-
-    return {
-        canForm,
-        wildcardsUsed: canForm ? wildcardsNeeded : 0,
-        usedUserLetters
-    };
-}
-
-/**
- * Check if word can be formed
- */
-function canFormWord(word, availableLetters, availableWildcards, extraLetters = null) {
-    const wordLetters = new Map();
-
-    // Count all letters in the candidate word
-    for (const letter of word) {
-        wordLetters.set(letter, (wordLetters.get(letter) || 0) + 1);
+    // Only one search at a time - a new request replaces the old one
+    if (activeSearch) {
+        activeSearch.cancelled = true;
     }
+    const request = { requestId, cancelled: false };
+    activeSearch = request;
 
-    // Subtract fixed board letters (from prefix/contains/suffix) so they
-    // do NOT need to come from the rack
-    if (extraLetters) {
-        for (const [letter, extraCount] of extraLetters) {
-            const current = wordLetters.get(letter);
-            if (!current) continue;
-
-            const remaining = current - extraCount;
-            wordLetters.set(letter, remaining > 0 ? remaining : 0);
-        }
-    }
-
-    // Now see what must come from rack + jokers
-    let wildcardsNeeded = 0;
-    let usedUserLetters = false;
+    try {
+        // Same search core as the main thread
+        const search = createSearch(lettersString, filters, getSearchSource());
+        let batch = [];
+        let found = 0;
+        let lastBatchTime = performance.now();
+
+        while (!search.done) {
+            const sliceStart = performance.now();
+            do {
+                const slice = search.step(SEARCH_STEPS);
+                if (slice.length > 0) {
+                    batch = batch.concat(slice);
+                    found += slice.length;
+                }
+            } while (!search.done && performance.now() - sliceStart < SLICE_MS);
 
-    for (const [letter, count] of wordLetters) {
-        const available = availableLetters.get(letter) || 0;
-        const shortfall = count - available;
+            if (search.done) break;
 
-        if (shortfall > 0) {
-            wildcardsNeeded += shortfall;
-        }
+            if (batch.length > 0 && performance.now() - lastBatchTime >= BATCH_INTERVAL_MS) {
+                self.postMessage({ type: 'searchBatch', payload: { requestId, results: batch, found } });
+                batch = [];
+                lastBatchTime = performance.now();
+            }
 
-        // Track if we used at least one user letter (not joker)
-        if (available > 0) {
-            usedUserLetters = true;
+            // Giv plads til cancel og nye søgninger
+            await yieldToMessages();
+            if (request.cancelled) {
+                self.postMessage({ type: 'searchCancelled', payload: { requestId } });
+                return;
+            }
         }
-    }
 
-    const canForm = wildcardsNeeded <= availableWildcards;
+        const { results, elapsedMs, totalFound, lanes } = search.finish();
 
-    return {
-        canForm,
-        wildcardsUsed: canForm ? wildcardsNeeded : 0,
-        usedUserLetters
-    };
-}
-
-/**
- * Build extra letter counts from fixed board fields:
- * prefix (starter med), contains (indeholder), suffix (slutter med).
- * These letters are on the board already and must NOT be taken from the rack.
- */
-function buildExtraLetters(filters = {}) {
-    const extra = new Map();
-
-    const addFrom = (value) => {
-        if (!value) return;
-        const normalized = value.toUpperCase();
-
-        for (const ch of normalized) {
-            // Only count actual letters in our Danish alphabet
-            if (DANISH_ALPHABET.includes(ch)) {
-                extra.set(ch, (extra.get(ch) || 0) + 1);
+        self.postMessage({
+            type: 'searchResult',
+            payload: {
+                requestId,
+                results,
+                elapsedMs,
+                totalFound,
+                lanes
             }
+        });
+    } catch (error) {
+        console.error('Search failed:', error);
+        replyError(requestId, 'internal', error.message);
+    } finally {
+        if (activeSearch === request) {
+            activeSearch = null;
         }
-    };
-
-    addFrom(filters.prefix);
-    addFrom(filters.contains);
-    addFrom(filters.suffix);
-
-    return extra;
+    }
 }
 
 /**
- * Check if word passes filters
+ * Handle cancel request
+ * The search or move generation notices between slices and replies with searchCancelled
  */
-function passesFilters(word, filters) {
-    const wordUpper = word.toUpperCase();
-
-    if (filters.boardPattern) {
-        const pattern = filters.boardPattern.trim().toUpperCase();
-        if (pattern && !matchesBoardPattern(wordUpper, pattern)) {
-            return false;
-        }
+function handleCancel(payload) {
+    if (activeSearch && activeSearch.requestId === payload?.requestId) {
+        activeSearch.cancelled = true;
     }
+}
 
-    if (!passesLengthFilter(word.length, filters)) {
-        return false;
-    }
+// Lets queued messages run between search slices (setTimeout would add a clamped delay)
+const yieldChannel = new MessageChannel();
+const yieldQueue = [];
+yieldChannel.port1.onmessage = () => yieldQueue.shift()?.();
 
-    return true;
-}
-/**
- * Check length filter
- */
-function passesLengthFilter(length, filters) {
-    const mode = filters.lengthMode || 'all';
-
-    switch (mode) {
-        case 'all':
-            return length >= 2 && length <= 15;
-        case 'exact':
-            if (filters.exactLength == null) return true;
-            return length === filters.exactLength;
-        case 'range':
-            const min = filters.minLength ?? 2;
-            const max = filters.maxLength ?? 15;
-            return length >= min && length <= max;
-        default:
-            return true;
-    }
+function yieldToMessages() {
+    return new Promise((resolve) => {
+        yieldQueue.push(resolve);
+        yieldChannel.port2.postMessage(null);
+    });
 }
 
 /**
- * Security: Enhanced pattern matching with ReDoS protection
+ * Handle board move generation request
+ * Runs a few board lines per slice, like handleSearch, so a cancel or a
+ * newer request can stop it.
+ * Security: Validates the board and rack before processing
+ * @param {Object} payload - { requestId, board, rack, sortBy }
  */
-function matchesBoardPattern(wordUpper, pattern) {
-    const trimmed = pattern.trim().toUpperCase();
-    if (!trimmed) return true;
-
-    // Security: Limit pattern length to prevent ReDoS
-    if (trimmed.length > 50) {
-        console.warn('Board pattern too long, rejecting');
-        return false;
-    }
+async function handleGenerateMoves(payload) {
+    const startTime = performance.now();
 
-    let regexSource = '';
-    let wildcardCount = 0;
-
-    const escapeRegexChar = (ch) => ch.replace(/[-/\\^$+?()[\]{}|]/g, '\\$&');
-
-    for (const ch of trimmed) {
-        if (ch === '.') {
-            regexSource += '.';
-            wildcardCount++;
-        } else if (ch === '*') {
-            regexSource += '.*';
-            wildcardCount++;
-        } else if (ch === ' ') {
-            continue;
-        } else {
-            regexSource += escapeRegexChar(ch);
-        }
-    }
+    const { requestId, board, rack, sortBy } = payload || {};
 
-    // Security: Prevent excessive wildcards that could cause ReDoS
-    if (wildcardCount > 15) {
-        console.warn('Too many wildcards in pattern, rejecting');
-        return false;
+    // Security: Validate input types
+    if (requestId == null || typeof rack !== 'string' || rack.length > 15) {
+        return replyError(requestId ?? null, 'invalid_request', 'Ugyldige brikker');
     }
 
-    try {
-        const regex = new RegExp(`^${regexSource}$`);
-        return regex.test(wordUpper);
-    } catch (e) {
-        console.error('Invalid regex pattern:', e);
-        return false;
+    const safeBoard = parseBoard(board, getActiveRuleset().alphabet);
+    if (!safeBoard) {
+        return replyError(requestId, 'invalid_request', 'Ugyldigt bræt');
     }
-}
 
-/**
- * Pattern matcher for "Indeholder":
- * - Normal tekst => helt almindelig substring-søgning
- * - '.'          => præcis ét vilkårligt bogstav
- * - '*'          => 0 eller flere vilkårlige bogstaver (typisk i slutningen, fx "m..ge*")
- */
-function matchesPattern(wordUpper, pattern) {
-    const trimmed = pattern.trim().toUpperCase();
-    if (!trimmed) return true;
-
-    // Hvis der ikke er specielle wildcards, brug normal substring
-    if (!trimmed.includes('.') && !trimmed.includes('*')) {
-        return wordUpper.includes(trimmed);
+    if (!wordIndex) {
+        return replyError(requestId, 'not_loaded', 'Ordlisten er ikke indlæst');
     }
 
-    // Byg et regex hvor:
-    //  - normale tegn escapes
-    //  - '.' => '.' (et vilkårligt bogstav)
-    //  - '*' => '.*' (0+ vilkårlige bogstaver)
-    let regexSource = '';
-
-    const escapeRegexChar = (ch) => ch.replace(/[-/\\^$+?()[\]{}|]/g, '\\$&');
-
-    for (const ch of trimmed) {
-        if (ch === '.') {
-            regexSource += '.';
-        } else if (ch === '*') {
-            regexSource += '.*';
-        } else {
-            regexSource += escapeRegexChar(ch);
-        }
+    // Only one search at a time - a new request replaces the old one
+    if (activeSearch) {
+        activeSearch.cancelled = true;
     }
+    const request = { requestId, cancelled: false };
+    activeSearch = request;
 
-    const regex = new RegExp(regexSource);
-    return regex.test(wordUpper);
-}
-
-/**
- * Calculate word score
- */
-function scoreWord(word, jokersUsed = 0) {
-    if (!word || jokersUsed < 0) return 0;
-
-    let totalPoints = 0;
-    const letterPoints = [];
+    try {
+        const search = createMoveSearch(wordIndex, safeBoard, rack);
 
-    for (let i = 0; i < word.length; i++) {
-        const letter = word[i];
-        const points = LETTER_VALUES[letter] || 0;
-        totalPoints += points;
-        letterPoints.push({ letter, points });
-    }
+        while (!search.done) {
+            const sliceStart = performance.now();
+            do {
+                search.step(MOVE_LINES);
+            } while (!search.done && performance.now() - sliceStart < SLICE_MS);
 
-    if (jokersUsed > 0 && jokersUsed <= word.length) {
-        letterPoints.sort((a, b) => b.points - a.points);
+            if (search.done) break;
 
-        for (let i = 0; i < jokersUsed; i++) {
-            totalPoints -= letterPoints[i].points;
+            // Giv plads til cancel og nye søgninger
+            await yieldToMessages();
+            if (request.cancelled) {
+                self.postMessage({ type: 'searchCancelled', payload: { requestId } });
+                return;
+            }
         }
-    }
 
-    return totalPoints;
-}
-
-/**
- * Sort results
- */
-function sortResults(results, sortBy) {
-    switch (sortBy) {
-        case 'score':
-            // 1) Descending by score, 2) fewest jokers used, 3) points per letter (efficiency)
-            results.sort((a, b) => {
-                if (b.score !== a.score) {
-                    return b.score - a.score;
-                }
-                // If same score, prefer fewer jokers (ascending)
-                if (a.usedJokers !== b.usedJokers) {
-                    return a.usedJokers - b.usedJokers;
-                }
-                // If same score and jokers, prefer higher points per letter (efficiency)
-                const aEfficiency = a.score / a.length;
-                const bEfficiency = b.score / b.length;
-                return bEfficiency - aEfficiency;
-            });
-            break;
-
-        case 'length':
-            results.sort((a, b) => {
-                if (b.length !== a.length) return b.length - a.length;
-                return b.score - a.score;
-            });
-            break;
-
-        case 'alpha':
-            results.sort((a, b) => compareDanish(a.word, b.word));
-            break;
-
-        default:
-            results.sort((a, b) => b.score - a.score);
-    }
-}
-
-/**
- * Compare strings in Danish alphabet order
- */
-function compareDanish(a, b) {
-    const aUpper = a.toUpperCase();
-    const bUpper = b.toUpperCase();
-    const len = Math.min(aUpper.length, bUpper.length);
+        const results = search.finish();
+        const { leaveTable } = getSearchSource();
+        for (const move of results) {
+            move.leave = computeMoveLeave(rack, move.tiles);
+            move.leaveValue = getLeaveValue(move.leave, leaveTable);
+            move.equity = Math.round((move.score + move.leaveValue) * 10) / 10;
+        }
+        if (sortBy) {
+            sortResults(results, sortBy);
+        }
 
-    for (let i = 0; i < len; i++) {
-        const aIndex = DANISH_ALPHABET.indexOf(aUpper[i]);
-        const bIndex = DANISH_ALPHABET.indexOf(bUpper[i]);
+        const elapsedMs = Math.round(performance.now() - startTime);
 
-        if (aIndex !== bIndex) {
-            return aIndex - bIndex;
+        self.postMessage({
+            type: 'movesResult',
+            payload: {
+                requestId,
+                results,
+                elapsedMs,
+                totalFound: results.length
+            }
+        });
+    } catch (error) {
+        console.error('Move generation failed:', error);
+        replyError(requestId, 'internal', error.message);
+    } finally {
+        if (activeSearch === request) {
+            activeSearch = null;
         }
     }
-
-    return aUpper.length - bUpper.length;
 }
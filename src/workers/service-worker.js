@@ -3,9 +3,9 @@
  * Provides offline support by caching app resources
  */
 
-// Cache version v43 - Multi-language with dynamic translation
-// Updated: 2025-12-18 - Add dynamic text translation via JavaScript
-const CACHE_NAME = 'wordfeud-helper-v43-production';
+// Cache version v66 - Move analysis
+// Updated: 2026-10-18 - Review an opponent's move
+const CACHE_NAME = 'wordfeud-helper-v66-production';
 
 const STATIC_ASSETS = [
     '/',
@@ -26,13 +26,33 @@ const STATIC_ASSETS = [
     '/src/js/init.js',
     '/src/js/ui-v2.js',
     '/src/js/searchEngine.js',
+    '/src/js/boardPattern.js',
     '/src/js/wordlistLoader.js',
     '/src/js/scoring.js',
+    '/src/js/rulesets.js',
+    '/src/js/tileTracker.js',
+    '/src/js/leave.js',
+    '/src/js/exchange.js',
+    '/src/js/hooks.js',
+    '/src/js/parallel.js',
+    '/src/js/studyLists.js',
+    '/src/js/endgame.js',
+    '/src/js/board.js',
+    '/src/js/moveGenerator.js',
+    '/src/js/boardEditor.js',
+    '/src/js/gameNotation.js',
+    '/src/js/gameStore.js',
+    '/src/js/moveAnalysis.js',
+    '/src/js/screenshotImport.js',
+    '/src/js/wordIndex.js',
+    '/src/js/wordlistFormat.js',
     '/src/js/utils.js',
     '/src/js/analytics.js',
     '/src/js/download.js',
     '/src/js/i18n.js',
     '/src/workers/searchWorker.js',
+    '/src/workers/endgameWorker.js',
+    '/public/words.wfb',
     '/public/words.json',
     '/translations/da.json',
     '/translations/en.json',
@@ -199,9 +219,11 @@ self.addEventListener('fetch', (event) => {
                                 'application/json'
                             ];
 
+                            // Packed wordlists (.wfb) are binary
                             const isSafeType = safeMimeTypes.some(type =>
                                 contentType && contentType.includes(type)
-                            );
+                            ) || (requestUrl.pathname.endsWith('.wfb') &&
+                                contentType && contentType.includes('application/octet-stream'));
 
                             if (isSafeType) {
                                 const responseToCache = networkResponse.clone();
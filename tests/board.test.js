@@ -0,0 +1,127 @@
+/**
+ * board.js - premium layout, placement rules and move scoring (hand-checked Danish values)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createBoard, placeTile, getPremium, getTile, parseBoard, applyPlacement,
+    validatePlacement, scoreMove, PREMIUM, CENTER
+} from '../src/js/board.js';
+import { setActiveRuleset, getActiveRuleset } from '../src/js/rulesets.js';
+import { BINGO_BONUS } from '../src/js/scoring.js';
+
+setActiveRuleset('da');
+
+// Brikker langs en række eller kolonne: [række, kolonne, ord, retning, jokerpositioner]
+function tiles(row, col, word, direction = 'H', blanks = []) {
+    return [...word].map((letter, i) => ({
+        row: direction === 'H' ? row : row + i,
+        col: direction === 'H' ? col + i : col,
+        letter,
+        blank: blanks.includes(i)
+    }));
+}
+
+// MANDE vandret på række 8, kolonne 4-8 (0-baseret: 7, 3-7)
+function boardWithMande() {
+    const board = createBoard();
+    for (const tile of tiles(7, 3, 'MANDE')) {
+        placeTile(board, tile.row, tile.col, tile.letter);
+    }
+    return board;
+}
+
+test('premium layout: corners, centre and its row', () => {
+    assert.equal(getPremium(0, 0), PREMIUM.TL);
+    assert.equal(getPremium(0, 4), PREMIUM.TW);
+    assert.equal(getPremium(7, 3), PREMIUM.DW);
+    assert.equal(getPremium(7, 0), PREMIUM.DL);
+    assert.equal(getPremium(CENTER, CENTER), null);
+    // Symmetrisk om diagonalen
+    assert.equal(getPremium(3, 7), getPremium(7, 3));
+});
+
+test('the first move must cover the centre with at least two tiles', () => {
+    const board = createBoard();
+    assert.equal(validatePlacement(board, { tiles: tiles(7, 3, 'MANDE') }).valid, true);
+    assert.match(validatePlacement(board, { tiles: tiles(7, 2, 'MAND') }).error, /midterfeltet/);
+    assert.match(validatePlacement(board, { tiles: tiles(7, 7, 'A') }).error, /mindst to/);
+});
+
+test('placements must be in one line, without gaps, and connected', () => {
+    const board = boardWithMande();
+
+    assert.match(validatePlacement(board, { tiles: [] }).error, /mindst én brik/);
+    assert.match(validatePlacement(board, { tiles: tiles(7, 4, 'X') }).error, /allerede optaget/);
+    assert.match(validatePlacement(board, { tiles: [...tiles(8, 4, 'A'), ...tiles(9, 5, 'T')] }).error, /samme række/);
+    assert.match(validatePlacement(board, { tiles: [...tiles(8, 4, 'A'), ...tiles(8, 6, 'T')] }).error, /huller/);
+    assert.match(validatePlacement(board, { tiles: tiles(0, 0, 'AT') }).error, /hænge sammen/);
+    assert.match(validatePlacement(board, { tiles: tiles(15, 0, 'A') }).error, /uden for brættet/);
+
+    // Et hul udfyldt af brættet er i orden: S foran og efter MANDE
+    assert.equal(validatePlacement(board, { tiles: [...tiles(7, 2, 'S'), ...tiles(7, 8, 'S')] }).valid, true);
+});
+
+test('premium squares count on the first move', () => {
+    // M 4 + A 1 + N 1 + D 2 + E 1 = 9, dobbelt ord på (7, 3) = 18
+    const { score, words, bingo } = scoreMove(createBoard(), { tiles: tiles(7, 3, 'MANDE') });
+    assert.equal(score, 18);
+    assert.deepEqual(words.map(w => [w.word, w.score]), [['MANDE', 18]]);
+    assert.equal(bingo, false);
+
+    // Samme ord lodret gennem midten og DW på (3, 7)
+    assert.equal(scoreMove(createBoard(), { tiles: tiles(3, 7, 'MANDE', 'V') }).score, 18);
+});
+
+test('cross words score with the new tiles\' premiums, old premiums are used up', () => {
+    // AT under AN: A på DL (8, 4)
+    //   AT: A 1×2 + T 2 = 4, AA lodret: 1 + 1×2 = 3, NT lodret: 1 + 2 = 3
+    const { score, words } = scoreMove(boardWithMande(), { tiles: tiles(8, 4, 'AT') });
+    assert.deepEqual(words.map(w => [w.word, w.score, w.direction]), [['AT', 4, 'H'], ['AA', 3, 'V'], ['NT', 3, 'V']]);
+    assert.equal(score, 10);
+
+    // S foran MANDE: DW på (7, 3) er brugt, så kun 2 + 9 = 11
+    assert.equal(scoreMove(boardWithMande(), { tiles: tiles(7, 2, 'S') }).score, 11);
+});
+
+test('a blank on a letter premium scores zero', () => {
+    // Joker-T på DL (8, 4): TA 0 + 1 = 1, AT lodret 1 + 0 = 1, NA lodret 1 + 1 = 2
+    const onDl = scoreMove(boardWithMande(), { tiles: tiles(8, 4, 'TA', 'H', [0]) });
+    assert.deepEqual(onDl.words.map(w => w.score), [1, 1, 2]);
+    assert.equal(onDl.score, 4);
+
+    // NET lodret fra N med T på TL (9, 5): 1 + 1 + 2×3 = 8, med joker-T: 2
+    assert.equal(scoreMove(boardWithMande(), { tiles: tiles(8, 5, 'ET', 'V') }).score, 8);
+    assert.equal(scoreMove(boardWithMande(), { tiles: tiles(8, 5, 'ET', 'V', [1]) }).score, 2);
+});
+
+test('seven tiles in one move earn the bingo bonus', () => {
+    // SANDERE: S 2 + A 1 + N 1 + D 2 + E 1 + R 1 + E 1 = 9, DW på (7, 3) = 18, + 40
+    const bingo = scoreMove(createBoard(), { tiles: tiles(7, 1, 'SANDERE') });
+    assert.equal(bingo.bingo, true);
+    assert.equal(bingo.tilesPlaced, 7);
+    assert.equal(bingo.score, 18 + BINGO_BONUS);
+    assert.equal(bingo.words[0].score, 18);
+
+    // Seks brikker plus en fra brættet er ikke bingo
+    const board = boardWithMande();
+    const six = scoreMove(board, { tiles: [...tiles(2, 7, 'ARTER', 'V'), ...tiles(8, 7, 'S', 'V')] });
+    assert.equal(six.bingo, false);
+    assert.equal(six.tilesPlaced, 6);
+});
+
+test('scoreMove throws for an illegal placement', () => {
+    assert.throws(() => scoreMove(createBoard(), { tiles: tiles(0, 0, 'AT') }), /midterfeltet/);
+});
+
+test('parseBoard keeps valid boards and rejects bad ones', () => {
+    const board = applyPlacement(createBoard(), { tiles: tiles(7, 3, 'MANDE', 'H', [4]) });
+    const parsed = parseBoard(structuredClone(board), getActiveRuleset().alphabet);
+    assert.deepEqual(getTile(parsed, 7, 7), { letter: 'E', blank: true });
+    assert.equal(getTile(parsed, 0, 0), null);
+
+    assert.equal(parseBoard({ tiles: [] }, getActiveRuleset().alphabet), null);
+    assert.equal(parseBoard(null, getActiveRuleset().alphabet), null);
+});
@@ -0,0 +1,126 @@
+/**
+ * boardEditor.js - typing, cursor, jokers and undo on the board editor
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createEditor, setCursor, moveCursor, toggleDirection, typeLetter,
+    eraseBack, eraseAt, toggleBlank, clearEditor, loadBoard, undo, countTiles
+} from '../src/js/boardEditor.js';
+import { createBoard, getTile, placeTile } from '../src/js/board.js';
+import { setActiveRuleset } from '../src/js/rulesets.js';
+
+setActiveRuleset('da');
+
+function type(editor, text) {
+    for (const ch of text) {
+        assert.equal(typeLetter(editor, ch).valid, true, ch);
+    }
+}
+
+test('typing places letters in the typing direction', () => {
+    const editor = createEditor();
+    assert.deepEqual([editor.row, editor.col, editor.direction], [7, 7, 'H']);
+
+    type(editor, 'hus');
+    assert.equal(getTile(editor.board, 7, 7).letter, 'H');
+    assert.equal(getTile(editor.board, 7, 9).letter, 'S');
+    assert.deepEqual([editor.row, editor.col], [7, 10]);
+
+    setCursor(editor, 6, 8);
+    assert.equal(toggleDirection(editor), 'V');
+    type(editor, 'ÅL');
+    assert.equal(getTile(editor.board, 6, 8).letter, 'Å');
+    assert.equal(getTile(editor.board, 7, 8).letter, 'L');
+    assert.equal(countTiles(editor), 4);
+
+    const bad = typeLetter(editor, '1');
+    assert.equal(bad.valid, false);
+    assert.match(bad.error, /ikke et bogstav/);
+    assert.equal(countTiles(editor), 4);
+});
+
+test('the cursor stops at the edge of the board', () => {
+    const editor = createEditor();
+    setCursor(editor, 0, 13);
+    type(editor, 'ABC');
+    // Sidste bogstav overskriver feltet i kanten
+    assert.equal(getTile(editor.board, 0, 14).letter, 'C');
+    assert.equal(editor.col, 14);
+
+    moveCursor(editor, -1, 5);
+    assert.deepEqual([editor.row, editor.col], [0, 14]);
+    setCursor(editor, 20, -3);
+    assert.deepEqual([editor.row, editor.col], [14, 0]);
+});
+
+test('jokers can be typed or marked afterwards', () => {
+    const editor = createEditor();
+    typeLetter(editor, 'e', true);
+    assert.deepEqual(getTile(editor.board, 7, 7), { letter: 'E', blank: true });
+
+    setCursor(editor, 7, 7);
+    assert.equal(toggleBlank(editor), true);
+    assert.equal(getTile(editor.board, 7, 7).blank, false);
+
+    setCursor(editor, 0, 0);
+    assert.equal(toggleBlank(editor), false);
+});
+
+test('backspace and delete erase tiles', () => {
+    const editor = createEditor();
+    type(editor, 'KAT');
+
+    // Markøren står på et tomt felt - gå tilbage og slet T
+    eraseBack(editor);
+    assert.equal(getTile(editor.board, 7, 9), null);
+    assert.deepEqual([editor.row, editor.col], [7, 9]);
+
+    setCursor(editor, 7, 7);
+    eraseAt(editor);
+    assert.equal(getTile(editor.board, 7, 7), null);
+    assert.equal(getTile(editor.board, 7, 8).letter, 'A');
+    assert.deepEqual([editor.row, editor.col], [7, 7]);
+});
+
+test('undo reverts one change at a time and restores the cursor', () => {
+    const editor = createEditor();
+    type(editor, 'MAD');
+    setCursor(editor, 7, 8);
+    typeLetter(editor, 'Ø');
+    assert.equal(getTile(editor.board, 7, 8).letter, 'Ø');
+
+    assert.equal(undo(editor), true);
+    assert.equal(getTile(editor.board, 7, 8).letter, 'A');
+    assert.deepEqual([editor.row, editor.col], [7, 8]);
+
+    clearEditor(editor);
+    assert.equal(countTiles(editor), 0);
+    assert.equal(undo(editor), true);
+    assert.equal(countTiles(editor), 3);
+
+    while (undo(editor)) { /* tilbage til start */ }
+    assert.equal(countTiles(editor), 0);
+    assert.equal(undo(editor), false);
+});
+
+test('loadBoard replaces the board as one undo step', () => {
+    const editor = createEditor();
+    type(editor, 'OS');
+
+    const board = createBoard();
+    placeTile(board, 0, 0, 'Å');
+    loadBoard(editor, board);
+    assert.equal(countTiles(editor), 1);
+    assert.equal(getTile(editor.board, 0, 0).letter, 'Å');
+
+    // Brættet er kopieret, ikke delt
+    placeTile(board, 1, 1, 'X');
+    assert.equal(getTile(editor.board, 1, 1), null);
+
+    undo(editor);
+    assert.equal(countTiles(editor), 2);
+    assert.equal(getTile(editor.board, 7, 7).letter, 'O');
+});
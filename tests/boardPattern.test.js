@@ -0,0 +1,108 @@
+/**
+ * boardPattern.js - letter classes, vowels/consonants, counted gaps and limits
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findBoardPositions, validateBoardPattern, getBoardLetters, parseLanes } from '../src/js/boardPattern.js';
+import { matchesBoardPattern } from '../src/js/searchEngine.js';
+import { setActiveRuleset } from '../src/js/rulesets.js';
+
+setActiveRuleset('da');
+
+test('[...] and [^...] match one free square', () => {
+    assert.equal(matchesBoardPattern('MAND', 'M[AEIO]ND'), true);
+    assert.equal(matchesBoardPattern('MUND', 'M[AEIO]ND'), false);
+    assert.equal(matchesBoardPattern('SAND', '[^S]AND'), false);
+    assert.equal(matchesBoardPattern('HAND', '[^S]AND'), true);
+    assert.equal(matchesBoardPattern('HAND', '[^ S ]and'), true);
+});
+
+test('# is a vowel and @ a consonant in the active language', () => {
+    assert.equal(matchesBoardPattern('SØN', '@#@'), true);
+    assert.equal(matchesBoardPattern('SØN', '@@@'), false);
+    assert.equal(matchesBoardPattern('ÆBLE', '#*'), true);
+
+    // Ø er ikke en vokal i det engelske alfabet
+    setActiveRuleset('en');
+    assert.equal(matchesBoardPattern('SØN', '@#@'), false);
+    setActiveRuleset('da');
+});
+
+test('{n} and {n,m} count free squares around board letters', () => {
+    assert.equal(matchesBoardPattern('MANDE', '.{3}DE'), true);
+    assert.equal(matchesBoardPattern('ANDE', '.{3}DE'), false);
+    assert.equal(matchesBoardPattern('DE', '.{0,2}DE'), true);
+    assert.equal(matchesBoardPattern('MANDE', '.{0,2}DE'), false);
+    assert.equal(matchesBoardPattern('RASENDE', '.{1,3}E@{2}E'), true);
+    assert.equal(matchesBoardPattern('RASENDE', '.{1,2}E@{2}E'), false);
+    assert.equal(matchesBoardPattern('MAND', 'M#{2}D'), false);
+});
+
+test('findBoardPositions only reports plain letters as board tiles', () => {
+    assert.deepEqual(findBoardPositions('MANDE', '[LM]A.DE'), [1, 3, 4]);
+    assert.deepEqual(findBoardPositions('MANDE', '.{0,4}D*'), [3]);
+});
+
+test('getBoardLetters skips letters inside [...]', () => {
+    assert.deepEqual(getBoardLetters('[LM]A.DE'), new Map([['A', 1], ['D', 1], ['E', 1]]));
+    assert.deepEqual(getBoardLetters('[^S]S*S'), new Map([['S', 2]]));
+    assert.deepEqual(getBoardLetters('M[AE'), new Map());
+});
+
+test('validateBoardPattern explains what is wrong', () => {
+    assert.deepEqual(validateBoardPattern('M..E*'), { valid: true });
+    assert.deepEqual(validateBoardPattern(''), { valid: true });
+
+    for (const pattern of ['M[AE', 'M[]D', 'M[^]D', 'MA]', 'E{2}', '*{2}', '.{3', '.{4,2}', '.{0}', '.{16}', '.{1,2}{3}', '.{x}']) {
+        const result = validateBoardPattern(pattern);
+        assert.equal(result.valid, false, pattern);
+        assert.equal(typeof result.error, 'string');
+        assert.equal(matchesBoardPattern('MAND', pattern), false, pattern);
+    }
+});
+
+test('limits count a range as its largest number of squares', () => {
+    assert.equal(validateBoardPattern('..{14}').valid, true);
+    assert.equal(validateBoardPattern('..{15}').valid, false);
+    assert.equal(validateBoardPattern('#'.repeat(16)).valid, false);
+    assert.equal(validateBoardPattern('A'.repeat(51)).valid, false);
+});
+
+test('long words with many gaps stay fast', () => {
+    const started = Date.now();
+    for (let i = 0; i < 2000; i++) {
+        matchesBoardPattern('ABABABABABABABX', '*A*B*A*B*A*B*A*B*A*B*A*B*A*Y');
+    }
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('parseLanes keeps a plain pattern as one lane', () => {
+    assert.deepEqual(parseLanes('m..e*'), {
+        lanes: [{ label: null, pattern: 'M..E*', minLength: null, maxLength: null }]
+    });
+    assert.deepEqual(parseLanes('  '), { lanes: [] });
+});
+
+test('parseLanes splits labels, patterns and length windows', () => {
+    const { lanes } = parseLanes('R8: ..E..R* 4-7; H: *T. 3;  ; [AE]*');
+    assert.deepEqual(lanes, [
+        { label: 'R8', pattern: '..E..R*', minLength: 4, maxLength: 7 },
+        { label: 'H', pattern: '*T.', minLength: 3, maxLength: 3 },
+        { label: null, pattern: '[AE]*', minLength: null, maxLength: null }
+    ]);
+
+    // {n,m} i mønsteret er ikke et længdevindue
+    assert.deepEqual(parseLanes('.{2,3}E').lanes[0].minLength, null);
+});
+
+test('parseLanes names the lane that is wrong', () => {
+    assert.match(parseLanes('S*; H: M[AE').error, /^H: /);
+    assert.match(parseLanes('S*; M[AE').error, /^Linje 2: /);
+    assert.match(parseLanes('S* 1-4').error, /længden/);
+    assert.match(parseLanes('S* 5-4').error, /længden/);
+    assert.ok(parseLanes('A;B;C;D;E').error);
+    assert.ok(parseLanes(`${'x'.repeat(21)}: S*`).error);
+    assert.ok(parseLanes('S*;'.repeat(60)).error);
+});
@@ -0,0 +1,197 @@
+/**
+ * endgame.js - opponent rack inference, rack values, small hand-checked endgames,
+ * cut-short searches and the endgame worker's replies
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { inferOpponentRack, getRackValue, removeTilesFromRack, solveEndgame } from '../src/js/endgame.js';
+import { buildWordIndex } from '../src/js/wordIndex.js';
+import { encodeWordlist } from '../src/js/wordlistFormat.js';
+import { createBoard, placeTile } from '../src/js/board.js';
+import { getRuleset, setActiveRuleset } from '../src/js/rulesets.js';
+import { WORDS, boardData } from './helpers/fixtures.js';
+import { loadWorker } from './helpers/workerHarness.js';
+
+setActiveRuleset('da');
+const ruleset = getRuleset('da');
+const index = buildWordIndex(WORDS);
+
+// Alle brikker i posen undtagen dem i `keep`, som en bogstavstreng
+function allTilesExcept(keep) {
+    const left = new Map(Object.entries(ruleset.tileCounts));
+    left.set('?', ruleset.blankCount);
+    for (const letter of keep) {
+        left.set(letter, left.get(letter) - 1);
+    }
+    return [...left].map(([letter, count]) => letter.repeat(count)).join('');
+}
+
+// "ND" i midten: Å foran giver ÅND - det eneste træk med Å i testordlisten
+function boardWithNd() {
+    const board = createBoard();
+    placeTile(board, 7, 8, 'N');
+    placeTile(board, 7, 9, 'D');
+    return board;
+}
+
+test('inferOpponentRack only answers when the bag is empty', () => {
+    // 7 brikker uset: de er modstanderens
+    const played = allTilesExcept('ZXÆ?ABC');
+    assert.equal(inferOpponentRack(ruleset, { played }).length, 7);
+    assert.equal([...inferOpponentRack(ruleset, { played })].sort().join(''), [...'ZXÆ?ABC'].sort().join(''));
+
+    // Egne brikker tæller som set
+    assert.equal(inferOpponentRack(ruleset, { played: allTilesExcept('ZXÆ?ABCDE'), rack: 'DE' }).length, 7);
+
+    // Modstanderen har kun 3 brikker, men 5 er uset: 2 ligger stadig i posen
+    const five = allTilesExcept('ZXÆAB');
+    assert.equal(inferOpponentRack(ruleset, { played: five }, 3), null);
+    assert.equal(inferOpponentRack(ruleset, { played: five }, 5).length, 5);
+
+    assert.equal(inferOpponentRack(ruleset, { played: 'ABC' }), null);
+    assert.equal(inferOpponentRack(ruleset, {}), null);
+});
+
+test('rack values and removing played tiles', () => {
+    // Z 9 + X 8 + joker 0
+    assert.equal(getRackValue('ZX?'), 17);
+    assert.equal(getRackValue(''), 0);
+
+    // Jokeren fjernes for en joker-brik, ikke for bogstavet den viser
+    assert.equal(removeTilesFromRack('MAND?', [{ letter: 'A' }, { letter: 'E', blank: true }]), 'MND');
+    assert.equal(removeTilesFromRack('mad', [{ letter: 'Q' }]), 'MAD');
+});
+
+test('going out earns twice the opponent\'s rack value', async () => {
+    // ÅND: Å 4 + N 1 + D 2 = 7 (ingen præmiefelter i række 8, kolonne 8-10)
+    // Ud med sidste brik: 7 + 2 × (Z 9 + X 8) = 41
+    const result = await solveEndgame(index, boardWithNd(), 'Å', 'ZX', { timeBudgetMs: 5000 });
+
+    assert.equal(result.move.word, 'ÅND');
+    assert.deepEqual([result.move.row, result.move.col, result.move.direction], [7, 7, 'H']);
+    assert.equal(result.move.score, 7);
+    assert.equal(result.spread, 41);
+    assert.equal(result.exhausted, true);
+    assert.equal(result.cancelled, false);
+});
+
+test('two passes in a row end the game with the rack penalty', async () => {
+    // Hverken Y eller Z/X kan lægges: begge står over, og spillet slutter.
+    // Hver mister sine egne brikker: (Z 9 + X 8) - Y 4 = 13
+    const progress = [];
+    const result = await solveEndgame(index, boardWithNd(), 'Y', 'ZX', {
+        timeBudgetMs: 5000,
+        onProgress: (p) => progress.push(p)
+    });
+
+    assert.equal(result.move, null);
+    assert.equal(result.spread, 13);
+    assert.equal(result.exhausted, true);
+    assert.deepEqual(result.line.map(move => !!move.pass), [true, true]);
+    assert.ok(progress.length > 0);
+    assert.ok(progress.every(p => p.searched <= p.total));
+});
+
+test('a cancelled solve stops and returns its best move so far', async () => {
+    const result = await solveEndgame(index, boardWithNd(), 'Å', 'ZX', { isCancelled: () => true });
+    assert.equal(result.cancelled, true);
+    assert.equal(result.depth, 0);
+    assert.equal(result.partial, true);
+    assert.equal(result.move.word, 'ÅND');
+});
+
+// Fulde hænder på begge sider: mange træk og dybe undertræer
+const busyBoard = () => boardData([[7, 5, 'HUSET', 'H']]);
+
+test('a depth cut short keeps the root moves it finished', async () => {
+    let cancelled = false;
+    const result = await solveEndgame(index, busyBoard(), 'AERSTND', 'ENDERTA', {
+        timeBudgetMs: 60000,
+        isCancelled: () => cancelled,
+        // Stop lige efter første rodtræk på dybde 2
+        onProgress: (p) => { cancelled = p.depth === 2; }
+    });
+
+    assert.equal(result.cancelled, true);
+    assert.equal(result.depth, 2);
+    assert.equal(result.partial, true);
+    assert.equal(result.exhausted, false);
+    assert.ok(result.move);
+    assert.ok(result.line.length >= 2);
+});
+
+test('the solver yields to the event loop inside deep subtrees', async () => {
+    // Et undertræ kan tage flere hundrede ms - timeren skal stadig nå at køre
+    let last = performance.now();
+    let maxGap = 0;
+    const ticker = setInterval(() => {
+        const now = performance.now();
+        maxGap = Math.max(maxGap, now - last);
+        last = now;
+    }, 5);
+
+    try {
+        const result = await solveEndgame(index, busyBoard(), 'AERSTND', 'ENDERTA', { timeBudgetMs: 1500, maxBranching: 20 });
+        assert.equal(result.cancelled, false);
+        assert.equal(result.exhausted, false);
+        assert.equal(result.maxBranching, 20);
+    } finally {
+        clearInterval(ticker);
+    }
+    assert.ok(maxGap < 200, `longest time without a yield: ${Math.round(maxGap)} ms`);
+});
+
+test('the endgame worker answers with progress and the result for its request', async () => {
+    const worker = await loadWorker('src/workers/endgameWorker.js');
+    try {
+        worker.post({ type: 'loadWordlist', payload: { words: WORDS, lang: 'da' } });
+        await worker.waitFor('wordlistLoaded');
+
+        const board = boardData([[7, 8, 'ND', 'H']]);
+        worker.post({ type: 'solve', payload: { requestId: 4, board, myRack: 'Å', opponentRack: 'ZX', timeBudgetMs: 5000 } });
+
+        const progress = await worker.waitFor('endgameProgress');
+        assert.equal(progress.payload.requestId, 4);
+
+        const { payload } = await worker.waitFor('endgameResult');
+        assert.equal(payload.requestId, 4);
+        assert.equal(payload.move.word, 'ÅND');
+        assert.equal(payload.spread, 41);
+
+        worker.post({ type: 'solve', payload: { requestId: 5, board: { tiles: [] }, myRack: 'Å', opponentRack: 'ZX' } });
+        assert.deepEqual((await worker.waitFor('endgameError')).payload, { requestId: 5, message: 'Ugyldigt bræt' });
+    } finally {
+        await worker.terminate();
+    }
+});
+
+test('the endgame worker answers bad messages with an error instead of going quiet', async () => {
+    const worker = await loadWorker('src/workers/endgameWorker.js');
+    try {
+        // Gammel eller beskadiget .wfb
+        const buffer = encodeWordlist(index, { language: 'da', sourceVersion: 'test' });
+        new Uint8Array(buffer)[0] = 0;
+        worker.post({ type: 'loadWordlist', payload: { buffer, lang: 'da' } }, [buffer]);
+        assert.match((await worker.waitFor('endgameError')).payload.message, /Ordlisten kunne ikke læses/);
+
+        worker.post({ type: 'loadWordlist', payload: { lang: 'da' } });
+        assert.deepEqual((await worker.waitFor('endgameError')).payload, { requestId: null, message: 'Ingen ordliste i beskeden' });
+
+        worker.post({ type: 'loadWordlist' });
+        assert.equal((await worker.waitFor('endgameError')).payload.requestId, null);
+
+        worker.post(null);
+        assert.match((await worker.waitFor('endgameError')).payload.message, /Ukendt besked/);
+
+        worker.post({ type: 'solveFast', payload: { requestId: 8 } });
+        assert.deepEqual((await worker.waitFor('endgameError')).payload, { requestId: 8, message: 'Ukendt besked: solveFast' });
+
+        // Uden ordliste svarer en løsning også
+        worker.post({ type: 'solve', payload: { requestId: 9, board: boardData([]), myRack: 'Å', opponentRack: 'ZX' } });
+        assert.deepEqual((await worker.waitFor('endgameError')).payload, { requestId: 9, message: 'Ordlisten er ikke indlæst' });
+    } finally {
+        await worker.terminate();
+    }
+});
@@ -0,0 +1,113 @@
+/**
+ * exchange.js - best play on the board, the bag rule and exchange advice
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { analyzeExchange, findBestPlay, MIN_BAG_FOR_EXCHANGE } from '../src/js/exchange.js';
+import { deriveLeaveTable, getLeaveTable } from '../src/js/leave.js';
+import { computeUnseenTiles } from '../src/js/tileTracker.js';
+import { buildWordIndex } from '../src/js/wordIndex.js';
+import { getRuleset, setActiveRuleset } from '../src/js/rulesets.js';
+import { WORDS, boardData } from './helpers/fixtures.js';
+import { loadWorker } from './helpers/workerHarness.js';
+
+setActiveRuleset('da');
+const ruleset = getRuleset('da');
+const index = buildWordIndex(WORDS);
+const table = deriveLeaveTable(WORDS, ruleset);
+
+// HUSET vandret midt på brættet
+const board = boardData([[7, 5, 'HUSET', 'H']]);
+
+test('findBestPlay uses the board when it has tiles', () => {
+    // Uden bræt: kun ord af hånden, ingen bonusfelter
+    const rackOnly = findBestPlay(index, null, 'MANDE', table);
+    assert.equal(rackOnly.row, undefined);
+
+    // På brættet: MAD over HUSET danner også AH og DU
+    const onBoard = findBestPlay(index, board, 'MANDE', table);
+    assert.equal(onBoard.word, 'MAD');
+    assert.deepEqual([onBoard.row, onBoard.col, onBoard.direction], [6, 4, 'H']);
+    assert.deepEqual(onBoard.words.map(w => w.word), ['MAD', 'AH', 'DU']);
+    assert.equal(onBoard.leave, 'NE');
+    assert.ok(onBoard.equity > rackOnly.equity);
+
+    // Et tomt bræt tæller som intet bræt
+    assert.deepEqual(findBestPlay(index, boardData([]), 'MANDE', table), rackOnly);
+    assert.equal(findBestPlay(index, board, 'ÆÆÆ', table), null);
+});
+
+test('exchanging needs at least seven tiles in the bag', () => {
+    // Hånden plus 13 usete brikker: 7 hos modstanderen, 6 i posen
+    const played = [];
+    const left = new Map(Object.entries(ruleset.tileCounts));
+    left.set('?', ruleset.blankCount);
+    for (const letter of 'IIUUÅÆ' + 'EEEAANNRRSTLD') {
+        left.set(letter, left.get(letter) - 1);
+    }
+    for (const [letter, count] of left) played.push(letter.repeat(count));
+    const unseen = computeUnseenTiles(ruleset, { played: played.join(''), rack: 'IIUUÅÆ' });
+
+    const analysis = analyzeExchange('IIUUÅÆ', unseen, table, null);
+    assert.equal(analysis.bagCount, MIN_BAG_FOR_EXCHANGE - 1);
+    assert.equal(analysis.allowed, false);
+    assert.deepEqual(analysis.exchanges, []);
+    assert.equal(analysis.shouldExchange, false);
+});
+
+test('IIUUÅÆ should be swapped rather than played', () => {
+    const rack = 'IIUUÅÆ';
+    const unseen = computeUnseenTiles(ruleset, { board, rack });
+    const play = findBestPlay(index, board, rack, table);
+
+    // IS langs S'et i HUSET er det eneste træk - og efterlader IUUÅÆ
+    assert.equal(play.word, 'IS');
+    assert.equal(play.leave, 'IUUÅÆ');
+
+    const analysis = analyzeExchange(rack, unseen, table, play);
+    assert.equal(analysis.allowed, true);
+    assert.equal(analysis.play.word, 'IS');
+    assert.deepEqual([analysis.play.row, analysis.play.col, analysis.play.direction], [play.row, play.col, play.direction]);
+    assert.equal(analysis.shouldExchange, true);
+    assert.ok(analysis.recommendation.value > analysis.play.value);
+    assert.ok(analysis.recommendation.throwBack.includes('UU'));
+    assert.ok(analysis.gain > 0);
+});
+
+test('the same seed gives the same advice', () => {
+    const rack = 'IIUUÅÆ';
+    const unseen = computeUnseenTiles(ruleset, { board, rack });
+    const play = findBestPlay(index, board, rack, table);
+
+    const first = analyzeExchange(rack, unseen, table, play);
+    assert.deepEqual(analyzeExchange(rack, unseen, table, play), first);
+    assert.deepEqual(analyzeExchange(rack, unseen, table, play, { seed: 7 }),
+        analyzeExchange(rack, unseen, table, play, { seed: 7 }));
+    assert.notDeepEqual(analyzeExchange(rack, unseen, table, play, { seed: 7 }), first);
+});
+
+test('the search worker\'s first move by equity is the best play', async () => {
+    const worker = await loadWorker('src/workers/searchWorker.js');
+    try {
+        worker.post({ type: 'loadWordlist', payload: { words: WORDS, lang: 'da' } });
+        await worker.waitFor('wordlistLoaded');
+        const workerTable = getLeaveTable(index, ruleset);
+
+        for (const rack of ['MANDE', 'IIUUÅÆ', 'ST?RE']) {
+            worker.post({ type: 'generateMoves', payload: { requestId: 1, board, rack, sortBy: 'equity' } });
+            const moves = (await worker.waitFor('movesResult')).payload.results;
+            const best = findBestPlay(index, board, rack, workerTable);
+            assert.equal(moves[0].equity, best.equity, rack);
+            assert.equal(moves[0].leave, best.leave, rack);
+
+            // Uden bræt: ordsøgningen sorteret efter equity
+            worker.post({ type: 'search', payload: { requestId: 2, lettersString: rack, filters: { sortBy: 'equity' } } });
+            const words = (await worker.waitFor('searchResult')).payload.results;
+            assert.deepEqual(words[0] || null, findBestPlay(index, null, rack, workerTable), rack);
+        }
+    } finally {
+        await worker.terminate();
+    }
+});
@@ -0,0 +1,132 @@
+/**
+ * gameNotation.js - game text format: parsing, errors with line/column, round trip
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseGame, serializeGame, formatPosition } from '../src/js/gameNotation.js';
+import { createBoard, placeTile, getTile } from '../src/js/board.js';
+import { setActiveRuleset } from '../src/js/rulesets.js';
+
+setActiveRuleset('da');
+
+const EMPTY_ROW = '.'.repeat(15);
+
+function boardRows(rows) {
+    const lines = new Array(15).fill(EMPTY_ROW);
+    for (const [row, text] of Object.entries(rows)) {
+        lines[row] = text;
+    }
+    return lines.join('\n');
+}
+
+const GAME = `#wordfeud 1
+#lang da
+#player1 Anna
+#player2 Bo
+#score 14 5
+#rack1 AEMN?RT
+#note Klubkamp, runde 3
+#board
+${boardRows({ 7: '.......MAnD....', 8: '..........E....', 9: '..........T....' })}
+>Anna: DMNA?ER 8H MAnD +14 14
+>Bo: EIST K8 .ET +5 5
+>Anna: EERT?KL -KL +0 14
+>Bo: EIS - +0 5
+`;
+
+test('parseGame reads players, racks, board and moves', () => {
+    const { game, error } = parseGame(GAME);
+    assert.equal(error, undefined);
+
+    assert.equal(game.language, 'da');
+    assert.deepEqual(game.players.map(p => p.name), ['Anna', 'Bo']);
+    assert.deepEqual(game.scores, [14, 5]);
+    assert.deepEqual(game.racks, ['AEMN?RT', '']);
+    assert.equal(game.notes, 'Klubkamp, runde 3');
+
+    assert.deepEqual(getTile(game.board, 7, 7), { letter: 'M', blank: false });
+    assert.deepEqual(getTile(game.board, 7, 9), { letter: 'N', blank: true });
+    assert.equal(getTile(game.board, 0, 0), null);
+
+    assert.equal(game.moves.length, 4);
+    assert.deepEqual(game.moves[0], {
+        player: 0, rack: 'DMNA?ER', type: 'play', row: 7, col: 7, direction: 'H',
+        word: 'MAnD', exchanged: null, score: 14, total: 14
+    });
+    assert.equal(game.moves[1].direction, 'V');
+    assert.deepEqual([game.moves[1].row, game.moves[1].col, game.moves[1].word], [7, 10, '.ET']);
+    assert.equal(game.moves[2].type, 'exchange');
+    assert.equal(game.moves[2].exchanged, 'KL');
+    assert.equal(game.moves[3].type, 'pass');
+    assert.equal(game.moves[3].player, 1);
+});
+
+test('serializeGame writes text that parses back to the same game', () => {
+    const { game } = parseGame(GAME);
+    assert.equal(serializeGame(game), GAME);
+
+    // Et bræt bygget i koden (fx fra brætredigering)
+    const board = createBoard();
+    placeTile(board, 7, 7, 'Æ');
+    placeTile(board, 7, 8, 'G', true);
+    const text = serializeGame({ board, racks: ['DU?'] });
+    const again = parseGame(text).game;
+    assert.deepEqual(again.board, board);
+    assert.deepEqual(again.racks, ['DU?', '']);
+    assert.deepEqual(again.moves, []);
+
+    assert.equal(formatPosition(7, 7, 'H'), '8H');
+    assert.equal(formatPosition(0, 14, 'V'), 'O1');
+});
+
+test('players are named by their moves when there are no #player lines', () => {
+    const { game } = parseGame('>Anna: ABC 8H MA +4 4\n>Bo: - - +0 0\n');
+    assert.deepEqual(game.players.map(p => p.name), ['Anna', 'Bo']);
+    assert.equal(game.moves[1].rack, '');
+
+    const third = parseGame('>Anna: ABC 8H MA +4\n>Bo: - - +0\n>Carl: - - +0');
+    assert.equal(third.line, 3);
+    assert.match(third.error, /Ukendt spiller "Carl"/);
+});
+
+test('errors point at the offending line and column', () => {
+    const cases = [
+        ['#lang xx', 1, 7, /Ukendt sprog/],
+        ['#foo bar', 1, 1, /Ukendt linje "#foo"/],
+        ['MAND', 1, 1, /starte med # eller >/],
+        ['#rack1 AB1', 1, 10, /"1" er ikke et bogstav/],
+        ['#rack1 ABCDEFGH', 1, 15, /Højst 7 brikker/],
+        [`#board\n${boardRows({ 3: '....X1.........' })}`, 5, 6, /"1" er ikke et bogstav/],
+        [`#board\n${boardRows({ 3: '.....' })}`, 5, 6, /15 felter/],
+        ['#board\n...............\n#rack1 A', 3, 1, /15 rækker/],
+        ['>Anna: ABC 16A MA +4', 1, 12, /Ugyldig placering "16A"/],
+        ['>Anna: ABC 8N MAND +4', 1, 15, /ud over brættet/],
+        ['>Anna: ABC 8H M3 +4', 1, 16, /"3" er ikke et bogstav/],
+        ['>Anna: ABC 8H MA 4', 1, 18, /\+14/],
+        ['>Anna: ABC 8H MA', 1, 17, /Mangler point/],
+        ['>Anna ABC 8H MA +4', 1, 19, /Mangler ":"/],
+        ['>Anna: ABC 8H MA +4 18 x', 1, 24, /Uventet "x"/],
+        ['#player1 Anna\n>Bo: ABC 8H MA +4', 2, 2, /Ukendt spiller "Bo"/]
+    ];
+
+    for (const [text, line, column, message] of cases) {
+        const result = parseGame(text);
+        assert.equal(result.game, undefined, text);
+        assert.match(result.error, message, text);
+        assert.deepEqual([result.line, result.column], [line, column], text);
+        assert.ok(result.error.startsWith(`Linje ${line}, kolonne ${column}: `), result.error);
+    }
+});
+
+test('parseGame follows #lang and rejects oversized input', () => {
+    // Svensk har Ä og Ö, dansk har ikke
+    assert.match(parseGame('#rack1 ÄÖ').error, /"Ä" er ikke et bogstav/);
+    const swedish = parseGame('#lang sv\n#rack1 ÄÖ');
+    assert.equal(swedish.game.language, 'sv');
+    assert.equal(swedish.game.racks[0], 'ÄÖ');
+
+    assert.match(parseGame('#note ' + 'x'.repeat(20000)).error, /for lang/);
+    assert.match(parseGame('\n'.repeat(500)).error, /For mange linjer/);
+});
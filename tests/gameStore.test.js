@@ -0,0 +1,96 @@
+/**
+ * gameStore.js - game records, checks on stored data and tile tracker migration
+ * (IndexedDB itself is not available in Node)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createGameRecord, readGameRecord, migrateTileTracker, nextGameName, openGameStore
+} from '../src/js/gameStore.js';
+import { createBoard, placeTile, getTile } from '../src/js/board.js';
+
+test('createGameRecord starts an empty game', () => {
+    const game = createGameRecord('  Mod   Bo  ', 'da', 1000);
+    assert.match(game.id, /^game-/);
+    assert.equal(game.name, 'Mod Bo');
+    assert.deepEqual([game.board, game.rack, game.played, game.notes], [null, '', '', '']);
+    assert.deepEqual(game.scores, [null, null]);
+    assert.deepEqual([game.createdAt, game.updatedAt], [1000, 1000]);
+
+    assert.notEqual(createGameRecord('A', 'da').id, createGameRecord('A', 'da').id);
+    assert.equal(createGameRecord('', 'da').name, 'Spil');
+});
+
+test('readGameRecord keeps valid games as they were saved', () => {
+    const game = createGameRecord('Klubkamp', 'da', 1000);
+    const board = createBoard();
+    placeTile(board, 7, 7, 'Æ');
+    placeTile(board, 7, 8, 'g', true);
+    Object.assign(game, {
+        board,
+        rack: 'AEMN?RT',
+        played: 'QZ',
+        scores: [120, 98],
+        notes: 'Husk Ø-hook',
+        filters: { boardPattern: '..E', sortBy: 'length', lengthMode: 'exact', exactLength: '5' }
+    });
+
+    const read = readGameRecord(structuredClone(game));
+    assert.deepEqual(read, game);
+    assert.deepEqual(getTile(read.board, 7, 8), { letter: 'G', blank: true });
+});
+
+test('readGameRecord rejects or cleans damaged data', () => {
+    const game = createGameRecord('Spil 1', 'da', 1000);
+
+    assert.equal(readGameRecord(null), null);
+    assert.equal(readGameRecord({ ...game, id: '' }), null);
+    assert.equal(readGameRecord({ ...game, language: 'xx' }), null);
+    // Ä findes ikke i det danske alfabet
+    const board = createBoard();
+    board.tiles[0] = { letter: 'Ä', blank: false };
+    assert.equal(readGameRecord({ ...game, board }), null);
+    assert.equal(readGameRecord({ ...game, board: { tiles: [] } }), null);
+
+    const cleaned = readGameRecord({
+        ...game,
+        name: 42,
+        rack: ['A'],
+        notes: 'x'.repeat(600),
+        scores: [-5, 1.5],
+        filters: { sortBy: 'score', lengthMode: { bad: true }, extra: 'ignored' }
+    });
+    assert.equal(cleaned.name, 'Spil');
+    assert.equal(cleaned.rack, '');
+    assert.equal(cleaned.notes.length, 500);
+    assert.deepEqual(cleaned.scores, [null, null]);
+    assert.deepEqual(cleaned.filters, { sortBy: 'score' });
+});
+
+test('migrateTileTracker turns old tracker states into games', () => {
+    const games = migrateTileTracker({
+        default: { played: 'QZXÆ', timestamp: 500 },
+        empty: { played: '  ' },
+        broken: 'nope'
+    }, 'da', 1000);
+
+    assert.equal(games.length, 1);
+    assert.equal(games[0].played, 'QZXÆ');
+    assert.equal(games[0].name, 'Spil 1');
+    assert.equal(games[0].language, 'da');
+    assert.equal(games[0].updatedAt, 500);
+
+    assert.deepEqual(migrateTileTracker(null, 'da'), []);
+    assert.deepEqual(migrateTileTracker(['x'], 'da'), []);
+});
+
+test('nextGameName skips names in use', () => {
+    assert.equal(nextGameName([]), 'Spil 1');
+    assert.equal(nextGameName([{ name: 'Spil 1' }, { name: 'Spil 3' }]), 'Spil 2');
+});
+
+test('openGameStore fails clearly without IndexedDB', async () => {
+    await assert.rejects(openGameStore(null), /IndexedDB not available/);
+});
@@ -0,0 +1,38 @@
+/**
+ * Test fixtures
+ * A small Danish wordlist (mixed case, one duplicate) - enough for jokers,
+ * board patterns, bingos and Æ/Ø/Å without loading the real 400k list
+ */
+
+export const WORDS = [
+    'AB', 'AD', 'AE', 'AF', 'AH', 'AL', 'AN', 'AR', 'AS', 'AT', 'DA', 'DE', 'DU',
+    'EL', 'EN', 'ER', 'ET', 'FA', 'GO', 'HA', 'HE', 'I', 'IS', 'JA', 'JO', 'KO',
+    'LA', 'MA', 'MI', 'NU', 'OM', 'OP', 'OS', 'RE', 'SE', 'SÅ', 'TE', 'TO', 'UD',
+    'ÆG', 'ØL', 'ØR', 'ÅL', 'ÅR', 'ÅS',
+    'BAD', 'BED', 'BIL', 'BOD', 'DAL', 'DAM', 'DEN', 'DET', 'DIG', 'EGE', 'ELG',
+    'ERT', 'FAR', 'FED', 'GAS', 'HAT', 'HUS', 'ILD', 'IND', 'IS', 'KAT', 'LAD',
+    'MAD', 'MAND', 'MOR', 'NAT', 'NED', 'ORD', 'RAT', 'RED', 'SAT', 'SÆT', 'SØN',
+    'TAG', 'TRÆ', 'ØRE', 'ÅND', 'ÅRE',
+    'ARTER', 'DANSE', 'DÅSE', 'ENDE', 'ERTE', 'FÆRGE', 'GÅDE', 'HJEM', 'KÆRE',
+    'LAND', 'MANDE', 'MENER', 'NÆSE', 'RASTE', 'RATE', 'REST', 'SAND', 'SATTE',
+    'SKÆG', 'STAR', 'STÆR', 'TARE', 'TRÆER', 'TRÆNE', 'TÆRE', 'ØRNE', 'ÅRET',
+    'mandag', 'stande', 'trænede', 'rasende', 'ærteret', 'strande', 'sandere',
+    'arterne', 'tandsten', 'entrader', 'Rasende'
+];
+
+/**
+ * Board with a few words in the middle (parseBoard input, as the UI sends it)
+ * @param {Array} placements - [row, col, word, direction ('H' or 'V')]
+ * @returns {Object} { tiles: Array(225) }
+ */
+export function boardData(placements) {
+    const tiles = new Array(225).fill(null);
+    for (const [row, col, word, direction] of placements) {
+        [...word].forEach((letter, i) => {
+            const r = direction === 'V' ? row + i : row;
+            const c = direction === 'V' ? col : col + i;
+            tiles[r * 15 + c] = { letter, blank: false };
+        });
+    }
+    return { tiles };
+}
@@ -0,0 +1,77 @@
+/**
+ * Worker Harness
+ * Runs a browser worker module in a Node worker thread. A small bootstrap
+ * gives it the `self` it expects (addEventListener / postMessage), so the
+ * worker file is tested unchanged, with real transfers between threads.
+ */
+
+import { Worker } from 'node:worker_threads';
+
+const BOOTSTRAP = `
+const { parentPort, workerData } = require('node:worker_threads');
+globalThis.self = {
+    addEventListener(type, listener) {
+        if (type === 'message') parentPort.on('message', (data) => listener({ data }));
+    },
+    postMessage(data, transfer) {
+        parentPort.postMessage(data, transfer);
+    }
+};
+import(workerData.url).then(() => parentPort.postMessage({ type: '__ready' }));
+`;
+
+/**
+ * Start a worker module
+ * @param {string} path - Worker path relative to the repo root
+ * @returns {Promise<Object>} { post, waitFor, terminate }
+ */
+export async function loadWorker(path) {
+    const url = new URL(`../../${path}`, import.meta.url).href;
+    const worker = new Worker(BOOTSTRAP, { eval: true, workerData: { url } });
+
+    const messages = [];
+    const waiting = [];
+
+    worker.on('message', (data) => {
+        const waiter = waiting.find(w => w.test(data));
+        if (waiter) {
+            waiting.splice(waiting.indexOf(waiter), 1);
+            waiter.resolve(data);
+        } else {
+            messages.push(data);
+        }
+    });
+
+    const harness = {
+        /**
+         * Send a message to the worker
+         * @param {Object} data
+         * @param {Array} transfer - Transferable objects (moved, not copied)
+         */
+        post(data, transfer = []) {
+            worker.postMessage(data, transfer);
+        },
+
+        /**
+         * Wait for the next message that matches
+         * @param {string|Function} match - Message type or predicate
+         * @returns {Promise<Object>} The message
+         */
+        waitFor(match) {
+            const test = typeof match === 'function' ? match : (data) => data.type === match;
+            const seen = messages.find(test);
+            if (seen) {
+                messages.splice(messages.indexOf(seen), 1);
+                return Promise.resolve(seen);
+            }
+            return new Promise((resolve) => waiting.push({ test, resolve }));
+        },
+
+        terminate() {
+            return worker.terminate();
+        }
+    };
+
+    await harness.waitFor('__ready');
+    return harness;
+}
@@ -0,0 +1,55 @@
+/**
+ * hooks.js - front and back hooks from the word index
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findHooks } from '../src/js/hooks.js';
+import { buildWordIndex } from '../src/js/wordIndex.js';
+import { setActiveRuleset } from '../src/js/rulesets.js';
+import { WORDS } from './helpers/fixtures.js';
+
+setActiveRuleset('da');
+const index = buildWordIndex(WORDS);
+
+const letters = (hooks) => hooks.map(h => h.letter).join('');
+
+test('findHooks lists letters in front of and after a word', () => {
+    const hooks = findHooks(index, 'and');
+    assert.equal(hooks.word, 'AND');
+    assert.equal(hooks.exists, false);
+    // LAND, MAND og SAND
+    assert.equal(letters(hooks.front), 'LMS');
+    assert.deepEqual(hooks.front[0], { letter: 'L', word: 'LAND', held: false });
+    assert.deepEqual(hooks.back, []);
+
+    const mand = findHooks(index, 'MAND');
+    assert.equal(mand.exists, true);
+    assert.equal(letters(mand.back), 'E');
+    assert.equal(mand.back[0].word, 'MANDE');
+});
+
+test('back hooks come out in alphabet order', () => {
+    assert.equal(letters(findHooks(index, 'DA').back), 'LM');
+    // REST er to bogstaver mere - ikke en krog
+    assert.equal(letters(findHooks(index, 'RE').back), 'D');
+
+    // Tegnkoderne giver Å før Æ - alfabetet har Æ, Ø, Å
+    const small = buildWordIndex(['TO', 'TOÅ', 'TOÆ', 'TOØ', 'ÅTO', 'ÆTO']);
+    assert.equal(letters(findHooks(small, 'TO').back), 'ÆØÅ');
+    assert.equal(letters(findHooks(small, 'TO').front), 'ÆÅ');
+});
+
+test('findHooks marks the hooks on the rack', () => {
+    const hooks = findHooks(index, 'AND', 'mså?');
+    assert.deepEqual(hooks.front.filter(h => h.held).map(h => h.letter), ['M', 'S']);
+    assert.equal(hooks.jokers, 1);
+});
+
+test('findHooks rejects bad input without throwing', () => {
+    assert.equal(findHooks(index, '').error, 'Skriv et ord');
+    assert.ok(findHooks(index, 'A1').error);
+    assert.ok(findHooks(index, 'A'.repeat(15)).error);
+    assert.throws(() => findHooks(null, 'AND'), /Wordlist not loaded/);
+});
@@ -0,0 +1,84 @@
+/**
+ * leave.js - leave tables (letters, duplicates, letter pairs), leave values and leaves after a move
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    deriveLeaveTable, deriveLeaveTableFromIndex, getLeaveTable, getLeaveValue, computeLeave, computeMoveLeave
+} from '../src/js/leave.js';
+import { buildWordIndex } from '../src/js/wordIndex.js';
+import { getRuleset, setActiveRuleset } from '../src/js/rulesets.js';
+import { parseLetters } from '../src/js/utils.js';
+import { WORDS } from './helpers/fixtures.js';
+
+setActiveRuleset('da');
+const ruleset = getRuleset('da');
+
+// E og R deler mange korte ord, E og S sjældnere end deres hyppighed tilsiger
+const SMALL = ['ER', 'RE', 'ERE', 'TRE', 'RET', 'ST', 'EN', 'NE', 'SE', 'ES', 'TE', 'ET', 'IS', 'SI'];
+
+test('letters that share short words get a pair bonus', () => {
+    const table = deriveLeaveTable(SMALL, ruleset);
+
+    assert.ok(table.pairs.ER > 0);
+    assert.ok(table.pairs.IS > 0);
+    assert.ok(table.pairs.ES < 0);
+    // Par der aldrig ses sammen, er ikke med
+    assert.equal(table.pairs.QZ, undefined);
+
+    // Pairet tæller med i værdien (ingen vokalstraf for én vokal og én konsonant)
+    assert.equal(getLeaveValue('ER', table), table.tiles.E + table.tiles.R + table.pairs.ER);
+    assert.equal(getLeaveValue('ES', table), table.tiles.E + table.tiles.S + table.pairs.ES);
+    assert.equal(getLeaveValue('RE', table), getLeaveValue('ER', table));
+});
+
+test('getLeaveValue: blanks, duplicates, unknown letters and vowel balance', () => {
+    const table = deriveLeaveTable(SMALL, ruleset);
+
+    assert.equal(getLeaveValue('', table), 0);
+    assert.equal(getLeaveValue('?', table), table.blank);
+    assert.ok(table.blank > table.tiles.E);
+
+    // Anden E koster duplikatstraffen, og to vokaler giver vokalstraf
+    assert.ok(getLeaveValue('EE', table) < 2 * table.tiles.E + table.duplicates.E + 0.05);
+    // Ukendte tegn tæller som det værste bogstav
+    assert.ok(getLeaveValue('Ä', table) < getLeaveValue('Z', table) + 0.05);
+});
+
+test('without words the table falls back to the tile distribution', () => {
+    const table = deriveLeaveTable([], ruleset);
+    assert.deepEqual(table.pairs, {});
+    assert.ok(table.tiles.E > table.tiles.Z);
+    assert.equal(table.language, 'da');
+});
+
+test('the index walk derives the same table as the word list', () => {
+    const words = Array.from(new Set(WORDS.map(w => w.toUpperCase())));
+    const index = buildWordIndex(words);
+    const table = deriveLeaveTableFromIndex(index, ruleset);
+
+    assert.deepEqual(table, deriveLeaveTable(words, ruleset));
+    assert.ok(Object.keys(table.pairs).length > 0);
+
+    // Én gang pr. indeks
+    assert.equal(getLeaveTable(index, ruleset), getLeaveTable(index, ruleset));
+    assert.notEqual(getLeaveTable(buildWordIndex(SMALL), ruleset), getLeaveTable(index, ruleset));
+});
+
+test('computeLeave: board letters first, then own tiles, then blanks', () => {
+    const { letterCounts, wildcards } = parseLetters('MANDE?');
+
+    assert.equal(computeLeave('MAND', letterCounts, wildcards), 'E?');
+    // Anden A tages af jokeren
+    assert.equal(computeLeave('MANDA', letterCounts, wildcards), 'E');
+    // S ligger på brættet
+    assert.equal(computeLeave('SAND', letterCounts, wildcards, new Map([['S', 1]])), 'ME?');
+});
+
+test('computeMoveLeave removes placed tiles and blanks', () => {
+    assert.equal(computeMoveLeave('MANDE?', [{ letter: 'M' }, { letter: 'A' }, { letter: 'T', blank: true }]), 'NDE');
+    assert.equal(computeMoveLeave('MANDE?', []), 'MANDE?');
+    assert.equal(computeMoveLeave('AA', [{ letter: 'A' }]), 'A');
+});
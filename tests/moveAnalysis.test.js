@@ -0,0 +1,100 @@
+/**
+ * moveAnalysis.js - tiles laid between two boards, score, word check and alternatives
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { analyzeMove, findPlacedTiles } from '../src/js/moveAnalysis.js';
+import { buildWordIndex } from '../src/js/wordIndex.js';
+import { cloneBoard, createBoard, placeTile, removeTile, scoreMove } from '../src/js/board.js';
+import { BINGO_BONUS } from '../src/js/scoring.js';
+import { setActiveRuleset } from '../src/js/rulesets.js';
+import { WORDS } from './helpers/fixtures.js';
+
+setActiveRuleset('da');
+const index = buildWordIndex(WORDS);
+
+// MAND vandret gennem midten
+function boardWithMand() {
+    const board = createBoard();
+    [...'MAND'].forEach((letter, i) => placeTile(board, 7, 7 + i, letter));
+    return board;
+}
+
+function play(board, tiles) {
+    const after = cloneBoard(board);
+    for (const [row, col, letter, blank] of tiles) {
+        placeTile(after, row, col, letter, blank);
+    }
+    return after;
+}
+
+test('findPlacedTiles lists the new tiles and refuses changed ones', () => {
+    const before = boardWithMand();
+    const after = play(before, [[8, 10, 'E'], [9, 10, 'N', true]]);
+    assert.deepEqual(findPlacedTiles(before, after).tiles, [
+        { row: 8, col: 10, letter: 'E', blank: false },
+        { row: 9, col: 10, letter: 'N', blank: true }
+    ]);
+
+    assert.match(findPlacedTiles(before, before).error, /ingen nye brikker/);
+
+    const removed = cloneBoard(after);
+    removeTile(removed, 7, 8);
+    assert.match(findPlacedTiles(before, removed).error, /Brikken A i række 8, kolonne 9/);
+});
+
+test('analyzeMove scores the move and ranks it against the same tiles', () => {
+    const before = boardWithMand();
+    const tiles = [[8, 10, 'E'], [9, 10, 'N']];
+    const { analysis, error } = analyzeMove(index, before, play(before, tiles));
+    assert.equal(error, undefined);
+
+    const expected = scoreMove(before, { tiles: tiles.map(([row, col, letter]) => ({ row, col, letter, blank: false })) });
+    assert.equal(analysis.word, 'DEN');
+    assert.deepEqual([analysis.row, analysis.col, analysis.direction], [7, 10, 'V']);
+    assert.equal(analysis.score, expected.score);
+    assert.equal(analysis.bingo, false);
+    assert.deepEqual(analysis.words.map(w => [w.word, w.valid]), [['DEN', true]]);
+    assert.equal(analysis.allValid, true);
+    assert.equal(analysis.rack, 'EN');
+
+    // Andre træk med E og N, bedste først, uden det spillede træk
+    assert.ok(analysis.totalMoves > 1);
+    assert.ok(analysis.rank >= 1 && analysis.rank <= analysis.totalMoves);
+    assert.ok(analysis.alternatives.every(m => !(m.row === 7 && m.col === 10 && m.word === 'DEN')));
+    const scores = analysis.alternatives.map(m => m.score);
+    assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+    assert.equal(analysis.bestScore, Math.max(analysis.score, scores[0]));
+    assert.equal(analysis.missed, analysis.bestScore - analysis.score);
+    assert.equal(analysis.rank, scores.filter(s => s > analysis.score).length + 1);
+
+    assert.ok(analyzeMove(index, before, play(before, tiles), { limit: 1 }).analysis.alternatives.length <= 1);
+});
+
+test('analyzeMove flags words that are not in the wordlist', () => {
+    const before = boardWithMand();
+    const { analysis } = analyzeMove(index, before, play(before, [[8, 10, 'E'], [9, 10, 'E']]));
+    assert.deepEqual(analysis.words.map(w => [w.word, w.valid]), [['DEE', false]]);
+    assert.equal(analysis.allValid, false);
+    assert.equal(analysis.rank, null);
+    // Ugyldigt træk giver 0 point, så alt gyldigt med de brikker er "misset"
+    assert.equal(analysis.missed, analysis.bestScore ?? 0);
+});
+
+test('analyzeMove counts the bingo and explains illegal placements', () => {
+    const empty = createBoard();
+    const bingo = play(empty, [...'RASENDE'].map((letter, i) => [7, 4 + i, letter]));
+    const { analysis } = analyzeMove(index, empty, bingo, { limit: Infinity });
+    assert.equal(analysis.word, 'RASENDE');
+    assert.equal(analysis.bingo, true);
+    assert.ok(analysis.score > BINGO_BONUS);
+    assert.equal(analysis.rank, analysis.alternatives.filter(m => m.score > analysis.score).length + 1);
+    assert.equal(analysis.alternatives.length, analysis.totalMoves - 1);
+
+    const before = boardWithMand();
+    assert.match(analyzeMove(index, before, play(before, [[8, 10, 'E'], [10, 10, 'N']])).error, /huller/);
+    assert.match(analyzeMove(index, before, play(before, [[0, 0, 'E'], [0, 1, 'N']])).error, /hænge sammen/);
+    assert.throws(() => analyzeMove(null, before, before), /Wordlist not loaded/);
+});
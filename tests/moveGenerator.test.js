@@ -0,0 +1,123 @@
+/**
+ * moveGenerator.js - legal moves on the board, their scores and the sliced search
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { generateMoves, createMoveSearch } from '../src/js/moveGenerator.js';
+import { buildWordIndex } from '../src/js/wordIndex.js';
+import { createBoard, applyPlacement, validatePlacement, scoreMove, CENTER } from '../src/js/board.js';
+import { setActiveRuleset } from '../src/js/rulesets.js';
+import { WORDS, boardData } from './helpers/fixtures.js';
+
+setActiveRuleset('da');
+const index = buildWordIndex(WORDS);
+const VALID = new Set(WORDS.map(w => w.toUpperCase()));
+
+// Hvert træk er lovligt, giver de point scoreMove giver, og alle ord findes
+function assertLegal(board, moves) {
+    for (const move of moves) {
+        const placement = { tiles: move.tiles };
+        assert.equal(validatePlacement(board, placement).valid, true, move.word);
+        assert.equal(move.score, scoreMove(board, placement).score, move.word);
+        for (const w of move.words) {
+            assert.ok(VALID.has(w.word), `${move.word}: ${w.word}`);
+        }
+    }
+}
+
+test('first moves cover the centre and are ranked by score', () => {
+    const board = createBoard();
+    const moves = generateMoves(index, board, 'MANDE');
+
+    assert.ok(moves.length > 0);
+    assert.ok(moves.every(m => m.tiles.some(t => t.row === CENTER && t.col === CENTER)));
+    assert.deepEqual(moves.map(m => m.score), [...moves.map(m => m.score)].sort((a, b) => b - a));
+    assertLegal(board, moves);
+
+    // MANDE med DW på (7, 3) eller (3, 7): 9 × 2
+    assert.equal(moves[0].word, 'MANDE');
+    assert.equal(moves[0].score, 18);
+});
+
+test('moves on a board use its letters and form valid cross words', () => {
+    const board = boardData([[7, 5, 'HUSET', 'H']]);
+    const moves = generateMoves(index, board, 'MANDE');
+    assertLegal(board, moves);
+
+    // MAD over HUS danner AH og DU
+    const mad = moves.find(m => m.word === 'MAD' && m.row === 6 && m.col === 4 && m.direction === 'H');
+    assert.ok(mad);
+    assert.deepEqual(mad.words.map(w => w.word), ['MAD', 'AH', 'DU']);
+
+    // Ord gennem brættets bogstaver: SAND lodret gennem S
+    const sand = moves.find(m => m.word === 'SAND' && m.direction === 'V' && m.col === 7);
+    assert.ok(sand);
+    assert.equal(sand.tiles.length, 3);
+
+    // Samme felter og bogstaver kun én gang
+    const keys = moves.map(m => m.tiles.map(t => `${t.row}:${t.col}:${t.letter}:${t.blank}`).join('|'));
+    assert.equal(new Set(keys).size, keys.length);
+});
+
+test('blanks score zero and a real letter wins on the same square', () => {
+    const board = boardData([[7, 8, 'ND', 'H']]);
+    const moves = generateMoves(index, board, '?');
+    assertLegal(board, moves);
+
+    const aand = moves.find(m => m.word === 'ÅND');
+    assert.ok(aand);
+    assert.equal(aand.usedJokers, 1);
+    assert.deepEqual(aand.tiles, [{ row: 7, col: 7, letter: 'Å', blank: true }]);
+    // Kun N 1 + D 2
+    assert.equal(aand.score, 3);
+
+    // Med både Å og joker lægges det rigtige Å foran ND (samme felt, flere point)
+    const inFront = generateMoves(index, board, 'Å?').filter(m => m.word === 'ÅND' && m.tiles.length === 1);
+    assert.equal(inFront.length, 1);
+    assert.equal(inFront[0].usedJokers, 0);
+    assert.equal(inFront[0].score, 7);
+});
+
+test('a single tile forming words both ways is one move', () => {
+    // U på (8, 9) danner UD vandret og NU lodret
+    const board = boardData([[7, 7, 'DEN', 'H'], [8, 10, 'DU', 'V']]);
+    const moves = generateMoves(index, board, 'U');
+    assertLegal(board, moves);
+
+    const atSquare = moves.filter(m => m.tiles.length === 1 && m.tiles[0].row === 8 && m.tiles[0].col === 9);
+    assert.equal(atSquare.length, 1);
+    assert.deepEqual(atSquare[0].words.map(w => w.word).sort(), ['NU', 'UD']);
+
+    const keys = moves.map(m => m.tiles.map(t => `${t.row}:${t.col}:${t.letter}`).join('|'));
+    assert.equal(new Set(keys).size, keys.length);
+});
+
+test('seven tiles earn the bingo', () => {
+    const moves = generateMoves(index, createBoard(), 'SANDERE');
+    const bingo = moves.find(m => m.tiles.length === 7);
+    assert.ok(bingo);
+    assert.equal(bingo.bingo, true);
+    assert.equal(moves[0], bingo);
+});
+
+test('no moves for letters that fit nowhere', () => {
+    assert.deepEqual(generateMoves(index, boardData([[7, 5, 'HUSET', 'H']]), 'ZZ'), []);
+    assert.deepEqual(generateMoves(index, createBoard(), ''), []);
+});
+
+test('the sliced search finds the same moves line by line', () => {
+    const board = applyPlacement(createBoard(), { tiles: [
+        { row: 7, col: 5, letter: 'H' }, { row: 7, col: 6, letter: 'U' }, { row: 7, col: 7, letter: 'S' }
+    ] });
+
+    const search = createMoveSearch(index, board, 'MANDE?');
+    let steps = 0;
+    while (!search.done) {
+        search.step(1);
+        steps++;
+    }
+    assert.equal(steps, 30);
+    assert.deepEqual(search.finish(), generateMoves(index, board, 'MANDE?'));
+});
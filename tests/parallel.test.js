@@ -0,0 +1,114 @@
+/**
+ * parallel.js - short word index and parallel plays along a board word
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildShortWordIndex, findParallelPlays, findWordOnBoard } from '../src/js/parallel.js';
+import { buildWordIndex } from '../src/js/wordIndex.js';
+import { createBoard, placeTile } from '../src/js/board.js';
+import { setActiveRuleset } from '../src/js/rulesets.js';
+import { WORDS, boardData } from './helpers/fixtures.js';
+
+setActiveRuleset('da');
+const index = buildWordIndex(WORDS);
+const shortWords = buildShortWordIndex(index);
+const VALID = new Set(WORDS.map(w => w.toUpperCase()));
+
+test('buildShortWordIndex keeps the two- and three-letter words', () => {
+    assert.ok(shortWords.two.has('DU'));
+    assert.ok(shortWords.three.has('MAD'));
+    assert.ok(!shortWords.two.has('I'));
+    assert.ok(!shortWords.three.has('MAND'));
+
+    // Bogstaver X så NX er et ord, og X så XA er et ord
+    assert.deepEqual([...shortWords.slots.get('N_')], ['U']);
+    assert.deepEqual([...shortWords.slots.get('_A')].sort(), ['D', 'F', 'H', 'J', 'L', 'M']);
+    assert.ok(shortWords.slots.get('M_D').has('A'));
+});
+
+test('findParallelPlays finds plays where every cross word is valid', () => {
+    // MAND vandret på række 8, kolonne 5-8 (0-baseret: 7, 4)
+    const { results, error } = findParallelPlays(index, shortWords, {
+        word: 'mand', row: 7, col: 4, direction: 'H', rack: 'DUE'
+    });
+    assert.equal(error, null);
+
+    const du = results.find(r => r.word === 'DU' && r.row === 8 && r.col === 5);
+    assert.ok(du, 'DU under AN');
+    assert.equal(du.side, 'after');
+    assert.deepEqual(du.words.map(w => w.word).sort(), ['AD', 'DU', 'NU']);
+    assert.equal(du.crossWords, 2);
+    assert.equal(du.score, du.words.reduce((sum, w) => sum + w.score, 0));
+
+    for (const play of results) {
+        assert.ok(play.crossWords >= 2, play.word);
+        assert.ok(play.tiles.every(t => t.row === 6 || t.row === 8));
+        for (const w of play.words) {
+            assert.ok(VALID.has(w.word), w.word);
+        }
+    }
+
+    // Sorteret efter point
+    assert.deepEqual(results.map(r => r.score), [...results.map(r => r.score)].sort((a, b) => b - a));
+});
+
+test('premium squares count for the new tiles', () => {
+    // DU lodret ved siden af AN lodret - samme træk, bare drejet
+    const horizontal = findParallelPlays(index, shortWords, { word: 'MAND', row: 7, col: 4, direction: 'H', rack: 'DU' });
+    const vertical = findParallelPlays(index, shortWords, { word: 'MAND', row: 4, col: 7, direction: 'V', rack: 'DU' });
+    const h = horizontal.results.find(r => r.word === 'DU');
+    const v = vertical.results.find(r => r.word === 'DU');
+    assert.ok(h && v);
+    // Brættet er symmetrisk om diagonalen
+    assert.equal(h.score, v.score);
+    assert.equal(v.direction, 'V');
+});
+
+test('findParallelPlays uses other tiles on the board and jokers', () => {
+    const board = createBoard();
+    placeTile(board, 7, 4, 'M');
+    const { results } = findParallelPlays(index, shortWords, {
+        word: 'MAND', row: 7, col: 4, direction: 'H', rack: '??', board
+    });
+    assert.ok(results.length > 0);
+    assert.ok(results.every(r => r.usedJokers === r.tiles.length));
+    assert.ok(results.every(r => r.score === r.words.reduce((sum, w) => sum + w.score, 0)));
+});
+
+test('findParallelPlays explains bad input', () => {
+    const base = { word: 'MAND', row: 7, col: 4, direction: 'H', rack: 'DU' };
+    assert.ok(findParallelPlays(index, shortWords, { ...base, word: 'M' }).error);
+    assert.ok(findParallelPlays(index, shortWords, { ...base, col: 12 }).error);
+    assert.ok(findParallelPlays(index, shortWords, { ...base, direction: 'X' }).error);
+    assert.ok(findParallelPlays(index, shortWords, { ...base, rack: '' }).error);
+
+    const board = createBoard();
+    placeTile(board, 7, 5, 'E');
+    assert.match(findParallelPlays(index, shortWords, { ...base, board }).error, /har allerede E/);
+});
+
+test('findWordOnBoard finds whole words in both directions', () => {
+    // MAND vandret, MAD lodret fra samme M, og MANDE (indeholder MAND) længere nede
+    const board = boardData([[7, 4, 'MAND', 'H'], [7, 4, 'MAD', 'V'], [12, 2, 'MANDE', 'H']]);
+
+    assert.deepEqual(findWordOnBoard(board, 'mand'), [{ row: 7, col: 4, direction: 'H' }]);
+    assert.deepEqual(findWordOnBoard(board, 'MAD'), [{ row: 7, col: 4, direction: 'V' }]);
+    assert.deepEqual(findWordOnBoard(board, 'MANDE'), [{ row: 12, col: 2, direction: 'H' }]);
+    assert.deepEqual(findWordOnBoard(board, 'AN'), []);
+    assert.deepEqual(findWordOnBoard(board, 'M'), []);
+});
+
+test('tiles on the board block parallel plays', () => {
+    const base = { word: 'MAND', row: 7, col: 4, direction: 'H', rack: 'DU' };
+    const free = findParallelPlays(index, shortWords, base);
+    assert.ok(free.results.some(r => r.word === 'DU' && r.row === 8 && r.col === 5));
+
+    // Et Ø under A: DU kan ikke længere ligge under AN
+    const board = boardData([[7, 4, 'MAND', 'H'], [8, 5, 'Ø', 'H']]);
+    const blocked = findParallelPlays(index, shortWords, { ...base, board });
+    assert.equal(blocked.error, null);
+    assert.ok(!blocked.results.some(r => r.word === 'DU' && r.row === 8 && r.col === 5));
+    assert.ok(blocked.results.every(r => r.words.every(w => VALID.has(w.word))));
+});
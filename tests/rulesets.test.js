@@ -0,0 +1,57 @@
+/**
+ * rulesets.js - tile sets per language and the active ruleset
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getRuleset, setActiveRuleset, getActiveRuleset, DEFAULT_LANGUAGE } from '../src/js/rulesets.js';
+
+// Brikker i posen inkl. jokere, som de står i tabellerne
+const TILE_TOTALS = { da: 100, en: 104, sv: 104, no: 103, nl: 103, pt: 120 };
+
+test('every ruleset has its tile total', () => {
+    for (const [language, total] of Object.entries(TILE_TOTALS)) {
+        const ruleset = getRuleset(language);
+        assert.equal(ruleset.language, language);
+
+        const counted = Object.values(ruleset.tileCounts).reduce((sum, count) => sum + count, 0) + ruleset.blankCount;
+        assert.equal(ruleset.totalTiles, counted, language);
+        assert.equal(ruleset.totalTiles, total, language);
+    }
+});
+
+test('tiles, values and vowels belong to the alphabet', () => {
+    for (const language of Object.keys(TILE_TOTALS)) {
+        const { alphabet, vowels, letterValues, tileCounts, blankCount } = getRuleset(language);
+
+        assert.deepEqual(Object.keys(letterValues).sort(), Object.keys(tileCounts).sort(), language);
+        for (const [letter, count] of Object.entries(tileCounts)) {
+            assert.ok(alphabet.includes(letter), `${language}: ${letter}`);
+            assert.ok(Number.isInteger(count) && count > 0, `${language}: ${letter}`);
+            assert.ok(Number.isInteger(letterValues[letter]) && letterValues[letter] > 0, `${language}: ${letter}`);
+        }
+        assert.ok([...vowels].every(v => alphabet.includes(v)), language);
+        assert.ok(blankCount >= 2, language);
+    }
+});
+
+test('Danish values used in the hand-checked tests', () => {
+    const { letterValues, tileCounts } = getRuleset('da');
+    assert.deepEqual(
+        ['A', 'D', 'E', 'M', 'N', 'Z', 'X', 'Å'].map(letter => letterValues[letter]),
+        [1, 2, 1, 4, 1, 9, 8, 4]);
+    assert.equal(tileCounts.E, 9);
+    assert.equal(tileCounts.Z, 1);
+});
+
+test('unknown languages fall back to Danish and rulesets are frozen', () => {
+    assert.equal(getRuleset('xx').language, DEFAULT_LANGUAGE);
+    assert.equal(getRuleset(undefined).language, DEFAULT_LANGUAGE);
+    assert.ok(Object.isFrozen(getRuleset('da').letterValues));
+
+    assert.equal(setActiveRuleset('en').language, 'en');
+    assert.equal(getActiveRuleset().letterValues.Q, 10);
+    setActiveRuleset('da');
+    assert.equal(getActiveRuleset().language, 'da');
+});
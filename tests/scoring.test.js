@@ -0,0 +1,78 @@
+/**
+ * scoring.js - letter values, jokers and the bingo bonus
+ * Danish values: A/E/N/R 1, D/L/O/S/T 2, B/F/G/I/K/U 3, H/J/M/P/V/Y/Æ/Ø/Å 4, C/X 8, Z 9
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { scoreWord, scoreWordWithBlanks, getBingoBonus, getDetailedScore, BINGO_BONUS } from '../src/js/scoring.js';
+import { setActiveRuleset } from '../src/js/rulesets.js';
+
+setActiveRuleset('da');
+
+test('scoreWord adds the letter values', () => {
+    assert.equal(scoreWord('MAND'), 4 + 1 + 1 + 2);
+    assert.equal(scoreWord('ZOO'), 9 + 2 + 2);
+    assert.equal(scoreWord('ÆØÅ'), 12);
+    assert.equal(scoreWord('mand'), 8);
+});
+
+test('a joker covers the most expensive letter', () => {
+    // ZOO med én joker: jokeren bruges på Z (9), ikke på O
+    assert.equal(scoreWord('ZOO', 1), 4);
+    // MAND: M er dyrest
+    assert.equal(scoreWord('MAND', 1), 4);
+});
+
+test('two jokers cover the two most expensive letters', () => {
+    // CZAR: Z (9) og C (8) dækkes
+    assert.equal(scoreWord('CZAR', 2), 2);
+    // Lige dyre bogstaver: kun to af de tre 4-point trækkes fra
+    assert.equal(scoreWord('HJEM', 2), 4 + 1);
+});
+
+test('jokers on every letter score zero', () => {
+    assert.equal(scoreWord('OM', 2), 0);
+});
+
+test('invalid joker counts are handled', () => {
+    assert.equal(scoreWord('OM', -1), 0);
+    // Flere jokere end bogstaver ignoreres (ingen fradrag)
+    assert.equal(scoreWord('OM', 3), 6);
+    assert.equal(scoreWord(''), 0);
+    assert.equal(scoreWord(null, 1), 0);
+});
+
+test('letters outside the alphabet score zero', () => {
+    assert.equal(scoreWord('A?B'), 4);
+});
+
+test('scores follow the active language', () => {
+    setActiveRuleset('en');
+    assert.equal(scoreWord('ZOO'), 12);
+    assert.equal(scoreWord('ZOO', 1), 2);
+    setActiveRuleset('da');
+    assert.equal(scoreWord('ZOO'), 13);
+});
+
+test('scoreWordWithBlanks only leaves out the given letters', () => {
+    // Bakken Z O ?: jokeren må være et O, så Z tæller med
+    assert.equal(scoreWordWithBlanks('ZOO', [{ position: 2 }]), 11);
+    assert.equal(scoreWordWithBlanks('ZOO', [{ position: 0 }]), scoreWord('ZOO', 1));
+    assert.equal(scoreWordWithBlanks('ZOO', []), 13);
+    assert.equal(scoreWordWithBlanks('', []), 0);
+});
+
+test('getDetailedScore reports the joker penalty', () => {
+    const detail = getDetailedScore('CZAR', 2);
+    assert.equal(detail.baseScore, 19);
+    assert.equal(detail.finalScore, 2);
+    assert.equal(detail.jokerPenalty, 17);
+});
+
+test('bingo bonus only for all seven rack tiles', () => {
+    assert.equal(getBingoBonus(7), BINGO_BONUS);
+    assert.equal(getBingoBonus(6), 0);
+    assert.equal(getBingoBonus(8), 0);
+});
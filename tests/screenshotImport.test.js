@@ -0,0 +1,153 @@
+/**
+ * screenshotImport.js - grid detection and letter matching on a drawn screenshot
+ * The "screenshot" is drawn here with a 5x7 pixel font, and the same font
+ * renders the letter templates (the browser uses a canvas font instead)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readScreenshot, detectGrid, createGlyphTemplates } from '../src/js/screenshotImport.js';
+import { getTile } from '../src/js/board.js';
+
+const FONT = {
+    A: ['.###.', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+    D: ['####.', '#...#', '#...#', '#...#', '#...#', '#...#', '####.'],
+    E: ['#####', '#....', '#....', '####.', '#....', '#....', '#####'],
+    I: ['#####', '..#..', '..#..', '..#..', '..#..', '..#..', '#####'],
+    M: ['#...#', '##.##', '#.#.#', '#.#.#', '#...#', '#...#', '#...#'],
+    N: ['#...#', '##..#', '#.#.#', '#..##', '#...#', '#...#', '#...#'],
+    O: ['.###.', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+    R: ['####.', '#...#', '#...#', '####.', '#.#..', '#..#.', '#...#'],
+    S: ['.####', '#....', '#....', '.###.', '....#', '....#', '####.'],
+    T: ['#####', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..'],
+    U: ['#...#', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.']
+};
+
+const CELL = 40;
+const BOARD_X = 10;
+const BOARD_Y = 120;
+const WIDTH = BOARD_X * 2 + CELL * 15;
+const HEIGHT = 1000;
+
+const BACKGROUND = [30, 30, 34];
+const SQUARE = [62, 66, 72];
+const PREMIUM = [200, 60, 60];
+const TILE = [250, 240, 220];
+const INK = [40, 30, 20];
+
+function createImage(width, height, colour) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < width * height; p++) {
+        data.set([...colour, 255], p * 4);
+    }
+    return { width, height, data };
+}
+
+function fillRect(image, x, y, w, h, colour) {
+    for (let yy = y; yy < y + h; yy++) {
+        for (let xx = x; xx < x + w; xx++) {
+            image.data.set([...colour, 255], (yy * image.width + xx) * 4);
+        }
+    }
+}
+
+function drawLetter(image, letter, x, y, scale) {
+    FONT[letter].forEach((line, row) => {
+        [...line].forEach((ch, col) => {
+            if (ch === '#') fillRect(image, x + col * scale, y + row * scale, scale, scale, INK);
+        });
+    });
+}
+
+// Brik med bogstav i midten og point øverst til højre (jokere har ingen point)
+function drawTile(image, x, y, size, letter, blank = false) {
+    fillRect(image, x, y, size, size, TILE);
+    if (letter) {
+        const scale = Math.floor(size / 13);
+        drawLetter(image, letter, x + Math.round((size - 5 * scale) / 2), y + Math.round((size - 7 * scale) / 2), scale);
+    }
+    if (letter && !blank) {
+        fillRect(image, x + size - 9, y + 4, 4, 5, INK);
+    }
+}
+
+function drawScreenshot({ tiles, rack }) {
+    const image = createImage(WIDTH, HEIGHT, BACKGROUND);
+
+    // Topbjælke med tekst-agtige striber
+    fillRect(image, 0, 0, WIDTH, 60, [50, 50, 60]);
+    fillRect(image, 30, 20, 200, 12, [220, 220, 220]);
+
+    for (let row = 0; row < 15; row++) {
+        for (let col = 0; col < 15; col++) {
+            const x = BOARD_X + col * CELL + 1;
+            const y = BOARD_Y + row * CELL + 1;
+            const premium = (row + col) % 7 === 0;
+            fillRect(image, x, y, CELL - 2, CELL - 2, premium ? PREMIUM : SQUARE);
+        }
+    }
+    for (const [row, col, letter, blank] of tiles) {
+        drawTile(image, BOARD_X + col * CELL + 1, BOARD_Y + row * CELL + 1, CELL - 2, letter, blank);
+    }
+
+    const rackY = BOARD_Y + 15 * CELL + 60;
+    [...rack].forEach((letter, i) => {
+        drawTile(image, 20 + i * 86, rackY, 80, letter === '?' ? null : letter);
+    });
+
+    return image;
+}
+
+function renderLetter(letter) {
+    const image = createImage(60, 80, [255, 255, 255]);
+    drawLetter(image, letter, 5, 5, 10);
+    return image;
+}
+
+const templates = createGlyphTemplates(Object.keys(FONT).join(''), renderLetter);
+
+const GAME = {
+    tiles: [
+        [7, 7, 'M'], [7, 8, 'A'], [7, 9, 'N', true], [7, 10, 'D'],
+        [8, 10, 'E'], [9, 10, 'T'],
+        [0, 0, 'O'], [14, 14, 'S'], [3, 5, 'I'], [4, 5, 'R']
+    ],
+    rack: 'TRUE?SO'
+};
+
+test('createGlyphTemplates renders one template per letter', () => {
+    assert.deepEqual(templates.map(t => t.letter), Object.keys(FONT));
+    // Ingen skabelon for et tegn der ikke tegner noget
+    assert.equal(createGlyphTemplates('X', () => createImage(10, 10, [255, 255, 255])).length, 0);
+});
+
+test('detectGrid finds the board from the lines between squares', () => {
+    const grid = detectGrid(drawScreenshot(GAME));
+    assert.ok(grid);
+    assert.ok(Math.abs(grid.cell - CELL) < 0.5, `cell ${grid.cell}`);
+    assert.ok(Math.abs(grid.x - BOARD_X) <= 2, `x ${grid.x}`);
+    assert.ok(Math.abs(grid.y - BOARD_Y) <= 2, `y ${grid.y}`);
+});
+
+test('readScreenshot recognises tiles, jokers and the rack', () => {
+    const result = readScreenshot(drawScreenshot(GAME), templates);
+    assert.equal(result.error, undefined);
+
+    assert.equal(result.tiles, GAME.tiles.length);
+    for (const [row, col, letter, blank] of GAME.tiles) {
+        assert.deepEqual(getTile(result.board, row, col), { letter, blank: !!blank }, `${row},${col}`);
+    }
+    assert.equal(getTile(result.board, 7, 6), null);
+    assert.deepEqual(result.uncertain, []);
+
+    assert.equal(result.rack, 'TRUE?SO');
+    assert.deepEqual(result.uncertainRack, []);
+});
+
+test('readScreenshot explains images without a board', () => {
+    assert.match(readScreenshot(createImage(300, 500, [128, 128, 128]), templates).error, /Fandt ikke brættet/);
+    assert.match(readScreenshot(drawScreenshot({ tiles: [], rack: '' }), templates).error, /ingen brikker/);
+    assert.match(readScreenshot({ width: 10, height: 10, data: new Uint8ClampedArray(4) }, templates).error, /kunne ikke læses/);
+    assert.throws(() => readScreenshot(drawScreenshot(GAME), []), /No letter templates/);
+});
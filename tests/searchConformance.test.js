@@ -0,0 +1,124 @@
+/**
+ * Search conformance
+ * The main thread (searchEngine.js) and the search worker must return
+ * exactly the same results for the same input - with the wordlist sent
+ * as JSON words and as the packed .wfb buffer.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { searchWords } from '../src/js/searchEngine.js';
+import { buildWordIndex } from '../src/js/wordIndex.js';
+import { encodeWordlist, normalizeWordlist } from '../src/js/wordlistFormat.js';
+import { getLeaveTable, getLeaveValue, computeMoveLeave } from '../src/js/leave.js';
+import { getRuleset, setActiveRuleset } from '../src/js/rulesets.js';
+import { parseBoard } from '../src/js/board.js';
+import { generateMoves } from '../src/js/moveGenerator.js';
+import { loadWorker } from './helpers/workerHarness.js';
+import { WORDS, boardData } from './helpers/fixtures.js';
+
+const RACKS = ['AERST', 'MAND?E', 'TRÆ?ON', '??', 'ÅREN', 'SANDTER', 'ERT?SAN', 'Q', ''];
+
+const FILTER_SETS = [
+    {},
+    { sortBy: 'equity' },
+    { sortBy: 'length' },
+    { sortBy: 'alpha' },
+    { lengthMode: 'exact', exactLength: 4 },
+    { lengthMode: 'range', minLength: 3, maxLength: 5, sortBy: 'alpha' },
+    { boardPattern: 'S*' },
+    { boardPattern: '*E' },
+    { boardPattern: '..A*' },
+    { boardPattern: 'T.Æ*', sortBy: 'length' },
+    { boardPattern: 'zz' },
+    { boardPattern: 'S* 3-5; *E' },
+    { boardPattern: 'R8: [AE]*; H: *T. 3', sortBy: 'equity' }
+];
+
+// Samme forberedelse som wordlistLoader.js (JSON-stien)
+const mainWords = normalizeWordlist(WORDS, getRuleset('da').alphabet).words;
+let source;
+let jsonWorker;
+let packedWorker;
+let nextRequestId = 1;
+
+before(async () => {
+    const ruleset = setActiveRuleset('da');
+    const index = buildWordIndex(mainWords);
+    source = { index, leaveTable: getLeaveTable(index, ruleset) };
+
+    jsonWorker = await loadWorker('src/workers/searchWorker.js');
+    jsonWorker.post({ type: 'loadWordlist', payload: { words: WORDS, lang: 'da' } });
+    await jsonWorker.waitFor('wordlistLoaded');
+
+    const buffer = encodeWordlist(index, { language: 'da', sourceVersion: 'test' });
+    packedWorker = await loadWorker('src/workers/searchWorker.js');
+    packedWorker.post({ type: 'loadWordlist', payload: { buffer, lang: 'da' } }, [buffer]);
+    await packedWorker.waitFor('wordlistLoaded');
+});
+
+after(async () => {
+    await jsonWorker.terminate();
+    await packedWorker.terminate();
+});
+
+/**
+ * Run one search in a worker and return the payload (without the timing)
+ */
+async function workerSearch(worker, lettersString, filters) {
+    const requestId = nextRequestId++;
+    worker.post({ type: 'search', payload: { requestId, lettersString, filters } });
+    const { payload } = await worker.waitFor(m => m.type === 'searchResult' && m.payload.requestId === requestId);
+    return { results: payload.results, totalFound: payload.totalFound, lanes: payload.lanes };
+}
+
+function mainSearch(lettersString, filters) {
+    const { results, totalFound, lanes } = searchWords(lettersString, filters, source);
+    return { results, totalFound, lanes };
+}
+
+test('worker and main thread agree on every rack and filter', async () => {
+    let compared = 0;
+    for (const rack of RACKS) {
+        for (const filters of FILTER_SETS) {
+            const expected = mainSearch(rack, filters);
+            const label = `${JSON.stringify(rack)} ${JSON.stringify(filters)}`;
+
+            assert.deepEqual(await workerSearch(jsonWorker, rack, filters), expected, `JSON worker: ${label}`);
+            assert.deepEqual(await workerSearch(packedWorker, rack, filters), expected, `packed worker: ${label}`);
+            compared++;
+        }
+    }
+    assert.equal(compared, RACKS.length * FILTER_SETS.length);
+});
+
+test('fixture searches find words (the comparison is not vacuous)', () => {
+    const { results } = mainSearch('SANDTER', {});
+    assert.ok(results.length > 10);
+    assert.ok(results.some(r => r.word === 'STRANDE' && r.bingo));
+
+    const withJokers = mainSearch('MAND?E', { boardPattern: '*E' });
+    assert.ok(withJokers.results.every(r => r.word.endsWith('E')));
+});
+
+test('worker board moves match the move generator with leave and equity', async () => {
+    const data = boardData([[7, 5, 'SAND', 'H'], [5, 8, 'TRÆ', 'V']]);
+    const rack = 'ERT?SAN';
+
+    const expected = generateMoves(source.index, parseBoard(data, setActiveRuleset('da').alphabet), rack);
+    for (const move of expected) {
+        move.leave = computeMoveLeave(rack, move.tiles);
+        move.leaveValue = getLeaveValue(move.leave, source.leaveTable);
+        move.equity = Math.round((move.score + move.leaveValue) * 10) / 10;
+    }
+    assert.ok(expected.length > 0);
+
+    for (const worker of [jsonWorker, packedWorker]) {
+        const requestId = nextRequestId++;
+        worker.post({ type: 'generateMoves', payload: { requestId, board: data, rack } });
+        const { payload } = await worker.waitFor('movesResult');
+        assert.equal(payload.requestId, requestId);
+        assert.deepEqual(payload.results, expected);
+    }
+});
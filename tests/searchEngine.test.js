@@ -0,0 +1,204 @@
+/**
+ * searchEngine.js - board patterns, length filter, sorting and the search itself
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    searchWords,
+    passesFilters,
+    matchesBoardPattern,
+    passesLengthFilter,
+    sortResults,
+    validateFilters
+} from '../src/js/searchEngine.js';
+import { findBoardPositions } from '../src/js/boardPattern.js';
+import { buildWordIndex } from '../src/js/wordIndex.js';
+import { getLeaveTable } from '../src/js/leave.js';
+import { setActiveRuleset } from '../src/js/rulesets.js';
+import { compareDanish } from '../src/js/utils.js';
+import { WORDS } from './helpers/fixtures.js';
+
+const ruleset = setActiveRuleset('da');
+const FIXTURE = Array.from(new Set(WORDS.map(w => w.toUpperCase())));
+const index = buildWordIndex(FIXTURE);
+const source = { index, leaveTable: getLeaveTable(index, ruleset) };
+
+test('matchesBoardPattern: letters, . and *', () => {
+    assert.equal(matchesBoardPattern('MAND', 'MAND'), true);
+    assert.equal(matchesBoardPattern('MAND', 'M*'), true);
+    assert.equal(matchesBoardPattern('MAND', '*D'), true);
+    assert.equal(matchesBoardPattern('MAND', '.A..'), true);
+    assert.equal(matchesBoardPattern('MAND', '.A.'), false);
+    assert.equal(matchesBoardPattern('MANDE', 'M..DE*'), true);
+    assert.equal(matchesBoardPattern('MAND', 'm*'), true);
+});
+
+test('matchesBoardPattern matches the whole word', () => {
+    assert.equal(matchesBoardPattern('SAND', 'AN'), false);
+    assert.equal(matchesBoardPattern('SAND', '*AN*'), true);
+    assert.equal(matchesBoardPattern('SAND', 'S A N D'), true);
+});
+
+test('matchesBoardPattern treats regex characters literally', () => {
+    assert.equal(matchesBoardPattern('AB', 'A|B'), false);
+    assert.equal(matchesBoardPattern('A+', 'A+'), true);
+    assert.equal(matchesBoardPattern('AAB', 'A+B'), false);
+});
+
+test('matchesBoardPattern rejects oversized patterns', () => {
+    assert.equal(matchesBoardPattern('A', '*'.repeat(16)), false);
+    assert.equal(matchesBoardPattern('A', 'A'.repeat(51)), false);
+    assert.equal(matchesBoardPattern('A', ''), true);
+});
+
+test('passesLengthFilter: all, exact and range', () => {
+    assert.equal(passesLengthFilter(1, {}), false);
+    assert.equal(passesLengthFilter(2, {}), true);
+    assert.equal(passesLengthFilter(15, { lengthMode: 'all' }), true);
+    assert.equal(passesLengthFilter(16, { lengthMode: 'all' }), false);
+
+    assert.equal(passesLengthFilter(4, { lengthMode: 'exact', exactLength: 4 }), true);
+    assert.equal(passesLengthFilter(5, { lengthMode: 'exact', exactLength: 4 }), false);
+    assert.equal(passesLengthFilter(9, { lengthMode: 'exact' }), true);
+
+    assert.equal(passesLengthFilter(3, { lengthMode: 'range', minLength: 3, maxLength: 5 }), true);
+    assert.equal(passesLengthFilter(6, { lengthMode: 'range', minLength: 3, maxLength: 5 }), false);
+    assert.equal(passesLengthFilter(2, { lengthMode: 'range', maxLength: 5 }), true);
+    assert.equal(passesLengthFilter(15, { lengthMode: 'range', minLength: 10 }), true);
+});
+
+const result = (word, score, usedJokers = 0, equity = score) => ({ word, score, length: word.length, usedJokers, equity });
+
+test('sortResults by score: fewer jokers, then points per letter', () => {
+    const results = [
+        result('TRÆER', 9, 1),
+        result('SAND', 6),
+        result('TRÆ', 7),
+        result('RASTE', 9),
+        result('HUS', 9)
+    ];
+    sortResults(results, 'score');
+    assert.deepEqual(results.map(r => r.word), ['HUS', 'RASTE', 'TRÆER', 'TRÆ', 'SAND']);
+});
+
+test('sortResults by equity, length and alphabet', () => {
+    const make = () => [result('ÅR', 5, 0, 3), result('AB', 4, 0, 6), result('ZOO', 13, 0, 6), result('MANDE', 9, 0, 2)];
+
+    const byEquity = make();
+    sortResults(byEquity, 'equity');
+    assert.deepEqual(byEquity.map(r => r.word), ['ZOO', 'AB', 'ÅR', 'MANDE']);
+
+    const byLength = make();
+    sortResults(byLength, 'length');
+    assert.deepEqual(byLength.map(r => r.word), ['MANDE', 'ZOO', 'ÅR', 'AB']);
+
+    const byAlpha = make();
+    sortResults(byAlpha, 'alpha');
+    assert.deepEqual(byAlpha.map(r => r.word), ['AB', 'MANDE', 'ZOO', 'ÅR']);
+});
+
+test('validateFilters rejects impossible lengths', () => {
+    assert.equal(validateFilters({ lengthMode: 'exact', exactLength: 1 }).valid, false);
+    assert.equal(validateFilters({ lengthMode: 'range', minLength: 6, maxLength: 3 }).valid, false);
+    assert.equal(validateFilters({ lengthMode: 'range', minLength: 3, maxLength: 6 }).valid, true);
+});
+
+test('searchWords scores jokers and bingos on the fixture list', () => {
+    const { results } = searchWords('SANDTER', {}, source);
+    const strande = results.find(r => r.word === 'STRANDE');
+    assert.equal(strande.bingo, true);
+    assert.equal(strande.score, 2 + 2 + 1 + 1 + 1 + 2 + 1 + 40);
+
+    const { results: jokerResults } = searchWords('MAN?', { lengthMode: 'exact', exactLength: 4 }, source);
+    const mand = jokerResults.find(r => r.word === 'MAND');
+    assert.equal(mand.usedJokers, 1);
+    // Bakken mangler D - jokeren ligger på D, ikke på det dyrere M
+    assert.deepEqual(mand.blanks, [{ position: 3, letter: 'D' }]);
+    assert.equal(mand.score, 4 + 1 + 1);
+});
+
+test('searchWords reports the joker positions for every result', () => {
+    for (const rack of ['ERT?SAN', 'MAND?E', '??', 'TRÆ?ON']) {
+        for (const filters of [{}, { boardPattern: '*E' }, { boardPattern: 'S*' }]) {
+            for (const r of searchWords(rack, filters, source).results) {
+                assert.equal(r.blanks.length, r.usedJokers, `${rack} ${r.word}`);
+                for (const blank of r.blanks) {
+                    assert.equal(r.word[blank.position], blank.letter);
+                }
+            }
+        }
+    }
+});
+
+test('board letters are never jokers', () => {
+    // R ligger på brættet; bakken har kun jokere
+    const { results } = searchWords('??', { boardPattern: '.R.' }, source);
+    const ord = results.find(r => r.word === 'ORD');
+    assert.deepEqual(ord.blanks, [{ position: 0, letter: 'O' }, { position: 2, letter: 'D' }]);
+    assert.equal(ord.score, 1);
+});
+
+test('searchWords takes letters in [...] from the rack, not the board', () => {
+    // A eller E i [AE] skal komme fra bakken - kun M, N og D ligger på brættet
+    const { results } = searchWords('MADN', { boardPattern: 'M[AE]ND' }, source);
+    assert.deepEqual(results.map(r => r.word), ['MAND']);
+    assert.equal(results[0].rackTilesUsed, 1);
+
+    assert.equal(searchWords('MND', { boardPattern: 'M[AE]ND' }, source).results.length, 0);
+});
+
+test('searchWords groups results by lane, each with its own board letters', () => {
+    const { results, lanes } = searchWords('ANDTR', { boardPattern: 'Top: *E 3-4; Side: S*', sortBy: 'alpha' }, source);
+
+    assert.deepEqual(lanes.map(lane => lane.label), ['Top', 'Side']);
+    assert.deepEqual(results.map(r => r.lane), [...results.map(r => r.lane)].sort());
+    assert.equal(lanes[0].found + lanes[1].found, results.length);
+
+    const top = results.filter(r => r.lane === 0).map(r => r.word);
+    const side = results.filter(r => r.lane === 1).map(r => r.word);
+    assert.ok(top.length > 0 && side.length > 0);
+    assert.ok(top.every(w => w.endsWith('E') && w.length >= 3 && w.length <= 4));
+    assert.ok(side.every(w => w.startsWith('S')));
+    // E ligger kun på brættet i den første linje
+    assert.ok(side.every(w => !w.includes('E')));
+
+    // Inden for en linje gælder sorteringen stadig
+    assert.deepEqual(top, [...top].sort(compareDanish));
+});
+
+test('passesFilters accepts a word that fits any lane', () => {
+    assert.equal(passesFilters('SAND', { boardPattern: '*E; S*' }), true);
+    assert.equal(passesFilters('MANDE', { boardPattern: '*E 3-4; S*' }), false);
+    assert.equal(passesFilters('MAND', { boardPattern: 'M[AE' }), false);
+});
+
+test('validateFilters reports pattern errors', () => {
+    assert.equal(validateFilters({ boardPattern: 'M[AE' }).valid, false);
+    assert.equal(validateFilters({ boardPattern: '*{2}' }).valid, false);
+    assert.deepEqual(validateFilters({ boardPattern: '.{0,3}E#' }), { valid: true });
+    assert.deepEqual(validateFilters({ boardPattern: 'R8: ..E..R* 4-7; H: *T.' }), { valid: true });
+    assert.equal(validateFilters({ boardPattern: 'S*; H: *T. 16' }).valid, false);
+});
+
+test('findBoardPositions returns where the pattern letters sit', () => {
+    assert.deepEqual(findBoardPositions('MANDE', 'M..DE*'), [0, 3, 4]);
+    assert.deepEqual(findBoardPositions('SAND', '*AN*'), [1, 2]);
+    assert.deepEqual(findBoardPositions('SAND', '....'), []);
+    assert.deepEqual(findBoardPositions('SAND', ''), []);
+    assert.equal(findBoardPositions('SAND', 'AN'), null);
+    // Første placering: første A i ANANAS
+    assert.deepEqual(findBoardPositions('ANANAS', '*A*'), [0]);
+});
+
+test('searchWords needs at least one own tile besides board letters', () => {
+    const { results } = searchWords('X', { boardPattern: 'OM' }, source);
+    assert.deepEqual(results, []);
+
+    const withRack = searchWords('S', { boardPattern: '*OM*' }, source).results.map(r => r.word);
+    assert.deepEqual(withRack, []);
+
+    const board = searchWords('D', { boardPattern: 'MAN*' }, source).results.map(r => r.word);
+    assert.deepEqual(board, ['MAND']);
+});
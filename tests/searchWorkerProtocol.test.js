@@ -0,0 +1,170 @@
+/**
+ * Search worker protocol
+ * Request ids, error replies, partial batches and cancellation
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadWorker } from './helpers/workerHarness.js';
+import { WORDS } from './helpers/fixtures.js';
+
+// Syntetisk ordliste - stor nok til at en søgning med jokere tager flere slices
+function syntheticWords(count) {
+    const letters = 'ABDEFGIKLMNORSTUVÆØÅ';
+    const words = new Set();
+    let seed = 7;
+    const random = () => {
+        seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+        return seed / 4294967296;
+    };
+    while (words.size < count) {
+        let word = '';
+        const length = 2 + Math.floor(random() * 7);
+        for (let i = 0; i < length; i++) {
+            word += letters[Math.floor(random() * letters.length)];
+        }
+        words.add(word);
+    }
+    return [...words];
+}
+
+let worker;
+let bigWorker;
+
+before(async () => {
+    worker = await loadWorker('src/workers/searchWorker.js');
+    bigWorker = await loadWorker('src/workers/searchWorker.js');
+
+    bigWorker.post({ type: 'loadWordlist', payload: { words: syntheticWords(80000), lang: 'da' } });
+    await bigWorker.waitFor('wordlistLoaded');
+});
+
+after(async () => {
+    await worker.terminate();
+    await bigWorker.terminate();
+});
+
+const replyTo = (requestId, type) => (m) => m.payload?.requestId === requestId && (!type || m.type === type);
+
+test('searching before the wordlist is loaded gives an error reply', async () => {
+    worker.post({ type: 'search', payload: { requestId: 'early', lettersString: 'ABC', filters: {} } });
+    const { type, payload } = await worker.waitFor(replyTo('early'));
+
+    assert.equal(type, 'searchError');
+    assert.equal(payload.code, 'not_loaded');
+});
+
+test('replies echo the request id', async () => {
+    worker.post({ type: 'loadWordlist', payload: { words: WORDS, lang: 'da' } });
+    await worker.waitFor('wordlistLoaded');
+
+    worker.post({ type: 'search', payload: { requestId: 1, lettersString: 'AERST', filters: {} } });
+    worker.post({ type: 'search', payload: { requestId: 2, lettersString: 'ÅREN', filters: {} } });
+
+    const second = await worker.waitFor(replyTo(2, 'searchResult'));
+    const first = await worker.waitFor(replyTo(1, 'searchResult'));
+
+    assert.ok(first.payload.results.some(r => r.word === 'STAR'));
+    assert.ok(second.payload.results.some(r => r.word === 'ÅRE'));
+    assert.ok(second.payload.results.every(r => r.word !== 'STAR'));
+});
+
+test('invalid payloads get error replies instead of silence', async () => {
+    worker.post({ type: 'search', payload: { requestId: 'a', lettersString: 42, filters: {} } });
+    worker.post({ type: 'search', payload: { requestId: 'b', lettersString: 'ABCDEFGHIJKLMNOP', filters: {} } });
+    worker.post({ type: 'generateMoves', payload: { requestId: 'c', board: { tiles: [] }, rack: 'ABC' } });
+    worker.post({ type: 'search', payload: { requestId: 'e', lettersString: 'ABC', filters: { boardPattern: 'M[AE' } } });
+    worker.post({ type: 'search', payload: { lettersString: 'ABC', filters: {} } });
+    worker.post({ type: 'bogus', payload: { requestId: 'd' } });
+
+    for (const requestId of ['a', 'b', 'c', 'e']) {
+        const { type, payload } = await worker.waitFor(replyTo(requestId));
+        assert.equal(type, 'searchError');
+        assert.equal(payload.code, 'invalid_request');
+        assert.equal(typeof payload.message, 'string');
+    }
+
+    const missingId = await worker.waitFor(m => m.type === 'searchError' && m.payload.requestId === null);
+    assert.equal(missingId.payload.code, 'invalid_request');
+
+    const unknown = await worker.waitFor(replyTo('d'));
+    assert.equal(unknown.payload.code, 'unknown_type');
+});
+
+test('long searches send partial batches before the sorted result', async () => {
+    bigWorker.post({ type: 'search', payload: { requestId: 'long', lettersString: '???????', filters: {} } });
+
+    const batches = [];
+    let result;
+    while (!result) {
+        const message = await bigWorker.waitFor(replyTo('long'));
+        if (message.type === 'searchBatch') {
+            batches.push(message.payload);
+        } else {
+            assert.equal(message.type, 'searchResult');
+            result = message.payload;
+        }
+    }
+
+    assert.ok(batches.length > 0, 'expected at least one partial batch');
+    const finalWords = new Set(result.results.map(r => r.word));
+    let previousFound = 0;
+    for (const batch of batches) {
+        assert.ok(batch.found > previousFound);
+        assert.ok(batch.results.every(r => finalWords.has(r.word)));
+        previousFound = batch.found;
+    }
+    assert.ok(result.totalFound >= previousFound);
+
+    // Det endelige resultat er sorteret (point, faldende)
+    for (let i = 1; i < result.results.length; i++) {
+        assert.ok(result.results[i - 1].score >= result.results[i].score);
+    }
+});
+
+test('a cancelled search replies searchCancelled and never a result', async () => {
+    bigWorker.post({ type: 'search', payload: { requestId: 'cancel-me', lettersString: '???????', filters: {} } });
+    bigWorker.post({ type: 'cancel', payload: { requestId: 'cancel-me' } });
+
+    const reply = await bigWorker.waitFor(m => replyTo('cancel-me')(m) && m.type !== 'searchBatch');
+    assert.equal(reply.type, 'searchCancelled');
+});
+
+test('a new search replaces the one still running', async () => {
+    bigWorker.post({ type: 'search', payload: { requestId: 'old', lettersString: '???????', filters: {} } });
+    bigWorker.post({ type: 'search', payload: { requestId: 'new', lettersString: 'SAND', filters: {} } });
+
+    const fresh = await bigWorker.waitFor(replyTo('new', 'searchResult'));
+    const stale = await bigWorker.waitFor(m => replyTo('old')(m) && m.type !== 'searchBatch');
+
+    assert.equal(stale.type, 'searchCancelled');
+    assert.ok(fresh.payload.totalFound >= 0);
+});
+
+// Bræt med et ord i hver anden række - mange ankre og linjer at søge
+function busyBoard() {
+    const tiles = new Array(225).fill(null);
+    for (let row = 1; row < 15; row += 2) {
+        [...'SANDE'].forEach((letter, i) => {
+            tiles[row * 15 + 5 + i] = { letter, blank: false };
+        });
+    }
+    return { tiles };
+}
+
+test('board move generation can be cancelled or replaced', async () => {
+    const board = busyBoard();
+    bigWorker.post({ type: 'generateMoves', payload: { requestId: 'moves-cancel', board, rack: 'AEIRS??' } });
+    bigWorker.post({ type: 'cancel', payload: { requestId: 'moves-cancel' } });
+    const cancelled = await bigWorker.waitFor(replyTo('moves-cancel'));
+    assert.equal(cancelled.type, 'searchCancelled');
+
+    bigWorker.post({ type: 'generateMoves', payload: { requestId: 'moves-old', board, rack: 'AEIRS??' } });
+    bigWorker.post({ type: 'generateMoves', payload: { requestId: 'moves-new', board, rack: 'ÅL' } });
+    const fresh = await bigWorker.waitFor(replyTo('moves-new', 'movesResult'));
+    const stale = await bigWorker.waitFor(replyTo('moves-old'));
+
+    assert.equal(stale.type, 'searchCancelled');
+    assert.ok(fresh.payload.results.every(move => move.tiles.length <= 2));
+});
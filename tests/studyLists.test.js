@@ -0,0 +1,72 @@
+/**
+ * studyLists.js - two/three-letter study lists and quiz questions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildStudyList, createQuizQuestion } from '../src/js/studyLists.js';
+import { buildShortWordIndex } from '../src/js/parallel.js';
+import { buildWordIndex } from '../src/js/wordIndex.js';
+import { setActiveRuleset } from '../src/js/rulesets.js';
+import { WORDS } from './helpers/fixtures.js';
+
+setActiveRuleset('da');
+const shortWords = buildShortWordIndex(buildWordIndex(WORDS));
+
+// Fast rækkefølge af "tilfældige" tal
+function sequence(...values) {
+    let i = 0;
+    return () => values[i++ % values.length];
+}
+
+test('buildStudyList groups words by first letter in alphabet order', () => {
+    const list = buildStudyList(shortWords, 2);
+    const all = list.groups.flatMap(g => g.words.map(w => w.word));
+
+    assert.equal(list.total, shortWords.two.size);
+    assert.equal(all.length, list.total);
+    assert.ok(all.every(word => word.length === 2));
+
+    // Æ, Ø, Å til sidst
+    assert.deepEqual(list.groups.slice(-3).map(g => g.letter), ['Æ', 'Ø', 'Å']);
+    assert.deepEqual(list.groups[0].words.map(w => w.word).slice(0, 3), ['AB', 'AD', 'AE']);
+    assert.deepEqual(list.groups.find(g => g.letter === 'Å').words.map(w => w.word), ['ÅL', 'ÅR', 'ÅS']);
+    assert.ok(list.groups.every(g => g.words.every(w => w.word[0] === g.letter)));
+});
+
+test('buildStudyList scores words with the letter values', () => {
+    const list = buildStudyList(shortWords, 3);
+    const words = new Map(list.groups.flatMap(g => g.words.map(w => [w.word, w.score])));
+
+    assert.equal(list.total, shortWords.three.size);
+    assert.equal(words.get('MAD'), 7);
+    assert.equal(words.get('ÅND'), 7);
+    assert.ok(!words.has('MAND'));
+});
+
+test('createQuizQuestion mixes real words and look-alikes', () => {
+    const real = createQuizQuestion(shortWords, 2, sequence(0, 0.1));
+    assert.equal(real.valid, true);
+    assert.ok(shortWords.two.has(real.word));
+
+    // Andet tal >= 0.5 giver et forkert ord med ét bogstav skiftet
+    const phony = createQuizQuestion(shortWords, 3, sequence(0, 0.9, 0.5, 0.1, 0.2));
+    assert.equal(phony.valid, false);
+    assert.equal(phony.word.length, 3);
+    assert.ok(!shortWords.three.has(phony.word));
+
+    for (let i = 0; i < 50; i++) {
+        const question = createQuizQuestion(shortWords, 2);
+        assert.equal(question.valid, shortWords.two.has(question.word));
+    }
+});
+
+test('study lists reject unknown lengths and missing wordlists', () => {
+    assert.throws(() => buildStudyList(shortWords, 4), /No study list/);
+    assert.throws(() => createQuizQuestion(null, 2), /Wordlist not loaded/);
+
+    const empty = buildShortWordIndex(buildWordIndex(['MAND']));
+    assert.equal(createQuizQuestion(empty, 2), null);
+    assert.equal(buildStudyList(empty, 3).total, 0);
+});
@@ -0,0 +1,65 @@
+/**
+ * tileTracker.js - unseen tiles after the board, played tiles and the rack
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    computeUnseenTiles, getUnseenCount, getBagCount, listUnseenTiles, getTileWarnings,
+    countTiles, countBoardTiles, BLANK
+} from '../src/js/tileTracker.js';
+import { getRuleset, setActiveRuleset } from '../src/js/rulesets.js';
+import { boardData } from './helpers/fixtures.js';
+
+setActiveRuleset('da');
+const ruleset = getRuleset('da');
+
+test('nothing seen: the full bag, seven of it on the opponent\'s rack', () => {
+    const unseen = computeUnseenTiles(ruleset);
+    assert.equal(unseen.total, 100);
+    assert.equal(getUnseenCount(unseen, BLANK), 2);
+    assert.equal(getUnseenCount(unseen, 'e'), 9);
+    assert.equal(getBagCount(unseen), 93);
+    assert.deepEqual(unseen.overdrawn, []);
+});
+
+test('board, played tiles and rack are all subtracted', () => {
+    // MAND på brættet med joker-N, ZOO skrevet i feltet, hånden EE?
+    const board = boardData([[7, 4, 'MAND', 'H']]);
+    board.tiles[7 * 15 + 6] = { letter: 'N', blank: true };
+    assert.deepEqual([...countBoardTiles(board)].sort(), [['?', 1], ['A', 1], ['D', 1], ['M', 1]]);
+
+    const unseen = computeUnseenTiles(ruleset, { board, played: 'z o', rack: 'EE?' });
+    assert.equal(unseen.total, 100 - 4 - 2 - 3);
+    assert.equal(getUnseenCount(unseen, BLANK), 0);
+    assert.equal(getUnseenCount(unseen, 'N'), ruleset.tileCounts.N);
+    assert.equal(getUnseenCount(unseen, 'Z'), 0);
+    assert.equal(getUnseenCount(unseen, 'E'), ruleset.tileCounts.E - 2);
+    assert.equal(getBagCount(unseen), unseen.total - 7);
+
+    // Mellemrum adskiller kun i feltet - de er ikke jokere
+    assert.deepEqual([...countTiles('ab ?')], [['A', 1], ['B', 1], ['?', 1]]);
+});
+
+test('more tiles than exist are reported, not counted below zero', () => {
+    const unseen = computeUnseenTiles(ruleset, { played: 'ZZ', rack: 'Z' });
+    assert.equal(getUnseenCount(unseen, 'Z'), 0);
+    assert.deepEqual(unseen.overdrawn, ['Z']);
+    assert.equal(unseen.total, 99);
+});
+
+test('the unseen list and warnings for expensive tiles and blanks', () => {
+    const unseen = computeUnseenTiles(ruleset, { played: '?' });
+    const list = listUnseenTiles(unseen, ruleset);
+    assert.equal(list.at(-1).letter, BLANK);
+    assert.deepEqual(list.at(-1), { letter: BLANK, count: 1, total: 2 });
+    assert.equal(list.reduce((sum, tile) => sum + tile.count, 0), unseen.total);
+
+    const warnings = getTileWarnings(unseen, ruleset);
+    assert.equal(warnings[0].message, 'Den sidste joker er stadig ude');
+    assert.ok(warnings.some(w => w.letter === 'Z' && w.remaining === 1));
+
+    const none = getTileWarnings(computeUnseenTiles(ruleset, { played: '??ZXCYÆØÅ' }), ruleset);
+    assert.ok(none.every(w => w.letter !== BLANK && w.letter !== 'Z'));
+});
@@ -0,0 +1,119 @@
+/**
+ * utils.js - letter parsing, rack checks and Danish sort order
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseLetters, canFormWord, canFormWordWithExtras, compareDanish, assignBlanks } from '../src/js/utils.js';
+import { setActiveRuleset } from '../src/js/rulesets.js';
+import { WORDS } from './helpers/fixtures.js';
+
+setActiveRuleset('da');
+
+const FIXTURE = Array.from(new Set(WORDS.map(w => w.toUpperCase())));
+
+/**
+ * Words from the fixture list that canFormWord accepts for a rack
+ */
+function formable(rack) {
+    const { letterCounts, wildcards } = parseLetters(rack);
+    return FIXTURE.filter(word => canFormWord(word, letterCounts, wildcards).canForm).sort();
+}
+
+test('parseLetters counts letters and every wildcard character', () => {
+    const { letterCounts, wildcards } = parseLetters('mand?e');
+    assert.deepEqual([...letterCounts], [['M', 1], ['A', 1], ['N', 1], ['D', 1], ['E', 1]]);
+    assert.equal(wildcards, 1);
+
+    assert.equal(parseLetters('A?B_C*').wildcards, 3);
+    assert.deepEqual([...parseLetters('aab').letterCounts], [['A', 2], ['B', 1]]);
+    assert.deepEqual([...parseLetters('æøå').letterCounts], [['Æ', 1], ['Ø', 1], ['Å', 1]]);
+});
+
+test('parseLetters trims and collapses spaces before counting', () => {
+    // Mellemrum inde i teksten bliver til ét mellemrum, som tæller som joker
+    assert.deepEqual(parseLetters('  ab  ').wildcards, 0);
+    assert.equal(parseLetters('a   b').wildcards, 1);
+    assert.deepEqual(parseLetters(''), { letterCounts: new Map(), wildcards: 0 });
+});
+
+test('canFormWord finds fixture words from a rack', () => {
+    assert.deepEqual(formable('STAR'), ['AR', 'AS', 'AT', 'RAT', 'SAT', 'STAR']);
+    assert.deepEqual(formable('ÅRE'), ['ER', 'RE', 'ÅR', 'ÅRE']);
+});
+
+test('canFormWord uses jokers for missing letters', () => {
+    const { letterCounts, wildcards } = parseLetters('MAN?');
+
+    assert.deepEqual(canFormWord('MAND', letterCounts, wildcards), {
+        canForm: true, wildcardsUsed: 1, usedUserLetters: true, rackTilesUsed: 4
+    });
+    assert.deepEqual(canFormWord('MANDE', letterCounts, wildcards), {
+        canForm: false, wildcardsUsed: 0, usedUserLetters: true, rackTilesUsed: 0
+    });
+    // Dobbelte bogstaver kræver to brikker
+    assert.equal(canFormWord('AA', parseLetters('A').letterCounts, 0).canForm, false);
+    assert.equal(canFormWord('AA', parseLetters('A?').letterCounts, 1).canForm, true);
+});
+
+test('canFormWord counts a rack of only jokers as user letters', () => {
+    const { letterCounts, wildcards } = parseLetters('??');
+    assert.deepEqual(canFormWord('OM', letterCounts, wildcards), {
+        canForm: true, wildcardsUsed: 2, usedUserLetters: true, rackTilesUsed: 2
+    });
+});
+
+test('canFormWordWithExtras takes board letters before rack tiles', () => {
+    const { letterCounts, wildcards } = parseLetters('DN');
+    const board = new Map([['A', 1], ['M', 1]]);
+
+    assert.deepEqual(canFormWordWithExtras('MAND', letterCounts, wildcards, board), {
+        canForm: true, wildcardsUsed: 0, usedUserLetters: true, rackTilesUsed: 2
+    });
+    assert.equal(canFormWordWithExtras('MANDE', letterCounts, wildcards, board).canForm, false);
+    assert.equal(canFormWordWithExtras('MANDE', letterCounts, 1, board).wildcardsUsed, 1);
+});
+
+test('canFormWordWithExtras does not count words made only of board letters', () => {
+    const { letterCounts, wildcards } = parseLetters('XY');
+    const result = canFormWordWithExtras('OM', letterCounts, wildcards, new Map([['O', 1], ['M', 1]]));
+
+    assert.equal(result.canForm, true);
+    assert.equal(result.usedUserLetters, false);
+    assert.equal(result.rackTilesUsed, 0);
+});
+
+test('canFormWordWithExtras matches canFormWord without board letters', () => {
+    const { letterCounts, wildcards } = parseLetters('ERT?SAN');
+    for (const word of FIXTURE) {
+        const plain = canFormWord(word, letterCounts, wildcards);
+        const withExtras = canFormWordWithExtras(word, letterCounts, wildcards, new Map());
+        assert.equal(withExtras.canForm, plain.canForm, word);
+        assert.equal(withExtras.wildcardsUsed, plain.wildcardsUsed, word);
+    }
+});
+
+test('assignBlanks puts jokers only where the rack is short', () => {
+    const rack = (letters) => parseLetters(letters).letterCounts;
+
+    assert.deepEqual(assignBlanks('ZOO', rack('ZO')), [{ position: 2, letter: 'O' }]);
+    assert.deepEqual(assignBlanks('ZOO', rack('ZOO')), []);
+    assert.deepEqual(assignBlanks('ZOO', rack('')), [
+        { position: 0, letter: 'Z' }, { position: 1, letter: 'O' }, { position: 2, letter: 'O' }
+    ]);
+    // Bræt-bogstaver springes over
+    assert.deepEqual(assignBlanks('MANDE', rack('AN'), [0, 3, 4]), []);
+    assert.deepEqual(assignBlanks('MANDE', rack('A'), [0, 3, 4]), [{ position: 2, letter: 'N' }]);
+});
+
+test('compareDanish puts Æ, Ø and Å after Z', () => {
+    const words = ['ÅL', 'ZOO', 'ØL', 'AAL', 'ÆG', 'AB'];
+    assert.deepEqual([...words].sort(compareDanish), ['AAL', 'AB', 'ZOO', 'ÆG', 'ØL', 'ÅL']);
+});
+
+test('compareDanish ignores case and sorts prefixes first', () => {
+    assert.equal(compareDanish('mand', 'MAND'), 0);
+    assert.ok(compareDanish('MAND', 'MANDE') < 0);
+    assert.ok(compareDanish('sø', 'SA') > 0);
+});
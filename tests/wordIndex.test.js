@@ -0,0 +1,142 @@
+/**
+ * wordIndex.js - building the word graph, lookups and the rack walk
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    buildWordIndex, findChild, walk, hasWord, listWords, forEachRackWord, createRackWalk, ROOT, NO_NODE
+} from '../src/js/wordIndex.js';
+import { parseLetters, canFormWordWithExtras } from '../src/js/utils.js';
+import { WORDS } from './helpers/fixtures.js';
+
+// Sorteret som buildWordIndex sorterer (tegnkode), uden dubletter
+function sortedUnique(words) {
+    return [...new Set(words.map(w => w.toUpperCase()))].sort();
+}
+
+// Ord på 1-4 bogstaver af ABE, der ikke ender på B - mange fælles præfikser og suffikser
+function syntheticWords() {
+    const words = [];
+    const extend = (word) => {
+        if (word.length > 0 && !word.endsWith('B')) words.push(word);
+        if (word.length < 4) {
+            for (const letter of 'ABE') extend(word + letter);
+        }
+    };
+    extend('');
+    return words.reverse();
+}
+
+test('listWords gives back the sorted, unique word list', () => {
+    assert.deepEqual(listWords(buildWordIndex(WORDS)), sortedUnique(WORDS));
+
+    const synthetic = syntheticWords();
+    assert.deepEqual(listWords(buildWordIndex(synthetic)), sortedUnique(synthetic));
+
+    assert.deepEqual(listWords(buildWordIndex([])), []);
+    assert.deepEqual(listWords(buildWordIndex(['', 'ø', 'Ø', 'øl'])), ['Ø', 'ØL']);
+});
+
+test('wordCount counts unique words and shared suffixes are stored once', () => {
+    const index = buildWordIndex(WORDS);
+    assert.equal(index.wordCount, sortedUnique(WORDS).length);
+
+    // Et træ skulle bruge 1 + 4 × 5 knuder, grafen deler AGER
+    const shared = buildWordIndex(['bager', 'lager', 'mager', 'sager']);
+    assert.equal(shared.wordCount, 4);
+    assert.equal(shared.nodeCount, 6);
+    assert.equal(shared.edgeStart.length, shared.nodeCount + 1);
+});
+
+test('hasWord, walk and findChild', () => {
+    const index = buildWordIndex(WORDS);
+
+    assert.equal(hasWord(index, 'MAND'), true);
+    assert.equal(hasWord(index, 'MANDE'), true);
+    assert.equal(hasWord(index, 'MAN'), false);
+    assert.equal(hasWord(index, 'ÆG'), true);
+    assert.equal(hasWord(index, 'mand'), false);
+    assert.equal(hasWord(index, ''), false);
+
+    // MAN er en præfiks-knude uden at være et ord
+    const man = walk(index, ROOT, 'MAN');
+    assert.notEqual(man, NO_NODE);
+    assert.equal(index.terminal[man], 0);
+    assert.equal(walk(index, man, 'D'), findChild(index, man, 'D'));
+    assert.equal(index.terminal[findChild(index, man, 'D')], 1);
+
+    assert.equal(findChild(index, man, 'Q'), NO_NODE);
+    assert.equal(walk(index, ROOT, 'QX'), NO_NODE);
+});
+
+// Reference: alle ord der kan dannes, tjekket ét ad gangen
+function expectedRackWords(words, letters, extraLetters = null) {
+    const { letterCounts, wildcards } = parseLetters(letters);
+    const found = new Map();
+    for (const word of sortedUnique(words)) {
+        const check = canFormWordWithExtras(word, letterCounts, wildcards, extraLetters);
+        if (check.canForm) {
+            found.set(word, { wildcardsUsed: check.wildcardsUsed, rackTilesUsed: check.rackTilesUsed });
+        }
+    }
+    return found;
+}
+
+function rackWords(index, letters, extraLetters = null, maxSteps = Infinity) {
+    const { letterCounts, wildcards } = parseLetters(letters);
+    const found = new Map();
+    const visit = (word, { wildcardsUsed, rackTilesUsed }) => {
+        found.set(word, { wildcardsUsed, rackTilesUsed });
+    };
+
+    if (maxSteps === Infinity) {
+        forEachRackWord(index, letterCounts, wildcards, extraLetters, visit);
+    } else {
+        const search = createRackWalk(index, letterCounts, wildcards, extraLetters);
+        while (!search.step(visit, maxSteps));
+        assert.equal(search.done, true);
+    }
+    return found;
+}
+
+test('the rack walk finds every word the rack can form', () => {
+    const index = buildWordIndex(WORDS);
+
+    for (const letters of ['MANDE', 'SANDERE', 'ÅRE?', 'ST??', '?']) {
+        assert.deepEqual(rackWords(index, letters), expectedRackWords(WORDS, letters), letters);
+    }
+
+    // Bræt-bogstaver bruges før egne brikker
+    const extras = new Map([['S', 1], ['T', 1]]);
+    const withBoard = rackWords(index, 'ANDE', extras);
+    assert.deepEqual(withBoard, expectedRackWords(WORDS, 'ANDE', extras));
+    assert.deepEqual(withBoard.get('SAND'), { wildcardsUsed: 0, rackTilesUsed: 3 });
+});
+
+test('stepping the rack walk in small slices gives the same words', () => {
+    const index = buildWordIndex(WORDS);
+    const extras = new Map([['R', 1]]);
+
+    for (const maxSteps of [1, 3, 17]) {
+        assert.deepEqual(rackWords(index, 'SANDE?', extras, maxSteps), rackWords(index, 'SANDE?', extras));
+    }
+});
+
+test('the rack walk stops when visit returns false and respects maxLength', () => {
+    const index = buildWordIndex(WORDS);
+    const { letterCounts, wildcards } = parseLetters('SANDERE');
+
+    const seen = [];
+    forEachRackWord(index, letterCounts, wildcards, null, (word) => {
+        seen.push(word);
+        return seen.length < 3;
+    });
+    assert.equal(seen.length, 3);
+
+    const short = [];
+    forEachRackWord(index, letterCounts, wildcards, null, (word) => { short.push(word); }, 3);
+    assert.ok(short.length > 0);
+    assert.ok(short.every(word => word.length <= 3));
+});
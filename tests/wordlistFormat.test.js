@@ -0,0 +1,106 @@
+/**
+ * wordlistFormat.js - encode/decode round trip, header checks, the words checksum and
+ * the normalization the build script, the JSON loader and the workers share
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import {
+    encodeWordlist, decodeWordlist, readHeader, computeWordsChecksum, formatChecksum, normalizeWordlist, FORMAT_VERSION
+} from '../src/js/wordlistFormat.js';
+import { buildWordIndex, listWords } from '../src/js/wordIndex.js';
+import { getRuleset } from '../src/js/rulesets.js';
+import { loadWorker } from './helpers/workerHarness.js';
+import { WORDS } from './helpers/fixtures.js';
+
+const unique = Array.from(new Set(WORDS.map(w => w.toUpperCase()))).sort();
+
+function pack(meta = { language: 'da', sourceVersion: 'DSDO 2025-10' }) {
+    return encodeWordlist(buildWordIndex(WORDS), meta);
+}
+
+test('a packed wordlist decodes to the same words and header', () => {
+    const { index, header } = decodeWordlist(pack(), { language: 'da' });
+
+    assert.deepEqual(listWords(index), unique);
+    assert.equal(header.formatVersion, FORMAT_VERSION);
+    assert.equal(header.wordCount, unique.length);
+    assert.equal(header.language, 'da');
+    assert.equal(header.sourceVersion, 'DSDO 2025-10');
+    assert.ok(header.alphabet.includes('Æ'));
+});
+
+test('the words checksum is the same for the JSON and the packed list', () => {
+    // JSON-stien: ordene i filens rækkefølge, blandet store/små bogstaver
+    const jsonChecksum = computeWordsChecksum(buildWordIndex([...WORDS].reverse()));
+    const { index, header } = decodeWordlist(pack());
+
+    assert.equal(header.wordsChecksum, jsonChecksum);
+    assert.equal(computeWordsChecksum(index), jsonChecksum);
+    assert.match(formatChecksum(jsonChecksum), /^[0-9a-f]{8}$/);
+
+    // Et ord mere giver en anden checksum
+    assert.notEqual(computeWordsChecksum(buildWordIndex([...WORDS, 'ZOO'])), jsonChecksum);
+});
+
+test('a corrupted file is rejected', () => {
+    const buffer = pack();
+    const bytes = new Uint8Array(buffer);
+    bytes[bytes.length - 1] ^= 1;
+    assert.throws(() => decodeWordlist(buffer), /checksum mismatch/);
+
+    const short = pack().slice(0, -1);
+    assert.throws(() => decodeWordlist(short), /wrong size/);
+    assert.throws(() => readHeader(new ArrayBuffer(8)), /too small/);
+});
+
+test('the wrong magic, version or language is rejected', () => {
+    const wrongMagic = pack();
+    new Uint8Array(wrongMagic)[0] = 'X'.charCodeAt(0);
+    assert.throws(() => decodeWordlist(wrongMagic), /Not a packed wordlist/);
+
+    const oldVersion = pack();
+    new DataView(oldVersion).setUint16(4, 1, true);
+    assert.throws(() => decodeWordlist(oldVersion), /Unsupported wordlist format version 1/);
+
+    assert.throws(() => decodeWordlist(pack({ language: 'en' }), { language: 'da' }), /for en, expected da/);
+});
+
+test('the build script and the JSON path keep the same words', async () => {
+    // Bindestreg, accent, tal og tom streng findes ikke i det danske alfabet
+    const source = [...WORDS, 'Q-TIP', 'café', '4X4', ''];
+    const { words, skipped } = normalizeWordlist(source, getRuleset('da').alphabet);
+    assert.deepEqual([...words].sort(), unique);
+    assert.equal(skipped, 4);
+
+    const dir = await mkdtemp(join(tmpdir(), 'wordlist-'));
+    try {
+        const input = join(dir, 'words-da.json');
+        await writeFile(input, JSON.stringify(source));
+        execFileSync(process.execPath, [fileURLToPath(new URL('../scripts/build-wordlist.js', import.meta.url)), input],
+            { stdio: 'pipe' });
+
+        const file = await readFile(join(dir, 'words-da.wfb'));
+        const header = readHeader(file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength));
+        assert.equal(header.wordCount, unique.length);
+        assert.equal(header.wordsChecksum, computeWordsChecksum(buildWordIndex(words)));
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+
+    // Workerne får ordene fra JSON-stien og normaliserer dem på samme måde
+    const worker = await loadWorker('src/workers/searchWorker.js');
+    try {
+        worker.post({ type: 'loadWordlist', payload: { words: source, lang: 'da' } });
+        const { payload } = await worker.waitFor('wordlistLoaded');
+        assert.equal(payload.count, unique.length);
+    } finally {
+        await worker.terminate();
+    }
+});